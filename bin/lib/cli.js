@@ -28,6 +28,14 @@ const {
 	storybookCommand,
 	execCommand,
 	testCommand,
+	verifyCommand,
+	diffPackageCommand,
+	previewCommand,
+	versionCommand,
+	envCommand,
+	configCommand,
+	doctorCommand,
+	logsCommand,
 } = require("./commands")
 
 // Load global configuration
@@ -135,15 +143,24 @@ const cli = yargs
 				describe: "Development server port",
 				type: "number",
 			},
+			lan: {
+				describe:
+					"Serve to devices on the local network: bind to the LAN address (or the one given), add it to the certificates and print a QR code",
+				type: "string",
+			},
+			"strict-port": {
+				describe:
+					"Exit if the dev server or Socket.IO port is taken instead of moving to the next free ports",
+				type: "boolean",
+				default: false,
+			},
 			"node-log-level": {
-				describe: "Node log level",
+				describe: "Node log level (default: info)",
 				type: "string",
-				default: "info",
 			},
 			"component-path": {
-				describe: "Path to main component",
+				describe: "Path to main component (default: ./src/Plugin.vue)",
 				type: "string",
-				default: "./src/Plugin.vue",
 			},
 			"no-https": {
 				describe: "Disable HTTPS and use HTTP instead",
@@ -171,12 +188,34 @@ const cli = yargs
 				default: false,
 				alias: "m",
 			},
+			record: {
+				describe:
+					"Save real API traffic through /api-proxy to api-fixtures/ (Authorization redacted), one file per operationId",
+				type: "boolean",
+				default: false,
+			},
+			replay: {
+				describe:
+					"Mock API serves responses recorded with --record first, generated ones otherwise (enables --with-mock)",
+				type: "boolean",
+				default: false,
+			},
 			json: {
 				describe:
 					"Emit all dev-server logs as newline-delimited JSON (one record per line) for cloud log collectors",
 				type: "boolean",
 				default: false,
 			},
+			variant: {
+				describe:
+					"Preview a build variant: merge app-manifest.<variant>.json and .env.<variant> over the base",
+				type: "string",
+			},
+			profile: {
+				describe:
+					"Portal profile to emulate around the plugin: theme, navigation, strings and assets from portal-profiles/<profile>.json",
+				type: "string",
+			},
 		},
 		devCommand,
 	)
@@ -185,18 +224,290 @@ const cli = yargs
 		"Build plugin for production",
 		{
 			"node-log-level": {
-				describe: "Node log level",
+				describe: "Node log level (default: error)",
 				type: "string",
-				default: "error",
 			},
 			"component-path": {
-				describe: "Path to main component",
+				describe: "Path to main component (default: ./src/Plugin.vue)",
+				type: "string",
+			},
+			analyze: {
+				describe:
+					"Break the bundle down by module and npm package and compare it with the previous analyzed build",
+				type: "boolean",
+				default: false,
+			},
+			licenses: {
+				describe:
+					"List the npm packages bundled into the output with their licenses, add third-party-licenses.json to the package and fail on denied licenses",
+				type: "boolean",
+				default: false,
+			},
+			verify: {
+				describe:
+					"Verify the packaged .gxpapp after building (use --no-verify to skip)",
+				type: "boolean",
+				default: true,
+			},
+			checks: {
+				describe:
+					"Run the pre-build checks (debug code, dev URLs, hardcoded strings, manifest sync, lint); use --no-checks to skip",
+				type: "boolean",
+				default: true,
+			},
+			"optimize-assets": {
+				describe:
+					"Prune unreferenced assets, drop duplicates and recompress images before packaging",
+				type: "boolean",
+				default: false,
+			},
+			sign: {
+				describe:
+					"Sign the package with your Ed25519 key (created on first use)",
+				type: "boolean",
+				default: false,
+			},
+			"signing-key": {
+				describe:
+					"Private key (PEM) to sign with. Defaults to .gxdev/signing/private.pem, then ~/.gxp-dev/signing/private.pem",
 				type: "string",
-				default: "./src/Plugin.vue",
+			},
+			variant: {
+				describe:
+					"Build a variant: merge app-manifest.<variant>.json and .env.<variant> over the base and write dist/<name>-<variant>.gxpapp",
+				type: "string",
+			},
+			watch: {
+				describe:
+					"Rebuild and repackage on every change, re-running only the packaging steps that are affected",
+				type: "boolean",
+				default: false,
+				alias: "w",
+			},
+			"all-variants": {
+				describe: "Build every variant that has an app-manifest.<variant>.json",
+				type: "boolean",
+				conflicts: "variant",
 			},
 		},
 		buildCommand,
 	)
+	.command(
+		"verify [file]",
+		"Inspect and validate a packaged .gxpapp (defaults to the newest one in dist/)",
+		{
+			file: {
+				describe: "Path to the .gxpapp to verify",
+				type: "string",
+			},
+			json: {
+				describe: "Output results as JSON instead of terminal report",
+				type: "boolean",
+				default: false,
+			},
+			signature: {
+				describe:
+					"Require a valid signature from the trusted public key (see --public-key)",
+				type: "boolean",
+				default: false,
+			},
+			"public-key": {
+				describe:
+					"Trusted Ed25519 public key (PEM). Defaults to .gxdev/signing/public.pem, then ~/.gxp-dev/signing/public.pem",
+				type: "string",
+			},
+		},
+		verifyCommand,
+	)
+	.command(
+		"diff-package <from> [to]",
+		"Compare two built plugins (.gxpapp or build directory; defaults to dist/build/)",
+		{
+			from: {
+				describe: "Older package (.gxpapp or build directory)",
+				type: "string",
+			},
+			to: {
+				describe: "Newer package (defaults to dist/build/)",
+				type: "string",
+			},
+			json: {
+				describe: "Output the diff as JSON (e.g. for release notes)",
+				type: "boolean",
+				default: false,
+			},
+		},
+		diffPackageCommand,
+	)
+	.command(
+		"preview [file]",
+		"Run a built .gxpapp in a production-like host (defaults to the newest one in dist/)",
+		{
+			file: {
+				describe: "Path to the .gxpapp to preview",
+				type: "string",
+			},
+			port: {
+				describe: "Port to serve the preview on",
+				type: "number",
+				default: 4173,
+			},
+			host: {
+				describe: "Interface to listen on (0.0.0.0 for every interface)",
+				type: "string",
+				default: "localhost",
+			},
+		},
+		previewCommand,
+	)
+	.command(
+		"version <release>",
+		"Bump the version in app-manifest.json and package.json together and add a CHANGELOG.md entry",
+		{
+			release: {
+				describe: "patch, minor, major or an explicit version (x.y.z)",
+				type: "string",
+			},
+			tag: {
+				describe: "Commit the release and create a v<version> git tag",
+				type: "boolean",
+				default: false,
+			},
+			changelog: {
+				describe:
+					"Add a CHANGELOG.md entry from the commits since the last tag (--no-changelog to skip)",
+				type: "boolean",
+				default: true,
+			},
+			"dry-run": {
+				describe: "Show the new version and changelog entry without writing",
+				type: "boolean",
+				default: false,
+				alias: "d",
+			},
+		},
+		versionCommand,
+	)
+	.command(
+		"env <action> [name]",
+		"List API environments or switch the project to one",
+		{
+			action: {
+				describe: "Action to perform",
+				choices: ["list", "use"],
+			},
+			name: {
+				describe: "Environment to switch to (for use action)",
+				type: "string",
+			},
+			json: {
+				describe: "Output the environments as JSON (for list action)",
+				type: "boolean",
+				default: false,
+			},
+		},
+		envCommand,
+	)
+	.command(
+		"config <action>",
+		"Show the effective project configuration (gxdev.config.js, .env, defaults)",
+		{
+			action: {
+				describe: "Action to perform",
+				choices: ["print"],
+			},
+			json: {
+				describe: "Output the configuration as JSON",
+				type: "boolean",
+				default: false,
+			},
+			mode: {
+				describe: "Which .env.<mode> files apply",
+				choices: ["development", "production"],
+				default: "development",
+			},
+			variant: {
+				describe: "Include a build variant's .env.<variant> and overlays",
+				type: "string",
+			},
+		},
+		configCommand,
+	)
+	.command(
+		"doctor",
+		"Diagnose the development environment (Node, mkcert, certificates, ports, toolkit install, MCP config)",
+		{
+			fix: {
+				describe:
+					"Apply the safe fixes (regenerate certificates, update MCP config), then check again",
+				type: "boolean",
+				default: false,
+			},
+			json: {
+				describe: "Output the report as JSON (attach it to bug reports)",
+				type: "boolean",
+				default: false,
+			},
+		},
+		doctorCommand,
+	)
+	.command(
+		"logs",
+		"Search the logs of past dev sessions (.gxdev/logs/) or follow the running one",
+		{
+			service: {
+				alias: "s",
+				describe: "Only these services (VITE, SOCKET, GXDEV, ...)",
+				type: "array",
+			},
+			level: {
+				alias: "l",
+				describe: "Minimum level",
+				choices: ["info", "warn", "error"],
+			},
+			since: {
+				describe:
+					"From this time: ISO date/time or duration back (30s, 15m, 2h, 1d)",
+				type: "string",
+			},
+			until: {
+				describe: "Up to this time: ISO date/time or duration back",
+				type: "string",
+			},
+			grep: {
+				alias: "g",
+				describe: "Only messages containing this text (case-insensitive)",
+				type: "string",
+			},
+			session: {
+				describe:
+					'Session id (or a prefix of it), or "all". Defaults to the latest session, or all sessions with --since/--until',
+				type: "string",
+			},
+			lines: {
+				alias: "n",
+				describe: "Only the last N matching records",
+				type: "number",
+			},
+			follow: {
+				alias: "f",
+				describe: "Tail the running dev session from another terminal",
+				type: "boolean",
+				default: false,
+			},
+			list: {
+				describe: "List the logged sessions",
+				type: "boolean",
+				default: false,
+			},
+			json: {
+				describe: "Print records as NDJSON",
+				type: "boolean",
+				default: false,
+			},
+		},
+		logsCommand,
+	)
 	.command(
 		"publish [file]",
 		"Publish package files to local project",
@@ -412,10 +723,9 @@ const cli = yargs
 		"Add an API dependency to app-manifest.json via interactive wizard",
 		{
 			env: {
-				describe: "API environment to load specs from",
+				describe: "API environment to load specs from (see gxdev env list)",
 				type: "string",
 				default: "develop",
-				choices: ["develop", "local"],
 				alias: "e",
 			},
 		},
@@ -432,6 +742,14 @@ const cli = yargs
 	.example("gxdev dev", "Start Vite + Socket.IO in plain CLI mode")
 	.example("gxdev dev --ui", "Start the dev server inside the interactive TUI")
 	.example("gxdev ui", "Open the TUI without auto-starting anything")
+	.example(
+		"gxdev doctor",
+		"Check the environment and explain how to fix problems",
+	)
+	.example(
+		"gxdev logs --service vite --level warn --since 1h",
+		"Vite warnings and errors from the last hour of dev sessions",
+	)
 	.example("gxdev lint --all", "Lint configuration.json and app-manifest.json")
 	.example(
 		"gxdev extract-config",
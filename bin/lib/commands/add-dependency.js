@@ -9,8 +9,11 @@ const fs = require("fs")
 const path = require("path")
 const https = require("https")
 const http = require("http")
-const { ENVIRONMENT_URLS } = require("../constants")
-const { findProjectRoot } = require("../utils")
+const {
+	findProjectRoot,
+	loadEnvironments,
+	getEnvironment,
+} = require("../utils")
 
 /**
  * Fetch JSON from a URL with timeout
@@ -609,10 +612,17 @@ async function addDependencyCommand(argv) {
 	console.log("")
 
 	// Get environment URLs
-	const envUrls = ENVIRONMENT_URLS[environment]
+	let environments
+	try {
+		environments = loadEnvironments(findProjectRoot())
+	} catch (error) {
+		console.error(`\x1B[31m✗ ${error.message}\x1B[0m`)
+		process.exit(1)
+	}
+	const envUrls = getEnvironment(environment, environments)
 	if (!envUrls) {
 		console.error(`\x1B[31m✗ Unknown environment: ${environment}\x1B[0m`)
-		console.log(`  Available: ${Object.keys(ENVIRONMENT_URLS).join(", ")}`)
+		console.log(`  Available: ${Object.keys(environments).join(", ")}`)
 		process.exit(1)
 	}
 
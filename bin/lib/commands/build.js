@@ -6,22 +6,80 @@
 
 const path = require("path")
 const fs = require("fs")
+const crypto = require("crypto")
 const shell = require("shelljs")
-const AdmZip = require("adm-zip")
-const { findProjectRoot, resolveGxPaths } = require("../utils")
+const {
+	findProjectRoot,
+	resolveGxPaths,
+	createBundleReport,
+	compareBundleReports,
+	loadBudgets,
+	checkBudgets,
+	formatBundleReport,
+	formatBytes,
+	verifyGxpPackage,
+	formatVerifyReport,
+	loadAssetOptimizationOptions,
+	optimizeAssets,
+	formatAssetReport,
+	createIntegrityManifest,
+	createGxpArchive,
+	GXP_INTEGRITY_FILE,
+	GXP_SIGNATURE_FILE,
+	isReservedPackagePath,
+	getSigningKeyDirs,
+	generateSigningKey,
+	loadSigningKey,
+	signIntegrity,
+	listVariants,
+	assertVariant,
+	loadProjectManifest,
+	applyVariantEnv,
+	getBundleFiles,
+	planRebuild,
+	createRebuildQueue,
+	watchPackagingInputs,
+	captureConsole,
+	formatRebuildStatus,
+	loadCheckLevels,
+	runBuildChecks,
+	findVersionMismatch,
+	applyProjectConfig,
+	formatCheckIssues,
+	loadPackagingOptions,
+	listViteOutputs,
+	selectBuildOutputs,
+	moveBuildOutputs,
+	createPackagingFilter,
+	formatOutputSelection,
+	loadCssIsolationOptions,
+	isolateBuildCss,
+	GXP_LICENSES_FILE,
+	loadLicenseOptions,
+	createLicenseReport,
+	serializeLicenseReport,
+	formatLicenseReport,
+} = require("../utils")
+
+// Build bookkeeping lives outside dist/ because `vite build` empties dist/
+// on every run, and the previous report is what --analyze compares against.
+const GXDEV_DIR = ".gxdev"
 
 /**
- * Get the plugin name from app-manifest.json (preferred) or package.json
+ * Get the package file name: the plugin name from app-manifest.json
+ * (preferred) or package.json, suffixed with the build variant if any
  */
-function getPluginName(projectPath) {
-	// Check app-manifest.json first
+function getPluginName(projectPath, variant = null) {
+	const baseName = getBasePluginName(projectPath, variant)
+	return variant ? `${baseName}-${variant}` : baseName
+}
+
+function getBasePluginName(projectPath, variant) {
+	// Check app-manifest.json (with the variant overlay) first
 	try {
-		const manifestPath = path.join(projectPath, "app-manifest.json")
-		if (fs.existsSync(manifestPath)) {
-			const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"))
-			if (manifest.name) {
-				return manifest.name.replace(/[^a-zA-Z0-9-_]/g, "-")
-			}
+		const manifest = loadProjectManifest(projectPath, variant)
+		if (manifest && manifest.name) {
+			return manifest.name.replace(/[^a-zA-Z0-9-_]/g, "-")
 		}
 	} catch (error) {
 		console.warn(
@@ -51,100 +109,228 @@ function getPluginName(projectPath) {
  * @param {string} projectPath - Project root path
  * @param {string} buildPath - Path where built files are (dist/build/)
  * @param {string} outputPath - Path where .gxpapp file should be created (dist/)
+ * @param {object} [options]
+ * @param {boolean} [options.verify=true] - Verify the package after writing it
+ * @param {object|null} [options.assetOptimization] - Options from
+ *   loadAssetOptimizationOptions; null leaves copied assets untouched
+ * @param {object|null} [options.signingKey] - From loadSigningKey; signs the
+ *   package when set
+ * @param {string|null} [options.variant] - Build variant; its manifest
+ *   overlay is merged into the packaged app-manifest.json
+ * @param {object|null} [options.cssIsolation] - From
+ *   loadCssIsolationOptions; null leaves stylesheets untouched
  */
-async function packagePlugin(projectPath, buildPath, outputPath) {
-	const pluginName = getPluginName(projectPath)
-
+async function packagePlugin(
+	projectPath,
+	buildPath,
+	outputPath,
+	{
+		verify = true,
+		assetOptimization = null,
+		signingKey = null,
+		variant = null,
+		cssIsolation = null,
+	} = {},
+) {
 	console.log("\n📦 Packaging plugin...")
 
-	// Read app-manifest.json to get asset_dir
-	const manifestPath = path.join(projectPath, "app-manifest.json")
-	let assetDir = "/src/assets/" // Default
+	const manifest = readBuildManifest(projectPath, variant)
+	copyAssets(projectPath, buildPath, manifest)
 
-	if (fs.existsSync(manifestPath)) {
-		try {
-			const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"))
-			if (manifest.asset_dir) {
-				assetDir = manifest.asset_dir
-			}
-		} catch (error) {
-			console.warn(
-				"⚠️  Could not parse app-manifest.json, using default asset_dir",
-			)
+	// Process optional bundle files (appInstructions, defaultStyling, configuration)
+	if (manifest) {
+		processOptionalBundleFiles(manifest, projectPath, buildPath)
+	}
+	// Build CSS and default-styling.css are both in place now
+	runCssIsolation(buildPath, cssIsolation)
+
+	// Optimize dist/build/assets/ once everything that can reference an asset
+	// (build output, bundle files) is in place
+	const assetRewrites = runAssetOptimization(
+		projectPath,
+		buildPath,
+		manifest,
+		assetOptimization,
+	)
+
+	if (manifest) {
+		writeCleanedManifest(manifest, buildPath, assetRewrites)
+	}
+
+	const gxpFilePath = await writePackage(projectPath, buildPath, outputPath, {
+		verify,
+		signingKey,
+		variant,
+	})
+	const gxpFileName = path.basename(gxpFilePath)
+
+	console.log(`\n✅ Plugin packaged successfully!`)
+	console.log(`📁 Build files: dist/build/`)
+	console.log(`📁 Package: dist/${gxpFileName}`)
+
+	return gxpFilePath
+}
+
+/**
+ * Scope or layer every stylesheet in dist/build/ (see utils/css-isolation.js)
+ * @param {string} buildPath
+ * @param {object|null} options - From loadCssIsolationOptions
+ */
+function runCssIsolation(buildPath, options) {
+	if (!options || options.strategy === "off") {
+		return
+	}
+	const rewritten = isolateBuildCss(buildPath, options)
+	if (rewritten.length > 0) {
+		const target =
+			options.strategy === "scope" ? options.root : `@layer ${options.layer}`
+		console.log(`🧱 CSS isolated under ${target}: ${rewritten.join(", ")}`)
+	}
+}
+
+/**
+ * Read app-manifest.json (plus any variant overlay) for packaging. Returns
+ * null, with a warning, when it is missing or can't be parsed.
+ */
+function readBuildManifest(projectPath, variant = null) {
+	try {
+		const manifest = loadProjectManifest(projectPath, variant)
+		if (!manifest) {
+			console.warn("⚠️  app-manifest.json not found")
 		}
-	} else {
-		console.warn("⚠️  app-manifest.json not found")
+		return manifest
+	} catch (error) {
+		console.warn(`⚠️  ${error.message}, using default asset_dir`)
+		return null
 	}
+}
 
-	// Resolve asset directory path (remove leading slash for path.join)
-	const assetDirClean = assetDir.replace(/^\//, "").replace(/\/$/, "")
+/**
+ * The project's asset directory relative to the project root, from the
+ * manifest's asset_dir
+ */
+function getAssetDir(manifest) {
+	const assetDir = (manifest && manifest.asset_dir) || "/src/assets/"
+	// Remove leading/trailing slashes for path.join
+	return assetDir.replace(/^\//, "").replace(/\/$/, "")
+}
+
+/**
+ * Copy the project's asset_dir to dist/build/assets/, replacing any previous
+ * copy so deleted assets don't linger between watch rebuilds
+ */
+function copyAssets(projectPath, buildPath, manifest) {
+	const assetDirClean = getAssetDir(manifest)
 	const assetSourcePath = path.join(projectPath, assetDirClean)
 	const assetDestPath = path.join(buildPath, "assets")
 
+	fs.rmSync(assetDestPath, { recursive: true, force: true })
+
 	// Copy assets to dist/build/assets
 	if (fs.existsSync(assetSourcePath)) {
 		console.log(
 			`📂 Copying assets from ${assetDirClean}/ to dist/build/assets/`,
 		)
 
-		// Create assets directory in build
-		if (!fs.existsSync(assetDestPath)) {
-			fs.mkdirSync(assetDestPath, { recursive: true })
-		}
-
 		// Copy all files from asset source to build/assets
 		copyDirectorySync(assetSourcePath, assetDestPath)
 		console.log("✓ Assets copied")
 	} else {
 		console.log(`ℹ️  No assets directory found at ${assetDirClean}/`)
 	}
+}
 
-	// Process app-manifest.json for bundle
-	let manifest = null
-	if (fs.existsSync(manifestPath)) {
-		// Parse manifest for optional bundle files
-		try {
-			manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"))
-		} catch (error) {
-			console.warn("⚠️  Could not parse app-manifest.json")
-		}
+/**
+ * Run the asset optimization stage when enabled.
+ * @returns {object} manifest asset rewrites for deduplicated files
+ */
+function runAssetOptimization(
+	projectPath,
+	buildPath,
+	manifest,
+	assetOptimization,
+) {
+	if (!assetOptimization) {
+		return {}
 	}
+	const report = optimizeAssets({
+		projectPath,
+		buildPath,
+		manifest,
+		options: assetOptimization,
+	})
+	console.log(formatAssetReport(report))
+	return report.assetRewrites
+}
 
-	// Process optional bundle files (appInstructions, defaultStyling, configuration)
-	if (manifest) {
-		processOptionalBundleFiles(manifest, projectPath, buildPath)
-
-		// Create a clean copy of manifest without the optional file keys (to avoid duplication)
-		const cleanedManifest = { ...manifest }
-		delete cleanedManifest.appInstructionsFile
-		delete cleanedManifest.appInstructions
-		delete cleanedManifest.defaultStylingFile
-		delete cleanedManifest.defaultStyling
-		delete cleanedManifest.configurationFile
-		delete cleanedManifest.configuration
-
-		// Write cleaned manifest to dist/build/
-		const manifestDestPath = path.join(buildPath, "app-manifest.json")
-		fs.writeFileSync(
-			manifestDestPath,
-			JSON.stringify(cleanedManifest, null, 2),
-			"utf-8",
-		)
-		console.log("✓ app-manifest.json written to dist/build/ (cleaned)")
+/**
+ * Write the manifest the platform sees to dist/build/app-manifest.json
+ */
+function writeCleanedManifest(manifest, buildPath, assetRewrites = {}) {
+	// Create a clean copy of manifest without the optional file keys (to avoid duplication)
+	const cleanedManifest = { ...manifest }
+	delete cleanedManifest.appInstructionsFile
+	delete cleanedManifest.appInstructions
+	delete cleanedManifest.defaultStylingFile
+	delete cleanedManifest.defaultStyling
+	delete cleanedManifest.configurationFile
+	delete cleanedManifest.configuration
+	// Build-time only; the platform has no use for these
+	delete cleanedManifest.budgets
+	delete cleanedManifest.assetOptimization
+	delete cleanedManifest.checks
+	delete cleanedManifest.packaging
+	delete cleanedManifest.cssIsolation
+	delete cleanedManifest.thirdPartyLicenses
+	// Point assets at the surviving copy of any deduplicated file
+	if (Object.keys(assetRewrites).length > 0) {
+		cleanedManifest.assets = { ...manifest.assets, ...assetRewrites }
 	}
 
+	// Write cleaned manifest to dist/build/
+	const manifestDestPath = path.join(buildPath, "app-manifest.json")
+	fs.writeFileSync(
+		manifestDestPath,
+		JSON.stringify(cleanedManifest, null, 2),
+		"utf-8",
+	)
+	console.log("✓ app-manifest.json written to dist/build/ (cleaned)")
+}
+
+/**
+ * Zip dist/build/ into dist/<name>.gxpapp and verify the result.
+ * @returns {Promise<string>} path of the written package
+ */
+async function writePackage(
+	projectPath,
+	buildPath,
+	outputPath,
+	{ verify = true, signingKey = null, variant = null } = {},
+) {
 	// Create the .gxp package (zip file) in dist/
-	const gxpFileName = `${pluginName}.gxpapp`
+	const gxpFileName = `${getPluginName(projectPath, variant)}.gxpapp`
 	const gxpFilePath = path.join(outputPath, gxpFileName)
 
 	console.log(`📦 Creating ${gxpFileName}...`)
 
-	await createGxpPackage(buildPath, gxpFilePath)
-
-	console.log(`\n✅ Plugin packaged successfully!`)
-	console.log(`📁 Build files: dist/build/`)
-	console.log(`📁 Package: dist/${gxpFileName}`)
+	await createGxpPackage(buildPath, gxpFilePath, projectPath, signingKey)
 
+	if (verify) {
+		const result = verifyGxpPackage(gxpFilePath, {
+			publicKey: signingKey
+				? crypto.createPublicKey(signingKey.privateKey)
+				: null,
+			isPackagedOutput: createPackagingFilter(
+				loadPackagingOptions(projectPath, variant),
+			),
+		})
+		console.log(formatVerifyReport(result, { cwd: projectPath }))
+		if (!result.ok) {
+			throw new Error(
+				`${gxpFileName} failed verification (re-run with --no-verify to skip)`,
+			)
+		}
+	}
 	return gxpFilePath
 }
 
@@ -252,49 +438,295 @@ function copyDirectorySync(src, dest) {
 }
 
 /**
- * Create the .gxp package (zip file containing plugin files)
+ * Create the .gxp package (zip file containing plugin files). The archive is
+ * reproducible and carries an integrity.json with the SHA-256 of every file
+ * plus the toolkit version and git commit it was built from, and, when a
+ * signing key is given, a signature.json over that integrity.json.
  */
-async function createGxpPackage(distPath, outputPath) {
-	const zip = new AdmZip()
-
-	const addFileIfExists = (filePath, zipName) => {
-		if (fs.existsSync(filePath)) {
-			zip.addLocalFile(filePath, "", zipName)
+async function createGxpPackage(
+	distPath,
+	outputPath,
+	projectPath,
+	signingKey = null,
+) {
+	// dist/build/ holds exactly what ships: the selected Vite output (see
+	// moveBuildFiles), the cleaned manifest, assets/ and the optional bundle
+	// files. integrity.json and signature.json are regenerated below.
+	const files = new Map()
+	const addFolder = (dir, zipDir) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const full = path.join(dir, entry.name)
+			const zipName = `${zipDir}${entry.name}`
+			if (entry.isDirectory()) {
+				addFolder(full, `${zipName}/`)
+			} else if (
+				entry.isFile() &&
+				zipName !== GXP_INTEGRITY_FILE &&
+				zipName !== GXP_SIGNATURE_FILE
+			) {
+				files.set(zipName, fs.readFileSync(full))
+			}
 		}
 	}
+	addFolder(distPath, "")
 
-	// Add all JS and CSS files from dist (flat, at zip root)
-	for (const file of fs.readdirSync(distPath)) {
-		if (file.endsWith(".js") || file.endsWith(".css")) {
-			zip.addLocalFile(path.join(distPath, file))
-		}
+	const integrity = createIntegrityManifest(files, {
+		toolkit: getToolkitInfo(),
+		git: getGitInfo(projectPath),
+	})
+	const integrityJson = Buffer.from(JSON.stringify(integrity, null, 2))
+	// Also left in dist/build/ so the build directory mirrors the package
+	fs.writeFileSync(path.join(distPath, GXP_INTEGRITY_FILE), integrityJson)
+	files.set(GXP_INTEGRITY_FILE, integrityJson)
+
+	if (signingKey) {
+		const signatureJson = Buffer.from(
+			JSON.stringify(
+				signIntegrity(integrityJson, signingKey.privateKey),
+				null,
+				2,
+			),
+		)
+		fs.writeFileSync(path.join(distPath, GXP_SIGNATURE_FILE), signatureJson)
+		files.set(GXP_SIGNATURE_FILE, signatureJson)
+		console.log(`🔏 Signed with key ${signingKey.keyId}`)
 	}
 
-	addFileIfExists(path.join(distPath, "app-manifest.json"), "app-manifest.json")
+	const archive = createGxpArchive(files)
+	await fs.promises.writeFile(outputPath, archive)
 
-	// Add assets directory (recursive) under "assets/" in the zip
-	const assetsPath = path.join(distPath, "assets")
-	if (fs.existsSync(assetsPath)) {
-		zip.addLocalFolder(assetsPath, "assets")
+	const sizeKB = (archive.length / 1024).toFixed(2)
+	console.log(`✓ Package created (${sizeKB} KB)`)
+	console.log(
+		`🔒 SHA-256 ${crypto.createHash("sha256").update(archive).digest("hex")}`,
+	)
+	if (integrity.git && integrity.git.dirty) {
+		console.warn(
+			"⚠️  Working tree has uncommitted changes — integrity.json records the commit, not your local edits",
+		)
 	}
+}
 
-	addFileIfExists(
-		path.join(distPath, "appInstructions.md"),
-		"appInstructions.md",
-	)
-	addFileIfExists(
-		path.join(distPath, "default-styling.css"),
-		"default-styling.css",
-	)
-	addFileIfExists(
-		path.join(distPath, "configuration.json"),
-		"configuration.json",
+/**
+ * Load the key for --sign, creating a user key on first use so signing works
+ * without a separate setup step.
+ */
+function resolveSigningKey(projectPath, keyPath) {
+	const existing = loadSigningKey(projectPath, keyPath)
+	if (existing) {
+		console.log(`🔑 Signing key: ${existing.path}`)
+		return existing
+	}
+	const userDir = getSigningKeyDirs(projectPath)[1]
+	const created = generateSigningKey(userDir)
+	console.log(`🔑 Created signing key ${created.keyId} in ${userDir}`)
+	console.log(
+		`   Share ${created.publicKeyPath} with whoever verifies your packages (gxdev verify --signature --public-key <file>)`,
 	)
+	return loadSigningKey(projectPath, created.privateKeyPath)
+}
 
-	await zip.writeZipPromise(outputPath)
+/**
+ * Toolkit name/version recorded in integrity.json.
+ */
+function getToolkitInfo() {
+	try {
+		const pkg = require("../../../package.json")
+		return { name: pkg.name, version: pkg.version }
+	} catch (error) {
+		return null
+	}
+}
 
-	const sizeKB = (fs.statSync(outputPath).size / 1024).toFixed(2)
-	console.log(`✓ Package created (${sizeKB} KB)`)
+/**
+ * Commit the project is built from, or null outside a git checkout.
+ */
+function getGitInfo(projectPath) {
+	const run = (args) =>
+		shell.exec(`git ${args}`, { cwd: projectPath, silent: true })
+	const head = run("rev-parse HEAD")
+	if (head.code !== 0) {
+		return null
+	}
+	const status = run("status --porcelain")
+	return {
+		commit: head.stdout.trim(),
+		dirty: status.code === 0 && status.stdout.trim() !== "",
+	}
+}
+
+/**
+ * Run one phase of the pre-build checks and print what they found.
+ * @param {string} projectPath - Project root path
+ * @param {"source"|"bundle"} phase - Source checks run before Vite, bundle
+ *   checks once dist/build/ is populated
+ * @param {object} options
+ * @param {object|null} options.levels - From loadCheckLevels; null (--no-checks)
+ *   skips the checks
+ * @param {string} [options.buildPath] - dist/build/
+ * @param {string|null} [options.variant]
+ * @returns {number} number of failed checks set to "error"
+ */
+function runChecks(projectPath, phase, { levels, buildPath, variant = null }) {
+	if (!levels) {
+		return 0
+	}
+	const issues = runBuildChecks({
+		projectPath,
+		phase,
+		levels,
+		buildPath,
+		variant,
+	})
+	if (issues.length > 0) {
+		console.warn(formatCheckIssues(issues, { phase }))
+	} else {
+		console.log(formatCheckIssues(issues, { phase }))
+	}
+	const errors = issues.filter((issue) => issue.level === "error").length
+	if (errors > 0) {
+		console.error(
+			`❌ ${errors} check${errors === 1 ? "" : "s"} failed — fix them, set the check to "warn"/"off" under "checks", or skip with --no-checks`,
+		)
+	}
+	return errors
+}
+
+/**
+ * Measure the built bundle, print the --analyze breakdown if requested, and
+ * check it against any declared size budgets.
+ * @param {string} projectPath - Project root path
+ * @param {string} buildPath - Path where built files are (dist/build/)
+ * @param {object} options
+ * @param {boolean} options.analyze - Print the module/package breakdown and
+ *   compare against the previous analyzed build
+ * @param {string} options.statsPath - Where the bundle stats plugin wrote its JSON
+ * @param {string|null} [options.variant] - Build variant; budgets come from
+ *   its merged manifest and it keeps its own saved report
+ * @returns {Array} budget violations (empty when within budget)
+ */
+function analyzeBundle(
+	projectPath,
+	buildPath,
+	{ analyze, statsPath, variant = null },
+) {
+	const budgets = loadBudgets(projectPath, variant)
+	if (!analyze && Object.keys(budgets).length === 0) {
+		return []
+	}
+
+	let stats = null
+	if (analyze && fs.existsSync(statsPath)) {
+		try {
+			stats = JSON.parse(fs.readFileSync(statsPath, "utf-8"))
+		} catch (error) {
+			console.warn(
+				"⚠️  Could not parse bundle stats, skipping module breakdown",
+			)
+		}
+	}
+
+	const report = createBundleReport(buildPath, stats)
+
+	if (analyze) {
+		const reportName = variant
+			? `bundle-report.${variant}.json`
+			: "bundle-report.json"
+		const reportPath = path.join(projectPath, GXDEV_DIR, reportName)
+		let previous = null
+		if (fs.existsSync(reportPath)) {
+			try {
+				previous = JSON.parse(fs.readFileSync(reportPath, "utf-8"))
+			} catch (error) {
+				console.warn("⚠️  Could not parse previous bundle report")
+			}
+		}
+		console.log(
+			formatBundleReport(report, compareBundleReports(previous, report)),
+		)
+		fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+		fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), "utf-8")
+		console.log(`\n📝 Report saved to ${GXDEV_DIR}/${reportName}`)
+	}
+
+	const violations = checkBudgets(report, budgets)
+	if (violations.length === 0 && Object.keys(budgets).length > 0) {
+		console.log("✓ Bundle within size budgets")
+	}
+	for (const v of violations) {
+		console.error(
+			`❌ Budget "${v.budget}" exceeded by ${v.target}: ${formatBytes(
+				v.size,
+			)} > ${formatBytes(v.limit)}`,
+		)
+	}
+	return violations
+}
+
+/**
+ * Write the third-party license report into dist/build/ and check it against
+ * the denylist. With the report off, a report left by an earlier build is
+ * removed.
+ * @param {string} buildPath - Path where built files are (dist/build/)
+ * @param {object} options
+ * @param {{ deny: string[] }|null} options.licenses - From loadLicenseOptions
+ * @param {boolean} options.print - Print the package list (--licenses)
+ * @param {string} options.statsPath - Where the bundle stats plugin wrote its JSON
+ * @returns {number} packages with a denied license
+ */
+function reportLicenses(buildPath, { licenses, print, statsPath }) {
+	const reportPath = path.join(buildPath, GXP_LICENSES_FILE)
+	if (!licenses) {
+		fs.rmSync(reportPath, { force: true })
+		return 0
+	}
+	let stats
+	try {
+		stats = JSON.parse(fs.readFileSync(statsPath, "utf-8"))
+	} catch {
+		throw new Error("Could not read bundle stats for the license report")
+	}
+
+	const report = createLicenseReport(stats, licenses)
+	fs.writeFileSync(reportPath, serializeLicenseReport(report), "utf-8")
+	if (print) {
+		console.log(formatLicenseReport(report))
+	}
+	for (const pkg of report.unknown) {
+		console.warn(`⚠️  ${pkg.name}@${pkg.version} declares no license`)
+	}
+	for (const pkg of report.denied) {
+		console.error(
+			`❌ ${pkg.name}@${pkg.version} is licensed ${pkg.license}, which is on the license denylist`,
+		)
+	}
+	if (report.denied.length === 0) {
+		console.log(
+			`✓ Third-party licenses listed in ${GXP_LICENSES_FILE} (${report.packages.length} package${report.packages.length === 1 ? "" : "s"})`,
+		)
+	}
+	return report.denied.length
+}
+
+/**
+ * Variants to build: every app-manifest.<name>.json for --all-variants, the
+ * one named by --variant, or just the base project ([null]).
+ */
+function resolveBuildVariants(projectPath, argv) {
+	if (argv["all-variants"]) {
+		const variants = listVariants(projectPath)
+		if (variants.length === 0) {
+			throw new Error(
+				"--all-variants: no app-manifest.<variant>.json files found in the project root",
+			)
+		}
+		return variants
+	}
+	if (argv.variant) {
+		assertVariant(projectPath, argv.variant)
+		return [argv.variant]
+	}
+	return [null]
 }
 
 /**
@@ -306,6 +738,53 @@ async function buildCommand(argv) {
 	const distPath = path.join(projectPath, "dist")
 	const buildPath = path.join(distPath, "build")
 
+	let variants
+	try {
+		variants = resolveBuildVariants(projectPath, argv)
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+	if (argv.watch && (argv["all-variants"] || argv.analyze)) {
+		console.error(
+			"❌ --watch can't be combined with --all-variants or --analyze",
+		)
+		process.exit(1)
+	}
+
+	// The platform reads the manifest version, npm and tooling read
+	// package.json's — a package carrying two versions is never right
+	let mismatch
+	try {
+		mismatch = findVersionMismatch(projectPath)
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+	if (mismatch) {
+		console.error(
+			`❌ app-manifest.json version ${mismatch.manifest} doesn't match package.json version ${mismatch.package}`,
+		)
+		console.error(
+			'   Run "gxdev version <x.y.z>" to set both, then build again',
+		)
+		process.exit(1)
+	}
+
+	// gxdev.config.js fills in what the shell and .env files leave unset
+	try {
+		const { file } = applyProjectConfig(projectPath, {
+			mode: "production",
+			variant: variants.filter(Boolean),
+		})
+		if (file) {
+			console.log(`⚙️  Using ${path.basename(file)}`)
+		}
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
 	console.log("🔨 Building plugin...\n")
 
 	// Vite config always comes from the runtime. Projects extend it via an
@@ -314,54 +793,382 @@ async function buildCommand(argv) {
 
 	// Set environment variables directly on process.env for cross-platform compatibility.
 	// Using shell-level "export"/"set" syntax breaks on Windows due to cmd.exe quote parsing.
-	if (!process.env.NODE_LOG_LEVEL) {
-		process.env.NODE_LOG_LEVEL = argv["node-log-level"] || "error"
+	// Flags win over the shell, .env files and gxdev.config (applied above)
+	process.env.NODE_LOG_LEVEL =
+		argv["node-log-level"] || process.env.NODE_LOG_LEVEL || "error"
+	process.env.COMPONENT_PATH =
+		argv["component-path"] || process.env.COMPONENT_PATH || "./src/Plugin.vue"
+
+	// --sign: resolve the key before building so a bad key fails fast
+	let signingKey = null
+	if (argv.sign) {
+		try {
+			signingKey = resolveSigningKey(projectPath, argv["signing-key"])
+		} catch (error) {
+			console.error(`❌ ${error.message}`)
+			process.exit(1)
+		}
 	}
-	if (!process.env.COMPONENT_PATH) {
-		process.env.COMPONENT_PATH = argv["component-path"] || "./src/Plugin.vue"
+
+	if (argv.watch) {
+		const [variant] = variants
+		if (variant) {
+			applyVariantEnv(projectPath, variant)
+		}
+		await watchBuild(projectPath, viteConfigPath, {
+			argv,
+			signingKey,
+			variant,
+		})
+		return
 	}
 
+	// --analyze and the license report: have the runtime vite config record
+	// per-module stats
+	const analyze = !!argv.analyze
+	const statsPath = path.join(projectPath, GXDEV_DIR, "bundle-stats.json")
+
 	// Normalize path separators to forward slashes for cross-platform shell compatibility
 	const normalizedViteConfigPath = viteConfigPath.replace(/\\/g, "/")
 	const command = `npx vite build --config "${normalizedViteConfigPath}"`
 
-	const result = shell.exec(command)
-
-	// Only proceed with packaging if build succeeded
-	if (result.code === 0) {
+	// `vite build` empties dist/, so packages from earlier variants are kept in
+	// memory and written back once the last variant is built
+	const packages = new Map()
+	for (const variant of variants) {
+		if (variant) {
+			console.log(`\n🎨 Building variant "${variant}"...\n`)
+		}
+		// .env.<variant> goes into process.env, where it beats the .env files
+		// vite loads but not variables set in the shell
+		const variantEnv = variant ? applyVariantEnv(projectPath, variant) : null
 		try {
-			// Move built files from dist/ to dist/build/
-			await moveBuildFiles(distPath, buildPath)
-			// Package the plugin (reads from buildPath, outputs .gxpapp to distPath)
-			await packagePlugin(projectPath, buildPath, distPath)
-		} catch (error) {
-			console.error("❌ Error packaging plugin:", error.message)
-			process.exit(1)
+			let checkLevels = null
+			let packaging
+			let cssIsolation
+			let licenses
+			try {
+				checkLevels =
+					argv.checks === false ? null : loadCheckLevels(projectPath, variant)
+				packaging = loadPackagingOptions(projectPath, variant)
+				cssIsolation = loadCssIsolationOptions(projectPath, variant)
+				licenses = loadLicenseOptions(projectPath, variant, !!argv.licenses)
+			} catch (error) {
+				console.error(`❌ ${error.message}`)
+				process.exit(1)
+			}
+			if (runChecks(projectPath, "source", { levels: checkLevels, variant })) {
+				process.exit(1)
+			}
+
+			if (analyze || licenses) {
+				process.env.GXDEV_BUNDLE_STATS = statsPath
+				fs.rmSync(statsPath, { force: true })
+			} else {
+				delete process.env.GXDEV_BUNDLE_STATS
+			}
+			const result = shell.exec(command)
+
+			// Only proceed with packaging if build succeeded
+			if (result.code !== 0) {
+				console.error(
+					variant
+						? `❌ Build failed for variant "${variant}"`
+						: "❌ Build failed",
+				)
+				process.exit(1)
+			}
+			try {
+				// Move built files from dist/ to dist/build/
+				await moveBuildFiles(distPath, buildPath, packaging)
+				if (
+					runChecks(projectPath, "bundle", {
+						levels: checkLevels,
+						buildPath,
+						variant,
+					})
+				) {
+					process.exit(1)
+				}
+				// Size report and budgets run before packaging so an over-budget
+				// bundle never produces a .gxpapp
+				const violations = analyzeBundle(projectPath, buildPath, {
+					analyze,
+					statsPath,
+					variant,
+				})
+				if (violations.length > 0) {
+					console.error("❌ Build failed: bundle exceeds size budget")
+					process.exit(1)
+				}
+				if (
+					reportLicenses(buildPath, {
+						licenses,
+						print: !!argv.licenses,
+						statsPath,
+					}) > 0
+				) {
+					console.error(
+						"❌ Build failed: bundled package with a denied license",
+					)
+					process.exit(1)
+				}
+				// Package the plugin (reads from buildPath, outputs .gxpapp to distPath)
+				const gxpFilePath = await packagePlugin(
+					projectPath,
+					buildPath,
+					distPath,
+					{
+						verify: argv.verify !== false,
+						signingKey,
+						variant,
+						cssIsolation,
+						assetOptimization: loadAssetOptimizationOptions(
+							projectPath,
+							argv,
+							variant,
+						),
+					},
+				)
+				packages.set(gxpFilePath, fs.readFileSync(gxpFilePath))
+			} catch (error) {
+				console.error("❌ Error packaging plugin:", error.message)
+				process.exit(1)
+			}
+		} finally {
+			if (variantEnv) {
+				variantEnv.restore()
+			}
+		}
+	}
+
+	if (packages.size > 1) {
+		for (const [gxpFilePath, contents] of packages) {
+			fs.writeFileSync(gxpFilePath, contents)
+		}
+		console.log(`\n✅ Built ${packages.size} variants:`)
+		for (const gxpFilePath of packages.keys()) {
+			console.log(`   📁 dist/${path.basename(gxpFilePath)}`)
+		}
+		console.log(
+			`   dist/build/ holds the last variant ("${variants[variants.length - 1]}")`,
+		)
+	}
+}
+
+/**
+ * Build in watch mode (`gxdev build --watch`). Vite's build watcher recompiles
+ * on source changes; everything else the package is made of is watched
+ * separately, and each rebuild re-runs only the packaging steps affected by
+ * what changed (see planRebuild) and prints a single status line.
+ */
+async function watchBuild(projectPath, viteConfigPath, options) {
+	const { argv, signingKey, variant } = options
+	const distPath = path.join(projectPath, "dist")
+	const buildPath = path.join(distPath, "build")
+	const { build } = await import("vite")
+	// Stats are cheap to record, and having them lets `thirdPartyLicenses`
+	// be switched on without restarting the watcher
+	const statsPath = path.join(projectPath, GXDEV_DIR, "bundle-stats.json")
+	process.env.GXDEV_BUNDLE_STATS = statsPath
+
+	let manifest = readBuildManifest(projectPath, variant)
+	let closeInputs = () => {}
+	const watchInputs = () => {
+		closeInputs()
+		closeInputs = watchPackagingInputs(
+			projectPath,
+			{
+				assetDir: getAssetDir(manifest),
+				bundleFiles: getBundleFiles(manifest),
+				variant,
+			},
+			(kind) => queue.push(kind),
+		)
+	}
+
+	const rebuild = async (changes) => {
+		const started = Date.now()
+		const assetOptimization = loadAssetOptimizationOptions(
+			projectPath,
+			argv,
+			variant,
+		)
+		const steps = planRebuild(changes, {
+			optimizeAssets: !!assetOptimization,
+		})
+
+		const { result, error, messages } = await captureConsole(async () => {
+			if (steps.includes("code")) {
+				clearBuildFiles(buildPath)
+				await moveBuildFiles(
+					distPath,
+					buildPath,
+					loadPackagingOptions(projectPath, variant),
+				)
+				const levels =
+					argv.checks === false ? null : loadCheckLevels(projectPath, variant)
+				const failedChecks =
+					runChecks(projectPath, "source", { levels, variant }) +
+					runChecks(projectPath, "bundle", { levels, buildPath, variant })
+				if (failedChecks > 0) {
+					throw new Error(
+						`${failedChecks} check${failedChecks === 1 ? "" : "s"} failed`,
+					)
+				}
+				const violations = analyzeBundle(projectPath, buildPath, {
+					analyze: false,
+					variant,
+				})
+				if (violations.length > 0) {
+					throw new Error("bundle exceeds size budget")
+				}
+				const denied = reportLicenses(buildPath, {
+					licenses: loadLicenseOptions(projectPath, variant, !!argv.licenses),
+					print: false,
+					statsPath,
+				})
+				if (denied > 0) {
+					throw new Error("bundled package with a denied license")
+				}
+			}
+			manifest = readBuildManifest(projectPath, variant)
+			if (steps.includes("assets")) {
+				copyAssets(projectPath, buildPath, manifest)
+			}
+			if (steps.includes("bundle")) {
+				for (const file of BUNDLE_OUTPUT_FILES) {
+					fs.rmSync(path.join(buildPath, file), { force: true })
+				}
+				if (manifest) {
+					processOptionalBundleFiles(manifest, projectPath, buildPath)
+				}
+			}
+			const assetRewrites = steps.includes("assets")
+				? runAssetOptimization(
+						projectPath,
+						buildPath,
+						manifest,
+						assetOptimization,
+					)
+				: {}
+			if (manifest && steps.includes("manifest")) {
+				writeCleanedManifest(manifest, buildPath, assetRewrites)
+			}
+			// Isolation is idempotent, so files isolated by an earlier rebuild
+			// are left as they are
+			runCssIsolation(buildPath, loadCssIsolationOptions(projectPath, variant))
+			return writePackage(projectPath, buildPath, distPath, {
+				verify: argv.verify !== false,
+				signingKey,
+				variant,
+			})
+		})
+
+		console.log(
+			formatRebuildStatus({
+				steps,
+				duration: Date.now() - started,
+				packageName: result && `dist/${path.basename(result)}`,
+				size: result && fs.statSync(result).size,
+				error,
+				warnings: messages.length,
+			}),
+		)
+		for (const message of messages) {
+			console.log(`    ${message}`)
+		}
+		if (changes.has("manifest")) {
+			// asset_dir or bundle file paths may have moved
+			watchInputs()
 		}
-	} else {
-		console.error("❌ Build failed")
-		process.exit(1)
 	}
+	const queue = createRebuildQueue(rebuild)
+
+	// Vite only empties dist/ on the first build here; later rebuilds must not
+	// wipe the package and dist/build/ between steps
+	fs.rmSync(distPath, { recursive: true, force: true })
+	const watcher = await build({
+		configFile: viteConfigPath,
+		logLevel: "warn",
+		build: { watch: {}, emptyOutDir: false },
+	})
+
+	let packaged = false
+	let failed = false
+	watcher.on("event", (event) => {
+		if (event.code === "START") {
+			failed = false
+		} else if (event.code === "ERROR") {
+			failed = true
+			console.log(
+				formatRebuildStatus({
+					steps: ["code"],
+					duration: 0,
+					error: new Error("Vite build failed (see above)"),
+				}),
+			)
+		} else if (event.code === "END" && !failed) {
+			queue.push("code")
+			if (!packaged) {
+				// First build: package everything
+				packaged = true
+				queue.push("manifest")
+			}
+		}
+	})
+	watchInputs()
+
+	console.log("👀 Watching for changes (Ctrl+C to stop)\n")
+	process.once("SIGINT", async () => {
+		closeInputs()
+		await watcher.close()
+		process.exit(0)
+	})
 }
 
+// Files processOptionalBundleFiles may write into dist/build/
+const BUNDLE_OUTPUT_FILES = [
+	"appInstructions.md",
+	"default-styling.css",
+	"configuration.json",
+]
+
 /**
- * Move built JS/CSS files from dist/ to dist/build/
+ * Remove the previous Vite output from dist/build/ before a watch rebuild
+ * moves the new one in, so renamed chunks don't end up in the package
  */
-async function moveBuildFiles(distPath, buildPath) {
+function clearBuildFiles(buildPath) {
+	if (!fs.existsSync(buildPath)) return
+	for (const entry of fs.readdirSync(buildPath, { withFileTypes: true })) {
+		const name = entry.isDirectory() ? `${entry.name}/` : entry.name
+		if (!isReservedPackagePath(name)) {
+			fs.rmSync(path.join(buildPath, entry.name), {
+				recursive: true,
+				force: true,
+			})
+		}
+	}
+}
+
+/**
+ * Move the Vite output selected by `packaging` from dist/ to dist/build/ and
+ * report anything left behind
+ * @param {{ include: string[], exclude: string[] }} packaging - From
+ *   loadPackagingOptions
+ */
+async function moveBuildFiles(distPath, buildPath, packaging) {
 	// Create build directory
 	if (!fs.existsSync(buildPath)) {
 		fs.mkdirSync(buildPath, { recursive: true })
 	}
 
-	// Move all JS and CSS files to build directory
-	const files = fs.readdirSync(distPath)
-	for (const file of files) {
-		if (file.endsWith(".js") || file.endsWith(".css")) {
-			const srcFile = path.join(distPath, file)
-			const destFile = path.join(buildPath, file)
-			fs.renameSync(srcFile, destFile)
-		}
-	}
+	const selection = selectBuildOutputs(listViteOutputs(distPath), packaging)
+	moveBuildOutputs(distPath, buildPath, selection.included)
+
+	const { info, warning } = formatOutputSelection(selection)
+	if (info) console.log(info)
+	if (warning) console.warn(warning)
 }
 
 module.exports = {
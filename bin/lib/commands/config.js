@@ -0,0 +1,146 @@
+/**
+ * Config Command
+ *
+ * Shows the project's effective configuration: every gxdev.config option with
+ * the value that applies and where it comes from (shell, .env file,
+ * gxdev.config or default), plus lint rules and build settings.
+ *
+ *   gxdev config print          table
+ *   gxdev config print --json   machine-readable
+ */
+
+const path = require("path")
+const {
+	findProjectRoot,
+	CONFIG_FILES,
+	BUILD_SETTINGS,
+	loadProjectConfig,
+	resolveProjectOptions,
+	loadProjectBuildSettingLayers,
+	loadProjectBuildSetting,
+	loadEnvironments,
+} = require("../utils")
+
+async function configCommand(argv) {
+	if (argv.action === "print") {
+		printConfig(findProjectRoot(), argv)
+	} else {
+		console.error("❌ Invalid config action. Use 'print'")
+		process.exit(1)
+	}
+}
+
+function printConfig(projectPath, argv) {
+	const mode = argv.mode || "development"
+	const variant = argv.variant || null
+
+	let loaded
+	let environments
+	try {
+		loaded = loadProjectConfig(projectPath)
+		environments = loadEnvironments(projectPath)
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+	const options = resolveProjectOptions(projectPath, {
+		mode,
+		variant,
+		loaded,
+	})
+	const rules = (loaded.config.lint && loaded.config.lint.rules) || {}
+	const build = {}
+	for (const key of BUILD_SETTINGS) {
+		const layers = loadProjectBuildSettingLayers(projectPath, key, variant)
+		if (layers.length > 0) {
+			build[key] = {
+				value: loadProjectBuildSetting(projectPath, key, variant),
+				sources: layers.map((layer) => layer.source),
+			}
+		}
+	}
+
+	if (argv.json) {
+		console.log(
+			JSON.stringify(
+				{
+					file: loaded.file && path.basename(loaded.file),
+					mode,
+					variant,
+					options: Object.fromEntries(
+						options.map(({ key, ...rest }) => [key, rest]),
+					),
+					lint: { rules },
+					build,
+					environments: Object.keys(environments),
+				},
+				null,
+				2,
+			),
+		)
+		return
+	}
+
+	const show = (value) =>
+		value === undefined
+			? "-"
+			: Array.isArray(value)
+				? value.join(", ")
+				: String(value)
+	const keyWidth = Math.max(...options.map((o) => o.key.length))
+	const valueWidth = Math.min(
+		40,
+		Math.max(...options.map((o) => show(o.value).length)),
+	)
+	const sourceWidth = Math.max(...options.map((o) => o.source.length))
+
+	console.log(
+		`⚙️  Effective configuration (${mode}${variant ? `, variant "${variant}"` : ""})`,
+	)
+	console.log(
+		loaded.file
+			? `   Config file: ${path.basename(loaded.file)}`
+			: `   No config file (create ${CONFIG_FILES.join(", ")})`,
+	)
+	console.log("")
+	for (const option of options) {
+		console.log(
+			`   ${option.key.padEnd(keyWidth)}  ${show(option.value).padEnd(valueWidth)}  ${option.source.padEnd(sourceWidth)}  ${option.env}`,
+		)
+	}
+
+	console.log("")
+	const ruleEntries = Object.entries(rules)
+	console.log(
+		ruleEntries.length > 0
+			? "   Lint rules:"
+			: "   Lint rules: none (every lint problem is an error)",
+	)
+	for (const [code, level] of ruleEntries) {
+		console.log(`     ${code}: ${level}`)
+	}
+
+	const buildEntries = Object.entries(build)
+	console.log(
+		buildEntries.length > 0
+			? "   Build settings:"
+			: "   Build settings: none (defaults)",
+	)
+	for (const [key, { value, sources }] of buildEntries) {
+		console.log(`     ${key}: ${JSON.stringify(value)}`)
+		console.log(`       from ${sources.join(" < ")}`)
+	}
+
+	console.log("")
+	console.log(
+		`   API environments: ${Object.keys(environments).length} registered (gxdev env list)`,
+	)
+	console.log("")
+	console.log(
+		"Precedence: CLI flags > shell > .env files > gxdev.config > defaults",
+	)
+}
+
+module.exports = {
+	configCommand,
+}
@@ -8,7 +8,6 @@
 const path = require("path")
 const fs = require("fs")
 const childProcess = require("child_process")
-const shell = require("shelljs")
 const dotenv = require("dotenv")
 
 // Module-private spawn reference so tests can swap in a stub via
@@ -23,25 +22,46 @@ const {
 	resolveGxPaths,
 	resolveFilePath,
 	findExistingCertificates,
+	assertVariant,
+	applyVariantEnv,
+	applyProjectConfig,
+	assertPortalProfile,
+	isPortFree,
+	findFreePorts,
+	findPortOwner,
+	describePortOwner,
+	generateSSLCertificates,
+	resolveLanHost,
+	renderQrCode,
+	openSessionLog,
 } = require("../utils")
+const { DEFAULT_PORTS } = require("../constants")
 
 const ANSI_REGEX = /\x1b\[[0-9;]*[a-zA-Z]/g
 
 /**
  * Create a logger that either emits NDJSON lines or plain text.
  * In JSON mode, every record is a single line: {timestamp, service, level, message}
+ * With a session log (see openSessionLog), every record is also appended
+ * there, in both modes.
  */
-function createLogger(jsonMode) {
+function createLogger(jsonMode, sessionLog = null) {
+	function record(level, service, message) {
+		const entry = {
+			timestamp: new Date().toISOString(),
+			service,
+			level,
+			message,
+		}
+		if (sessionLog) {
+			sessionLog.write(entry)
+		}
+		return entry
+	}
 	function emit(level, service, message) {
+		const entry = record(level, service, message)
 		if (jsonMode) {
-			process.stdout.write(
-				JSON.stringify({
-					timestamp: new Date().toISOString(),
-					service,
-					level,
-					message,
-				}) + "\n",
-			)
+			process.stdout.write(JSON.stringify(entry) + "\n")
 			return
 		}
 		const stream =
@@ -53,9 +73,46 @@ function createLogger(jsonMode) {
 		info: (message, service = "GXDEV") => emit("info", service, message),
 		warn: (message, service = "GXDEV") => emit("warn", service, message),
 		error: (message, service = "GXDEV") => emit("error", service, message),
+		// Session log only, for output that already reached the terminal
+		record: (level, message, service = "GXDEV") =>
+			record(level, service, message),
 	}
 }
 
+/**
+ * Call onLine for each complete line of a child's output stream (and the
+ * trailing partial one when it ends), with ANSI codes stripped. onChunk sees
+ * the raw chunks first.
+ */
+function readLines(stream, onLine, onChunk = null) {
+	let buffer = ""
+	stream.setEncoding("utf8")
+	stream.on("data", (chunk) => {
+		if (onChunk) {
+			onChunk(chunk)
+		}
+		buffer += chunk
+		let idx
+		while ((idx = buffer.indexOf("\n")) !== -1) {
+			const line = buffer.slice(0, idx).replace(/\r$/, "")
+			buffer = buffer.slice(idx + 1)
+			const clean = line.replace(ANSI_REGEX, "")
+			if (clean.length > 0) {
+				onLine(clean)
+			}
+		}
+	})
+	stream.on("end", () => {
+		if (buffer.length > 0) {
+			const clean = buffer.replace(ANSI_REGEX, "").trim()
+			if (clean) {
+				onLine(clean)
+			}
+			buffer = ""
+		}
+	})
+}
+
 /**
  * Spawn a service and pipe each line of its stdout/stderr through the logger.
  * Returns the child process.
@@ -68,29 +125,7 @@ function spawnService(name, command, logger) {
 	})
 
 	function pipe(stream, level) {
-		let buffer = ""
-		stream.setEncoding("utf8")
-		stream.on("data", (chunk) => {
-			buffer += chunk
-			let idx
-			while ((idx = buffer.indexOf("\n")) !== -1) {
-				const line = buffer.slice(0, idx).replace(/\r$/, "")
-				buffer = buffer.slice(idx + 1)
-				const clean = line.replace(ANSI_REGEX, "")
-				if (clean.length > 0) {
-					logger[level](clean, name)
-				}
-			}
-		})
-		stream.on("end", () => {
-			if (buffer.length > 0) {
-				const clean = buffer.replace(ANSI_REGEX, "").trim()
-				if (clean) {
-					logger[level](clean, name)
-				}
-				buffer = ""
-			}
-		})
+		readLines(stream, (line) => logger[level](line, name))
 	}
 
 	pipe(child.stdout, "info")
@@ -142,6 +177,101 @@ function runServicesJson(services, logger) {
 	process.on("SIGTERM", () => shutdown(143))
 }
 
+const PORT_LABELS = { dev: "Dev server", socketIo: "Socket.IO" }
+
+/**
+ * Check the dev ports before anything binds them. For each port that is taken,
+ * log which process holds it, then move every port up to the next free set so
+ * Vite and server.cjs don't die with EADDRINUSE.
+ * @param {{ dev: number, socketIo?: number }} requested
+ * @param {object} logger - From createLogger
+ * @param {object} [options]
+ * @param {boolean} [options.strictPort] - Abort instead of moving
+ * @param {(port: number) => Promise<boolean>} [options.isFree]
+ * @param {(port: number) => object|null} [options.findOwner]
+ * @returns {Promise<{ dev: number, socketIo?: number }|null>} null to abort
+ */
+async function resolveDevPorts(
+	requested,
+	logger,
+	{ strictPort = false, isFree = isPortFree, findOwner = findPortOwner } = {},
+) {
+	const busy = []
+	for (const [name, port] of Object.entries(requested)) {
+		if (!(await isFree(port))) {
+			busy.push([name, port])
+		}
+	}
+	if (busy.length === 0) {
+		return requested
+	}
+
+	for (const [name, port] of busy) {
+		logger.warn(
+			`⚠ ${PORT_LABELS[name]} port ${describePortOwner(port, findOwner(port))} is already in use`,
+		)
+	}
+	if (strictPort) {
+		logger.error(
+			"❌ Not moving to other ports (--strict-port). Stop that process or choose another port with --port / SOCKET_IO_PORT",
+		)
+		return null
+	}
+
+	const free = await findFreePorts(requested, { isFree })
+	if (!free) {
+		logger.error(
+			`❌ No free ports found above ${Object.values(requested).join("/")}. Stop the processes holding them or choose other ports with --port / SOCKET_IO_PORT`,
+		)
+		return null
+	}
+	logger.info(
+		`🔀 Using free ports instead: ${Object.entries(free)
+			.map(([name, port]) => `${PORT_LABELS[name]} ${port}`)
+			.join(", ")}`,
+	)
+	return free
+}
+
+/**
+ * Run fn with console.log/warn routed through the logger, for utilities that
+ * print directly (keeps --json output pure NDJSON).
+ */
+function withConsoleToLogger(logger, fn) {
+	const { log, warn } = console
+	console.log = (...args) => logger.info(args.join(" "))
+	console.warn = (...args) => logger.warn(args.join(" "))
+	try {
+		return fn()
+	} finally {
+		console.log = log
+		console.warn = warn
+	}
+}
+
+/**
+ * Print the URL devices open in LAN mode, with a QR code to scan.
+ */
+function printLanUrl(lan, useHttps, port, logger) {
+	const url = `${useHttps ? "https" : "http"}://${lan.address}:${port}`
+	logger.info(`📱 Open on a device on the same network: ${url}`)
+	if (lan.addresses.length > 1) {
+		logger.info(
+			`   Other addresses: ${lan.addresses
+				.filter((address) => address !== lan.address)
+				.join(", ")} (pick one with --lan <address>)`,
+		)
+	}
+	if (useHttps) {
+		logger.info(
+			"   Devices must trust the mkcert root CA: install rootCA.pem from `mkcert -CAROOT` on each device",
+		)
+	}
+	if (!logger.jsonMode) {
+		process.stdout.write(renderQrCode(url) + "\n")
+	}
+}
+
 /**
  * Get browser extension paths and commands
  * @param {string} browser - "firefox" or "chrome"
@@ -221,11 +351,25 @@ function getBrowserExtensionConfig(browser, projectPath, paths, options = {}) {
 /**
  * Development command - starts the dev server
  */
-function devCommand(argv) {
-	const logger = createLogger(!!argv.json)
+async function devCommand(argv) {
 	const paths = resolveGxPaths()
 	const projectPath = findProjectRoot()
 
+	// Every session is also written to .gxdev/logs/ for `gxdev logs`
+	let sessionLog = null
+	try {
+		sessionLog = openSessionLog(projectPath)
+		process.on("exit", () => sessionLog.close())
+	} catch {
+		// Read-only project directory: log to the terminal only
+	}
+	const logger = createLogger(!!argv.json, sessionLog)
+	if (sessionLog) {
+		logger.info(
+			`📝 Logging this session to ${path.relative(projectPath, sessionLog.file())} (view with gxdev logs)`,
+		)
+	}
+
 	// Surface which toolkit install is being used. resolveGxPaths() prefers
 	// <project>/node_modules/@gxp-dev/tools (local) and falls back to the
 	// CLI's own install location (global / npm link / workspace).
@@ -244,6 +388,20 @@ function devCommand(argv) {
 		}`,
 	)
 
+	// --variant: .env.<variant> is loaded before .env so its values win over
+	// the base (shell variables still beat both). GXDEV_VARIANT tells the
+	// runtime to serve the merged app-manifest.json.
+	if (argv.variant) {
+		try {
+			assertVariant(projectPath, argv.variant)
+		} catch (error) {
+			logger.error(`❌ ${error.message}`)
+			process.exit(1)
+		}
+		applyVariantEnv(projectPath, argv.variant)
+		logger.info(`🎨 Using variant "${argv.variant}"`)
+	}
+
 	// Load .env file if it exists for default values
 	const envPath = path.join(projectPath, ".env")
 	const envExamplePath = path.join(projectPath, ".env.example")
@@ -259,11 +417,57 @@ function devCommand(argv) {
 		logger.info("   cp .env.example .env")
 	}
 
-	// Check for SSL certificates unless explicitly disabled
-	let useHttps = !argv["no-https"]
+	// gxdev.config.js fills in what the shell and .env files leave unset;
+	// flags below still win over all of them
+	try {
+		const { file } = applyProjectConfig(projectPath, {
+			mode: "development",
+			variant: argv.variant,
+		})
+		if (file) {
+			logger.info(`⚙️  Using ${path.basename(file)}`)
+		}
+	} catch (error) {
+		logger.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
+	// Check for SSL certificates unless explicitly disabled (--no-https
+	// arrives as argv.https === false, see shouldDisableSocket)
+	let useHttps =
+		argv["no-https"] !== true &&
+		argv.https !== false &&
+		process.env.USE_HTTPS !== "false"
 	let certPath = ""
 	let keyPath = ""
 
+	// --lan: serve to devices on the office network. Everything the runtime
+	// would point at localhost goes to the LAN address instead (DEV_HOST).
+	let lan = null
+	if (argv.lan !== undefined && argv.lan !== false) {
+		try {
+			lan = resolveLanHost({ preferred: argv.lan || undefined })
+		} catch (error) {
+			logger.error(`❌ ${error.message}`)
+			process.exit(1)
+		}
+		process.env.DEV_HOST = lan.address
+		if (process.env.ALLOWED_HOSTS) {
+			process.env.ALLOWED_HOSTS = [
+				process.env.ALLOWED_HOSTS,
+				...lan.hosts,
+			].join(",")
+		}
+		logger.info(`📶 LAN mode: serving on ${lan.address}`)
+
+		// Devices only accept the certificate if it names the LAN address
+		if (useHttps) {
+			withConsoleToLogger(logger, () =>
+				generateSSLCertificates(projectPath, { extraHosts: lan.hosts }),
+			)
+		}
+	}
+
 	if (useHttps) {
 		const certsDir = path.join(projectPath, ".certs")
 		const existingCerts = findExistingCertificates(certsDir)
@@ -287,19 +491,53 @@ function devCommand(argv) {
 		logger.info("🌐 Starting HTTP development server...")
 	}
 
-	// Determine final port value (priority: CLI arg > .env > default)
-	const finalPort = argv.port || process.env.NODE_PORT || 3000
-	logger.info(`🌐 Development server will start on port: ${finalPort}`)
+	// Determine final port value (priority: CLI arg > env/.env/gxdev.config > default)
+	let finalPort = Number(
+		argv.port || process.env.NODE_PORT || DEFAULT_PORTS.dev,
+	)
+
+	// Replaying recorded responses is a mock API mode, so it turns the mock on
+	const apiEnv = process.env.API_ENV || "mock"
+	const replay = argv.replay || process.env.MOCK_API_REPLAY === "true"
+	const record = argv.record || process.env.API_RECORD === "true"
 
 	// Check if mock API should be enabled
-	const withMock = argv["with-mock"]
+	const withMock =
+		argv["with-mock"] || replay || process.env.MOCK_API_ENABLED === "true"
 	if (withMock) {
 		logger.info("🎭 Mock API will be enabled")
 	}
+	if (replay) {
+		logger.info("🎞️  Mock API will replay recorded responses first")
+		if (apiEnv !== "mock") {
+			logger.warn(
+				`⚠ API_ENV is "${apiEnv}", so the runtime calls /api-proxy, not the mock API. Set API_ENV=mock to use the recordings`,
+			)
+		}
+	}
+	if (record && apiEnv === "mock") {
+		logger.warn(
+			"⚠ --record saves /api-proxy traffic, which only exists for a real API. Pick one with gxdev env use <name> or API_ENV",
+		)
+	}
+
+	// --profile: the portal profile (portal-profiles/<name>.json) the dev
+	// container starts with. The Dev Tools switch profiles at runtime.
+	const portalProfile = argv.profile || process.env.PORTAL_PROFILE || "default"
+	try {
+		assertPortalProfile(projectPath, portalProfile)
+	} catch (error) {
+		logger.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+	if (portalProfile !== "default") {
+		logger.info(`🖼️  Emulating portal profile "${portalProfile}"`)
+	}
 
 	// Socket server starts by default unless --no-socket is passed. See
 	// shouldDisableSocket() for the yargs-negation quirk it papers over.
-	const noSocket = shouldDisableSocket(argv)
+	const noSocket =
+		shouldDisableSocket(argv) || process.env.SOCKET_IO_ENABLED === "false"
 	let serverJsPath = ""
 	if (!noSocket) {
 		// Check for local server.js first, then runtime directory
@@ -317,6 +555,27 @@ function devCommand(argv) {
 		}
 	}
 
+	// Claim free ports up front. Everything downstream (the vite --port flag,
+	// server.cjs, the VITE_NODE_PORT / VITE_SOCKET_IO_PORT the runtime store
+	// reads, the browser extension start URL) takes them from here.
+	const requestedPorts = { dev: finalPort }
+	if (serverJsPath) {
+		requestedPorts.socketIo = Number(
+			process.env.SOCKET_IO_PORT || DEFAULT_PORTS.socketIo,
+		)
+	}
+	const ports = await resolveDevPorts(requestedPorts, logger, {
+		strictPort: !!argv["strict-port"],
+	})
+	if (!ports) {
+		process.exit(1)
+	}
+	finalPort = ports.dev
+	logger.info(`🌐 Development server will start on port: ${finalPort}`)
+	if (ports.socketIo) {
+		logger.info(`📡 Socket.IO server will start on port: ${ports.socketIo}`)
+	}
+
 	// Vite config always comes from the runtime. Projects extend it via an
 	// optional `vite.extend.js` at the project root (see runtime/vite.config.js).
 	const viteConfigPath = paths.viteConfigPath
@@ -346,16 +605,17 @@ function devCommand(argv) {
 
 	// Set environment variables directly on process.env for cross-platform compatibility.
 	// Using shell-level "export"/"set" syntax breaks on Windows due to cmd.exe quote parsing.
-	if (!process.env.NODE_LOG_LEVEL) {
-		process.env.NODE_LOG_LEVEL = argv["node-log-level"] || "info"
-	}
+	process.env.NODE_LOG_LEVEL =
+		argv["node-log-level"] || process.env.NODE_LOG_LEVEL || "info"
 	// NODE_PORT is the source of truth for the socket server (server.cjs reads
 	// process.env). Always set it to the resolved finalPort so that a CLI
 	// `--port` overrides anything that dotenv loaded from .env earlier.
 	process.env.NODE_PORT = String(finalPort)
-	if (!process.env.COMPONENT_PATH) {
-		process.env.COMPONENT_PATH = argv["component-path"] || "./src/Plugin.vue"
+	if (ports.socketIo) {
+		process.env.SOCKET_IO_PORT = String(ports.socketIo)
 	}
+	process.env.COMPONENT_PATH =
+		argv["component-path"] || process.env.COMPONENT_PATH || "./src/Plugin.vue"
 
 	// Always set HTTPS-related variables (these are dynamic)
 	process.env.USE_HTTPS = useHttps ? "true" : "false"
@@ -366,6 +626,13 @@ function devCommand(argv) {
 	if (withMock) {
 		process.env.MOCK_API_ENABLED = "true"
 	}
+	if (replay) {
+		process.env.MOCK_API_REPLAY = "true"
+	}
+	if (record) {
+		process.env.API_RECORD = "true"
+	}
+	process.env.PORTAL_PROFILE = portalProfile
 
 	// Check for browser extension flags
 	const launchFirefox = argv.firefox
@@ -408,6 +675,10 @@ function devCommand(argv) {
 		process.env.CHROME_EXTENSION_PATH = chromeConfig.extensionPath
 	}
 
+	if (lan) {
+		printLanUrl(lan, useHttps, finalPort, logger)
+	}
+
 	// Normalize path separators to forward slashes for cross-platform shell compatibility
 	const normalizedViteConfigPath = viteConfigPath.replace(/\\/g, "/")
 
@@ -465,7 +736,83 @@ function devCommand(argv) {
 		command = services[0].command
 	}
 
-	shell.exec(command)
+	runServicesText(command, services, logger)
+}
+
+/**
+ * Best guess at the level of a plain-text line. Concurrently merges every
+ * service's stderr into its stdout, so the stream alone doesn't tell.
+ */
+function guessLogLevel(line) {
+	if (/\b(error|failed|EADDRINUSE)\b|✘|❌/i.test(line)) {
+		return "error"
+	}
+	if (/\bwarn(ing)?\b|⚠/i.test(line)) {
+		return "warn"
+	}
+	return "info"
+}
+
+/**
+ * Run the services in plain-text mode: the terminal output is passed through
+ * untouched (concurrently's "[NAME]" prefixes and colors included) while
+ * each line is recorded to the session log under its service.
+ */
+function runServicesText(command, services, logger) {
+	const names = services.map((svc) => svc.name)
+	const child = _spawn(command, {
+		shell: true,
+		stdio: ["inherit", "pipe", "pipe"],
+		// Piped output would otherwise lose Vite's and concurrently's colors
+		env:
+			process.stdout.isTTY && !process.env.NO_COLOR
+				? { FORCE_COLOR: "1", ...process.env }
+				: process.env,
+	})
+
+	function recordLine(line, fromStderr) {
+		let service = names[0]
+		let message = line
+		const prefixed = /^\[([^\]]+)\]\s?(.*)$/.exec(line)
+		if (names.length > 1 && prefixed && names.includes(prefixed[1])) {
+			service = prefixed[1]
+			message = prefixed[2]
+		}
+		if (message.trim()) {
+			logger.record(
+				fromStderr ? "error" : guessLogLevel(message),
+				message,
+				service,
+			)
+		}
+	}
+
+	readLines(
+		child.stdout,
+		(line) => recordLine(line, false),
+		(chunk) => process.stdout.write(chunk),
+	)
+	readLines(
+		child.stderr,
+		(line) => recordLine(line, true),
+		(chunk) => process.stderr.write(chunk),
+	)
+
+	child.on("exit", (code, signal) => {
+		logger.record(
+			"info",
+			`dev session ended (code=${code ?? "null"}${signal ? `, signal=${signal}` : ""})`,
+		)
+		process.exit(code ?? 0)
+	})
+	child.on("error", (err) => {
+		logger.error(`failed to start: ${err.message}`)
+		process.exit(1)
+	})
+
+	// Ctrl+C reaches the child too; wait for it to shut down and exit with it
+	process.on("SIGINT", () => {})
+	process.on("SIGTERM", () => child.kill("SIGTERM"))
 }
 
 /**
@@ -485,6 +832,9 @@ module.exports = {
 	createLogger,
 	spawnService,
 	runServicesJson,
+	runServicesText,
+	guessLogLevel,
 	shouldDisableSocket,
+	resolveDevPorts,
 	setSpawnForTesting,
 }
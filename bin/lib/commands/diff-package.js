@@ -0,0 +1,59 @@
+/**
+ * Diff Package Command
+ *
+ * Compares two built plugins — .gxpapp files or build directories — and
+ * reports manifest, configuration, asset and JS/CSS size changes. With one
+ * argument the package is compared against the current dist/build/.
+ */
+
+const path = require("path")
+const fs = require("fs")
+const {
+	findProjectRoot,
+	loadPackageFiles,
+	diffPackages,
+	formatPackageDiff,
+} = require("../utils")
+
+async function diffPackageCommand(argv) {
+	const projectPath = findProjectRoot()
+
+	const from = path.resolve(process.cwd(), argv.from)
+	const to = argv.to
+		? path.resolve(process.cwd(), argv.to)
+		: path.join(projectPath, "dist", "build")
+
+	for (const target of [from, to]) {
+		if (!fs.existsSync(target)) {
+			console.error(
+				`❌ Not found: ${target}${
+					argv.to ? "" : " (run 'gxdev build' or pass a second package)"
+				}`,
+			)
+			process.exit(1)
+		}
+	}
+
+	let diff
+	try {
+		diff = diffPackages(loadPackageFiles(from), loadPackageFiles(to))
+	} catch (error) {
+		console.error(`❌ Could not read package: ${error.message}`)
+		process.exit(1)
+	}
+
+	if (argv.json) {
+		console.log(JSON.stringify({ from, to, ...diff }, null, 2))
+		return
+	}
+	console.log(
+		formatPackageDiff(diff, {
+			from: path.relative(process.cwd(), from) || from,
+			to: path.relative(process.cwd(), to) || to,
+		}),
+	)
+}
+
+module.exports = {
+	diffPackageCommand,
+}
@@ -0,0 +1,119 @@
+/**
+ * Doctor Command
+ *
+ * Diagnoses the development environment: Node version, mkcert and the
+ * localhost certificates, the dev ports, which toolkit install is in use and
+ * deprecated MCP config. Every problem comes with a fix.
+ *
+ *   gxdev doctor          report
+ *   gxdev doctor --fix    also apply the safe fixes, then check again
+ *   gxdev doctor --json   machine-readable, for bug reports
+ */
+
+const os = require("os")
+const { findProjectRoot, runDoctorChecks, applyDoctorFix } = require("../utils")
+
+const STATUS_ICONS = { pass: "✓", warn: "⚠", fail: "✗" }
+
+async function doctorCommand(argv) {
+	const projectPath = findProjectRoot()
+	let results = await runDoctorChecks(projectPath)
+
+	const fixed = []
+	if (argv.fix) {
+		for (const result of results.filter(
+			(r) => r.fixable && r.status !== "pass",
+		)) {
+			if (!argv.json) {
+				console.log(`🔧 Fixing: ${result.title}`)
+			}
+			if (applyFix(projectPath, result, argv.json)) {
+				fixed.push(result.id)
+			}
+		}
+		if (fixed.length > 0) {
+			results = await runDoctorChecks(projectPath)
+		}
+		if (!argv.json) {
+			console.log("")
+		}
+	}
+
+	const summary = { pass: 0, warn: 0, fail: 0 }
+	for (const result of results) {
+		summary[result.status]++
+	}
+
+	if (argv.json) {
+		console.log(
+			JSON.stringify(
+				{
+					gxdev: require("../../../package.json").version,
+					node: process.versions.node,
+					platform: `${os.platform()} ${os.release()} (${os.arch()})`,
+					projectPath,
+					checks: results,
+					fixed,
+					summary,
+				},
+				null,
+				2,
+			),
+		)
+	} else {
+		printReport(results, summary, !!argv.fix)
+	}
+
+	if (summary.fail > 0) {
+		process.exitCode = 1
+	}
+}
+
+// The fixes log their progress; keep stdout pure JSON with --json
+function applyFix(projectPath, result, json) {
+	const log = console.log
+	if (json) {
+		console.log = console.error
+	}
+	try {
+		return applyDoctorFix(projectPath, result)
+	} finally {
+		console.log = log
+	}
+}
+
+function printReport(results, summary, triedFix) {
+	const titleWidth = Math.max(...results.map((r) => r.title.length))
+	console.log("🩺 gxdev doctor")
+	console.log("")
+	for (const result of results) {
+		console.log(
+			`   ${STATUS_ICONS[result.status]} ${result.title.padEnd(titleWidth)}  ${result.message}`,
+		)
+		if (result.status !== "pass" && result.fix) {
+			console.log(
+				`     ${"".padEnd(titleWidth)}  → ${result.fix}${result.fixable ? " (--fix)" : ""}`,
+			)
+		}
+	}
+	console.log("")
+
+	const problems = summary.warn + summary.fail
+	if (problems === 0) {
+		console.log("✅ Everything looks good")
+		return
+	}
+	console.log(
+		`${summary.fail > 0 ? "❌" : "⚠️ "} ${summary.fail} failed, ${summary.warn} warning${summary.warn === 1 ? "" : "s"}`,
+	)
+	if (!triedFix && results.some((r) => r.fixable && r.status !== "pass")) {
+		console.log("💡 Run 'gxdev doctor --fix' to apply the fixes marked (--fix)")
+	}
+	console.log(
+		"   Attach 'gxdev doctor --json' output when reporting an environment problem",
+	)
+}
+
+module.exports = {
+	doctorCommand,
+}
@@ -0,0 +1,120 @@
+/**
+ * Env Command
+ *
+ * Lists the API environments from the environment registry and switches the
+ * project between them.
+ *
+ *   gxdev env list         built-in, project and user environments
+ *   gxdev env use develop  set API_ENV=develop in .env
+ */
+
+const path = require("path")
+const {
+	findProjectRoot,
+	USER_ENVIRONMENTS_FILE,
+	MOCK_ENVIRONMENTS,
+	loadEnvironments,
+	listEnvironmentNames,
+	readActiveEnvironment,
+	writeActiveEnvironment,
+} = require("../utils")
+
+async function envCommand(argv) {
+	const projectPath = findProjectRoot()
+
+	let environments
+	try {
+		environments = loadEnvironments(projectPath)
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
+	if (argv.action === "list") {
+		listEnvironments(projectPath, environments, argv.json)
+	} else if (argv.action === "use") {
+		useEnvironment(projectPath, environments, argv.name)
+	} else {
+		console.error("❌ Invalid env action. Use 'list' or 'use'")
+		process.exit(1)
+	}
+}
+
+function listEnvironments(projectPath, environments, json) {
+	const active = readActiveEnvironment(projectPath)
+
+	if (json) {
+		console.log(JSON.stringify({ active: active.name, environments }, null, 2))
+		return
+	}
+
+	const pad = (str, width) => String(str).padEnd(width)
+	const width = Math.max(
+		10,
+		...listEnvironmentNames(environments).map((name) => name.length),
+	)
+	const urlWidth = Math.max(
+		"local mock API".length,
+		...Object.values(environments).map((config) => config.apiBaseUrl.length),
+	)
+	const mark = (name) => (name === active.name ? "▶" : " ")
+
+	console.log("🌐 API environments:")
+	console.log("")
+	for (const [name, imitates] of Object.entries(MOCK_ENVIRONMENTS)) {
+		console.log(
+			` ${mark(name)} ${pad(name, width)}  ${pad("local mock API", urlWidth)}  (${imitates} specs)`,
+		)
+	}
+	for (const [name, config] of Object.entries(environments)) {
+		console.log(
+			` ${mark(name)} ${pad(name, width)}  ${pad(config.apiBaseUrl, urlWidth)}  ${config.source}`,
+		)
+		if (config.socketUrl) {
+			console.log(`   ${pad("", width)}  socket: ${config.socketUrl}`)
+		}
+	}
+	console.log("")
+
+	const activeFrom =
+		active.source === "shell" ? "API_ENV in the shell" : active.source
+	if (!listEnvironmentNames(environments).includes(active.name)) {
+		console.log(
+			`⚠️  Active environment "${active.name}" (${activeFrom}) isn't registered — production is used instead`,
+		)
+	} else {
+		console.log(`Active: ${active.name} (${activeFrom})`)
+	}
+	console.log(
+		`Add or override environments in gxdev.config "api.environments", package.json "gxdev.environments" or ${USER_ENVIRONMENTS_FILE}`,
+	)
+}
+
+function useEnvironment(projectPath, environments, name) {
+	const names = listEnvironmentNames(environments)
+	if (!name) {
+		console.error("❌ Name the environment to use: gxdev env use <name>")
+		console.log(`   Available: ${names.join(", ")}`)
+		process.exit(1)
+	}
+	if (!names.includes(name)) {
+		console.error(`❌ Unknown environment: ${name}`)
+		console.log(`   Available: ${names.join(", ")}`)
+		process.exit(1)
+	}
+
+	const envPath = writeActiveEnvironment(projectPath, name)
+	console.log(
+		`✅ API_ENV=${name} set in ${path.relative(process.cwd(), envPath) || envPath}`,
+	)
+	if (process.env.API_ENV && process.env.API_ENV !== name) {
+		console.warn(
+			`⚠️  API_ENV=${process.env.API_ENV} is set in your shell and takes precedence over .env`,
+		)
+	}
+	console.log("   Restart gxdev dev to pick it up")
+}
+
+module.exports = {
+	envCommand,
+}
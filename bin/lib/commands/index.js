@@ -24,6 +24,14 @@ const { lintCommand } = require("./lint")
 const { storybookCommand } = require("./storybook")
 const { execCommand } = require("./exec")
 const { testCommand } = require("./test")
+const { verifyCommand } = require("./verify")
+const { diffPackageCommand } = require("./diff-package")
+const { previewCommand } = require("./preview")
+const { versionCommand } = require("./version")
+const { envCommand } = require("./env")
+const { configCommand } = require("./config")
+const { doctorCommand } = require("./doctor")
+const { logsCommand } = require("./logs")
 
 module.exports = {
 	initCommand,
@@ -44,4 +52,12 @@ module.exports = {
 	storybookCommand,
 	execCommand,
 	testCommand,
+	verifyCommand,
+	diffPackageCommand,
+	previewCommand,
+	versionCommand,
+	envCommand,
+	configCommand,
+	doctorCommand,
+	logsCommand,
 }
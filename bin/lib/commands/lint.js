@@ -9,7 +9,7 @@ const path = require("path")
 const fs = require("fs")
 const { lintFiles, detectSchema } = require("../lint")
 const { formatReport } = require("../lint/formatter")
-const { findProjectRoot } = require("../utils")
+const { findProjectRoot, loadProjectConfig } = require("../utils")
 
 /**
  * Targets for `--all` mode. Extendable as more lintable files emerge.
@@ -50,7 +50,17 @@ async function lintCommand(argv) {
 		files = files.filter((f) => detectSchema(f))
 	}
 
-	const { results, summary } = lintFiles(files)
+	// Severities from gxdev.config lint.rules
+	let rules
+	try {
+		const { config } = loadProjectConfig(projectPath)
+		rules = (config.lint && config.lint.rules) || {}
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
+	const { results, summary } = lintFiles(files, { rules })
 
 	if (argv.json) {
 		const out = {
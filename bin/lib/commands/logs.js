@@ -0,0 +1,143 @@
+/**
+ * Logs Command
+ *
+ * Queries the dev session logs `gxdev dev` writes to .gxdev/logs/.
+ *
+ *   gxdev logs                           latest session
+ *   gxdev logs --service vite --level warn --since 1h --grep hmr
+ *   gxdev logs --follow                  tail the running session
+ *   gxdev logs --list                    sessions on disk
+ */
+
+const path = require("path")
+const {
+	findProjectRoot,
+	LOGS_DIR,
+	listLogSessions,
+	readCurrentSession,
+	parseLogTime,
+	createLogFilter,
+	readLogRecords,
+	followSessionLog,
+} = require("../utils")
+
+async function logsCommand(argv) {
+	const projectPath = findProjectRoot()
+	const sessions = listLogSessions(projectPath)
+
+	if (argv.list) {
+		listSessions(projectPath, sessions, argv.json)
+		return
+	}
+
+	let filter
+	try {
+		filter = createLogFilter({
+			services: [].concat(argv.service || []),
+			level: argv.level,
+			since: argv.since ? parseLogTime(argv.since) : undefined,
+			until: argv.until ? parseLogTime(argv.until) : undefined,
+			text: argv.grep,
+		})
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
+	const print = (record) => {
+		console.log(argv.json ? JSON.stringify(record) : formatRecord(record))
+	}
+
+	if (argv.follow) {
+		if (!readCurrentSession(projectPath)) {
+			console.error(
+				"❌ No dev session is running. Start one with gxdev dev, or drop --follow to read past sessions",
+			)
+			process.exit(1)
+		}
+		const follower = followSessionLog(projectPath, (record) => {
+			if (filter(record)) print(record)
+		})
+		process.on("SIGINT", () => follower.stop())
+		await follower.done
+		return
+	}
+
+	if (sessions.length === 0) {
+		console.error(
+			`❌ No dev session logs in ${LOGS_DIR}/. They're written by gxdev dev`,
+		)
+		process.exit(1)
+	}
+
+	let scope
+	if (argv.session === "all" || (!argv.session && (argv.since || argv.until))) {
+		scope = sessions
+	} else if (argv.session) {
+		scope = sessions.filter((session) => session.id.startsWith(argv.session))
+		if (scope.length === 0) {
+			console.error(
+				`❌ No session "${argv.session}". Run gxdev logs --list to see them`,
+			)
+			process.exit(1)
+		}
+	} else {
+		scope = sessions.slice(-1)
+	}
+
+	let records = readLogRecords(scope, filter)
+	if (argv.lines > 0) {
+		records = records.slice(-argv.lines)
+	}
+	for (const record of records) {
+		print(record)
+	}
+}
+
+function listSessions(projectPath, sessions, json) {
+	const current = readCurrentSession(projectPath)
+	if (json) {
+		console.log(
+			JSON.stringify(
+				sessions.map((session) => ({
+					id: session.id,
+					running: !!current && current.session === session.id,
+					size: session.size,
+					files: session.files.map((file) => path.relative(projectPath, file)),
+				})),
+				null,
+				2,
+			),
+		)
+		return
+	}
+	if (sessions.length === 0) {
+		console.log(`No dev session logs in ${LOGS_DIR}/`)
+		return
+	}
+	for (const session of sessions) {
+		const running = current && current.session === session.id
+		console.log(
+			`${running ? "▶" : " "} ${session.id}  ${formatSize(session.size).padStart(8)}${running ? "  (running)" : ""}`,
+		)
+	}
+}
+
+function formatRecord({ timestamp, service, level, message }) {
+	const time = String(timestamp)
+		.replace("T", " ")
+		.replace(/\.\d+Z$/, "")
+	const marker = level === "error" ? "✗" : level === "warn" ? "⚠" : " "
+	return `${time} ${marker} ${String(service).padEnd(8)} ${message}`
+}
+
+function formatSize(bytes) {
+	if (bytes < 1024) return `${bytes} B`
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+module.exports = {
+	logsCommand,
+	formatRecord,
+}
@@ -0,0 +1,193 @@
+/**
+ * Preview Command
+ *
+ * Runs a built .gxpapp in a production-like host: the package is unpacked
+ * and served as-is, and the plugin's JS runs against the host's window.Vue /
+ * window.Pinia with the packaged manifest injected into the store. See
+ * utils/preview.js for what is served where.
+ */
+
+const path = require("path")
+const fs = require("fs")
+const dotenv = require("dotenv")
+const {
+	findProjectRoot,
+	resolveGxPaths,
+	readGxpPackage,
+	verifyGxpPackage,
+	findLatestPackage,
+	unpackPackage,
+	createPreviewManifest,
+	createPreviewInfo,
+	createPreviewServer,
+	PREVIEW_HOST_BASE,
+	resolveApiEnvironment,
+	applyProjectConfig,
+} = require("../utils")
+
+/**
+ * Resolve a runtime dependency from the project first, then the toolkit, so
+ * the host uses the same Vue the plugin was built against.
+ */
+function resolvePackageDir(name, projectPath) {
+	return path.dirname(
+		require.resolve(`${name}/package.json`, {
+			paths: [projectPath, __dirname],
+		}),
+	)
+}
+
+/**
+ * Build runtime/preview/ into `outDir`. Environment settings are baked in the
+ * same way the dev server exposes them (see runtime/vite.config.js).
+ */
+async function buildPreviewHost(projectPath, outDir) {
+	const { build } = await import("vite")
+	const { runtimeDir } = resolveGxPaths()
+	const env = process.env
+	const apiEnvironment = resolveApiEnvironment(env, projectPath)
+	await build({
+		configFile: false,
+		root: path.join(runtimeDir, "preview"),
+		base: PREVIEW_HOST_BASE,
+		logLevel: "warn",
+		define: {
+			"import.meta.env.VITE_API_ENV": JSON.stringify(env.API_ENV || "mock"),
+			"import.meta.env.VITE_API_BASE_URL": JSON.stringify(
+				apiEnvironment.apiBaseUrl,
+			),
+			"import.meta.env.VITE_API_DOCS_BASE_URL": JSON.stringify(
+				apiEnvironment.apiDocsBaseUrl,
+			),
+			"import.meta.env.VITE_API_OPENAPI_SPEC": JSON.stringify(
+				apiEnvironment.openApiSpec,
+			),
+			"import.meta.env.VITE_API_KEY": JSON.stringify(env.API_KEY || ""),
+			"import.meta.env.VITE_API_PROJECT_ID": JSON.stringify(
+				env.API_PROJECT_ID || "",
+			),
+			"import.meta.env.VITE_USE_HTTPS": JSON.stringify(
+				env.USE_HTTPS === "false" ? "false" : "true",
+			),
+			"import.meta.env.VITE_NODE_PORT": JSON.stringify(env.NODE_PORT || "3060"),
+			"import.meta.env.VITE_SOCKET_IO_PORT": JSON.stringify(
+				env.SOCKET_IO_PORT || "3069",
+			),
+			"import.meta.env.SOCKET_URL": JSON.stringify(apiEnvironment.socketUrl),
+			"import.meta.env.SOCKET_DRIVER": JSON.stringify(
+				env.SOCKET_DRIVER || "io",
+			),
+			"import.meta.env.VITE_DISABLE_ANALYTICS": JSON.stringify(
+				env.DISABLE_ANALYTICS || "false",
+			),
+		},
+		resolve: {
+			alias: {
+				"@gx-runtime": runtimeDir,
+				vue: resolvePackageDir("vue", projectPath),
+				pinia: resolvePackageDir("pinia", projectPath),
+			},
+			dedupe: ["vue", "pinia"],
+		},
+		build: {
+			outDir,
+			emptyOutDir: true,
+		},
+	})
+}
+
+async function previewCommand(argv) {
+	const projectPath = findProjectRoot()
+
+	let file
+	if (argv.file) {
+		file = path.resolve(process.cwd(), argv.file)
+	} else {
+		file = findLatestPackage(path.join(projectPath, "dist"))
+		if (!file) {
+			console.error(
+				"❌ No .gxpapp found in dist/. Run 'gxdev build' or pass a file.",
+			)
+			process.exit(1)
+		}
+	}
+	if (!fs.existsSync(file)) {
+		console.error(`❌ File not found: ${file}`)
+		process.exit(1)
+	}
+
+	const envPath = path.join(projectPath, ".env")
+	if (fs.existsSync(envPath)) {
+		dotenv.config({ path: envPath })
+	}
+	try {
+		applyProjectConfig(projectPath, { mode: "production" })
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
+	const relFile = path.relative(process.cwd(), file)
+	const verification = verifyGxpPackage(file)
+	if (!verification.ok) {
+		console.warn(
+			`⚠️  ${relFile} has verification errors — run 'gxdev verify ${relFile}' for details`,
+		)
+	}
+
+	const files = readGxpPackage(file)
+	let manifest
+	try {
+		manifest = JSON.parse(files.get("app-manifest.json").toString("utf-8"))
+	} catch (error) {
+		console.error(`❌ ${relFile} has no readable app-manifest.json`)
+		process.exit(1)
+	}
+
+	const previewDir = path.join(projectPath, ".gxdev", "preview")
+	const packageDir = path.join(previewDir, "package")
+	const hostDir = path.join(previewDir, "host")
+	unpackPackage(files, packageDir)
+
+	console.log("🔨 Building preview host...")
+	try {
+		await buildPreviewHost(projectPath, hostDir)
+	} catch (error) {
+		console.error(`❌ Could not build the preview host: ${error.message}`)
+		process.exit(1)
+	}
+
+	const info = createPreviewInfo(files, manifest)
+	const app = createPreviewServer({
+		packageDir,
+		hostDir,
+		manifest: createPreviewManifest(manifest),
+		info,
+		onMissing: (message) => console.warn(`⚠️  404 ${message}`),
+	})
+
+	const port = argv.port
+	const server = app.listen(port, argv.host, () => {
+		const host = argv.host === "0.0.0.0" ? "localhost" : argv.host
+		console.log(`📦 Previewing ${relFile} (${info.name} ${info.version})`)
+		console.log(`🌐 http://${host}:${server.address().port}/`)
+		console.log("   Press Ctrl+C to stop")
+	})
+	server.on("error", (error) => {
+		console.error(
+			error.code === "EADDRINUSE"
+				? `❌ Port ${port} is already in use — pass --port <n>`
+				: `❌ ${error.message}`,
+		)
+		process.exit(1)
+	})
+
+	process.on("SIGINT", () => {
+		server.close()
+		process.exit(0)
+	})
+}
+
+module.exports = {
+	previewCommand,
+}
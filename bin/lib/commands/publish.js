@@ -142,15 +142,15 @@ async function publishCommand(argv) {
 
 	// Special handling for gxpPortalConfigStore.js - update the import in stores/index.js
 	if (fileName === "gxpPortalConfigStore.js") {
-		// The store imports ./gxpFormStore.js relatively — publish it alongside
-		// so the local copy resolves.
-		const formStoreSrc = path.join(sourceDir, "stores/gxpFormStore.js")
-		const formStoreDest = path.join(projectPath, "src/stores/gxpFormStore.js")
-		if (fs.existsSync(formStoreSrc) && !fs.existsSync(formStoreDest)) {
-			fs.copyFileSync(formStoreSrc, formStoreDest)
-			console.log(
-				"📝 Also published gxpFormStore.js (imported by the datastore)",
-			)
+		// The store imports ./gxpFormStore.js and ./apiRedaction.js
+		// relatively — publish them alongside so the local copy resolves.
+		for (const sibling of ["gxpFormStore.js", "apiRedaction.js"]) {
+			const siblingSrc = path.join(sourceDir, "stores", sibling)
+			const siblingDest = path.join(projectPath, "src/stores", sibling)
+			if (fs.existsSync(siblingSrc) && !fs.existsSync(siblingDest)) {
+				fs.copyFileSync(siblingSrc, siblingDest)
+				console.log(`📝 Also published ${sibling} (imported by the datastore)`)
+			}
 		}
 
 		const storeIndexPath = path.join(projectPath, "src/stores/index.js")
@@ -0,0 +1,85 @@
+/**
+ * Verify Command
+ *
+ * Inspects a packaged .gxpapp in memory and validates what the platform will
+ * receive: manifest and configuration lint, asset references, the entry
+ * chunk's exports, and stray or missing files. With --signature it also
+ * checks the package's Ed25519 signature against a trusted public key.
+ */
+
+const path = require("path")
+const fs = require("fs")
+const {
+	findProjectRoot,
+	loadPackagingOptions,
+	createPackagingFilter,
+	verifyGxpPackage,
+	formatVerifyReport,
+	findLatestPackage,
+	loadPublicKey,
+} = require("../utils")
+
+async function verifyCommand(argv) {
+	const projectPath = findProjectRoot()
+
+	let file
+	if (argv.file) {
+		file = path.resolve(process.cwd(), argv.file)
+	} else {
+		file = findLatestPackage(path.join(projectPath, "dist"))
+		if (!file) {
+			console.error(
+				"❌ No .gxpapp found in dist/. Run 'gxdev build' or pass a file.",
+			)
+			process.exit(1)
+		}
+	}
+
+	if (!fs.existsSync(file)) {
+		console.error(`❌ File not found: ${file}`)
+		process.exit(1)
+	}
+
+	let publicKey = null
+	if (argv.signature) {
+		let trusted
+		try {
+			trusted = loadPublicKey(projectPath, argv["public-key"])
+		} catch (error) {
+			console.error(`❌ ${error.message}`)
+			process.exit(1)
+		}
+		if (!trusted) {
+			console.error(
+				"❌ No public key found. Pass --public-key <file> or run 'gxdev build --sign' to create a key.",
+			)
+			process.exit(1)
+		}
+		publicKey = trusted.publicKey
+	}
+
+	// Files copied from public/ are expected where packaging selects them
+	let isPackagedOutput
+	try {
+		isPackagedOutput = createPackagingFilter(loadPackagingOptions(projectPath))
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+
+	const result = verifyGxpPackage(file, { publicKey, isPackagedOutput })
+
+	if (argv.json) {
+		console.log(JSON.stringify(result, null, 2))
+	} else {
+		console.log(formatVerifyReport(result, { cwd: process.cwd() }))
+	}
+
+	if (!result.ok) {
+		process.exit(1)
+	}
+}
+
+module.exports = {
+	verifyCommand,
+}
@@ -0,0 +1,171 @@
+/**
+ * Version Command
+ *
+ * Bumps the plugin version in app-manifest.json and package.json together,
+ * adds a CHANGELOG.md entry listing the commits since the last release tag,
+ * and with --tag commits the release and tags it.
+ *
+ *   gxdev version patch          1.2.3 → 1.2.4
+ *   gxdev version minor --tag    1.2.3 → 1.3.0, committed and tagged v1.3.0
+ *   gxdev version 2.0.0-beta.1   explicit version
+ */
+
+const path = require("path")
+const fs = require("fs")
+const shell = require("shelljs")
+const {
+	findProjectRoot,
+	VERSION_FILES,
+	CHANGELOG_FILE,
+	TAG_PREFIX,
+	compareSemver,
+	parseSemver,
+	nextVersion,
+	readProjectVersions,
+	writeJsonVersion,
+	getGitState,
+	listCommitsSince,
+	formatChangelogEntry,
+	addChangelogEntry,
+} = require("../utils")
+
+async function versionCommand(argv) {
+	const projectPath = findProjectRoot()
+
+	let versions
+	try {
+		versions = readProjectVersions(projectPath)
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+	const files = VERSION_FILES.filter((file) => versions[file])
+	if (files.length === 0) {
+		console.error(
+			`❌ No version found in ${VERSION_FILES.join(" or ")} — add a "version" field first`,
+		)
+		process.exit(1)
+	}
+
+	// Out-of-sync files release from the newer of the two versions
+	const current = files
+		.map((file) => versions[file])
+		.reduce((newest, version) =>
+			parseSemver(version) &&
+			parseSemver(newest) &&
+			compareSemver(version, newest) > 0
+				? version
+				: newest,
+		)
+	const outOfSync = new Set(files.map((file) => versions[file])).size > 1
+	if (outOfSync) {
+		console.warn(
+			`⚠️  Versions were out of sync (${files.map((file) => `${file} ${versions[file]}`).join(", ")}); bumping from ${current}`,
+		)
+	}
+
+	let next
+	try {
+		next = nextVersion(current, String(argv.release), {
+			allowCurrent: outOfSync,
+		})
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+	const tagName = `${TAG_PREFIX}${next}`
+
+	const gitState = getGitState(projectPath)
+	if (argv.tag) {
+		if (!gitState) {
+			console.error("❌ --tag needs the project to be a git repository")
+			process.exit(1)
+		}
+		if (gitState.dirty) {
+			console.error(
+				"❌ Working tree has uncommitted changes — commit or stash them before tagging a release",
+			)
+			process.exit(1)
+		}
+		if (
+			shell.exec("git var GIT_COMMITTER_IDENT", {
+				cwd: projectPath,
+				silent: true,
+			}).code !== 0
+		) {
+			console.error(
+				'❌ git has no committer identity — set user.name and user.email with "git config" first',
+			)
+			process.exit(1)
+		}
+		if (
+			shell.exec(`git rev-parse -q --verify "refs/tags/${tagName}"`, {
+				cwd: projectPath,
+				silent: true,
+			}).code === 0
+		) {
+			console.error(`❌ Tag ${tagName} already exists`)
+			process.exit(1)
+		}
+	}
+
+	const changed = [...files]
+	let entry = null
+	// Syncing the files to the current version isn't a release
+	if (argv.changelog && next !== current) {
+		const since = gitState ? gitState.lastTag : null
+		const commits = gitState ? listCommitsSince(projectPath, since) : []
+		entry = formatChangelogEntry(next, commits, { since })
+		changed.push(CHANGELOG_FILE)
+	}
+
+	if (argv.dryRun) {
+		console.log(`🔍 Dry run: ${current} → ${next}`)
+		console.log(`   Would update: ${changed.join(", ")}`)
+		if (entry) {
+			console.log(`\n${entry}`)
+		}
+		if (argv.tag) {
+			console.log(`   Would commit "Release ${tagName}" and tag ${tagName}`)
+		}
+		return
+	}
+
+	for (const file of files) {
+		writeJsonVersion(path.join(projectPath, file), next)
+	}
+	if (entry) {
+		const changelogPath = path.join(projectPath, CHANGELOG_FILE)
+		const existing = fs.existsSync(changelogPath)
+			? fs.readFileSync(changelogPath, "utf-8")
+			: ""
+		fs.writeFileSync(changelogPath, addChangelogEntry(existing, entry))
+	}
+	console.log(`✅ Version ${current} → ${next}`)
+	console.log(`   Updated: ${changed.join(", ")}`)
+
+	if (argv.tag) {
+		const git = (args) =>
+			shell.exec(`git ${args}`, { cwd: projectPath, silent: true })
+		const steps = [
+			`add -- ${changed.map((file) => `"${file}"`).join(" ")}`,
+			`commit -m "Release ${tagName}"`,
+			`tag -a "${tagName}" -m "${tagName}"`,
+		]
+		for (const step of steps) {
+			const result = git(step)
+			if (result.code !== 0) {
+				console.error(
+					`❌ git ${step.split(" ")[0]} failed: ${result.stderr.trim()}`,
+				)
+				process.exit(1)
+			}
+		}
+		console.log(`🏷️  Committed and tagged ${tagName}`)
+		console.log(`   Push with: git push && git push origin ${tagName}`)
+	}
+}
+
+module.exports = {
+	versionCommand,
+}
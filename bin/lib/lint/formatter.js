@@ -32,16 +32,19 @@ function formatResult(result, { cwd = process.cwd() } = {}) {
 		return lines.join("\n")
 	}
 
-	if (result.ok) {
+	if (result.errors.length === 0) {
 		lines.push(`  ${green("✓")} ${rel}`)
 		return lines.join("\n")
 	}
 
-	lines.push(`  ${red("✗")} ${bold(rel)}`)
+	lines.push(
+		result.ok ? `  ${yellow("!")} ${bold(rel)}` : `  ${red("✗")} ${bold(rel)}`,
+	)
 	for (const err of result.errors) {
 		const loc = gray(`${result.file}:${err.line}:${err.column}`)
 		const code = dim(`[${err.code}]`)
-		lines.push(`    ${red("error")} ${code} ${err.message}`)
+		const label = err.severity === "warning" ? yellow("warning") : red("error")
+		lines.push(`    ${label} ${code} ${err.message}`)
 		lines.push(`       ${loc}`)
 	}
 	return lines.join("\n")
@@ -60,13 +63,20 @@ function formatReport({ results, summary }, opts = {}) {
 	}
 
 	lines.push("")
+	const warnings = summary.totalWarnings || 0
 	if (summary.totalErrors === 0 && summary.filesWithErrors === 0) {
-		lines.push(green(bold("✓ No problems found.")))
+		lines.push(
+			warnings > 0
+				? yellow(bold(`! ${warnings} warning(s), no errors.`))
+				: green(bold("✓ No problems found.")),
+		)
 	} else {
 		lines.push(
 			red(
 				bold(
-					`✗ ${summary.totalErrors} error(s) in ${summary.filesWithErrors} file(s).`,
+					`✗ ${summary.totalErrors} error(s) in ${summary.filesWithErrors} file(s)${
+						warnings > 0 ? `, ${warnings} warning(s)` : ""
+					}.`,
 				),
 			),
 		)
@@ -8,7 +8,10 @@
  * Public API:
  *   - detectSchema(filePath): pick the correct schema for a file, or null.
  *   - lintFile(filePath): return { file, ok, errors[] }.
- *   - lintFiles(files): return aggregated results.
+ *   - lintSource(source, filePath): same, for JSON text already in memory.
+ *   - lintFiles(files, { rules }): return aggregated results.
+ *   - applyLintRules(result, rules): re-grade a result's errors by code
+ *     ("error", "warn" or "off", from gxdev.config lint.rules).
  */
 
 const fs = require("fs")
@@ -243,14 +246,37 @@ function lintFile(filePath) {
 		return result
 	}
 
-	const schemaKey = detectSchema(absPath)
+	if (!detectSchema(absPath)) {
+		result.skipped = true
+		result.reason = "no-schema-for-filename"
+		return result
+	}
+
+	return lintSource(fs.readFileSync(absPath, "utf-8"), absPath)
+}
+
+/**
+ * Lint raw JSON text. `filePath` picks the schema (via detectSchema) and is
+ * reported as the result's `file`; nothing is read from disk, so this works
+ * for files pulled out of a packaged .gxpapp. Line/column locations are
+ * resolved against `source` just like lintFile.
+ */
+function lintSource(source, filePath) {
+	const result = {
+		file: filePath,
+		ok: true,
+		skipped: false,
+		reason: null,
+		errors: [],
+	}
+
+	const schemaKey = detectSchema(filePath)
 	if (!schemaKey) {
 		result.skipped = true
 		result.reason = "no-schema-for-filename"
 		return result
 	}
 
-	const source = fs.readFileSync(absPath, "utf-8")
 	let data
 	try {
 		data = JSON.parse(source)
@@ -333,13 +359,38 @@ function formatAjvMessage(err) {
 	return `${at} ${core}${tail}`
 }
 
-function lintFiles(files) {
-	const results = files.map((f) => lintFile(f))
+/**
+ * Give every error of a result a severity from `rules` (error code → "error",
+ * "warn" or "off"; unlisted codes are errors), dropping the "off" ones. A
+ * result with only warnings is ok.
+ */
+function applyLintRules(result, rules = {}) {
+	const errors = []
+	for (const err of result.errors) {
+		const level = rules[err.code] || "error"
+		if (level === "off") continue
+		errors.push({ ...err, severity: level === "warn" ? "warning" : "error" })
+	}
+	return {
+		...result,
+		ok: !errors.some((err) => err.severity === "error"),
+		errors,
+	}
+}
+
+function lintFiles(files, { rules = {} } = {}) {
+	const results = files.map((f) => applyLintRules(lintFile(f), rules))
+	const count = (severity) =>
+		results.reduce(
+			(n, r) => n + r.errors.filter((e) => e.severity === severity).length,
+			0,
+		)
 	const summary = {
 		totalFiles: results.length,
 		filesWithErrors: results.filter((r) => !r.ok).length,
 		skipped: results.filter((r) => r.skipped).length,
-		totalErrors: results.reduce((n, r) => n + r.errors.length, 0),
+		totalErrors: count("error"),
+		totalWarnings: count("warning"),
 	}
 	return { results, summary }
 }
@@ -396,6 +447,8 @@ module.exports = {
 	detectSchema,
 	lintFile,
 	lintFiles,
+	lintSource,
+	applyLintRules,
 	lintData,
 	SCHEMA_DIR,
 }
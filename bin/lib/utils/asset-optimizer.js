@@ -0,0 +1,373 @@
+/**
+ * Asset Optimizer
+ *
+ * Optional packaging stage that shrinks dist/build/assets/ before it is
+ * zipped. It only ever touches the copied build output, never the project's
+ * asset_dir. Stages, in order:
+ *
+ *   1. prune      - drop assets nothing references (manifest, extract-config
+ *                   scan of src/, or a literal path/filename in source and
+ *                   build output). Files matching `keep` are never pruned.
+ *   2. dedupe     - collapse byte-identical files, repointing manifest
+ *                   `assets` entries at the surviving copy
+ *   3. recompress - re-encode PNG/JPEG/WebP with ImageMagick, keeping the
+ *                   result only when it is smaller
+ *   4. webp       - optionally emit a .webp sibling for each PNG/JPEG
+ *
+ * ImageMagick is the same dependency `gxdev assets generate` uses; when it
+ * is missing, stages 3-4 are skipped with a note.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const childProcess = require("child_process")
+const shell = require("shelljs")
+const {
+	extractConfigFromSource,
+	findFilesRecursive,
+} = require("./extract-config")
+const { isImageMagickInstalled } = require("./files")
+const { loadProjectBuildSetting } = require("./paths")
+const { resolveAssetEntry, listCodeFiles } = require("./gxp-package")
+const { formatBytes } = require("./bundle-analysis")
+const { globToRegExp } = require("./build-output")
+
+const DEFAULT_OPTIONS = {
+	prune: true,
+	dedupe: true,
+	recompress: true,
+	quality: 82,
+	webp: false,
+	keep: [],
+}
+
+const RECOMPRESSIBLE = [".png", ".jpg", ".jpeg", ".webp"]
+const WEBP_SOURCES = [".png", ".jpg", ".jpeg"]
+
+// Files scanned for literal asset references
+const SOURCE_EXTENSIONS = [
+	".vue",
+	".js",
+	".ts",
+	".jsx",
+	".tsx",
+	".mjs",
+	".css",
+	".scss",
+	".html",
+	".json",
+]
+
+/**
+ * Resolve asset optimization options for a build. The stage runs when
+ * `--optimize-assets` is passed or when app-manifest.json (or package.json
+ * "gxdev") declares `assetOptimization` without `enabled: false`.
+ * @param {string} projectPath
+ * @param {object} [argv]
+ * @param {string|null} [variant] - Build variant whose manifest overlay applies
+ * @returns {object|null} options, or null when the stage is off
+ */
+function loadAssetOptimizationOptions(projectPath, argv = {}, variant = null) {
+	const declared = loadProjectBuildSetting(
+		projectPath,
+		"assetOptimization",
+		variant,
+	)
+	const enabled = argv["optimize-assets"]
+		? true
+		: declared
+			? declared.enabled !== false
+			: false
+	if (!enabled) {
+		return null
+	}
+	const options = { ...DEFAULT_OPTIONS, ...declared }
+	delete options.enabled
+	if (!Array.isArray(options.keep)) {
+		options.keep = [options.keep].filter(Boolean)
+	}
+	return options
+}
+
+function listFiles(dir) {
+	if (!fs.existsSync(dir)) return []
+	const out = []
+	const walk = (current) => {
+		for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+			const full = path.join(current, entry.name)
+			if (entry.isDirectory()) {
+				walk(full)
+			} else if (entry.isFile()) {
+				out.push(full)
+			}
+		}
+	}
+	walk(dir)
+	return out.sort()
+}
+
+function hashFile(filePath) {
+	return crypto
+		.createHash("sha256")
+		.update(fs.readFileSync(filePath))
+		.digest("hex")
+}
+
+/**
+ * Collect everything that might reference an asset: the manifest's `assets`
+ * values, the assets/triggerState defaults found by the extract-config scan,
+ * and the raw text of src/ plus the built JS/CSS/config files.
+ */
+function collectReferences(projectPath, buildPath, manifest) {
+	const assetDir = manifest && manifest.asset_dir
+	const entries = new Set()
+	const addValue = (value) => {
+		const resolved = resolveAssetEntry(value, assetDir)
+		if (resolved && resolved.entry) {
+			entries.add(resolved.entry.replace(/^assets\//, ""))
+		}
+	}
+
+	for (const value of Object.values((manifest && manifest.assets) || {})) {
+		addValue(value)
+	}
+
+	const srcDir = path.join(projectPath, "src")
+	const texts = []
+	if (fs.existsSync(srcDir)) {
+		const extracted = extractConfigFromSource(srcDir)
+		for (const value of Object.values(extracted.assets)) addValue(value)
+		for (const value of Object.values(extracted.triggerState)) addValue(value)
+		for (const file of findFilesRecursive(srcDir, SOURCE_EXTENSIONS)) {
+			texts.push(fs.readFileSync(file, "utf-8"))
+		}
+	}
+	for (const file of fs.readdirSync(buildPath)) {
+		if (/\.(json|md)$/.test(file)) {
+			texts.push(fs.readFileSync(path.join(buildPath, file), "utf-8"))
+		}
+	}
+	for (const file of listCodeFiles(buildPath)) {
+		texts.push(fs.readFileSync(path.join(buildPath, file), "utf-8"))
+	}
+
+	return { entries, text: texts.join("\n") }
+}
+
+/**
+ * Run the ImageMagick re-encode for one file into `outPath`. Paths are
+ * passed as arguments, not through a shell, so asset names can't inject
+ * commands.
+ */
+function encodeImage(magickCmd, inPath, outPath, quality) {
+	const ext = path.extname(outPath).toLowerCase()
+	const flags =
+		ext === ".png"
+			? ["-strip", "-define", "png:compression-level=9"]
+			: ["-strip", "-quality", String(quality)]
+	try {
+		childProcess.execFileSync(magickCmd, [inPath, ...flags, outPath], {
+			stdio: "ignore",
+		})
+	} catch {
+		return false
+	}
+	return fs.existsSync(outPath)
+}
+
+/**
+ * Optimize dist/build/assets/ in place.
+ * @param {object} params
+ * @param {string} params.projectPath - Project root
+ * @param {string} params.buildPath - dist/build/
+ * @param {object|null} params.manifest - Parsed app-manifest.json
+ * @param {object} params.options - From loadAssetOptimizationOptions
+ * @returns {{ before: number, after: number, pruned: object[], deduped: object[],
+ *   recompressed: object[], webp: object[], skipped: string[], assetRewrites: object }}
+ */
+function optimizeAssets({ projectPath, buildPath, manifest, options }) {
+	const assetsPath = path.join(buildPath, "assets")
+	const rel = (file) => path.relative(assetsPath, file).replace(/\\/g, "/")
+	const sizeOf = (file) => fs.statSync(file).size
+	const keepPatterns = options.keep.map(globToRegExp)
+	const isKept = (relPath) => keepPatterns.some((re) => re.test(relPath))
+
+	const report = {
+		before: 0,
+		after: 0,
+		pruned: [],
+		deduped: [],
+		recompressed: [],
+		webp: [],
+		skipped: [],
+		// manifest asset key → new value, for entries pointing at a removed duplicate
+		assetRewrites: {},
+	}
+
+	let files = listFiles(assetsPath)
+	report.before = files.reduce((n, f) => n + sizeOf(f), 0)
+	if (files.length === 0) {
+		return report
+	}
+
+	const refs = collectReferences(projectPath, buildPath, manifest)
+	const isNamedInCode = (relPath) =>
+		refs.text.includes(relPath) ||
+		refs.text.includes(path.posix.basename(relPath))
+	const isReferenced = (relPath) =>
+		refs.entries.has(relPath) || isNamedInCode(relPath)
+
+	// 1. prune
+	if (options.prune) {
+		for (const file of files) {
+			const relPath = rel(file)
+			if (isKept(relPath) || isReferenced(relPath)) continue
+			report.pruned.push({ file: relPath, size: sizeOf(file) })
+			fs.rmSync(file)
+		}
+		files = listFiles(assetsPath)
+	}
+
+	// 2. dedupe — a duplicate can only go if nothing names it literally in
+	// code, since only manifest references can be repointed
+	if (options.dedupe) {
+		const byHash = new Map()
+		for (const file of files) {
+			const hash = hashFile(file)
+			if (!byHash.has(hash)) byHash.set(hash, [])
+			byHash.get(hash).push(file)
+		}
+		const assetDir = (
+			(manifest && manifest.asset_dir) ||
+			"/src/assets/"
+		).replace(/\/$/, "")
+		for (const group of byHash.values()) {
+			if (group.length < 2) continue
+			const [original, ...duplicates] = group
+			for (const dup of duplicates) {
+				const relPath = rel(dup)
+				if (isKept(relPath) || isNamedInCode(relPath)) continue
+				for (const [key, value] of Object.entries(
+					(manifest && manifest.assets) || {},
+				)) {
+					const resolved = resolveAssetEntry(value, assetDir)
+					if (resolved && resolved.entry === `assets/${relPath}`) {
+						report.assetRewrites[key] = `${assetDir}/${rel(original)}`
+					}
+				}
+				report.deduped.push({
+					file: relPath,
+					duplicateOf: rel(original),
+					size: sizeOf(dup),
+				})
+				fs.rmSync(dup)
+			}
+		}
+		files = listFiles(assetsPath)
+	}
+
+	// 3-4. image re-encoding
+	const wantsImages =
+		(options.recompress || options.webp) &&
+		files.some((f) => RECOMPRESSIBLE.includes(path.extname(f).toLowerCase()))
+	if (wantsImages && !isImageMagickInstalled()) {
+		report.skipped.push(
+			"ImageMagick not found — image recompression and WebP variants skipped",
+		)
+	} else if (wantsImages) {
+		const magickCmd = shell.which("magick") ? "magick" : "convert"
+		for (const file of files) {
+			const ext = path.extname(file).toLowerCase()
+			if (options.recompress && RECOMPRESSIBLE.includes(ext)) {
+				const tmp = `${file}.gxdev-tmp${ext}`
+				const original = sizeOf(file)
+				if (encodeImage(magickCmd, file, tmp, options.quality)) {
+					const optimized = sizeOf(tmp)
+					if (optimized < original) {
+						fs.renameSync(tmp, file)
+						report.recompressed.push({
+							file: rel(file),
+							before: original,
+							after: optimized,
+						})
+					}
+				}
+				fs.rmSync(tmp, { force: true })
+			}
+			if (options.webp && WEBP_SOURCES.includes(ext)) {
+				const webpPath = file.slice(0, -ext.length) + ".webp"
+				if (
+					!fs.existsSync(webpPath) &&
+					encodeImage(magickCmd, file, webpPath, options.quality)
+				) {
+					report.webp.push({ file: rel(webpPath), size: sizeOf(webpPath) })
+				}
+			}
+		}
+	}
+
+	report.after = listFiles(assetsPath).reduce((n, f) => n + sizeOf(f), 0)
+	return report
+}
+
+/**
+ * Render the optimization report for the build log.
+ */
+function formatAssetReport(report) {
+	const lines = []
+	const sum = (list, key) => list.reduce((n, item) => n + item[key], 0)
+	const saved = report.before - report.after
+
+	lines.push(
+		`🗜️  Assets: ${formatBytes(report.before)} → ${formatBytes(report.after)}${
+			saved > 0 ? ` (saved ${formatBytes(saved)})` : ""
+		}`,
+	)
+	if (report.pruned.length) {
+		lines.push(
+			`   Pruned ${report.pruned.length} unreferenced file(s), ${formatBytes(
+				sum(report.pruned, "size"),
+			)}:`,
+		)
+		for (const item of report.pruned) {
+			lines.push(`     - ${item.file}`)
+		}
+		lines.push(
+			'   Add dynamically loaded files to "assetOptimization.keep" to retain them.',
+		)
+	}
+	if (report.deduped.length) {
+		lines.push(
+			`   Removed ${report.deduped.length} duplicate(s), ${formatBytes(
+				sum(report.deduped, "size"),
+			)}:`,
+		)
+		for (const item of report.deduped) {
+			lines.push(`     - ${item.file} (same as ${item.duplicateOf})`)
+		}
+	}
+	if (report.recompressed.length) {
+		const before = sum(report.recompressed, "before")
+		const after = sum(report.recompressed, "after")
+		lines.push(
+			`   Recompressed ${report.recompressed.length} image(s), saved ${formatBytes(
+				before - after,
+			)}`,
+		)
+	}
+	if (report.webp.length) {
+		lines.push(`   Emitted ${report.webp.length} WebP variant(s)`)
+	}
+	for (const note of report.skipped) {
+		lines.push(`   ℹ️  ${note}`)
+	}
+	return lines.join("\n")
+}
+
+module.exports = {
+	loadAssetOptimizationOptions,
+	encodeImage,
+	optimizeAssets,
+	formatAssetReport,
+}
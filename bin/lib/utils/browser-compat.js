@@ -0,0 +1,816 @@
+/**
+ * Browser Compatibility
+ *
+ * Checks the built JS/CSS against the browsers the project targets, declared
+ * the standard browserslist way (a "browserslist" key in package.json or a
+ * .browserslistrc file). Venues run the plugin in whatever kiosk shell they
+ * have, and an unsupported feature there means a blank screen rather than an
+ * error anyone sees.
+ *
+ * When targets are declared, the runtime vite config also hands them to
+ * Vite as build.target / build.cssTarget, so syntax and CSS that can be
+ * down-leveled are. This check then reports what is left:
+ *
+ *   syntax   language features Vite couldn't lower (class static blocks,
+ *            regex lookbehind, ...)
+ *   APIs     globals and methods that need a polyfill (structuredClone,
+ *            Array.prototype.at, Object.hasOwn, ...)
+ *   CSS      selectors, at-rules, properties and values (:has(), @container,
+ *            dvh units, ...)
+ *
+ * Support data is a curated table of first-supported versions for the three
+ * engines kiosk shells are built on: Chromium (Chrome, Edge, Opera, Samsung
+ * Internet, Android WebView), Firefox and Safari/WebKit. Targets on other
+ * engines are listed as unchecked.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const postcss = require("postcss")
+const { listCodeFiles } = require("./gxp-package")
+
+// First version of each engine that supports a feature; null when none does
+const JS_SYNTAX = {
+	optionalChaining: {
+		label: "optional chaining (?.)",
+		chrome: 80,
+		firefox: 74,
+		safari: 13.1,
+	},
+	nullishCoalescing: {
+		label: "nullish coalescing (??)",
+		chrome: 80,
+		firefox: 72,
+		safari: 13.1,
+	},
+	logicalAssignment: {
+		label: "logical assignment (??=, ||=, &&=)",
+		chrome: 85,
+		firefox: 79,
+		safari: 14,
+	},
+	numericSeparators: {
+		label: "numeric separators (1_000)",
+		chrome: 75,
+		firefox: 70,
+		safari: 13,
+	},
+	publicClassFields: {
+		label: "class fields",
+		chrome: 72,
+		firefox: 69,
+		safari: 14,
+	},
+	staticClassFields: {
+		label: "static class fields",
+		chrome: 72,
+		firefox: 75,
+		safari: 14.1,
+	},
+	privateClassFields: {
+		label: "private class fields (#x)",
+		chrome: 74,
+		firefox: 90,
+		safari: 14.1,
+	},
+	privateMethods: {
+		label: "private class methods (#m())",
+		chrome: 84,
+		firefox: 90,
+		safari: 15,
+	},
+	privateBrandChecks: {
+		label: "private brand checks (#x in obj)",
+		chrome: 91,
+		firefox: 90,
+		safari: 15,
+	},
+	classStaticBlock: {
+		label: "class static blocks",
+		chrome: 94,
+		firefox: 93,
+		safari: 16.4,
+	},
+	topLevelAwait: {
+		label: "top-level await",
+		chrome: 89,
+		firefox: 89,
+		safari: 15,
+	},
+	optionalCatchBinding: {
+		label: "optional catch binding",
+		chrome: 66,
+		firefox: 58,
+		safari: 11.1,
+	},
+	asyncGenerators: {
+		label: "async generators / for await",
+		chrome: 63,
+		firefox: 57,
+		safari: 12,
+	},
+	objectRestSpread: {
+		label: "object rest/spread",
+		chrome: 60,
+		firefox: 55,
+		safari: 11.1,
+	},
+	bigint: { label: "BigInt literals", chrome: 67, firefox: 68, safari: 14 },
+	importMeta: { label: "import.meta", chrome: 64, firefox: 62, safari: 11.1 },
+	dynamicImport: {
+		label: "dynamic import()",
+		chrome: 63,
+		firefox: 67,
+		safari: 11.1,
+	},
+	importAttributes: {
+		label: "import attributes (with { type })",
+		chrome: 123,
+		firefox: 138,
+		safari: 17.2,
+	},
+	regexLookbehind: {
+		label: "RegExp lookbehind",
+		chrome: 62,
+		firefox: 78,
+		safari: 16.4,
+	},
+	regexNamedGroups: {
+		label: "RegExp named groups",
+		chrome: 64,
+		firefox: 78,
+		safari: 11.1,
+	},
+	regexDotAll: {
+		label: "RegExp s flag",
+		chrome: 62,
+		firefox: 78,
+		safari: 11.1,
+	},
+	regexIndices: {
+		label: "RegExp d flag",
+		chrome: 90,
+		firefox: 88,
+		safari: 15,
+	},
+	regexUnicodeSets: {
+		label: "RegExp v flag",
+		chrome: 112,
+		firefox: 116,
+		safari: 17,
+	},
+}
+
+// Globals, keyed by name
+const JS_GLOBALS = {
+	structuredClone: { chrome: 98, firefox: 94, safari: 15.4 },
+	queueMicrotask: { chrome: 71, firefox: 69, safari: 12.1 },
+	globalThis: { chrome: 71, firefox: 65, safari: 12.1 },
+	AbortController: { chrome: 66, firefox: 57, safari: 12.1 },
+	ResizeObserver: { chrome: 64, firefox: 69, safari: 13.1 },
+	IntersectionObserver: { chrome: 51, firefox: 55, safari: 12.1 },
+	WeakRef: { chrome: 84, firefox: 79, safari: 14.1 },
+	FinalizationRegistry: { chrome: 84, firefox: 79, safari: 14.1 },
+}
+
+// Static methods, keyed by "Object.method"
+const JS_STATICS = {
+	"Object.hasOwn": { chrome: 93, firefox: 92, safari: 15.4 },
+	"Object.groupBy": { chrome: 117, firefox: 119, safari: 17.4 },
+	"Object.fromEntries": { chrome: 73, firefox: 63, safari: 12.1 },
+	"Map.groupBy": { chrome: 117, firefox: 119, safari: 17.4 },
+	"Promise.allSettled": { chrome: 76, firefox: 71, safari: 13 },
+	"Promise.any": { chrome: 85, firefox: 79, safari: 14 },
+	"Promise.withResolvers": { chrome: 119, firefox: 121, safari: 17.4 },
+	"Array.fromAsync": { chrome: 121, firefox: 115, safari: 16.4 },
+	"AbortSignal.timeout": { chrome: 103, firefox: 100, safari: 16 },
+	"AbortSignal.any": { chrome: 116, firefox: 124, safari: 17.4 },
+	"crypto.randomUUID": { chrome: 92, firefox: 95, safari: 15.4 },
+	"Intl.Segmenter": { chrome: 87, firefox: 125, safari: 14.1 },
+}
+
+// Prototype methods, matched by name on any call
+const JS_METHODS = {
+	at: { chrome: 92, firefox: 90, safari: 15.4 },
+	findLast: { chrome: 97, firefox: 104, safari: 15.4 },
+	findLastIndex: { chrome: 97, firefox: 104, safari: 15.4 },
+	replaceAll: { chrome: 85, firefox: 77, safari: 13.1 },
+	matchAll: { chrome: 73, firefox: 67, safari: 13 },
+	flat: { chrome: 69, firefox: 62, safari: 12 },
+	flatMap: { chrome: 69, firefox: 62, safari: 12 },
+	toSorted: { chrome: 110, firefox: 115, safari: 16 },
+	toReversed: { chrome: 110, firefox: 115, safari: 16 },
+	toSpliced: { chrome: 110, firefox: 115, safari: 16 },
+	union: { chrome: 122, firefox: 127, safari: 17 },
+	intersection: { chrome: 122, firefox: 127, safari: 17 },
+	symmetricDifference: { chrome: 122, firefox: 127, safari: 17 },
+	isSubsetOf: { chrome: 122, firefox: 127, safari: 17 },
+	isSupersetOf: { chrome: 122, firefox: 127, safari: 17 },
+	isDisjointFrom: { chrome: 122, firefox: 127, safari: 17 },
+}
+
+const CSS_FEATURES = {
+	has: { label: ":has()", chrome: 105, firefox: 121, safari: 15.4 },
+	isWhere: { label: ":is() / :where()", chrome: 88, firefox: 78, safari: 14 },
+	focusVisible: {
+		label: ":focus-visible",
+		chrome: 86,
+		firefox: 85,
+		safari: 15.4,
+	},
+	nesting: { label: "CSS nesting", chrome: 112, firefox: 117, safari: 16.5 },
+	container: { label: "@container", chrome: 105, firefox: 110, safari: 16 },
+	layer: { label: "@layer", chrome: 99, firefox: 97, safari: 15.4 },
+	scope: { label: "@scope", chrome: 118, firefox: 146, safari: 17.4 },
+	property: { label: "@property", chrome: 85, firefox: 128, safari: 16.4 },
+	mediaRange: {
+		label: "media query range syntax",
+		chrome: 104,
+		firefox: 63,
+		safari: 16.4,
+	},
+	flexGap: { label: "gap in flexbox", chrome: 84, firefox: 63, safari: 14.1 },
+	aspectRatio: {
+		label: "aspect-ratio",
+		chrome: 88,
+		firefox: 89,
+		safari: 15,
+	},
+	inset: { label: "inset", chrome: 87, firefox: 66, safari: 14.1 },
+	individualTransforms: {
+		label: "translate / rotate / scale properties",
+		chrome: 104,
+		firefox: 72,
+		safari: 14.1,
+	},
+	oklch: {
+		label: "oklch() / oklab()",
+		chrome: 111,
+		firefox: 113,
+		safari: 15.4,
+	},
+	lab: { label: "lab() / lch()", chrome: 111, firefox: 113, safari: 15 },
+	colorMix: { label: "color-mix()", chrome: 111, firefox: 113, safari: 16.2 },
+	clamp: { label: "clamp()", chrome: 79, firefox: 75, safari: 13.1 },
+	viewportUnits: {
+		label: "dynamic viewport units (dvh, svh, lvh, ...)",
+		chrome: 108,
+		firefox: 101,
+		safari: 15.4,
+	},
+	containerUnits: {
+		label: "container query units (cqw, ...)",
+		chrome: 105,
+		firefox: 110,
+		safari: 16,
+	},
+}
+
+const CSS_VALUE_FEATURES = [
+	[/\boklch\(|\boklab\(/i, "oklch"],
+	[/(^|[^-\w])(lab|lch)\(/i, "lab"],
+	[/\bcolor-mix\(/i, "colorMix"],
+	[/\bclamp\(/i, "clamp"],
+	[/\d(?:d|s|l)v(?:h|w|i|b|min|max)\b/i, "viewportUnits"],
+	[/\dcq(?:w|h|i|b|min|max)\b/i, "containerUnits"],
+]
+
+const CSS_SELECTOR_FEATURES = [
+	[/:has\(/i, "has"],
+	[/:(?:is|where)\(/i, "isWhere"],
+	[/:focus-visible\b/i, "focusVisible"],
+]
+
+// Samsung Internet release → Chromium version it is built on
+const SAMSUNG_CHROMIUM = [
+	[4, 44],
+	[5, 51],
+	[6.2, 56],
+	[7.2, 59],
+	[8.2, 63],
+	[9.2, 67],
+	[10.1, 71],
+	[11.1, 75],
+	[12, 79],
+	[13, 83],
+	[14, 87],
+	[15, 90],
+	[16, 92],
+	[17, 96],
+	[18, 99],
+	[19, 102],
+	[20, 106],
+	[21, 110],
+	[22, 111],
+	[23, 115],
+	[24, 117],
+	[25, 121],
+	[26, 122],
+	[27, 125],
+	[28, 130],
+]
+
+const ENGINE_NAMES = { chrome: "Chrome", firefox: "Firefox", safari: "Safari" }
+
+/**
+ * Map one browserslist entry ("chrome 87", "ios_saf 14.0-14.4") to the
+ * engine version it runs.
+ * @param {string} entry
+ * @returns {{ engine: "chrome"|"firefox"|"safari", version: number }|null}
+ */
+function toEngineVersion(entry) {
+	const [browser, range = ""] = entry.split(" ")
+	const version = parseFloat(range.split("-")[0])
+	if (Number.isNaN(version)) {
+		return null
+	}
+	switch (browser) {
+		case "chrome":
+		case "and_chr":
+			return { engine: "chrome", version }
+		case "edge":
+			// EdgeHTML (< 79) isn't Chromium
+			return version >= 79 ? { engine: "chrome", version } : null
+		case "opera":
+			return version >= 15 ? { engine: "chrome", version: version + 14 } : null
+		case "android":
+			return version >= 37 ? { engine: "chrome", version } : null
+		case "samsung": {
+			const known = SAMSUNG_CHROMIUM.filter(([release]) => release <= version)
+			return known.length
+				? { engine: "chrome", version: known[known.length - 1][1] }
+				: null
+		}
+		case "firefox":
+		case "and_ff":
+			return { engine: "firefox", version }
+		case "safari":
+		case "ios_saf":
+			return { engine: "safari", version }
+		default:
+			return null
+	}
+}
+
+/**
+ * Resolve the project's browserslist targets.
+ * @param {string} projectPath
+ * @returns {{ queries: string[], browsers: string[], engines: object,
+ *   unchecked: string[], build: string[] }|null} null when the project
+ *   declares no targets. `engines` holds the oldest version per engine;
+ *   `build` is the same as Vite build.target entries.
+ */
+function loadBrowserTargets(projectPath) {
+	const browserslist = require("browserslist")
+	// package.json may have changed since the last build in this process
+	browserslist.clearCaches()
+	const config = browserslist.loadConfig({
+		path: projectPath,
+		env: "production",
+	})
+	if (!config) {
+		return null
+	}
+	const queries = Array.isArray(config) ? config : [config]
+	const browsers = browserslist(queries, { path: projectPath })
+	const engines = {}
+	const unchecked = []
+	for (const entry of browsers) {
+		const mapped = toEngineVersion(entry)
+		if (!mapped) {
+			unchecked.push(entry)
+		} else if (
+			engines[mapped.engine] === undefined ||
+			mapped.version < engines[mapped.engine]
+		) {
+			engines[mapped.engine] = mapped.version
+		}
+	}
+	const build = Object.entries(engines).map(
+		([engine, version]) => `${engine}${version}`,
+	)
+	return { queries, browsers, engines, unchecked, build }
+}
+
+/**
+ * Engines in `engines` that don't support a feature.
+ * @param {object} support - Row from one of the feature tables
+ * @param {object} engines - From loadBrowserTargets
+ * @returns {string[]} e.g. ["Chrome 87 (needs 98)"]
+ */
+function unsupportedIn(support, engines) {
+	const missing = []
+	for (const [engine, version] of Object.entries(engines)) {
+		const since = support[engine]
+		if (since === null || since === undefined || version < since) {
+			missing.push(
+				`${ENGINE_NAMES[engine]} ${version} (${since ? `needs ${since}` : "unsupported"})`,
+			)
+		}
+	}
+	return missing
+}
+
+/**
+ * Module regions Rolldown marks in unminified output
+ * (`//#region src/Plugin.vue` ... `//#endregion`).
+ * @param {string} code
+ * @returns {(offset: number) => string|null}
+ */
+function createModuleLocator(code) {
+	const regions = []
+	const stack = []
+	const marker = /^\/\/#(region|endregion)\b[ \t]*(.*)$/gm
+	for (const match of code.matchAll(marker)) {
+		if (match[1] === "region") {
+			stack.push({ module: match[2].trim(), start: match.index })
+		} else if (stack.length) {
+			regions.push({ ...stack.pop(), end: match.index })
+		}
+	}
+	return (offset) => {
+		let best = null
+		for (const region of regions) {
+			if (
+				region.start <= offset &&
+				offset < region.end &&
+				(!best || region.start > best.start)
+			) {
+				best = region
+			}
+		}
+		return best ? best.module : null
+	}
+}
+
+function createLineLocator(code) {
+	const starts = [0]
+	for (let i = 0; i < code.length; i++) {
+		if (code[i] === "\n") starts.push(i + 1)
+	}
+	return (offset) => {
+		let low = 0
+		let high = starts.length - 1
+		while (low < high) {
+			const mid = (low + high + 1) >> 1
+			if (starts[mid] <= offset) low = mid
+			else high = mid - 1
+		}
+		return low + 1
+	}
+}
+
+/**
+ * Walk an ESTree AST, calling visit(node, parent, functionDepth).
+ */
+function walk(node, visit, parent = null, depth = 0) {
+	if (!node || typeof node.type !== "string") return
+	visit(node, parent, depth)
+	const inner =
+		node.type.includes("Function") ||
+		node.type === "MethodDefinition" ||
+		node.type === "PropertyDefinition" ||
+		node.type === "StaticBlock"
+			? depth + 1
+			: depth
+	for (const key of Object.keys(node)) {
+		const value = node[key]
+		if (Array.isArray(value)) {
+			for (const child of value) walk(child, visit, node, inner)
+		} else if (value && typeof value.type === "string") {
+			walk(value, visit, node, inner)
+		}
+	}
+}
+
+/**
+ * Syntax and API uses in one JS file.
+ * @param {string} code
+ * @returns {Array<{ key: string, label: string, support: object,
+ *   offset: number }>}
+ */
+function scanJs(code) {
+	const { parseAst } = require("vite")
+	const ast = parseAst(code)
+	const uses = []
+	const syntax = (key, node) =>
+		uses.push({
+			key,
+			label: JS_SYNTAX[key].label,
+			support: JS_SYNTAX[key],
+			offset: node.start,
+		})
+	const regex = (pattern, flags, node) => {
+		if (/\(\?<[=!]/.test(pattern)) syntax("regexLookbehind", node)
+		if (/\(\?<[A-Za-z_$]/.test(pattern)) syntax("regexNamedGroups", node)
+		if (flags.includes("s")) syntax("regexDotAll", node)
+		if (flags.includes("d")) syntax("regexIndices", node)
+		if (flags.includes("v")) syntax("regexUnicodeSets", node)
+	}
+	// Code that feature-detects an API (`typeof structuredClone`) is
+	// expected to cope without it
+	const detected = new Set(
+		[...code.matchAll(/\btypeof\s+([A-Za-z_$][\w$]*)/g)].map((m) => m[1]),
+	)
+
+	walk(ast, (node, parent, depth) => {
+		switch (node.type) {
+			case "ChainExpression":
+				syntax("optionalChaining", node)
+				break
+			case "LogicalExpression":
+				if (node.operator === "??") syntax("nullishCoalescing", node)
+				break
+			case "AssignmentExpression":
+				if (["??=", "||=", "&&="].includes(node.operator)) {
+					syntax("logicalAssignment", node)
+				}
+				break
+			case "PropertyDefinition":
+				if (node.key.type === "PrivateIdentifier") {
+					syntax("privateClassFields", node)
+				} else {
+					syntax(node.static ? "staticClassFields" : "publicClassFields", node)
+				}
+				break
+			case "MethodDefinition":
+				if (node.key.type === "PrivateIdentifier") {
+					syntax("privateMethods", node)
+				}
+				break
+			case "BinaryExpression":
+				if (node.operator === "in" && node.left.type === "PrivateIdentifier") {
+					syntax("privateBrandChecks", node)
+				}
+				break
+			case "StaticBlock":
+				syntax("classStaticBlock", node)
+				break
+			case "AwaitExpression":
+				if (depth === 0) syntax("topLevelAwait", node)
+				break
+			case "ForOfStatement":
+				if (node.await) {
+					syntax(depth === 0 ? "topLevelAwait" : "asyncGenerators", node)
+				}
+				break
+			case "CatchClause":
+				if (!node.param) syntax("optionalCatchBinding", node)
+				break
+			case "FunctionDeclaration":
+			case "FunctionExpression":
+				if (node.async && node.generator) syntax("asyncGenerators", node)
+				break
+			case "SpreadElement":
+				if (parent && parent.type === "ObjectExpression") {
+					syntax("objectRestSpread", node)
+				}
+				break
+			case "RestElement":
+				if (parent && parent.type === "ObjectPattern") {
+					syntax("objectRestSpread", node)
+				}
+				break
+			case "MetaProperty":
+				if (node.meta.name === "import") syntax("importMeta", node)
+				break
+			case "ImportExpression":
+				syntax("dynamicImport", node)
+				if (node.options) syntax("importAttributes", node)
+				break
+			case "ImportDeclaration":
+			case "ExportNamedDeclaration":
+			case "ExportAllDeclaration":
+				if (node.attributes && node.attributes.length) {
+					syntax("importAttributes", node)
+				}
+				break
+			case "Literal":
+				if (typeof node.bigint === "string") syntax("bigint", node)
+				if (typeof node.value === "number" && /_/.test(node.raw || "")) {
+					syntax("numericSeparators", node)
+				}
+				if (node.regex) {
+					regex(node.regex.pattern, node.regex.flags, node)
+				}
+				break
+			case "CallExpression":
+			case "NewExpression": {
+				// Lowered regex literals become RegExp("...", "flags"), which
+				// fails when it runs rather than when the file loads
+				const [pattern, flags] = node.arguments
+				if (
+					node.callee.type === "Identifier" &&
+					node.callee.name === "RegExp" &&
+					isStringLiteral(pattern)
+				) {
+					regex(pattern.value, isStringLiteral(flags) ? flags.value : "", node)
+				}
+				break
+			}
+			case "Identifier": {
+				const support = JS_GLOBALS[node.name]
+				if (support && !detected.has(node.name) && isReference(node, parent)) {
+					uses.push({
+						key: node.name,
+						label: node.name,
+						support,
+						offset: node.start,
+					})
+				}
+				break
+			}
+			case "MemberExpression": {
+				if (node.computed || node.property.type !== "Identifier") break
+				const name = node.property.name
+				if (node.object.type === "Identifier") {
+					const key = `${node.object.name}.${name}`
+					if (JS_STATICS[key] && !detected.has(node.object.name)) {
+						uses.push({
+							key,
+							label: `${key}()`,
+							support: JS_STATICS[key],
+							offset: node.start,
+						})
+						break
+					}
+				}
+				if (
+					JS_METHODS[name] &&
+					parent &&
+					parent.type === "CallExpression" &&
+					parent.callee === node
+				) {
+					uses.push({
+						key: `.${name}`,
+						label: `.${name}()`,
+						support: JS_METHODS[name],
+						offset: node.property.start,
+					})
+				}
+				break
+			}
+		}
+	})
+	return uses
+}
+
+function isStringLiteral(node) {
+	return (
+		Boolean(node) && node.type === "Literal" && typeof node.value === "string"
+	)
+}
+
+// An identifier that reads a variable, as opposed to a property name,
+// object key or declaration
+function isReference(node, parent) {
+	if (!parent) return true
+	switch (parent.type) {
+		case "MemberExpression":
+			return parent.object === node || parent.computed
+		case "Property":
+			return parent.value === node
+		case "PropertyDefinition":
+		case "MethodDefinition":
+			return parent.key !== node
+		case "VariableDeclarator":
+			return parent.init === node
+		case "FunctionDeclaration":
+		case "FunctionExpression":
+		case "ClassDeclaration":
+		case "ClassExpression":
+			return parent.id !== node && !parent.params?.includes(node)
+		case "UnaryExpression":
+			return parent.operator !== "typeof"
+		default:
+			return true
+	}
+}
+
+/**
+ * Feature uses in one CSS file. Declarations inside @supports, and
+ * declarations that repeat a property set earlier in the same rule (the
+ * fallback pattern), are skipped.
+ * @param {string} css
+ * @param {string} [from]
+ * @returns {Array<{ key: string, label: string, support: object,
+ *   line: number }>}
+ */
+function scanCss(css, from) {
+	const root = postcss.parse(css, { from })
+	const uses = []
+	const use = (key, node) =>
+		uses.push({
+			key,
+			label: CSS_FEATURES[key].label,
+			support: CSS_FEATURES[key],
+			line: node.source && node.source.start ? node.source.start.line : 1,
+		})
+	const insideSupports = (node) => {
+		for (let parent = node.parent; parent; parent = parent.parent) {
+			if (parent.type === "atrule" && parent.name === "supports") return true
+		}
+		return false
+	}
+
+	root.walk((node) => {
+		if (insideSupports(node)) return
+		if (node.type === "atrule") {
+			if (["container", "layer", "scope", "property"].includes(node.name)) {
+				use(node.name, node)
+			}
+			if (node.name === "media" && /\(\s*[\w-]+\s*[<>]=?/.test(node.params)) {
+				use("mediaRange", node)
+			}
+		} else if (node.type === "rule") {
+			if (node.parent && node.parent.type === "rule") {
+				use("nesting", node)
+			}
+			for (const [pattern, key] of CSS_SELECTOR_FEATURES) {
+				if (pattern.test(node.selector)) use(key, node)
+			}
+		} else if (node.type === "decl") {
+			const rule = node.parent
+			const earlier = rule.nodes.slice(0, rule.nodes.indexOf(node))
+			if (earlier.some((other) => other.prop === node.prop)) return
+			const prop = node.prop.toLowerCase()
+			if (prop === "aspect-ratio") use("aspectRatio", node)
+			if (prop === "inset") use("inset", node)
+			if (["translate", "rotate", "scale"].includes(prop)) {
+				use("individualTransforms", node)
+			}
+			if (
+				prop === "gap" &&
+				rule.nodes.some(
+					(other) =>
+						other.prop === "display" &&
+						/\bflex\b|inline-flex/.test(other.value),
+				)
+			) {
+				use("flexGap", node)
+			}
+			if (!prop.startsWith("--")) {
+				for (const [pattern, key] of CSS_VALUE_FEATURES) {
+					if (pattern.test(node.value)) use(key, node)
+				}
+			}
+		}
+	})
+	return uses
+}
+
+/**
+ * Compatibility problems in the built output. One finding per feature,
+ * file and module, at its first use.
+ * @param {string} buildPath - dist/build/
+ * @param {object} targets - From loadBrowserTargets
+ * @returns {Array<{ file: string, line: number, message: string }>}
+ */
+function findCompatIssues(buildPath, targets) {
+	const findings = []
+	for (const file of listCodeFiles(buildPath)) {
+		const content = fs.readFileSync(path.join(buildPath, file), "utf-8")
+		const isCss = file.endsWith(".css")
+		const lineOf = isCss ? null : createLineLocator(content)
+		const moduleOf = isCss ? () => null : createModuleLocator(content)
+		const uses = isCss ? scanCss(content, file) : scanJs(content)
+
+		const grouped = new Map()
+		for (const use of uses) {
+			const line = isCss ? use.line : lineOf(use.offset)
+			const module = isCss ? null : moduleOf(use.offset)
+			const key = `${use.key}\n${module}`
+			const entry = grouped.get(key)
+			if (entry) {
+				entry.count++
+			} else {
+				grouped.set(key, { use, line, module, count: 1 })
+			}
+		}
+		for (const { use, line, module, count } of grouped.values()) {
+			const missing = unsupportedIn(use.support, targets.engines)
+			if (missing.length === 0) continue
+			const where = module ? ` in ${module}` : ""
+			const times = count > 1 ? ` (${count} uses)` : ""
+			findings.push({
+				file: `dist/build/${file}`,
+				line,
+				message: `${use.label}${where} isn't supported by ${missing.join(", ")}${times}`,
+			})
+		}
+	}
+	return findings.sort((a, b) =>
+		a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1,
+	)
+}
+
+module.exports = {
+	JS_SYNTAX,
+	CSS_FEATURES,
+	toEngineVersion,
+	loadBrowserTargets,
+	unsupportedIn,
+	scanJs,
+	scanCss,
+	findCompatIssues,
+}
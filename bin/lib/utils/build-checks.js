@@ -0,0 +1,423 @@
+/**
+ * Build Checks
+ *
+ * The pre-build checklist from docs/building-for-platform.md, run by
+ * `gxdev build`:
+ *
+ *   debugCode         console.log / debugger left in src/
+ *   hardcodedStrings  template text not wrapped in gxp-string
+ *   manifestSync      keys used in src/ missing from app-manifest.json
+ *                     (what `gxdev extract-config` would add)
+ *   lint              app-manifest.json / configuration.json schema errors
+ *   devUrls           /dev-assets/ or localhost URLs in the built bundle
+ *   browserCompat     syntax, APIs and CSS in the bundle that the project's
+ *                     browserslist targets don't support
+ *
+ * Each check is "error", "warn" or "off", set under `checks` in
+ * app-manifest.json (or package.json "gxdev"). Source checks run before Vite
+ * so a failing build stops early; devUrls and browserCompat run once the
+ * bundle exists.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { loadProjectBuildSetting } = require("./paths")
+const { loadProjectManifest } = require("./variants")
+const { listCodeFiles } = require("./gxp-package")
+const {
+	extractConfigFromSource,
+	mergeConfig,
+	findFilesRecursive,
+} = require("./extract-config")
+const { loadBrowserTargets, findCompatIssues } = require("./browser-compat")
+const { lintFile, applyLintRules } = require("../lint")
+const { loadLintRules } = require("./project-config")
+const { colors } = require("../lint/formatter")
+
+const CHECK_LEVELS = ["error", "warn", "off"]
+
+const BUILD_CHECKS = {
+	debugCode: { phase: "source", level: "warn", run: checkDebugCode },
+	hardcodedStrings: {
+		phase: "source",
+		level: "warn",
+		run: checkHardcodedStrings,
+	},
+	manifestSync: { phase: "source", level: "warn", run: checkManifestSync },
+	lint: { phase: "source", level: "error", run: checkLint },
+	devUrls: { phase: "bundle", level: "error", run: checkDevUrls },
+	browserCompat: { phase: "bundle", level: "error", run: checkBrowserCompat },
+}
+
+const SOURCE_EXTENSIONS = [".vue", ".js", ".ts", ".jsx", ".tsx"]
+const TEST_FILE = /\.(test|spec)\.[jt]sx?$/
+
+// Elements whose text is code, not copy
+const CODE_ELEMENTS = new Set(["code", "pre", "kbd", "samp", "script", "style"])
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+	"area",
+	"base",
+	"br",
+	"col",
+	"embed",
+	"hr",
+	"img",
+	"input",
+	"link",
+	"meta",
+	"source",
+	"track",
+	"wbr",
+])
+
+/**
+ * Resolve the level of every check for a build.
+ * @param {string} projectPath
+ * @param {string|null} [variant]
+ * @returns {Object<string, "error"|"warn"|"off">}
+ */
+function loadCheckLevels(projectPath, variant = null) {
+	const declared = loadProjectBuildSetting(projectPath, "checks", variant) || {}
+	for (const name of Object.keys(declared)) {
+		if (!BUILD_CHECKS[name]) {
+			throw new Error(
+				`Unknown check "${name}" in checks (known: ${Object.keys(
+					BUILD_CHECKS,
+				).join(", ")})`,
+			)
+		}
+	}
+	const levels = {}
+	for (const [name, check] of Object.entries(BUILD_CHECKS)) {
+		const level = declared[name] === undefined ? check.level : declared[name]
+		if (!CHECK_LEVELS.includes(level)) {
+			throw new Error(
+				`checks.${name} must be one of ${CHECK_LEVELS.join(", ")} (got ${JSON.stringify(level)})`,
+			)
+		}
+		levels[name] = level
+	}
+	return levels
+}
+
+/**
+ * Run the checks of one phase.
+ * @param {object} params
+ * @param {string} params.projectPath
+ * @param {"source"|"bundle"} params.phase
+ * @param {object} params.levels - From loadCheckLevels
+ * @param {string} [params.buildPath] - dist/build/, for the bundle phase
+ * @param {string|null} [params.variant]
+ * @returns {Array<{ check: string, level: string, file: string,
+ *   line?: number, message: string }>}
+ */
+function runBuildChecks({
+	projectPath,
+	phase,
+	levels,
+	buildPath = null,
+	variant = null,
+}) {
+	const issues = []
+	for (const [name, check] of Object.entries(BUILD_CHECKS)) {
+		if (check.phase !== phase || levels[name] === "off") continue
+		// A finding may carry its own level (lint codes set to "warn")
+		for (const finding of check.run({ projectPath, buildPath, variant })) {
+			issues.push({ check: name, level: levels[name], ...finding })
+		}
+	}
+	return issues
+}
+
+function listSourceFiles(projectPath) {
+	const srcDir = path.join(projectPath, "src")
+	if (!fs.existsSync(srcDir)) return []
+	return findFilesRecursive(srcDir, SOURCE_EXTENSIONS).sort()
+}
+
+const relative = (projectPath, file) =>
+	path.relative(projectPath, file).split(path.sep).join("/")
+
+// Replace every character but newlines with spaces so offsets and line
+// numbers survive
+const blank = (text) => text.replace(/[^\n]/g, " ")
+
+/**
+ * Blank out JS and HTML comments.
+ */
+function maskComments(content) {
+	return content
+		.replace(/<!--[\s\S]*?-->/g, blank)
+		.replace(/\/\*[\s\S]*?\*\//g, blank)
+		.replace(
+			/(^|[^:"'`\\])(\/\/.*)$/gm,
+			(m, pre, comment) => pre + blank(comment),
+		)
+}
+
+const lineAt = (content, offset) => content.slice(0, offset).split("\n").length
+
+/**
+ * console.log and debugger statements in src/. Code inside
+ * `if (import.meta.env.DEV) { ... }` (or on a line mentioning
+ * import.meta.env.DEV) is dev-only and skipped.
+ */
+function checkDebugCode({ projectPath }) {
+	const findings = []
+	for (const file of listSourceFiles(projectPath)) {
+		if (TEST_FILE.test(file)) continue
+		const lines = maskComments(fs.readFileSync(file, "utf-8")).split("\n")
+		let depth = 0
+		const guards = []
+		lines.forEach((line, i) => {
+			const guarded = guards.length > 0 || line.includes("import.meta.env.DEV")
+			if (!guarded) {
+				const report = (message) =>
+					findings.push({
+						file: relative(projectPath, file),
+						line: i + 1,
+						message,
+					})
+				if (/\bconsole\.log\s*\(/.test(line)) {
+					report("console.log left in source")
+				}
+				if (/(^|[^\w$.])debugger\b/.test(line)) {
+					report("debugger statement left in source")
+				}
+			}
+			if (/if\s*\(\s*import\.meta\.env\.DEV\s*\)\s*\{/.test(line)) {
+				guards.push(depth)
+			}
+			for (const ch of line) {
+				if (ch === "{") {
+					depth++
+				} else if (ch === "}") {
+					depth--
+					if (guards.length && depth <= guards[guards.length - 1]) {
+						guards.pop()
+					}
+				}
+			}
+		})
+	}
+	return findings
+}
+
+/**
+ * Text in .vue templates that no gxp-string element (or ancestor) covers.
+ * Text in code elements (<code>, <pre>, ...) is ignored.
+ */
+function checkHardcodedStrings({ projectPath }) {
+	const findings = []
+	for (const file of listSourceFiles(projectPath)) {
+		if (path.extname(file) !== ".vue") continue
+		const content = maskComments(fs.readFileSync(file, "utf-8"))
+		const open = content.match(/<template[^>]*>/)
+		const end = content.lastIndexOf("</template>")
+		if (!open || end < open.index) continue
+		const start = open.index + open[0].length
+		const template = content.slice(start, end)
+
+		const stack = []
+		const tokenRegex =
+			/<(\/?)([A-Za-z][\w.:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g
+		let match
+		while ((match = tokenRegex.exec(template)) !== null) {
+			const [, closing, tag, attrs, selfClosing, text] = match
+			if (text !== undefined) {
+				const visible = text
+					.replace(/\{\{[\s\S]*?\}\}/g, "")
+					.replace(/&\w+;/g, "")
+					.trim()
+				const covered = stack.length > 0 && stack[stack.length - 1].covered
+				if (!covered && /[A-Za-z]{2,}/.test(visible)) {
+					const leading = text.length - text.trimStart().length
+					findings.push({
+						file: relative(projectPath, file),
+						line: lineAt(content, start + match.index + leading),
+						message: `"${truncate(visible)}" is not wrapped in gxp-string`,
+					})
+				}
+			} else if (closing) {
+				const index = stack.map((el) => el.tag).lastIndexOf(tag)
+				if (index !== -1) stack.length = index
+			} else if (!selfClosing && !VOID_ELEMENTS.has(tag.toLowerCase())) {
+				const parentCovered =
+					stack.length > 0 && stack[stack.length - 1].covered
+				stack.push({
+					tag,
+					covered:
+						parentCovered ||
+						CODE_ELEMENTS.has(tag.toLowerCase()) ||
+						/(^|\s)(v-)?gxp-string\b/.test(attrs),
+				})
+			}
+		}
+	}
+	return findings
+}
+
+function truncate(text, max = 40) {
+	const single = text.replace(/\s+/g, " ")
+	return single.length > max ? `${single.slice(0, max - 3)}...` : single
+}
+
+/**
+ * Keys `gxdev extract-config` would add to the manifest.
+ */
+function checkManifestSync({ projectPath, variant }) {
+	if (!fs.existsSync(path.join(projectPath, "src"))) return []
+	let manifest
+	try {
+		manifest = loadProjectManifest(projectPath, variant) || {}
+	} catch {
+		// Reported by the lint check
+		return []
+	}
+	// mergeConfig writes into nested objects of its input
+	const merged = mergeConfig(
+		structuredClone(manifest),
+		extractConfigFromSource(path.join(projectPath, "src")),
+	)
+
+	const missing = []
+	const compareKeys = (label, before = {}, after = {}) => {
+		for (const key of Object.keys(after)) {
+			if (!Object.prototype.hasOwnProperty.call(before || {}, key)) {
+				missing.push(`${label}.${key}`)
+			}
+		}
+	}
+	compareKeys(
+		"strings.default",
+		(manifest.strings || {}).default,
+		merged.strings.default,
+	)
+	compareKeys("settings", manifest.settings, merged.settings)
+	compareKeys("assets", manifest.assets, merged.assets)
+	compareKeys("triggerState", manifest.triggerState, merged.triggerState)
+	compareKeys("track-events", manifest["track-events"], merged["track-events"])
+	const known = new Set(
+		(manifest.dependencies || []).map((dep) => dep && dep.identifier),
+	)
+	for (const dep of merged.dependencies) {
+		if (!known.has(dep.identifier)) {
+			missing.push(`dependencies.${dep.identifier}`)
+		}
+	}
+
+	return missing.map((key) => ({
+		file: "app-manifest.json",
+		message: `${key} is used in src/ but missing (run gxdev extract-config)`,
+	}))
+}
+
+/**
+ * Schema errors in app-manifest.json and configuration.json. gxdev.config
+ * lint.rules apply: "off" codes are skipped and "warn" codes only warn.
+ */
+function checkLint({ projectPath }) {
+	const rules = loadLintRules(projectPath)
+	const findings = []
+	for (const name of ["app-manifest.json", "configuration.json"]) {
+		const file = path.join(projectPath, name)
+		if (!fs.existsSync(file)) continue
+		for (const err of applyLintRules(lintFile(file), rules).errors) {
+			findings.push({
+				file: name,
+				line: err.line,
+				message: err.message,
+				...(err.severity === "warning" && { level: "warn" }),
+			})
+		}
+	}
+	return findings
+}
+
+/**
+ * /dev-assets/ paths and localhost URLs in the built JS/CSS. /dev-assets/
+ * placeholders behind gxp-src or getAsset() are swapped at runtime and are
+ * allowed.
+ */
+function checkDevUrls({ projectPath, buildPath }) {
+	if (!buildPath || !fs.existsSync(buildPath)) return []
+	const srcDir = path.join(projectPath, "src")
+	const placeholders = new Set(
+		fs.existsSync(srcDir)
+			? Object.values(extractConfigFromSource(srcDir).assets)
+			: [],
+	)
+
+	const findings = []
+	const patterns = [
+		/\/dev-assets\/[^\s"'`)\\]*/g,
+		/\bhttps?:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0)(?::\d+)?[^\s"'`)\\]*/g,
+	]
+	for (const file of listCodeFiles(buildPath)) {
+		const content = fs.readFileSync(path.join(buildPath, file), "utf-8")
+		const seen = new Set()
+		for (const pattern of patterns) {
+			for (const [url] of content.matchAll(pattern)) {
+				if (seen.has(url) || placeholders.has(url)) continue
+				seen.add(url)
+				findings.push({
+					file: `dist/build/${file}`,
+					message: `${url} won't resolve on the platform`,
+				})
+			}
+		}
+	}
+	return findings
+}
+
+/**
+ * Features in the built JS/CSS that the browserslist targets lack. Skipped
+ * when the project declares no targets.
+ */
+function checkBrowserCompat({ projectPath, buildPath }) {
+	if (!buildPath || !fs.existsSync(buildPath)) return []
+	const targets = loadBrowserTargets(projectPath)
+	return targets ? findCompatIssues(buildPath, targets) : []
+}
+
+/**
+ * Render check results for the terminal.
+ * @param {Array} issues - From runBuildChecks
+ * @param {object} options
+ * @param {"source"|"bundle"} options.phase
+ * @param {number} [options.limit=10] - Findings shown per check
+ */
+function formatCheckIssues(issues, { phase, limit = 10 }) {
+	const { red, yellow, gray, green } = colors
+	const title = phase === "bundle" ? "Bundle checks" : "Pre-build checks"
+	if (issues.length === 0) {
+		return green(`✓ ${title} passed`)
+	}
+	const lines = [`\n🔎 ${title}`]
+	const shown = {}
+	for (const issue of issues) {
+		shown[issue.check] = (shown[issue.check] || 0) + 1
+		if (shown[issue.check] > limit) continue
+		const mark = issue.level === "error" ? red("✗") : yellow("⚠")
+		const location = issue.line ? `${issue.file}:${issue.line}` : issue.file
+		lines.push(
+			`  ${mark} ${location}  ${issue.message} ${gray(`(${issue.check})`)}`,
+		)
+	}
+	for (const [check, count] of Object.entries(shown)) {
+		if (count > limit) {
+			lines.push(gray(`  … ${count - limit} more ${check} findings`))
+		}
+	}
+	return lines.join("\n")
+}
+
+module.exports = {
+	BUILD_CHECKS,
+	CHECK_LEVELS,
+	loadCheckLevels,
+	runBuildChecks,
+	formatCheckIssues,
+}
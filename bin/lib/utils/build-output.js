@@ -0,0 +1,234 @@
+/**
+ * Build Output Selection
+ *
+ * Decides which files Vite emitted into dist/ go into the .gxpapp. Every
+ * emitted file is packaged by default — the entry, stylesheets, lazy chunks
+ * and anything else in chunks/ (workers, wasm, fonts that weren't inlined),
+ * plus files copied from the project's public/ directory. Projects narrow
+ * that with `packaging` in app-manifest.json (or package.json "gxdev"):
+ *
+ *   "packaging": {
+ *     "include": ["**"],          globs of files to package (default: all)
+ *     "exclude": ["*.map"]        globs of files to leave out
+ *   }
+ *
+ * Files left out by `exclude` are listed; files that match no `include`
+ * pattern, or that would overwrite a file the packager writes itself
+ * (app-manifest.json, assets/, ...), are reported as warnings.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { loadProjectBuildSetting } = require("./paths")
+const { isReservedPackagePath } = require("./gxp-package")
+const { colors } = require("../lint/formatter")
+
+const DEFAULT_PACKAGING = { include: ["**"], exclude: [] }
+
+// dist/ entries that are never Vite output
+const NON_OUTPUT_DIRS = ["build", ".vite"]
+
+/**
+ * Convert a glob ("images/**", "*.svg", "icons/?.png") to a RegExp matched
+ * against a forward-slash relative path. Shared by packaging, asset `keep`
+ * patterns and the license denylist.
+ */
+function globToRegExp(glob) {
+	let re = ""
+	for (let i = 0; i < glob.length; i++) {
+		const ch = glob[i]
+		if (ch === "*") {
+			if (glob[i + 1] === "*") {
+				// "**/" matches zero or more directories
+				if (glob[i + 2] === "/") {
+					re += "(?:.*/)?"
+					i += 2
+				} else {
+					re += ".*"
+					i += 1
+				}
+			} else {
+				re += "[^/]*"
+			}
+		} else if (ch === "?") {
+			re += "[^/]"
+		} else {
+			re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+		}
+	}
+	// A pattern without a slash matches the basename anywhere
+	return glob.includes("/") ? new RegExp(`^${re}$`) : new RegExp(`(^|/)${re}$`)
+}
+
+/**
+ * Resolve the packaging options for a build.
+ * @param {string} projectPath
+ * @param {string|null} [variant]
+ * @returns {{ include: string[], exclude: string[] }}
+ */
+function loadPackagingOptions(projectPath, variant = null) {
+	const declared = loadProjectBuildSetting(projectPath, "packaging", variant)
+	const options = { ...DEFAULT_PACKAGING, ...declared }
+	for (const key of ["include", "exclude"]) {
+		const value = options[key]
+		if (
+			!Array.isArray(value) ||
+			value.some((glob) => typeof glob !== "string" || !glob)
+		) {
+			throw new Error(`packaging.${key} must be an array of glob strings`)
+		}
+	}
+	return { include: options.include, exclude: options.exclude }
+}
+
+/**
+ * Files Vite emitted into dist/, as forward-slash paths. Skips dist/build/,
+ * Vite's own .vite/ metadata and packages from earlier builds.
+ * @param {string} distPath
+ * @returns {string[]} sorted
+ */
+function listViteOutputs(distPath) {
+	const files = []
+	const walk = (dir, prefix) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const name = `${prefix}${entry.name}`
+			if (entry.isDirectory()) {
+				if (prefix || !NON_OUTPUT_DIRS.includes(entry.name)) {
+					walk(path.join(dir, entry.name), `${name}/`)
+				}
+			} else if (entry.isFile() && (prefix || !name.endsWith(".gxpapp"))) {
+				files.push(name)
+			}
+		}
+	}
+	if (fs.existsSync(distPath)) {
+		walk(distPath, "")
+	}
+	return files.sort()
+}
+
+/**
+ * Split Vite output into what gets packaged and what is left out.
+ * @param {string[]} files - From listViteOutputs
+ * @param {{ include: string[], exclude: string[] }} options
+ * @returns {{ included: string[], excluded: string[], unmatched: string[],
+ *   conflicts: string[] }}
+ */
+function selectBuildOutputs(files, { include, exclude }) {
+	const includeRes = include.map(globToRegExp)
+	const excludeRes = exclude.map(globToRegExp)
+	const selection = { included: [], excluded: [], unmatched: [], conflicts: [] }
+	for (const file of files) {
+		if (excludeRes.some((re) => re.test(file))) {
+			selection.excluded.push(file)
+		} else if (!includeRes.some((re) => re.test(file))) {
+			selection.unmatched.push(file)
+		} else if (isReservedPackagePath(file)) {
+			selection.conflicts.push(file)
+		} else {
+			selection.included.push(file)
+		}
+	}
+	return selection
+}
+
+/**
+ * Move selected outputs from dist/ into the build directory, removing the
+ * dist/ subdirectories (chunks/, ...) they leave empty.
+ * @param {string} distPath
+ * @param {string} buildPath
+ * @param {string[]} files - selection.included
+ */
+function moveBuildOutputs(distPath, buildPath, files) {
+	const dirs = new Set()
+	for (const file of files) {
+		const destFile = path.join(buildPath, file)
+		fs.mkdirSync(path.dirname(destFile), { recursive: true })
+		fs.renameSync(path.join(distPath, file), destFile)
+		for (let dir = path.posix.dirname(file); dir !== "."; ) {
+			dirs.add(dir)
+			dir = path.posix.dirname(dir)
+		}
+	}
+	// Deepest first, so a parent is empty once its children are gone
+	for (const dir of [...dirs].sort((a, b) => b.length - a.length)) {
+		const full = path.join(distPath, dir)
+		if (fs.readdirSync(full).length === 0) {
+			fs.rmdirSync(full)
+		}
+	}
+}
+
+/**
+ * Predicate for files the packaging selection puts in the package: matched
+ * by `include` and not by `exclude`. verifyGxpPackage uses it to accept
+ * files copied from public/.
+ * @param {{ include: string[], exclude: string[] }} options
+ * @returns {(file: string) => boolean}
+ */
+function createPackagingFilter({ include, exclude }) {
+	const includeRes = include.map(globToRegExp)
+	const excludeRes = exclude.map(globToRegExp)
+	return (file) =>
+		includeRes.some((re) => re.test(file)) &&
+		!excludeRes.some((re) => re.test(file))
+}
+
+/**
+ * Report files left out of the package.
+ * @param {object} selection - From selectBuildOutputs
+ * @returns {{ info: string|null, warning: string|null }} info lists excluded
+ *   files; warning lists unmatched and conflicting ones
+ */
+function formatOutputSelection({ excluded, unmatched, conflicts }) {
+	const { yellow, gray, bold } = colors
+	const info = excluded.length
+		? gray(`📦 Not packaged (packaging.exclude): ${excluded.join(", ")}`)
+		: null
+
+	const lines = []
+	if (unmatched.length) {
+		lines.push(
+			...unmatched.map(
+				(file) =>
+					`   ${file} ${gray("— matches no packaging.include pattern")}`,
+			),
+		)
+	}
+	if (conflicts.length) {
+		lines.push(
+			...conflicts.map(
+				(file) =>
+					`   ${file} ${gray("— clashes with a file gxdev build writes itself (check public/)")}`,
+			),
+		)
+	}
+	const count = unmatched.length + conflicts.length
+	if (count) {
+		lines.unshift(
+			yellow(
+				bold(
+					`⚠️  ${count} build output file${count === 1 ? " is" : "s are"} NOT in the package:`,
+				),
+			),
+		)
+		lines.push(
+			gray(
+				'   List files you mean to leave out in "packaging.exclude" to silence this.',
+			),
+		)
+	}
+	const warning = count ? lines.join("\n") : null
+	return { info, warning }
+}
+
+module.exports = {
+	DEFAULT_PACKAGING,
+	globToRegExp,
+	loadPackagingOptions,
+	listViteOutputs,
+	selectBuildOutputs,
+	moveBuildOutputs,
+	createPackagingFilter,
+	formatOutputSelection,
+}
@@ -0,0 +1,265 @@
+/**
+ * Build Watch
+ *
+ * Helpers for `gxdev build --watch`. Vite's build watcher handles source
+ * changes; this module watches everything else that goes into the .gxpapp
+ * (app-manifest.json, asset_dir, appInstructionsFile/defaultStylingFile/
+ * configurationFile), works out which packaging steps a change affects, and
+ * coalesces bursts of changes into a single repackage.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { colors } = require("../lint/formatter")
+
+/**
+ * Packaging steps in the order they run:
+ *   code     move Vite output into dist/build/ and check budgets
+ *   assets   re-copy asset_dir (and re-run asset optimization)
+ *   bundle   re-process appInstructions / defaultStyling / configuration
+ *   manifest rewrite dist/build/app-manifest.json
+ *   package  re-zip and verify (always)
+ */
+const REBUILD_STEPS = ["code", "assets", "bundle", "manifest", "package"]
+
+// Manifest keys pointing at files that are copied into the bundle
+const BUNDLE_FILE_KEYS = [
+	"appInstructionsFile",
+	"defaultStylingFile",
+	"configurationFile",
+]
+
+const toPosix = (p) => p.split(path.sep).join("/")
+
+/**
+ * Bundle files referenced by the manifest, relative to the project root.
+ * @returns {string[]}
+ */
+function getBundleFiles(manifest) {
+	return BUNDLE_FILE_KEYS.map((key) => manifest && manifest[key])
+		.filter((file) => typeof file === "string" && file)
+		.map((file) => toPosix(path.normalize(file.replace(/^\//, ""))))
+}
+
+/**
+ * Classify a changed file.
+ * @param {string} relPath - Path relative to the project root
+ * @param {object} context
+ * @param {string} context.assetDir - asset_dir relative to the project root
+ * @param {string[]} context.bundleFiles - From getBundleFiles
+ * @param {string|null} [context.variant]
+ * @returns {"manifest"|"assets"|"bundle"|null} null when packaging doesn't
+ *   depend on the file
+ */
+function classifyChange(relPath, { assetDir, bundleFiles, variant = null }) {
+	const rel = toPosix(path.normalize(relPath))
+	if (
+		rel === "app-manifest.json" ||
+		(variant && rel === `app-manifest.${variant}.json`)
+	) {
+		return "manifest"
+	}
+	if (bundleFiles.includes(rel)) {
+		return "bundle"
+	}
+	if (
+		assetDir &&
+		rel.startsWith(`${assetDir}/`) &&
+		path.basename(rel) !== ".gitkeep"
+	) {
+		return "assets"
+	}
+	return null
+}
+
+/**
+ * Work out which steps to run for a set of changes.
+ * @param {Set<string>|string[]} changes - "code" plus kinds from classifyChange
+ * @param {{ optimizeAssets?: boolean }} [options] - Asset optimization prunes
+ *   against references in code and bundle files, so those changes re-copy
+ *   and re-optimize the assets too
+ * @returns {string[]} steps, in REBUILD_STEPS order
+ */
+function planRebuild(changes, { optimizeAssets = false } = {}) {
+	const kinds = new Set(changes)
+	const steps = new Set(["package"])
+	if (kinds.has("code")) {
+		steps.add("code")
+	}
+	if (kinds.has("manifest")) {
+		steps.add("assets").add("bundle").add("manifest")
+	}
+	if (kinds.has("assets")) {
+		// Deduplication rewrites manifest asset paths
+		steps.add("assets").add("manifest")
+	}
+	if (kinds.has("bundle")) {
+		steps.add("bundle")
+	}
+	if (optimizeAssets && (kinds.has("code") || kinds.has("bundle"))) {
+		steps.add("assets").add("manifest")
+	}
+	return REBUILD_STEPS.filter((step) => steps.has(step))
+}
+
+/**
+ * Coalesce change notifications into serialized runs. Changes reported while
+ * a run is in progress are batched into the next one.
+ * @param {(changes: Set<string>) => Promise<void>} run
+ * @param {{ delay?: number }} [options] - Quiet period before a run starts
+ * @returns {{ push: (kind: string) => void, idle: () => Promise<void> }}
+ */
+function createRebuildQueue(run, { delay = 100 } = {}) {
+	let pending = new Set()
+	let timer = null
+	let running = null
+
+	const schedule = () => {
+		clearTimeout(timer)
+		timer = setTimeout(flush, delay)
+	}
+
+	function flush() {
+		timer = null
+		if (running || pending.size === 0) return
+		const changes = pending
+		pending = new Set()
+		running = Promise.resolve()
+			.then(() => run(changes))
+			.catch(() => {})
+			.finally(() => {
+				running = null
+				if (pending.size > 0) schedule()
+			})
+	}
+
+	return {
+		push(kind) {
+			pending.add(kind)
+			if (!running) schedule()
+		},
+		async idle() {
+			while (timer || running) {
+				await (running || new Promise((resolve) => setTimeout(resolve, delay)))
+			}
+		},
+	}
+}
+
+/**
+ * Watch the packaging inputs of a project with fs.watch.
+ * @param {string} projectPath
+ * @param {object} context - As for classifyChange
+ * @param {(kind: string, relPath: string) => void} onChange
+ * @returns {() => void} close function
+ */
+function watchPackagingInputs(projectPath, context, onChange) {
+	const watchers = []
+	const watchDir = (dir, recursive) => {
+		const full = path.join(projectPath, dir)
+		if (!fs.existsSync(full) || !fs.statSync(full).isDirectory()) return
+		try {
+			const watcher = fs.watch(full, { recursive }, (event, filename) => {
+				if (!filename) return
+				const relPath = path.join(dir, filename.toString())
+				const kind = classifyChange(relPath, context)
+				if (kind) onChange(kind, relPath)
+			})
+			watcher.on("error", () => {})
+			watchers.push(watcher)
+		} catch (error) {
+			console.warn(`⚠️  Could not watch ${dir || "."}/: ${error.message}`)
+		}
+	}
+
+	// Project root for the manifest and root-level bundle files
+	watchDir("", false)
+	if (context.assetDir) {
+		watchDir(context.assetDir, true)
+	}
+	const bundleDirs = new Set(
+		context.bundleFiles
+			.map((file) => path.posix.dirname(file))
+			.filter((dir) => dir !== "." && !dir.startsWith(`${context.assetDir}/`)),
+	)
+	for (const dir of bundleDirs) {
+		watchDir(dir, false)
+	}
+
+	return () => {
+		for (const watcher of watchers) watcher.close()
+	}
+}
+
+/**
+ * Run `fn` with console.log silenced and warnings/errors collected, so a
+ * rebuild can be reported as one line.
+ * @returns {Promise<{ result?: any, error?: Error, messages: string[] }>}
+ */
+async function captureConsole(fn) {
+	const original = {
+		log: console.log,
+		info: console.info,
+		warn: console.warn,
+		error: console.error,
+	}
+	const messages = []
+	const collect = (...args) => messages.push(args.join(" ").trim())
+	console.log = () => {}
+	console.info = () => {}
+	console.warn = collect
+	console.error = collect
+	try {
+		return { result: await fn(), messages }
+	} catch (error) {
+		return { error, messages }
+	} finally {
+		Object.assign(console, original)
+	}
+}
+
+/**
+ * One-line status for a finished rebuild.
+ * @param {object} status
+ * @param {string[]} status.steps - From planRebuild
+ * @param {number} status.duration - Milliseconds
+ * @param {string} [status.packageName] - Written .gxpapp
+ * @param {number} [status.size] - Package size in bytes
+ * @param {Error} [status.error]
+ * @param {number} [status.warnings] - Warning count
+ * @param {Date} [status.time]
+ */
+function formatRebuildStatus({
+	steps,
+	duration,
+	packageName,
+	size,
+	error,
+	warnings = 0,
+	time = new Date(),
+}) {
+	const { green, red, yellow, gray } = colors
+	const stamp = gray(`[${time.toTimeString().slice(0, 8)}]`)
+	const what = steps.filter((step) => step !== "package").join("+") || "package"
+	const warn = warnings
+		? yellow(` ⚠ ${warnings} warning${warnings === 1 ? "" : "s"}`)
+		: ""
+	if (error) {
+		return `${stamp} ${red("✗")} ${what}: ${red(error.message)}${warn}`
+	}
+	const kb = `${(size / 1024).toFixed(1)} KB`
+	return `${stamp} ${green("✓")} ${what} → ${packageName} ${gray(
+		`${kb}, ${duration}ms`,
+	)}${warn}`
+}
+
+module.exports = {
+	REBUILD_STEPS,
+	getBundleFiles,
+	classifyChange,
+	planRebuild,
+	createRebuildQueue,
+	watchPackagingInputs,
+	captureConsole,
+	formatRebuildStatus,
+}
@@ -0,0 +1,346 @@
+/**
+ * Bundle Analysis Utilities
+ *
+ * Backs `gxdev build --analyze` and build size budgets. Sizes always come from
+ * the files on disk in dist/build/ (what actually ships); the optional Rollup
+ * stats written by runtime/vite-bundle-stats-plugin.js add the per-module and
+ * per-package breakdown on top.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const zlib = require("zlib")
+const { loadProjectBuildSetting } = require("./paths")
+const { listCodeFiles } = require("./gxp-package")
+
+const SIZE_UNITS = {
+	b: 1,
+	kb: 1024,
+	mb: 1024 * 1024,
+}
+
+/**
+ * Budget keys recognised in app-manifest.json / package.json "budgets".
+ *   - total: all JS + CSS emitted by the build
+ *   - chunk: any single JS chunk
+ *   - css:   all CSS emitted by the build
+ */
+const BUDGET_KEYS = ["total", "chunk", "css"]
+
+/**
+ * Parse a size budget into bytes. Accepts a number of bytes or a string such
+ * as "150kb", "1.5 MB" or "2048".
+ * @param {number|string} value
+ * @returns {number}
+ */
+function parseSize(value) {
+	if (typeof value === "number" && Number.isFinite(value) && value >= 0) {
+		return value
+	}
+	if (typeof value === "string") {
+		const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i)
+		if (match) {
+			const unit = (match[2] || "b").toLowerCase()
+			return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit])
+		}
+	}
+	throw new Error(
+		`Invalid size "${value}" — use a byte count or a string like "150kb"`,
+	)
+}
+
+/**
+ * Human-readable byte count (KB with two decimals, matching the package size
+ * line printed by the build command).
+ */
+function formatBytes(bytes) {
+	if (Math.abs(bytes) >= 1024 * 1024) {
+		return `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+	}
+	return `${(bytes / 1024).toFixed(2)} KB`
+}
+
+/**
+ * Map a Rollup module id to the npm package it came from. Ids are taken from
+ * the last node_modules segment so nested installs resolve to the innermost
+ * package. Non-package modules are grouped as "(project)"; Rollup/Vite
+ * virtual modules (\0-prefixed) as "(virtual)".
+ */
+function packageNameFromModuleId(id) {
+	if (id.startsWith("\\0") || id.startsWith("\0")) {
+		return "(virtual)"
+	}
+	const normalized = id.replace(/\\/g, "/")
+	const marker = "node_modules/"
+	const idx = normalized.lastIndexOf(marker)
+	if (idx === -1) {
+		return "(project)"
+	}
+	const parts = normalized.slice(idx + marker.length).split("/")
+	if (parts[0].startsWith("@") && parts.length > 1) {
+		return `${parts[0]}/${parts[1]}`
+	}
+	return parts[0]
+}
+
+/**
+ * Build a size report for the files in dist/build/.
+ * @param {string} buildPath - Directory holding the built JS/CSS
+ * @param {object|null} stats - Parsed output of the bundle stats plugin
+ * @returns {object} report
+ */
+function createBundleReport(buildPath, stats = null) {
+	const chunks = []
+	const css = []
+
+	for (const file of listCodeFiles(buildPath)) {
+		const content = fs.readFileSync(path.join(buildPath, file))
+		const entry = {
+			fileName: file,
+			size: content.length,
+			gzip: zlib.gzipSync(content).length,
+		}
+		if (file.endsWith(".js")) {
+			chunks.push(entry)
+		} else {
+			css.push(entry)
+		}
+	}
+
+	const sum = (list, key) => list.reduce((acc, item) => acc + item[key], 0)
+	const report = {
+		generatedAt: new Date().toISOString(),
+		totals: {
+			js: sum(chunks, "size"),
+			css: sum(css, "size"),
+			total: sum(chunks, "size") + sum(css, "size"),
+			gzip: sum(chunks, "gzip") + sum(css, "gzip"),
+		},
+		chunks,
+		css,
+		modules: [],
+		packages: [],
+	}
+
+	if (stats && Array.isArray(stats.chunks)) {
+		const byPackage = new Map()
+		for (const chunk of stats.chunks) {
+			for (const mod of chunk.modules || []) {
+				if (!mod.size) continue
+				const pkg = packageNameFromModuleId(mod.id)
+				report.modules.push({
+					id: mod.id,
+					chunk: chunk.fileName,
+					package: pkg,
+					size: mod.size,
+				})
+				const current = byPackage.get(pkg) || { name: pkg, size: 0, modules: 0 }
+				current.size += mod.size
+				current.modules += 1
+				byPackage.set(pkg, current)
+			}
+		}
+		report.modules.sort((a, b) => b.size - a.size)
+		report.packages = [...byPackage.values()].sort((a, b) => b.size - a.size)
+	}
+
+	return report
+}
+
+/**
+ * Compare two reports. Returns null when there is no previous report.
+ * @returns {{ totals: object, files: object[], packages: object[] } | null}
+ */
+function compareBundleReports(previous, current) {
+	if (!previous || !previous.totals) {
+		return null
+	}
+
+	const totals = {}
+	for (const key of Object.keys(current.totals)) {
+		totals[key] = {
+			previous: previous.totals[key] || 0,
+			current: current.totals[key],
+			delta: current.totals[key] - (previous.totals[key] || 0),
+		}
+	}
+
+	const diffLists = (prevList = [], currList = [], key) => {
+		const prevMap = new Map(prevList.map((item) => [item[key], item.size]))
+		const currMap = new Map(currList.map((item) => [item[key], item.size]))
+		const names = new Set([...prevMap.keys(), ...currMap.keys()])
+		const changes = []
+		for (const name of names) {
+			const before = prevMap.get(name) || 0
+			const after = currMap.get(name) || 0
+			if (before === after) continue
+			changes.push({
+				name,
+				previous: before,
+				current: after,
+				delta: after - before,
+				status: !prevMap.has(name)
+					? "added"
+					: !currMap.has(name)
+						? "removed"
+						: "changed",
+			})
+		}
+		return changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+	}
+
+	return {
+		totals,
+		files: diffLists(
+			[...(previous.chunks || []), ...(previous.css || [])],
+			[...current.chunks, ...current.css],
+			"fileName",
+		),
+		packages: diffLists(previous.packages, current.packages, "name"),
+	}
+}
+
+/**
+ * Read size budgets from the project (app-manifest.json "budgets", or
+ * package.json "gxdev.budgets"; see loadProjectBuildSetting).
+ * @param {string} projectPath
+ * @param {string|null} [variant] - Build variant whose manifest overlay applies
+ * @returns {{ total?: number, chunk?: number, css?: number }}
+ */
+function loadBudgets(projectPath, variant = null) {
+	const declared =
+		loadProjectBuildSetting(projectPath, "budgets", variant) || {}
+
+	const budgets = {}
+	for (const key of BUDGET_KEYS) {
+		if (declared[key] === undefined || declared[key] === null) continue
+		try {
+			budgets[key] = parseSize(declared[key])
+		} catch (error) {
+			throw new Error(`budgets.${key}: ${error.message}`)
+		}
+	}
+	return budgets
+}
+
+/**
+ * Check a report against budgets.
+ * @returns {Array<{ budget: string, target: string, size: number, limit: number }>}
+ */
+function checkBudgets(report, budgets) {
+	const violations = []
+	if (budgets.total !== undefined && report.totals.total > budgets.total) {
+		violations.push({
+			budget: "total",
+			target: "all JS + CSS",
+			size: report.totals.total,
+			limit: budgets.total,
+		})
+	}
+	if (budgets.css !== undefined && report.totals.css > budgets.css) {
+		violations.push({
+			budget: "css",
+			target: "all CSS",
+			size: report.totals.css,
+			limit: budgets.css,
+		})
+	}
+	if (budgets.chunk !== undefined) {
+		for (const chunk of report.chunks) {
+			if (chunk.size > budgets.chunk) {
+				violations.push({
+					budget: "chunk",
+					target: chunk.fileName,
+					size: chunk.size,
+					limit: budgets.chunk,
+				})
+			}
+		}
+	}
+	return violations
+}
+
+function formatDelta(delta) {
+	if (delta === 0) return "±0"
+	return `${delta > 0 ? "+" : "-"}${formatBytes(Math.abs(delta))}`
+}
+
+/**
+ * Render the --analyze report as terminal lines.
+ * @param {object} report
+ * @param {object|null} comparison - Output of compareBundleReports
+ * @param {{ top?: number }} options
+ * @returns {string}
+ */
+function formatBundleReport(report, comparison, { top = 10 } = {}) {
+	const lines = []
+	const pad = (str, width) => String(str).padEnd(width)
+
+	lines.push("\n📊 Bundle analysis")
+	lines.push(
+		`   Total: ${formatBytes(report.totals.total)} (${formatBytes(
+			report.totals.gzip,
+		)} gzip) — JS ${formatBytes(report.totals.js)}, CSS ${formatBytes(
+			report.totals.css,
+		)}`,
+	)
+	if (comparison) {
+		lines.push(
+			`   vs previous build: ${formatDelta(comparison.totals.total.delta)}`,
+		)
+	}
+
+	lines.push("\n   Files:")
+	for (const file of [...report.chunks, ...report.css]) {
+		lines.push(
+			`   ${pad(file.fileName, 32)} ${pad(formatBytes(file.size), 12)} ${formatBytes(file.gzip)} gzip`,
+		)
+	}
+
+	if (report.packages.length > 0) {
+		lines.push(`\n   Top packages (of ${report.packages.length}):`)
+		for (const pkg of report.packages.slice(0, top)) {
+			lines.push(
+				`   ${pad(pkg.name, 32)} ${pad(formatBytes(pkg.size), 12)} ${pkg.modules} module(s)`,
+			)
+		}
+	}
+
+	if (report.modules.length > 0) {
+		lines.push(`\n   Top modules (of ${report.modules.length}):`)
+		for (const mod of report.modules.slice(0, top)) {
+			lines.push(`   ${pad(formatBytes(mod.size), 12)} ${mod.id}`)
+		}
+	}
+
+	if (comparison) {
+		const changes = [...comparison.files, ...comparison.packages]
+		if (changes.length > 0) {
+			lines.push("\n   Changes since previous build:")
+			for (const change of comparison.files) {
+				lines.push(
+					`   ${pad(change.name, 32)} ${pad(formatDelta(change.delta), 12)} ${change.status}`,
+				)
+			}
+			for (const change of comparison.packages.slice(0, top)) {
+				lines.push(
+					`   ${pad(`pkg ${change.name}`, 32)} ${pad(formatDelta(change.delta), 12)} ${change.status}`,
+				)
+			}
+		}
+	}
+
+	return lines.join("\n")
+}
+
+module.exports = {
+	BUDGET_KEYS,
+	parseSize,
+	formatBytes,
+	packageNameFromModuleId,
+	createBundleReport,
+	compareBundleReports,
+	loadBudgets,
+	checkBudgets,
+	formatBundleReport,
+}
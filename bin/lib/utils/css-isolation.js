@@ -0,0 +1,222 @@
+/**
+ * CSS Isolation
+ *
+ * Opt-in build step that keeps plugin CSS from restyling the platform UI it
+ * shares a document with. Every stylesheet that goes into the package (the
+ * Vite build CSS, including Tailwind or library output the plugin imports,
+ * and default-styling.css) is rewritten by one of two strategies:
+ *
+ *   scope  every selector is prefixed with the plugin root,
+ *          [data-gxp-plugin="<id>"]; `html`, `body` and `:root` rules style
+ *          the root itself. The runtime vite config wraps the plugin in an
+ *          element carrying the attribute.
+ *   layer  the whole sheet goes into `@layer gxp-plugin-<id>`, so any
+ *          unlayered platform rule beats it. Selectors still match
+ *          everywhere.
+ *
+ * Configured with `cssIsolation` in app-manifest.json (or package.json
+ * "gxdev"):
+ *
+ *   "cssIsolation": { "strategy": "scope", "id": "my-plugin" }
+ *
+ * `id` defaults to a slug of the manifest name. The rewrite is idempotent,
+ * so watch rebuilds can run it over files that were already isolated.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const postcss = require("postcss")
+const { loadProjectBuildSetting } = require("./paths")
+const { loadProjectManifest } = require("./variants")
+const { listCodeFiles } = require("./gxp-package")
+
+const STRATEGIES = ["scope", "layer", "off"]
+
+const ROOT_ATTRIBUTE = "data-gxp-plugin"
+
+// Document-level compounds ("body", "html.dark", ":root") at the start of a
+// selector, with the combinator or whitespace that follows
+const HOST_COMPOUND =
+	/^(html|body|:root|:host)((?:[.#[:][^\s>+~]*)?)(?:\s*[>+~]\s*|\s+|$)/
+
+/**
+ * Slug used in the root attribute and layer name.
+ * @param {string} name
+ * @returns {string}
+ */
+function toIsolationId(name) {
+	const slug = String(name || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "")
+	return slug || "plugin"
+}
+
+/**
+ * Resolve CSS isolation for a build or dev session. Always returns the
+ * plugin's root id so the dev host can mark the plugin root even when
+ * isolation is off.
+ * @param {string} projectPath
+ * @param {string|null} [variant]
+ * @returns {{ strategy: "scope"|"layer"|"off", id: string, root: string,
+ *   layer: string }}
+ */
+function loadCssIsolationOptions(projectPath, variant = null) {
+	const declared = loadProjectBuildSetting(projectPath, "cssIsolation", variant)
+	const strategy = declared ? declared.strategy || "scope" : "off"
+	if (!STRATEGIES.includes(strategy)) {
+		throw new Error(
+			`cssIsolation.strategy must be one of ${STRATEGIES.join(", ")} (got "${strategy}")`,
+		)
+	}
+	let id = declared ? declared.id : undefined
+	if (
+		id !== undefined &&
+		(typeof id !== "string" || toIsolationId(id) !== id)
+	) {
+		throw new Error(
+			`cssIsolation.id must be lowercase letters, digits and dashes (got ${JSON.stringify(id)})`,
+		)
+	}
+	if (!id) {
+		let manifest = null
+		try {
+			manifest = loadProjectManifest(projectPath, variant)
+		} catch {
+			// An unreadable manifest is reported by the build itself
+		}
+		id = toIsolationId(manifest && manifest.name)
+	}
+	return {
+		strategy,
+		id,
+		root: `[${ROOT_ATTRIBUTE}="${id}"]`,
+		layer: `gxp-plugin-${id}`,
+	}
+}
+
+/**
+ * Prefix one selector with the plugin root.
+ * @param {string} selector
+ * @param {string} root - e.g. [data-gxp-plugin="demo"]
+ * @returns {string}
+ */
+function scopeSelector(selector, root) {
+	let rest = selector.trim()
+	if (rest.startsWith(root)) {
+		return rest
+	}
+	const host = []
+	let qualified = false
+	let match
+	while (rest && (match = HOST_COMPOUND.exec(rest))) {
+		host.push(match[1] + match[2])
+		qualified = qualified || Boolean(match[2])
+		rest = rest.slice(match[0].length)
+	}
+	if (!rest) {
+		// `body { ... }` styles the plugin root; `body.dark { ... }` styles it
+		// while the document matches
+		return qualified ? `${host.join(" ")} ${root}` : root
+	}
+	return [...host, root, rest].join(" ")
+}
+
+function isInsideKeyframes(node) {
+	for (let parent = node.parent; parent; parent = parent.parent) {
+		if (parent.type === "atrule" && /keyframes$/i.test(parent.name)) {
+			return true
+		}
+	}
+	return false
+}
+
+function isNestedRule(rule) {
+	for (let parent = rule.parent; parent; parent = parent.parent) {
+		if (parent.type === "rule") {
+			return true
+		}
+	}
+	return false
+}
+
+/**
+ * Isolate one stylesheet.
+ * @param {string} css
+ * @param {{ strategy: string, root: string, layer: string }} options - From
+ *   loadCssIsolationOptions
+ * @param {string} [from] - File name for syntax errors
+ * @returns {string}
+ */
+function isolateCss(css, options, from) {
+	if (options.strategy === "off") {
+		return css
+	}
+	const ast = postcss.parse(css, { from })
+
+	if (options.strategy === "layer") {
+		// @charset and @import must stay ahead of every other rule
+		const isLeading = (node) =>
+			node.type === "comment" ||
+			(node.type === "atrule" && ["charset", "import"].includes(node.name))
+		const body = ast.nodes.filter((node) => !isLeading(node))
+		const alreadyLayered =
+			body.length === 1 &&
+			body[0].type === "atrule" &&
+			body[0].name === "layer" &&
+			body[0].params === options.layer
+		if (alreadyLayered || body.length === 0) {
+			return css
+		}
+		const layer = postcss.atRule({ name: "layer", params: options.layer })
+		layer.append(body)
+		ast.append(layer)
+		return ast.toString()
+	}
+
+	ast.walkRules((rule) => {
+		if (isInsideKeyframes(rule) || isNestedRule(rule)) {
+			return
+		}
+		// `:root, :host` both become the root, so drop duplicates
+		rule.selectors = [
+			...new Set(
+				rule.selectors.map((selector) => scopeSelector(selector, options.root)),
+			),
+		]
+	})
+	return ast.toString()
+}
+
+/**
+ * Isolate every stylesheet in dist/build/ in place.
+ * @param {string} buildPath
+ * @param {object} options - From loadCssIsolationOptions
+ * @returns {string[]} rewritten files, as package paths
+ */
+function isolateBuildCss(buildPath, options) {
+	if (options.strategy === "off") {
+		return []
+	}
+	const rewritten = []
+	for (const file of listCodeFiles(buildPath)) {
+		if (!file.endsWith(".css")) continue
+		const filePath = path.join(buildPath, file)
+		const css = fs.readFileSync(filePath, "utf-8")
+		const isolated = isolateCss(css, options, file)
+		if (isolated !== css) {
+			fs.writeFileSync(filePath, isolated)
+			rewritten.push(file)
+		}
+	}
+	return rewritten
+}
+
+module.exports = {
+	CSS_ISOLATION_ROOT_ATTRIBUTE: ROOT_ATTRIBUTE,
+	toIsolationId,
+	loadCssIsolationOptions,
+	scopeSelector,
+	isolateCss,
+	isolateBuildCss,
+}
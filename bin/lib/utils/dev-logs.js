@@ -0,0 +1,419 @@
+/**
+ * Dev Session Logs
+ *
+ * Every `gxdev dev` session appends its log records to NDJSON files under
+ * .gxdev/logs/, one record per line in the same shape `gxdev dev --json`
+ * prints: { timestamp, service, level, message }.
+ *
+ *   .gxdev/logs/dev-<session>.ndjson     first part of a session
+ *   .gxdev/logs/dev-<session>.1.ndjson   next part, once the first is full
+ *   .gxdev/logs/current.json             the running session (pid, file)
+ *
+ * A session rolls over to a new part every MAX_LOG_FILE_BYTES and keeps its
+ * newest MAX_LOG_PARTS parts; only the newest MAX_LOG_SESSIONS sessions are
+ * kept. Sessions started in the same second get a "-2", "-3", ... suffix.
+ * `gxdev logs` reads them back.
+ */
+
+const path = require("path")
+const fs = require("fs")
+
+const LOGS_DIR = path.join(".gxdev", "logs")
+const CURRENT_SESSION_FILE = "current.json"
+const MAX_LOG_FILE_BYTES = 5 * 1024 * 1024
+const MAX_LOG_PARTS = 5
+const MAX_LOG_SESSIONS = 10
+const DEV_LOG_LEVELS = ["info", "warn", "error"]
+
+const SESSION_FILE_REGEX = /^dev-(.+?)(?:\.(\d+))?\.ndjson$/
+
+function getLogsDir(projectPath) {
+	return path.join(projectPath, LOGS_DIR)
+}
+
+/**
+ * Session id for a start time: sortable and safe in file names.
+ * @param {Date} date
+ */
+function createSessionId(date) {
+	return date
+		.toISOString()
+		.replace(/:/g, "-")
+		.replace(/\.\d+Z$/, "Z")
+}
+
+/**
+ * The logged sessions, oldest first, with their files in order.
+ * @param {string} projectPath
+ * @returns {Array<{ id: string, files: string[], size: number }>}
+ */
+function listLogSessions(projectPath) {
+	const dir = getLogsDir(projectPath)
+	if (!fs.existsSync(dir)) {
+		return []
+	}
+	const sessions = new Map()
+	for (const name of fs.readdirSync(dir)) {
+		const match = SESSION_FILE_REGEX.exec(name)
+		if (!match) continue
+		const [, id, part] = match
+		if (!sessions.has(id)) {
+			sessions.set(id, { id, parts: [], size: 0 })
+		}
+		const session = sessions.get(id)
+		session.parts.push({ part: Number(part || 0), name })
+		session.size += fs.statSync(path.join(dir, name)).size
+	}
+	return [...sessions.values()]
+		.sort((a, b) => a.id.localeCompare(b.id))
+		.map(({ id, parts, size }) => ({
+			id,
+			files: parts
+				.sort((a, b) => a.part - b.part)
+				.map(({ name }) => path.join(dir, name)),
+			size,
+		}))
+}
+
+/**
+ * The session a running `gxdev dev` is writing, or null when none is (or
+ * its process is gone).
+ * @param {string} projectPath
+ * @returns {{ session: string, pid: number, file: string }|null}
+ */
+function readCurrentSession(projectPath) {
+	try {
+		const current = JSON.parse(
+			fs.readFileSync(
+				path.join(getLogsDir(projectPath), CURRENT_SESSION_FILE),
+				"utf-8",
+			),
+		)
+		process.kill(current.pid, 0)
+		return current
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Create the first part of a new session, adding a suffix to the id when
+ * another session already claimed it. The file is created exclusively, so
+ * two processes starting in the same second can't share it.
+ * @returns {string} The session id
+ */
+function claimSessionId(dir, baseId) {
+	for (let attempt = 1; ; attempt++) {
+		const id = attempt === 1 ? baseId : `${baseId}-${attempt}`
+		try {
+			fs.closeSync(fs.openSync(path.join(dir, `dev-${id}.ndjson`), "wx"))
+			return id
+		} catch (error) {
+			if (error.code !== "EEXIST") throw error
+		}
+	}
+}
+
+/**
+ * Start logging a dev session. Old sessions beyond maxSessions are deleted,
+ * and so are a session's parts beyond maxParts as it rolls over.
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.maxFileBytes]
+ * @param {number} [options.maxParts]
+ * @param {number} [options.maxSessions]
+ * @returns {{ id: string, file: () => string, write: (record: object) => void,
+ *   close: () => void }}
+ */
+function openSessionLog(
+	projectPath,
+	{
+		now = new Date(),
+		maxFileBytes = MAX_LOG_FILE_BYTES,
+		maxParts = MAX_LOG_PARTS,
+		maxSessions = MAX_LOG_SESSIONS,
+	} = {},
+) {
+	const dir = getLogsDir(projectPath)
+	fs.mkdirSync(dir, { recursive: true })
+
+	const old = listLogSessions(projectPath)
+	for (const session of old.slice(
+		0,
+		Math.max(0, old.length - maxSessions + 1),
+	)) {
+		for (const file of session.files) {
+			fs.rmSync(file, { force: true })
+		}
+	}
+
+	const id = claimSessionId(dir, createSessionId(now))
+	const partFile = (n) =>
+		path.join(dir, n === 0 ? `dev-${id}.ndjson` : `dev-${id}.${n}.ndjson`)
+	const currentPath = path.join(dir, CURRENT_SESSION_FILE)
+	let part = 0
+	let file = partFile(0)
+	let size = 0
+	let closed = false
+
+	const markCurrent = () =>
+		fs.writeFileSync(
+			currentPath,
+			JSON.stringify({ session: id, pid: process.pid, file }, null, 2),
+		)
+	markCurrent()
+
+	return {
+		id,
+		file: () => file,
+		write(record) {
+			if (closed) return
+			const line = JSON.stringify(record) + "\n"
+			const bytes = Buffer.byteLength(line)
+			if (size > 0 && size + bytes > maxFileBytes) {
+				part++
+				file = partFile(part)
+				size = 0
+				markCurrent()
+				if (part >= maxParts) {
+					fs.rmSync(partFile(part - maxParts), { force: true })
+				}
+			}
+			try {
+				fs.appendFileSync(file, line)
+				size += bytes
+			} catch {
+				// Logging to disk is best effort; the terminal still has it
+			}
+		},
+		close() {
+			if (closed) return
+			closed = true
+			try {
+				const current = JSON.parse(fs.readFileSync(currentPath, "utf-8"))
+				if (current.session === id) {
+					fs.rmSync(currentPath, { force: true })
+				}
+			} catch {
+				// Already gone
+			}
+		},
+	}
+}
+
+/**
+ * Parse a --since/--until value: an ISO date/time or a duration back from
+ * now ("30s", "15m", "2h", "1d").
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function parseLogTime(value, now = new Date()) {
+	const duration = /^(\d+)\s*(s|m|h|d)$/.exec(String(value).trim())
+	if (duration) {
+		const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 }[duration[2]]
+		return new Date(now.getTime() - Number(duration[1]) * unit)
+	}
+	const date = new Date(value)
+	if (Number.isNaN(date.getTime())) {
+		throw new Error(
+			`Invalid time "${value}": use an ISO date/time (2026-03-05T14:00) or a duration (30s, 15m, 2h, 1d)`,
+		)
+	}
+	return date
+}
+
+/**
+ * Build a predicate for log records.
+ * @param {object} [filters]
+ * @param {string[]} [filters.services] - Service names, any case
+ * @param {string} [filters.level] - Minimum level (info < warn < error)
+ * @param {Date} [filters.since]
+ * @param {Date} [filters.until]
+ * @param {string} [filters.text] - Case-insensitive substring of the message
+ * @returns {(record: object) => boolean}
+ */
+function createLogFilter({ services, level, since, until, text } = {}) {
+	if (level && !DEV_LOG_LEVELS.includes(level)) {
+		throw new Error(
+			`Invalid level "${level}": use ${DEV_LOG_LEVELS.join(", ")}`,
+		)
+	}
+	const wanted =
+		services && services.length > 0
+			? new Set(services.map((name) => name.toUpperCase()))
+			: null
+	const minLevel = level ? DEV_LOG_LEVELS.indexOf(level) : 0
+	const needle = text ? text.toLowerCase() : null
+	return (record) => {
+		if (wanted && !wanted.has(String(record.service).toUpperCase())) {
+			return false
+		}
+		if (DEV_LOG_LEVELS.indexOf(record.level) < minLevel) {
+			return false
+		}
+		const time = new Date(record.timestamp)
+		if (since && time < since) return false
+		if (until && time > until) return false
+		if (needle && !String(record.message).toLowerCase().includes(needle)) {
+			return false
+		}
+		return true
+	}
+}
+
+/**
+ * Parse NDJSON text into records, skipping lines that aren't JSON (e.g. a
+ * line cut short when the process was killed).
+ * @param {string} text
+ * @returns {object[]}
+ */
+function parseLogLines(text) {
+	const records = []
+	for (const line of text.split("\n")) {
+		if (!line.trim()) continue
+		try {
+			records.push(JSON.parse(line))
+		} catch {
+			// Partial line
+		}
+	}
+	return records
+}
+
+/**
+ * Read the records of one or more sessions that match a filter.
+ * @param {Array<{ files: string[] }>} sessions
+ * @param {(record: object) => boolean} [filter]
+ * @returns {object[]}
+ */
+function readLogRecords(sessions, filter = () => true) {
+	const records = []
+	for (const session of sessions) {
+		for (const file of session.files) {
+			let text
+			try {
+				text = fs.readFileSync(file, "utf-8")
+			} catch {
+				continue
+			}
+			for (const record of parseLogLines(text)) {
+				if (filter(record)) {
+					records.push(record)
+				}
+			}
+		}
+	}
+	return records
+}
+
+/**
+ * Tail a running session: call onRecord for every record appended from now
+ * on, following it into new parts, until the session ends or stop() is
+ * called.
+ * @param {string} projectPath
+ * @param {(record: object) => void} onRecord
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - Poll interval
+ * @param {boolean} [options.fromStart] - Replay the current part first
+ * @returns {{ stop: () => void, done: Promise<void> }} done resolves when
+ *   the session ends or stop() is called
+ */
+function followSessionLog(
+	projectPath,
+	onRecord,
+	{ intervalMs = 500, fromStart = false } = {},
+) {
+	let current = readCurrentSession(projectPath)
+	let file = current && current.file
+	let offset = 0
+	if (file && !fromStart) {
+		try {
+			offset = fs.statSync(file).size
+		} catch {
+			offset = 0
+		}
+	}
+	let pending = ""
+	let timer = null
+	let finish
+
+	const done = new Promise((resolve) => {
+		finish = resolve
+	})
+
+	function readNew() {
+		if (!file) return
+		let size
+		try {
+			size = fs.statSync(file).size
+		} catch {
+			return
+		}
+		if (size <= offset) return
+		const fd = fs.openSync(file, "r")
+		try {
+			const buffer = Buffer.alloc(size - offset)
+			fs.readSync(fd, buffer, 0, buffer.length, offset)
+			offset = size
+			pending += buffer.toString("utf-8")
+		} finally {
+			fs.closeSync(fd)
+		}
+		const end = pending.lastIndexOf("\n")
+		if (end === -1) return
+		const complete = pending.slice(0, end)
+		pending = pending.slice(end + 1)
+		for (const record of parseLogLines(complete)) {
+			onRecord(record)
+		}
+	}
+
+	function stop() {
+		if (timer) {
+			clearInterval(timer)
+			timer = null
+		}
+		finish()
+	}
+
+	timer = setInterval(() => {
+		readNew()
+		const latest = readCurrentSession(projectPath)
+		if (!latest || !current || latest.session !== current.session) {
+			stop()
+			return
+		}
+		if (latest.file !== file) {
+			// Rolled over to a new part
+			file = latest.file
+			offset = 0
+			pending = ""
+			readNew()
+		}
+		current = latest
+	}, intervalMs)
+
+	if (!current) {
+		stop()
+	}
+	return { stop, done }
+}
+
+module.exports = {
+	LOGS_DIR,
+	DEV_LOG_LEVELS,
+	MAX_LOG_FILE_BYTES,
+	MAX_LOG_PARTS,
+	MAX_LOG_SESSIONS,
+	createSessionId,
+	listLogSessions,
+	readCurrentSession,
+	openSessionLog,
+	parseLogTime,
+	createLogFilter,
+	parseLogLines,
+	readLogRecords,
+	followSessionLog,
+}
@@ -0,0 +1,440 @@
+/**
+ * Environment Diagnostics
+ *
+ * The checks behind `gxdev doctor`. Each check returns a plain result object
+ * so the report can be printed or serialized to JSON as-is:
+ *
+ *   { id, title, status: "pass"|"warn"|"fail", message, fix?, fixable? }
+ *
+ * `fixable` results can be repaired by applyDoctorFix(); only fixes that stay
+ * inside the project (certificates, MCP config) are offered.
+ */
+
+const path = require("path")
+const fs = require("fs")
+const crypto = require("crypto")
+const { PACKAGE_NAME, DEFAULT_PORTS } = require("../constants")
+const { compareVersions } = require("./version-check")
+const {
+	isMkcertInstalled,
+	findExistingCertificates,
+	cleanupOldCertificates,
+	generateSSLCertificates,
+	updateEnvWithCertPaths,
+} = require("./ssl")
+const { loadProjectConfig, resolveProjectOptions } = require("./project-config")
+const { isPortFree, findPortOwner, describePortOwner } = require("./ports")
+
+// Vite 8 (the dev server and build) requires ^20.19.0 || >=22.12.0
+const NODE_REQUIREMENT = "^20.19.0 || >=22.12.0"
+const SUPPORTED_NODE_RANGES = [
+	{ min: "20.19.0", below: "21.0.0" },
+	{ min: "22.12.0", below: null },
+]
+
+const CERT_RENEW_DAYS = 14
+const DEPRECATED_MCP_COMMAND = "gxp-api-server"
+const MCP_COMMAND = "mcp-serve"
+const MCP_CONFIG_FILES = [".mcp.json", "mcp.json", ".gemini/settings.json"]
+
+// The toolkit install this CLI is running from
+const RUNNING_TOOLKIT_ROOT = path.join(__dirname, "..", "..", "..")
+
+function readPackageVersion(packageRoot) {
+	try {
+		return JSON.parse(
+			fs.readFileSync(path.join(packageRoot, "package.json"), "utf-8"),
+		).version
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Whether a Node version satisfies NODE_REQUIREMENT.
+ * @param {string} version - e.g. "20.19.1" or "v22.12.0"
+ * @returns {boolean}
+ */
+function isSupportedNodeVersion(version) {
+	const clean = String(version).replace(/^v/, "")
+	return SUPPORTED_NODE_RANGES.some(
+		({ min, below }) =>
+			compareVersions(clean, min) >= 0 &&
+			(below === null || compareVersions(clean, below) < 0),
+	)
+}
+
+function checkNodeVersion(version = process.versions.node) {
+	const result = { id: "node", title: "Node.js version" }
+	if (isSupportedNodeVersion(version)) {
+		return { ...result, status: "pass", message: `Node ${version}` }
+	}
+	return {
+		...result,
+		status: "fail",
+		message: `Node ${version} is not supported (the dev server and build need ${NODE_REQUIREMENT})`,
+		fix: "Install Node 22 LTS (e.g. `nvm install 22 && nvm use 22`)",
+	}
+}
+
+function checkMkcert(installed = isMkcertInstalled()) {
+	const result = { id: "mkcert", title: "mkcert" }
+	if (installed) {
+		return { ...result, status: "pass", message: "mkcert is on PATH" }
+	}
+	return {
+		...result,
+		status: "warn",
+		message:
+			"mkcert is not installed globally: certificates are generated with npx and its local CA isn't installed, so browsers won't trust them",
+		fix: "Run `npm install -g mkcert`, then `gxdev setup-ssl`",
+	}
+}
+
+/**
+ * Check the localhost certificates in .certs/ (skipped when HTTPS is off).
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {boolean} [options.https] - Whether the dev server uses HTTPS
+ * @param {Date} [options.now]
+ */
+function checkCertificates(
+	projectPath,
+	{ https = true, now = new Date() } = {},
+) {
+	const result = { id: "certificates", title: "SSL certificates" }
+	if (!https) {
+		return { ...result, status: "pass", message: "HTTPS is disabled" }
+	}
+
+	const certs = findExistingCertificates(path.join(projectPath, ".certs"))
+	if (!certs) {
+		return {
+			...result,
+			status: "warn",
+			message:
+				"No certificates in .certs/: gxdev dev falls back to HTTP, which the platform iframe and the browser extensions block",
+			fix: "Run `gxdev setup-ssl`",
+			fixable: true,
+		}
+	}
+
+	let validTo
+	try {
+		const cert = new crypto.X509Certificate(fs.readFileSync(certs.certPath))
+		validTo = new Date(cert.validTo)
+	} catch (error) {
+		return {
+			...result,
+			status: "fail",
+			message: `${path.basename(certs.certPath)} can't be read: ${error.message}`,
+			fix: "Delete .certs/ and run `gxdev setup-ssl`",
+			fixable: true,
+		}
+	}
+
+	const name = path.basename(certs.certPath)
+	const date = validTo.toISOString().slice(0, 10)
+	const daysLeft = Math.floor((validTo - now) / (24 * 60 * 60 * 1000))
+	if (validTo <= now) {
+		return {
+			...result,
+			status: "fail",
+			message: `${name} expired on ${date}`,
+			fix: "Delete .certs/ and run `gxdev setup-ssl`",
+			fixable: true,
+		}
+	}
+	if (daysLeft < CERT_RENEW_DAYS) {
+		return {
+			...result,
+			status: "warn",
+			message: `${name} expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"} (${date})`,
+			fix: "Delete .certs/ and run `gxdev setup-ssl`",
+			fixable: true,
+		}
+	}
+	return { ...result, status: "pass", message: `${name}, valid until ${date}` }
+}
+
+/**
+ * @param {Array<{ port: number, label: string, env: string }>} ports
+ */
+async function checkPorts(ports) {
+	const result = { id: "ports", title: "Dev server ports" }
+	const busy = []
+	for (const entry of ports) {
+		if (!(await isPortFree(entry.port))) {
+			busy.push(entry)
+		}
+	}
+	const list = ports.map(({ port, label }) => `${port} (${label})`).join(", ")
+	if (busy.length === 0) {
+		return { ...result, status: "pass", message: `${list} available` }
+	}
+	return {
+		...result,
+		status: "warn",
+		message: `In use: ${busy
+			.map(
+				({ port, label }) =>
+					`${label} ${describePortOwner(port, findPortOwner(port))}`,
+			)
+			.join(", ")}; gxdev dev will move to the next free ports`,
+		fix: `Stop the process holding the port (often a previous gxdev dev), or set ${busy
+			.map(({ env }) => env)
+			.join(" / ")} in .env`,
+	}
+}
+
+/**
+ * Compare the toolkit this CLI runs from with the project's local copy, the
+ * one resolveGxPaths() serves the runtime from.
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {string} [options.runningRoot] - Toolkit the CLI runs from
+ * @param {boolean} [options.forceGlobal] - --use-global in effect
+ */
+function checkToolkitInstall(
+	projectPath,
+	{
+		runningRoot = RUNNING_TOOLKIT_ROOT,
+		forceGlobal = process.env.GXDEV_USE_GLOBAL === "true",
+	} = {},
+) {
+	const result = { id: "toolkit", title: "Toolkit install" }
+	const localRoot = path.join(projectPath, "node_modules", PACKAGE_NAME)
+	const runningVersion = readPackageVersion(runningRoot)
+	const localVersion = fs.existsSync(localRoot)
+		? readPackageVersion(localRoot)
+		: null
+
+	if (!localVersion) {
+		let declared = false
+		try {
+			const pkg = JSON.parse(
+				fs.readFileSync(path.join(projectPath, "package.json"), "utf-8"),
+			)
+			declared = !!(
+				(pkg.dependencies && pkg.dependencies[PACKAGE_NAME]) ||
+				(pkg.devDependencies && pkg.devDependencies[PACKAGE_NAME])
+			)
+		} catch {
+			// No package.json: nothing to compare against
+		}
+		if (declared) {
+			return {
+				...result,
+				status: "warn",
+				message: `package.json lists ${PACKAGE_NAME} but it isn't installed; the global ${runningVersion} is used instead`,
+				fix: "Run `npm install`",
+			}
+		}
+		return {
+			...result,
+			status: "pass",
+			message: `Using ${runningVersion} from ${runningRoot}`,
+		}
+	}
+
+	if (path.resolve(runningRoot) === path.resolve(localRoot)) {
+		return {
+			...result,
+			status: "pass",
+			message: `Using the local ${localVersion}`,
+		}
+	}
+
+	const order = compareVersions(runningVersion, localVersion)
+	if (forceGlobal) {
+		if (order < 0) {
+			return {
+				...result,
+				status: "fail",
+				message: `--use-global runs the global ${runningVersion}, which is older than the project's ${localVersion}`,
+				fix: `Drop --use-global, or update the global install with \`npm install -g ${PACKAGE_NAME}@${localVersion}\``,
+			}
+		}
+		return {
+			...result,
+			status: "pass",
+			message: `Using the global ${runningVersion} (--use-global; the project has ${localVersion})`,
+		}
+	}
+	if (order !== 0) {
+		return {
+			...result,
+			status: "warn",
+			message: `The global gxdev ${runningVersion} serves the project's local runtime ${localVersion}`,
+			fix: `Run the project's copy with \`npx gxdev\`, or align the global install with \`npm install -g ${PACKAGE_NAME}@${localVersion}\``,
+		}
+	}
+	return {
+		...result,
+		status: "pass",
+		message: `Global and local installs are both ${localVersion}`,
+	}
+}
+
+/**
+ * MCP config files in the project that still launch the deprecated
+ * gxp-api-server bin.
+ * @param {string} projectPath
+ * @returns {Array<{ file: string, servers: string[] }>}
+ */
+function findDeprecatedMcpConfigs(projectPath) {
+	const found = []
+	for (const name of MCP_CONFIG_FILES) {
+		const filePath = path.join(projectPath, name)
+		if (!fs.existsSync(filePath)) continue
+		let config
+		try {
+			config = JSON.parse(fs.readFileSync(filePath, "utf-8"))
+		} catch {
+			continue
+		}
+		const servers = Object.entries((config && config.mcpServers) || {})
+			.filter(
+				([, server]) =>
+					server &&
+					typeof server.command === "string" &&
+					path.basename(server.command) === DEPRECATED_MCP_COMMAND,
+			)
+			.map(([key]) => key)
+		if (servers.length > 0) {
+			found.push({ file: name, servers })
+		}
+	}
+	return found
+}
+
+function checkMcpConfig(projectPath) {
+	const result = { id: "mcp", title: "MCP config" }
+	const deprecated = findDeprecatedMcpConfigs(projectPath)
+	if (deprecated.length === 0) {
+		return { ...result, status: "pass", message: "No deprecated MCP servers" }
+	}
+	return {
+		...result,
+		status: "warn",
+		message: `${deprecated.map(({ file }) => file).join(", ")} still ${
+			deprecated.length === 1 ? "runs" : "run"
+		} ${DEPRECATED_MCP_COMMAND}, which will be removed in the next major release`,
+		fix: `Replace "${DEPRECATED_MCP_COMMAND}" with "${MCP_COMMAND}" as the server command`,
+		fixable: true,
+	}
+}
+
+/**
+ * Run every check for a project.
+ * @param {string} projectPath
+ * @param {object} [options] - Overrides for the individual checks (tests)
+ * @returns {Promise<Array<object>>}
+ */
+async function runDoctorChecks(projectPath, options = {}) {
+	const results = [checkNodeVersion(options.nodeVersion)]
+
+	let settings = null
+	try {
+		const loaded = loadProjectConfig(projectPath)
+		settings = Object.fromEntries(
+			resolveProjectOptions(projectPath, {
+				mode: "development",
+				loaded,
+				env: options.env,
+			}).map(({ key, value }) => [key, value]),
+		)
+		results.push({
+			id: "config",
+			title: "Project configuration",
+			status: "pass",
+			message: loaded.file
+				? `${path.basename(loaded.file)} is valid`
+				: "No gxdev.config file (defaults apply)",
+		})
+	} catch (error) {
+		results.push({
+			id: "config",
+			title: "Project configuration",
+			status: "fail",
+			message: error.message,
+			fix: "Fix the file, then check it with `gxdev config print`",
+		})
+	}
+
+	const https = settings ? settings["dev.https"] !== false : true
+	results.push(checkMkcert(options.mkcertInstalled))
+	results.push(checkCertificates(projectPath, { https, now: options.now }))
+
+	const ports = [
+		{
+			port: Number(settings ? settings["dev.port"] : DEFAULT_PORTS.dev),
+			label: "dev server",
+			env: "NODE_PORT",
+		},
+	]
+	if (!settings || settings["dev.socket"] !== false) {
+		ports.push({
+			port: Number(
+				settings ? settings["dev.socketPort"] : DEFAULT_PORTS.socketIo,
+			),
+			label: "Socket.IO",
+			env: "SOCKET_IO_PORT",
+		})
+	}
+	results.push(await checkPorts(ports))
+
+	results.push(checkToolkitInstall(projectPath, options))
+	results.push(checkMcpConfig(projectPath))
+	return results
+}
+
+/**
+ * Apply the fix for a fixable result.
+ * @param {string} projectPath
+ * @param {object} result - From runDoctorChecks
+ * @returns {boolean} Whether the fix was applied
+ */
+function applyDoctorFix(projectPath, result) {
+	if (result.id === "certificates") {
+		const certsDir = path.join(projectPath, ".certs")
+		cleanupOldCertificates(certsDir)
+		const certs = generateSSLCertificates(projectPath)
+		if (certs) {
+			updateEnvWithCertPaths(projectPath, certs)
+		}
+		return !!certs
+	}
+	if (result.id === "mcp") {
+		for (const { file } of findDeprecatedMcpConfigs(projectPath)) {
+			const filePath = path.join(projectPath, file)
+			const config = JSON.parse(fs.readFileSync(filePath, "utf-8"))
+			for (const server of Object.values(config.mcpServers)) {
+				if (
+					server &&
+					typeof server.command === "string" &&
+					path.basename(server.command) === DEPRECATED_MCP_COMMAND
+				) {
+					server.command = MCP_COMMAND
+				}
+			}
+			fs.writeFileSync(filePath, JSON.stringify(config, null, "\t") + "\n")
+		}
+		return true
+	}
+	return false
+}
+
+module.exports = {
+	NODE_REQUIREMENT,
+	isSupportedNodeVersion,
+	checkNodeVersion,
+	checkMkcert,
+	checkCertificates,
+	checkPorts,
+	checkToolkitInstall,
+	checkMcpConfig,
+	findDeprecatedMcpConfigs,
+	runDoctorChecks,
+	applyDoctorFix,
+}
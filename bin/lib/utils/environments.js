@@ -0,0 +1,323 @@
+/**
+ * Environment Registry
+ *
+ * The one table of API environments used by the CLI, the Vite API proxy, the
+ * runtime store, the mock API spec loader and the MCP server. The built-in
+ * platform environments (bin/lib/constants.js ENVIRONMENT_URLS) are extended
+ * or overridden by, in order:
+ *
+ *   1. the project: package.json "gxdev": { "environments": { ... } }, then
+ *                   gxdev.config "api": { "environments": { ... } }
+ *   2. the user:    ~/.gxp-dev/environments.json
+ *
+ * so a team can commit an on-prem install to the project while each developer
+ * points an environment at their own stack without patching the toolkit:
+ *
+ *   {
+ *     "alice": { "extends": "develop", "apiBaseUrl": "https://api.alice.test" },
+ *     "acme-onprem": {
+ *       "apiBaseUrl": "https://api.acme.example",
+ *       "socketUrl": "wss://ws.acme.example"
+ *     }
+ *   }
+ *
+ * An entry naming an existing environment changes only the fields it sets.
+ * A new entry copies its `extends` environment, or else derives the docs and
+ * spec URLs from its apiBaseUrl the way the platform serves them.
+ *
+ * The active environment is API_ENV in the project's .env (`gxdev env use`).
+ */
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const dotenv = require("dotenv")
+const { ENVIRONMENT_URLS } = require("../constants")
+const { loadProjectConfig } = require("./project-config")
+
+const USER_ENVIRONMENTS_FILE = path.join(
+	os.homedir(),
+	".gxp-dev",
+	"environments.json",
+)
+
+const ENVIRONMENT_FIELDS = [
+	"apiBaseUrl",
+	"documentation",
+	"openApiSpec",
+	"asyncApiSpec",
+	"webhookSpec",
+	"socketUrl",
+]
+
+// Local mock modes aren't registry entries; they borrow the docs and specs
+// of the environment they imitate
+const MOCK_ENVIRONMENTS = {
+	mock: "production",
+	"dev-mock": "develop",
+}
+
+const DEFAULT_ENVIRONMENT = "mock"
+
+/**
+ * Docs and spec URLs for an API base, as the platform serves them.
+ * @param {string} apiBaseUrl
+ * @returns {object}
+ */
+function deriveEnvironmentUrls(apiBaseUrl) {
+	const base = apiBaseUrl.replace(/\/+$/, "")
+	return {
+		documentation: `${base}/docs/`,
+		openApiSpec: `${base}/api-specs/openapi.json`,
+		asyncApiSpec: `${base}/api-specs/asyncapi.json`,
+		webhookSpec: `${base}/api-specs/webhooks.json`,
+	}
+}
+
+function readJsonFile(file) {
+	if (!fs.existsSync(file)) {
+		return null
+	}
+	try {
+		return JSON.parse(fs.readFileSync(file, "utf-8"))
+	} catch (error) {
+		throw new Error(`Could not parse ${file}: ${error.message}`)
+	}
+}
+
+/**
+ * Apply one layer of environment config on top of the registry.
+ * @param {object} registry - Mutated
+ * @param {object} layer - name → entry
+ * @param {string} source - "project" or "user"
+ * @param {string} origin - Where the layer came from, for errors
+ */
+function applyEnvironmentLayer(registry, layer, source, origin) {
+	if (!layer || typeof layer !== "object" || Array.isArray(layer)) {
+		throw new Error(`${origin}: environments must be an object`)
+	}
+	for (const [name, entry] of Object.entries(layer)) {
+		const where = `${origin}: environments.${name}`
+		if (MOCK_ENVIRONMENTS[name]) {
+			throw new Error(`${where}: "${name}" is reserved for the local mock API`)
+		}
+		if (!/^[A-Za-z0-9][\w-]*$/.test(name)) {
+			throw new Error(
+				`${where}: names may only use letters, digits, "-" and "_"`,
+			)
+		}
+		if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+			throw new Error(`${where} must be an object`)
+		}
+		for (const [field, value] of Object.entries(entry)) {
+			if (field === "extends") {
+				continue
+			}
+			if (!ENVIRONMENT_FIELDS.includes(field)) {
+				throw new Error(
+					`${where}.${field} is not an environment field (${ENVIRONMENT_FIELDS.join(", ")})`,
+				)
+			}
+			if (typeof value !== "string" || !/^(https?|wss?):\/\/\S+$/.test(value)) {
+				throw new Error(`${where}.${field} must be an http(s) or ws(s) URL`)
+			}
+		}
+
+		let base = registry[name]
+		if (entry.extends !== undefined) {
+			base = registry[entry.extends]
+			if (!base) {
+				throw new Error(
+					`${where}.extends: unknown environment "${entry.extends}"`,
+				)
+			}
+		} else if (!base) {
+			if (!entry.apiBaseUrl) {
+				throw new Error(
+					`${where} needs an apiBaseUrl (or "extends" an existing environment)`,
+				)
+			}
+			base = deriveEnvironmentUrls(entry.apiBaseUrl)
+		}
+		const fields = { ...entry }
+		delete fields.extends
+		registry[name] = { ...base, ...fields, source }
+	}
+}
+
+/**
+ * Every known environment, built-ins first.
+ * @param {string|null} [projectPath] - null skips the project layer
+ * @param {object} [options]
+ * @param {string|null} [options.userFile] - Defaults to
+ *   ~/.gxp-dev/environments.json; null skips the user layer
+ * @returns {Object<string, { apiBaseUrl: string, documentation?: string,
+ *   openApiSpec?: string, asyncApiSpec?: string, webhookSpec?: string,
+ *   socketUrl?: string, source: "built-in"|"project"|"user" }>}
+ */
+function loadEnvironments(
+	projectPath = process.cwd(),
+	{ userFile = USER_ENVIRONMENTS_FILE } = {},
+) {
+	const registry = {}
+	for (const [name, urls] of Object.entries(ENVIRONMENT_URLS)) {
+		registry[name] = { ...urls, source: "built-in" }
+	}
+
+	const pkg = projectPath
+		? readJsonFile(path.join(projectPath, "package.json"))
+		: null
+	if (pkg && pkg.gxdev && pkg.gxdev.environments !== undefined) {
+		applyEnvironmentLayer(
+			registry,
+			pkg.gxdev.environments,
+			"project",
+			"package.json gxdev",
+		)
+	}
+
+	const projectConfig = projectPath ? loadProjectConfig(projectPath) : null
+	if (projectConfig && projectConfig.config.api) {
+		const layer = projectConfig.config.api.environments
+		if (layer !== undefined) {
+			applyEnvironmentLayer(
+				registry,
+				layer,
+				"project",
+				`${path.basename(projectConfig.file)} api`,
+			)
+		}
+	}
+
+	const user = userFile ? readJsonFile(userFile) : null
+	if (user) {
+		applyEnvironmentLayer(registry, user, "user", userFile)
+	}
+	return registry
+}
+
+/**
+ * The environment a name resolves to, following a mock mode to the
+ * environment it imitates.
+ * @param {string} name
+ * @param {object} environments - From loadEnvironments
+ * @returns {object|null}
+ */
+function getEnvironment(name, environments) {
+	return environments[MOCK_ENVIRONMENTS[name] || name] || null
+}
+
+/**
+ * Every name API_ENV accepts.
+ * @param {object} environments - From loadEnvironments
+ * @returns {string[]}
+ */
+function listEnvironmentNames(environments) {
+	return [...Object.keys(MOCK_ENVIRONMENTS), ...Object.keys(environments)]
+}
+
+/**
+ * The project's active environment. As with Vite, API_ENV set in the shell
+ * wins over .env (VITE_API_ENV is read too, for older projects), which wins
+ * over gxdev.config api.env; without any of them it's "mock".
+ * @param {string} projectPath
+ * @returns {{ name: string, source: "shell"|".env"|"gxdev.config"|"default" }}
+ */
+function readActiveEnvironment(projectPath) {
+	if (process.env.API_ENV) {
+		return { name: process.env.API_ENV, source: "shell" }
+	}
+	const envPath = path.join(projectPath, ".env")
+	if (fs.existsSync(envPath)) {
+		const parsed = dotenv.parse(fs.readFileSync(envPath, "utf-8"))
+		const name = parsed.API_ENV || parsed.VITE_API_ENV
+		if (name) {
+			return { name, source: ".env" }
+		}
+	}
+	const { config } = loadProjectConfig(projectPath)
+	if (config.api && config.api.env) {
+		return { name: config.api.env, source: "gxdev.config" }
+	}
+	return { name: DEFAULT_ENVIRONMENT, source: "default" }
+}
+
+/**
+ * Set API_ENV in the project's .env, creating the file if needed.
+ * @param {string} projectPath
+ * @param {string} name
+ * @returns {string} Path of the .env file
+ */
+function writeActiveEnvironment(projectPath, name) {
+	const envPath = path.join(projectPath, ".env")
+	const existing = fs.existsSync(envPath)
+		? fs.readFileSync(envPath, "utf-8")
+		: ""
+	const line = `API_ENV=${name}`
+	const setting = /^[ \t]*(?:export[ \t]+)?API_ENV[ \t]*=.*$/m
+	let next
+	if (setting.test(existing)) {
+		next = existing.replace(setting, line)
+	} else if (existing && !existing.endsWith("\n")) {
+		next = `${existing}\n${line}\n`
+	} else {
+		next = `${existing}${line}\n`
+	}
+	fs.writeFileSync(envPath, next)
+	return envPath
+}
+
+/**
+ * What the dev server, preview host and built plugin need to know about the
+ * API environment named by `env.API_ENV`.
+ * @param {Record<string, string>} env - Loaded .env values
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {(message: string) => void} [options.warn]
+ * @param {string} [options.userFile] - See loadEnvironments
+ * @returns {{ name: string, mock: boolean, apiBaseUrl: string,
+ *   apiDocsBaseUrl: string, openApiSpec: string, socketUrl: string,
+ *   proxyTarget: string|null }}
+ */
+function resolveApiEnvironment(
+	env,
+	projectPath,
+	{ warn = console.warn, userFile } = {},
+) {
+	const environments = loadEnvironments(projectPath, { userFile })
+	const name = env.API_ENV || DEFAULT_ENVIRONMENT
+	const mock = !!MOCK_ENVIRONMENTS[name]
+	let config = getEnvironment(name, environments)
+	if (!config) {
+		warn(
+			`⚠️  Unknown API_ENV "${name}", falling back to production (see "gxdev env list")`,
+		)
+		config = environments.production
+	}
+	const apiBaseUrl = mock ? "" : env.API_BASE_URL || config.apiBaseUrl
+	return {
+		name,
+		mock,
+		apiBaseUrl,
+		apiDocsBaseUrl: config.apiBaseUrl,
+		// The spec the store builds callApi operations from
+		openApiSpec:
+			config.openApiSpec ||
+			deriveEnvironmentUrls(config.apiBaseUrl).openApiSpec,
+		socketUrl: env.SOCKET_URL || (mock ? "" : config.socketUrl || ""),
+		// An explicit API_BASE_URL is proxied even in mock mode
+		proxyTarget: env.API_BASE_URL || (mock ? null : apiBaseUrl),
+	}
+}
+
+module.exports = {
+	USER_ENVIRONMENTS_FILE,
+	ENVIRONMENT_FIELDS,
+	MOCK_ENVIRONMENTS,
+	loadEnvironments,
+	getEnvironment,
+	listEnvironmentNames,
+	readActiveEnvironment,
+	writeActiveEnvironment,
+	resolveApiEnvironment,
+}
@@ -0,0 +1,634 @@
+/**
+ * .gxpapp Package Utilities
+ *
+ * Reading and validating packaged plugins. A .gxpapp is a flat zip:
+ *
+ *   plugin.es.js          entry (default export = the plugin component)
+ *   *.js / *.css          other build output
+ *   chunks/**             code-split chunks loaded with import(), and
+ *                         other files Vite emits (workers, wasm, ...)
+ *   anything else         files copied from the project's public/, as
+ *                         selected by `packaging` (see build-output.js);
+ *                         verify warns about them unless told the
+ *                         project's selection
+ *   app-manifest.json     cleaned manifest (required)
+ *   configuration.json    optional
+ *   appInstructions.md    optional
+ *   default-styling.css   optional
+ *   assets/**             copied from the manifest's asset_dir
+ *   third-party-licenses.json
+ *                         optional inventory of bundled npm packages
+ *   integrity.json        SHA-256 of every other file + build provenance
+ *   signature.json        optional Ed25519 signature over integrity.json
+ *
+ * Packages are reproducible: entries are sorted and carry a fixed timestamp
+ * and mode, so the same build output always zips to the same bytes.
+ *
+ * Everything here works on the zip in memory — nothing is extracted to disk.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const AdmZip = require("adm-zip")
+const { lintSource } = require("../lint")
+const { colors } = require("../lint/formatter")
+const {
+	GXP_SIGNATURE_FILE: SIGNATURE_FILE,
+	verifyIntegritySignature,
+} = require("./signing")
+
+const ENTRY_FILE = "plugin.es.js"
+const MANIFEST_FILE = "app-manifest.json"
+const OPTIONAL_FILES = [
+	"configuration.json",
+	"appInstructions.md",
+	"default-styling.css",
+]
+const ASSETS_DIR = "assets/"
+// Keep in sync with CHUNKS_DIR in runtime/vite-chunk-base-plugin.js
+const CHUNKS_DIR = "chunks/"
+const INTEGRITY_FILE = "integrity.json"
+const LICENSES_FILE = "third-party-licenses.json"
+
+// DOS timestamps can't go below 1980; built from local date parts so the
+// encoded value doesn't depend on the machine's timezone
+const FIXED_ENTRY_TIME = new Date(1980, 0, 1, 0, 0, 0)
+const FIXED_ENTRY_MODE = 0o644
+
+/**
+ * Specifiers the platform provides at runtime. The build rewrites these to
+ * window globals, so a surviving `import ... from "vue"` means the externals
+ * transform did not run.
+ */
+const PLATFORM_EXTERNALS = ["vue", "pinia"]
+
+/**
+ * Whether a package path is build output: JS/CSS at the root or in chunks/.
+ */
+function isCodeFile(name) {
+	return (
+		/\.(js|css)$/.test(name) &&
+		(!name.includes("/") || name.startsWith(CHUNKS_DIR))
+	)
+}
+
+/**
+ * Whether a package path is written by the packager itself rather than
+ * taken from the Vite output.
+ */
+function isReservedPackagePath(name) {
+	return (
+		name === MANIFEST_FILE ||
+		name === INTEGRITY_FILE ||
+		name === SIGNATURE_FILE ||
+		name === LICENSES_FILE ||
+		OPTIONAL_FILES.includes(name) ||
+		name.startsWith(ASSETS_DIR)
+	)
+}
+
+/**
+ * Build output in a build directory (dist/ or dist/build/), as package paths.
+ * @param {string} dir
+ * @returns {string[]} sorted, e.g. ["chunks/Lazy-a1b2.js", "plugin.es.js"]
+ */
+function listCodeFiles(dir) {
+	const names = []
+	const walk = (current, prefix) => {
+		if (!fs.existsSync(current)) return
+		for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+			const name = `${prefix}${entry.name}`
+			if (entry.isDirectory()) {
+				if (`${name}/` === CHUNKS_DIR || prefix) {
+					walk(path.join(current, entry.name), `${name}/`)
+				}
+			} else if (entry.isFile() && isCodeFile(name)) {
+				names.push(name)
+			}
+		}
+	}
+	walk(dir, "")
+	return names.sort()
+}
+
+/**
+ * Load a .gxpapp into memory.
+ * @param {string|Buffer} source - Path to the package or its raw bytes
+ * @returns {Map<string, Buffer>} zip entry name → contents (files only)
+ */
+function readGxpPackage(source) {
+	const zip = new AdmZip(source)
+	const files = new Map()
+	for (const entry of zip.getEntries()) {
+		if (entry.isDirectory) continue
+		files.set(entry.entryName.replace(/\\/g, "/"), entry.getData())
+	}
+	return files
+}
+
+function sha256(buffer) {
+	return crypto.createHash("sha256").update(buffer).digest("hex")
+}
+
+/**
+ * Build the integrity.json contents for a set of package files. Contains no
+ * timestamps so it is as reproducible as the archive itself.
+ * @param {Map<string, Buffer>} files - zip entry name → contents
+ * @param {object} meta
+ * @param {{ name: string, version: string }|null} meta.toolkit
+ * @param {{ commit: string, dirty: boolean }|null} meta.git
+ * @returns {object}
+ */
+function createIntegrityManifest(files, { toolkit = null, git = null } = {}) {
+	const hashes = {}
+	for (const name of [...files.keys()].sort()) {
+		if (name === INTEGRITY_FILE || name === SIGNATURE_FILE) continue
+		hashes[name] = sha256(files.get(name))
+	}
+	return {
+		algorithm: "sha256",
+		toolkit,
+		git,
+		files: hashes,
+	}
+}
+
+/**
+ * Zip package files into a reproducible archive: entries sorted by name,
+ * with a fixed timestamp and file mode.
+ * @param {Map<string, Buffer>} files - zip entry name → contents
+ * @returns {Buffer}
+ */
+function createGxpArchive(files) {
+	const zip = new AdmZip()
+	for (const name of [...files.keys()].sort()) {
+		zip.addFile(name, files.get(name), "", FIXED_ENTRY_MODE)
+		zip.getEntry(name).header.time = FIXED_ENTRY_TIME
+	}
+	return zip.toBuffer()
+}
+
+/**
+ * Resolve a manifest asset value to the zip path it should be packaged at.
+ * Returns null for remote URLs / data URIs (nothing to check locally), and
+ * `{ outside: true }` for local paths that don't live under asset_dir and so
+ * never get copied into the package.
+ */
+function resolveAssetEntry(value, assetDir) {
+	if (typeof value !== "string" || value === "") return null
+	if (/^(https?:)?\/\//i.test(value) || value.startsWith("data:")) {
+		return null
+	}
+	const clean = (p) => p.replace(/^\.?\//, "").replace(/\/$/, "")
+	const dir = clean(assetDir || "/src/assets/")
+	const rel = clean(value.split(/[?#]/)[0])
+	if (rel.startsWith(`${dir}/`)) {
+		return { entry: ASSETS_DIR + rel.slice(dir.length + 1) }
+	}
+	if (rel.startsWith(ASSETS_DIR)) {
+		return { entry: rel }
+	}
+	return { outside: true }
+}
+
+function checkIntegrity(files, report, result) {
+	let integrity
+	try {
+		integrity = JSON.parse(files.get(INTEGRITY_FILE).toString("utf-8"))
+	} catch (error) {
+		report({
+			code: "integrity-invalid",
+			file: INTEGRITY_FILE,
+			message: `${INTEGRITY_FILE} is not valid JSON: ${error.message}`,
+		})
+		return
+	}
+	if (
+		!integrity ||
+		integrity.algorithm !== "sha256" ||
+		typeof integrity.files !== "object" ||
+		integrity.files === null
+	) {
+		report({
+			code: "integrity-invalid",
+			file: INTEGRITY_FILE,
+			message: `${INTEGRITY_FILE} must have algorithm "sha256" and a files map`,
+		})
+		return
+	}
+	result.integrity = {
+		toolkit: integrity.toolkit || null,
+		git: integrity.git || null,
+	}
+
+	for (const [name, expected] of Object.entries(integrity.files)) {
+		if (!files.has(name)) {
+			report({
+				code: "integrity-missing-file",
+				file: name,
+				message: `${name} is listed in ${INTEGRITY_FILE} but not in the package`,
+			})
+		} else if (sha256(files.get(name)) !== expected) {
+			report({
+				code: "integrity-mismatch",
+				file: name,
+				message: `${name} does not match its SHA-256 in ${INTEGRITY_FILE} — the package was modified after it was built`,
+			})
+		}
+	}
+	for (const name of files.keys()) {
+		if (
+			name !== INTEGRITY_FILE &&
+			name !== SIGNATURE_FILE &&
+			!(name in integrity.files)
+		) {
+			report({
+				code: "integrity-unlisted-file",
+				file: name,
+				message: `${name} is not listed in ${INTEGRITY_FILE} — it was added after the package was built`,
+			})
+		}
+	}
+}
+
+/**
+ * Static checks on the entry chunk: it must default-export the plugin
+ * component and must not import bare specifiers the platform can't resolve.
+ */
+function checkEntrySource(code) {
+	const problems = []
+	const hasDefaultExport =
+		/export\s+default\b/.test(code) ||
+		/export\s*\{[^}]*\bas\s+default\b[^}]*\}/.test(code)
+	if (!hasDefaultExport) {
+		problems.push({
+			level: "error",
+			code: "entry-no-default-export",
+			message: `${ENTRY_FILE} has no default export — the platform mounts the default export as the plugin component`,
+		})
+	}
+
+	const importRe =
+		/(?:^|[\s;}])(?:import|export)\s*(?:[\w*${}\s,]+?\s*from\s*)?["']([^"']+)["']/g
+	const seen = new Set()
+	let match
+	while ((match = importRe.exec(code)) !== null) {
+		const spec = match[1]
+		if (/^(\.{0,2}\/|https?:|data:)/.test(spec) || seen.has(spec)) continue
+		seen.add(spec)
+		problems.push({
+			level: "error",
+			code: PLATFORM_EXTERNALS.includes(spec)
+				? "entry-unmapped-external"
+				: "entry-bare-import",
+			message: PLATFORM_EXTERNALS.includes(spec)
+				? `${ENTRY_FILE} imports "${spec}" directly — it should reference the window global the platform provides`
+				: `${ENTRY_FILE} imports bare specifier "${spec}", which the platform cannot resolve`,
+		})
+	}
+	return problems
+}
+
+/**
+ * Every relative import in the build output — static, dynamic, or a lazy
+ * chunk going through the chunk base loader — must point at a file in the
+ * package. Chunks must not import bare specifiers either.
+ */
+function checkCodeImports(files, report) {
+	const importRe =
+		/(?:^|[\s;}])(?:import|export)\s*(?:[\w*${}\s,]+?\s*from\s*)?["']([^"']+)["']|\b(?:import|__gxpImport)\(\s*["']([^"']+)["']/g
+	const codeFiles = [...files.keys()]
+		.filter((file) => file.endsWith(".js") && isCodeFile(file))
+		.sort()
+	for (const name of codeFiles) {
+		const code = files.get(name).toString("utf-8")
+		const seen = new Set()
+		let match
+		while ((match = importRe.exec(code)) !== null) {
+			const spec = match[1] || match[2]
+			if (seen.has(spec) || /^(https?:|data:|blob:)/.test(spec)) continue
+			seen.add(spec)
+			if (/^\.{1,2}\//.test(spec)) {
+				const target = path.posix.join(path.posix.dirname(name), spec)
+				if (!files.has(target)) {
+					report({
+						code: "missing-chunk",
+						file: name,
+						message: `${name} imports "${spec}" but ${target} is not in the package`,
+					})
+				}
+			} else if (name !== ENTRY_FILE && !spec.startsWith("/")) {
+				// The entry's bare imports are reported by checkEntrySource
+				report({
+					code: "chunk-bare-import",
+					file: name,
+					message: PLATFORM_EXTERNALS.includes(spec)
+						? `${name} imports "${spec}" directly — it should reference the window global the platform provides`
+						: `${name} imports bare specifier "${spec}", which the platform cannot resolve`,
+				})
+			}
+		}
+	}
+}
+
+/**
+ * Read signature.json and, when a trusted key is given, check it. Without a
+ * key the signer is only reported, not trusted.
+ */
+function checkSignature(files, publicKey, report, result) {
+	if (!files.has(SIGNATURE_FILE)) {
+		if (publicKey) {
+			report({
+				code: "signature-missing",
+				file: SIGNATURE_FILE,
+				message: "Package is not signed (build it with --sign)",
+			})
+		}
+		return
+	}
+
+	let signature = null
+	try {
+		signature = JSON.parse(files.get(SIGNATURE_FILE).toString("utf-8"))
+	} catch {
+		// Reported below as signature-invalid when a key is given
+	}
+	result.signature = {
+		keyId: (signature && signature.keyId) || null,
+		checked: !!publicKey,
+		verified: false,
+	}
+	if (!publicKey) return
+
+	if (!files.has(INTEGRITY_FILE)) {
+		report({
+			code: "signature-invalid",
+			file: SIGNATURE_FILE,
+			message: `${INTEGRITY_FILE} is missing, so there is nothing the signature covers`,
+		})
+		return
+	}
+	const check = verifyIntegritySignature(
+		files.get(INTEGRITY_FILE),
+		signature,
+		publicKey,
+	)
+	if (check.valid) {
+		result.signature.verified = true
+	} else {
+		report({ code: check.code, file: SIGNATURE_FILE, message: check.message })
+	}
+}
+
+/**
+ * Validate a packaged plugin.
+ * @param {string|Buffer} source - Path to the .gxpapp or its raw bytes
+ * @param {object} [options]
+ * @param {crypto.KeyObject} [options.publicKey] - Trusted Ed25519 key; when
+ *   given, the package must carry a valid signature from it
+ * @param {(file: string) => boolean} [options.isPackagedOutput] - The
+ *   project's packaging selection (createPackagingFilter); files it takes
+ *   are not reported as stray
+ * @returns {{ file: string|null, ok: boolean, errors: object[], warnings: object[],
+ *   entries: string[], sha256: string|null, integrity: object|null,
+ *   signature: { keyId: string|null, checked: boolean, verified: boolean }|null }}
+ */
+function verifyGxpPackage(
+	source,
+	{ publicKey = null, isPackagedOutput = null } = {},
+) {
+	const result = {
+		file: typeof source === "string" ? path.resolve(source) : null,
+		ok: true,
+		errors: [],
+		warnings: [],
+		entries: [],
+		sha256: null,
+		integrity: null,
+		signature: null,
+	}
+	const report = (problem) => {
+		if (problem.level === "warn") {
+			result.warnings.push(problem)
+		} else {
+			result.errors.push(problem)
+		}
+	}
+
+	let files
+	try {
+		const bytes = typeof source === "string" ? fs.readFileSync(source) : source
+		result.sha256 = sha256(bytes)
+		files = readGxpPackage(bytes)
+	} catch (error) {
+		report({
+			code: "invalid-zip",
+			message: `Could not read package: ${error.message}`,
+		})
+		result.ok = false
+		return result
+	}
+	result.entries = [...files.keys()].sort()
+
+	// Manifest: present, valid JSON, passes the lint schema
+	let manifest = null
+	if (!files.has(MANIFEST_FILE)) {
+		report({
+			code: "missing-file",
+			file: MANIFEST_FILE,
+			message: `${MANIFEST_FILE} is missing`,
+		})
+	} else {
+		const manifestSource = files.get(MANIFEST_FILE).toString("utf-8")
+		for (const err of lintSource(manifestSource, MANIFEST_FILE).errors) {
+			report({ ...err, file: MANIFEST_FILE })
+		}
+		try {
+			manifest = JSON.parse(manifestSource)
+		} catch {
+			// Already reported by lintSource as json-parse-error
+		}
+	}
+
+	if (files.has("configuration.json")) {
+		const configSource = files.get("configuration.json").toString("utf-8")
+		for (const err of lintSource(configSource, "configuration.json").errors) {
+			report({ ...err, file: "configuration.json" })
+		}
+	}
+
+	// Entry chunk
+	if (!files.has(ENTRY_FILE)) {
+		report({
+			code: "missing-file",
+			file: ENTRY_FILE,
+			message: `${ENTRY_FILE} (plugin entry) is missing`,
+		})
+	} else {
+		for (const problem of checkEntrySource(
+			files.get(ENTRY_FILE).toString("utf-8"),
+		)) {
+			report({ ...problem, file: ENTRY_FILE })
+		}
+	}
+	checkCodeImports(files, report)
+
+	// Integrity manifest: every listed hash must match and every file must
+	// be listed. Packages built before integrity.json existed are accepted.
+	if (files.has(INTEGRITY_FILE)) {
+		checkIntegrity(files, report, result)
+	}
+	checkSignature(files, publicKey, report, result)
+
+	// Manifest asset references
+	if (manifest && manifest.assets && typeof manifest.assets === "object") {
+		for (const [key, value] of Object.entries(manifest.assets)) {
+			const resolved = resolveAssetEntry(value, manifest.asset_dir)
+			if (!resolved) continue
+			if (resolved.outside) {
+				report({
+					level: "warn",
+					code: "asset-outside-asset-dir",
+					file: MANIFEST_FILE,
+					message: `assets.${key} ("${value}") is not under asset_dir, so it is not packaged`,
+				})
+			} else if (!files.has(resolved.entry)) {
+				report({
+					code: "missing-asset",
+					file: MANIFEST_FILE,
+					message: `assets.${key} references "${value}" but ${resolved.entry} is not in the package`,
+				})
+			}
+		}
+	}
+
+	// Stray files: anything the platform doesn't know what to do with and
+	// the project's packaging selection didn't ask for
+	for (const name of result.entries) {
+		const isKnown =
+			isReservedPackagePath(name) ||
+			isCodeFile(name) ||
+			name.startsWith(CHUNKS_DIR) ||
+			(isPackagedOutput !== null && isPackagedOutput(name))
+		if (!isKnown) {
+			report({
+				level: "warn",
+				code: "stray-file",
+				file: name,
+				message: `${name} is not a recognised package file`,
+			})
+		}
+	}
+
+	result.ok = result.errors.length === 0
+	return result
+}
+
+/**
+ * Render a verify result for the terminal, in the same register as the
+ * lint report.
+ */
+function formatVerifyReport(result, { cwd = process.cwd() } = {}) {
+	const { red, yellow, green, gray, bold, cyan, dim } = colors
+	const lines = []
+	const name = result.file ? path.relative(cwd, result.file) : "(buffer)"
+
+	lines.push(bold(cyan(`\nGxP package verify — ${name}`)))
+	lines.push(gray(`  ${result.entries.length} file(s) in package`))
+	if (result.sha256) {
+		lines.push(gray(`  sha256 ${result.sha256}`))
+	}
+	if (result.integrity) {
+		const { toolkit, git } = result.integrity
+		const parts = []
+		if (git && git.commit) {
+			parts.push(
+				`commit ${git.commit.slice(0, 12)}${git.dirty ? " (dirty)" : ""}`,
+			)
+		}
+		if (toolkit && toolkit.version) {
+			parts.push(`${toolkit.name || "toolkit"} ${toolkit.version}`)
+		}
+		if (parts.length) {
+			lines.push(gray(`  built from ${parts.join(", ")}`))
+		}
+	}
+	if (result.signature) {
+		const key = result.signature.keyId || "unknown key"
+		if (result.signature.verified) {
+			lines.push(green(`  ✓ signed by ${key} (verified)`))
+		} else if (result.signature.checked) {
+			lines.push(red(`  ✗ signed by ${key} (signature check failed)`))
+		} else {
+			lines.push(gray(`  signed by ${key} (not checked — pass --signature)`))
+		}
+	}
+	lines.push("")
+	for (const err of result.errors) {
+		lines.push(
+			`  ${red("error")} ${dim(`[${err.code}]`)} ${err.file ? `${err.file}: ` : ""}${err.message}`,
+		)
+	}
+	for (const warning of result.warnings) {
+		lines.push(
+			`  ${yellow("warn")}  ${dim(`[${warning.code}]`)} ${warning.message}`,
+		)
+	}
+	if (result.errors.length || result.warnings.length) {
+		lines.push("")
+	}
+	if (result.ok) {
+		lines.push(
+			green(
+				bold(
+					`✓ Package OK${
+						result.warnings.length
+							? ` (${result.warnings.length} warning(s))`
+							: ""
+					}`,
+				),
+			),
+		)
+	} else {
+		lines.push(
+			red(
+				bold(
+					`✗ ${result.errors.length} error(s), ${result.warnings.length} warning(s).`,
+				),
+			),
+		)
+	}
+	return lines.join("\n")
+}
+
+/**
+ * Find the .gxpapp to verify when none is named: the only one in dist/, or
+ * the newest if there are several.
+ */
+function findLatestPackage(distPath) {
+	if (!fs.existsSync(distPath)) return null
+	const candidates = fs
+		.readdirSync(distPath)
+		.filter((f) => f.endsWith(".gxpapp"))
+		.map((f) => path.join(distPath, f))
+		.sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)
+	return candidates[0] || null
+}
+
+module.exports = {
+	GXP_ENTRY_FILE: ENTRY_FILE,
+	GXP_INTEGRITY_FILE: INTEGRITY_FILE,
+	GXP_LICENSES_FILE: LICENSES_FILE,
+	GXP_CHUNKS_DIR: CHUNKS_DIR,
+	isCodeFile,
+	isReservedPackagePath,
+	listCodeFiles,
+	createIntegrityManifest,
+	createGxpArchive,
+	readGxpPackage,
+	resolveAssetEntry,
+	verifyGxpPackage,
+	formatVerifyReport,
+	findLatestPackage,
+}
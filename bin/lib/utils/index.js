@@ -12,6 +12,26 @@ const aiScaffold = require("./ai-scaffold")
 const extractConfig = require("./extract-config")
 const versionCheck = require("./version-check")
 const appUi = require("./app-ui")
+const bundleAnalysis = require("./bundle-analysis")
+const gxpPackage = require("./gxp-package")
+const assetOptimizer = require("./asset-optimizer")
+const signing = require("./signing")
+const packageDiff = require("./package-diff")
+const variants = require("./variants")
+const buildWatch = require("./build-watch")
+const buildChecks = require("./build-checks")
+const preview = require("./preview")
+const buildOutput = require("./build-output")
+const cssIsolation = require("./css-isolation")
+const licenseReport = require("./license-report")
+const versioning = require("./versioning")
+const environments = require("./environments")
+const projectConfig = require("./project-config")
+const ports = require("./ports")
+const lan = require("./lan")
+const devLogs = require("./dev-logs")
+const doctor = require("./doctor")
+const portalProfiles = require("./portal-profiles")
 
 module.exports = {
 	...paths,
@@ -22,4 +42,24 @@ module.exports = {
 	...extractConfig,
 	...versionCheck,
 	...appUi,
+	...bundleAnalysis,
+	...gxpPackage,
+	...assetOptimizer,
+	...signing,
+	...packageDiff,
+	...variants,
+	...buildWatch,
+	...buildChecks,
+	...preview,
+	...buildOutput,
+	...cssIsolation,
+	...licenseReport,
+	...versioning,
+	...environments,
+	...projectConfig,
+	...ports,
+	...lan,
+	...devLogs,
+	...doctor,
+	...portalProfiles,
 }
@@ -0,0 +1,94 @@
+/**
+ * LAN Utilities
+ *
+ * Finds the addresses other devices on the local network reach this machine
+ * at, for `gxdev dev --lan`, and renders the dev URL as a terminal QR code
+ * so a tablet can open it by scanning.
+ */
+
+const net = require("net")
+const os = require("os")
+
+/**
+ * The machine's IPv4 addresses on the local network, skipping loopback and
+ * link-local (169.254.x.x) addresses.
+ * @param {ReturnType<typeof os.networkInterfaces>} [interfaces]
+ * @returns {Array<{ address: string, interface: string }>}
+ */
+function getLanAddresses(interfaces = os.networkInterfaces()) {
+	const addresses = []
+	for (const [name, entries] of Object.entries(interfaces)) {
+		for (const entry of entries || []) {
+			const isIPv4 = entry.family === "IPv4" || entry.family === 4
+			if (isIPv4 && !entry.internal && !entry.address.startsWith("169.254.")) {
+				addresses.push({ address: entry.address, interface: name })
+			}
+		}
+	}
+	return addresses
+}
+
+/**
+ * Pick the address to serve on and the names certificates need to cover.
+ * When no LAN address is detected (some VPNs and VMs hide them), an address
+ * given with --lan is trusted as is.
+ * @param {object} [options]
+ * @param {string} [options.preferred] - Address asked for with --lan <address>
+ * @param {ReturnType<typeof os.networkInterfaces>} [options.interfaces]
+ * @param {string} [options.hostname]
+ * @returns {{ address: string, addresses: string[], hosts: string[] }}
+ *   hosts is every LAN address plus the hostname (and hostname.local)
+ */
+function resolveLanHost({
+	preferred,
+	interfaces,
+	hostname = os.hostname(),
+} = {}) {
+	const addresses = getLanAddresses(interfaces).map((entry) => entry.address)
+	if (addresses.length === 0) {
+		if (!preferred) {
+			throw new Error(
+				"No LAN address found. Connect to the network the devices are on, or pass the address with --lan <address>",
+			)
+		}
+		if (!net.isIP(preferred)) {
+			throw new Error(`${preferred} is not an IP address`)
+		}
+		addresses.push(preferred)
+	}
+	if (preferred && !addresses.includes(preferred)) {
+		throw new Error(
+			`${preferred} is not one of this machine's LAN addresses (${addresses.join(", ")})`,
+		)
+	}
+
+	const names = [hostname]
+	if (hostname && !hostname.includes(".")) {
+		names.push(`${hostname}.local`)
+	}
+	return {
+		address: preferred || addresses[0],
+		addresses,
+		hosts: [...addresses, ...names.filter(Boolean)],
+	}
+}
+
+/**
+ * Render text as a QR code made of terminal block characters.
+ * @param {string} text
+ * @returns {string}
+ */
+function renderQrCode(text) {
+	const qrcode = require("qrcode-terminal")
+	let output = ""
+	qrcode.generate(text, { small: true }, (code) => {
+		output = code
+	})
+	return output
+}
+
+module.exports = {
+	getLanAddresses,
+	resolveLanHost,
+	renderQrCode,
+}
@@ -0,0 +1,186 @@
+/**
+ * Third-Party License Report
+ *
+ * Inventory of the npm packages bundled into a plugin, for clients who need
+ * to know what third-party code ships in it. Packages come from the modules
+ * Rollup actually rendered into the output (recorded by
+ * runtime/vite-bundle-stats-plugin.js), so dependencies the plugin never
+ * imports, tree-shakes away or gets from the platform (vue, pinia) are not
+ * listed.
+ *
+ * The report is written into the package as third-party-licenses.json, with
+ * each package's name, version, declared license, homepage, the files it
+ * ended up in and its license text. Licenses matching the denylist fail the
+ * build. Configured with `thirdPartyLicenses` in app-manifest.json (or
+ * package.json "gxdev"):
+ *
+ *   "thirdPartyLicenses": { "deny": ["GPL-*", "AGPL-*"] }
+ *
+ * Declaring it turns the report on for every build; `gxdev build --licenses`
+ * turns it on for one build and prints it.
+ */
+
+const { loadProjectBuildSetting } = require("./paths")
+const { globToRegExp } = require("./build-output")
+
+// Copyleft licenses whose terms reach the code they're bundled with
+const DEFAULT_DENY = ["GPL-*", "AGPL-*", "SSPL-*"]
+
+const UNKNOWN_LICENSE = "UNKNOWN"
+
+/**
+ * Resolve the license options for a build.
+ * @param {string} projectPath
+ * @param {string|null} [variant]
+ * @param {boolean} [requested] - --licenses was passed
+ * @returns {{ deny: string[] }|null} null when the report is off: the
+ *   project doesn't declare `thirdPartyLicenses` and it wasn't requested
+ */
+function loadLicenseOptions(projectPath, variant = null, requested = false) {
+	const declared = loadProjectBuildSetting(
+		projectPath,
+		"thirdPartyLicenses",
+		variant,
+	)
+	if (!declared && !requested) {
+		return null
+	}
+	const deny =
+		!declared || declared.deny === undefined ? DEFAULT_DENY : declared.deny
+	if (
+		!Array.isArray(deny) ||
+		deny.some((pattern) => typeof pattern !== "string" || !pattern)
+	) {
+		throw new Error(
+			"thirdPartyLicenses.deny must be an array of license ids or globs",
+		)
+	}
+	return { deny }
+}
+
+/**
+ * A package.json license field as an SPDX-style expression. Handles the
+ * string form, the old `{ type }` object and `licenses` arrays (which list
+ * alternatives).
+ * @param {*} declared
+ * @returns {string}
+ */
+function normalizeLicense(declared) {
+	if (typeof declared === "string" && declared.trim()) {
+		return declared.trim()
+	}
+	if (declared && typeof declared.type === "string") {
+		return declared.type
+	}
+	if (Array.isArray(declared) && declared.length > 0) {
+		const ids = declared.map(normalizeLicense)
+		return ids.length === 1 ? ids[0] : `(${ids.join(" OR ")})`
+	}
+	return UNKNOWN_LICENSE
+}
+
+/**
+ * Whether a license expression is denied: every OR alternative has to
+ * include a denied license, since the plugin may pick any alternative.
+ * @param {string} license
+ * @param {string[]} deny - License ids or globs ("GPL-*"), case-insensitive
+ * @returns {boolean}
+ */
+function isLicenseDenied(license, deny) {
+	if (deny.length === 0) {
+		return false
+	}
+	const patterns = deny.map(
+		(pattern) => new RegExp(globToRegExp(pattern).source, "i"),
+	)
+	const isDenied = (id) => {
+		const bare = id.replace(/\s+WITH\s+.*$/i, "").trim()
+		return patterns.some((re) => re.test(bare))
+	}
+	return license
+		.replace(/[()]/g, " ")
+		.split(/\s+OR\s+/i)
+		.every((alternative) => alternative.split(/\s+AND\s+/i).some(isDenied))
+}
+
+/**
+ * Build the report from bundle stats.
+ * @param {{ packages?: Array }} stats - From the bundle stats plugin
+ * @param {{ deny: string[] }} options
+ * @returns {{ packages: Array<{ name: string, version: string,
+ *   license: string, homepage: string|null, files: string[],
+ *   licenseText: string|null }>, denied: Array, unknown: Array }}
+ */
+function createLicenseReport(stats, { deny }) {
+	const seen = new Map()
+	for (const pkg of (stats && stats.packages) || []) {
+		const key = `${pkg.name}@${pkg.version}`
+		const entry = seen.get(key)
+		if (entry) {
+			// Two installs of the same version (nested node_modules)
+			entry.files = [...new Set([...entry.files, ...pkg.chunks])].sort()
+			continue
+		}
+		seen.set(key, {
+			name: pkg.name,
+			version: pkg.version,
+			license: normalizeLicense(pkg.license),
+			homepage: pkg.homepage || null,
+			files: [...pkg.chunks].sort(),
+			licenseText: pkg.licenseText || null,
+		})
+	}
+	const packages = [...seen.values()].sort(
+		(a, b) =>
+			a.name.localeCompare(b.name) || a.version.localeCompare(b.version),
+	)
+	return {
+		packages,
+		denied: packages.filter((pkg) => isLicenseDenied(pkg.license, deny)),
+		unknown: packages.filter((pkg) => pkg.license === UNKNOWN_LICENSE),
+	}
+}
+
+/**
+ * The third-party-licenses.json written into the package.
+ * @param {object} report - From createLicenseReport
+ * @returns {string}
+ */
+function serializeLicenseReport(report) {
+	return JSON.stringify({ packages: report.packages }, null, 2)
+}
+
+/**
+ * Render the --licenses report as terminal lines.
+ * @param {object} report - From createLicenseReport
+ * @returns {string}
+ */
+function formatLicenseReport(report) {
+	const lines = []
+	const pad = (str, width) => String(str).padEnd(width)
+	const denied = new Set(report.denied)
+
+	lines.push(
+		`\n📜 Third-party licenses (${report.packages.length} package${report.packages.length === 1 ? "" : "s"})`,
+	)
+	if (report.packages.length === 0) {
+		lines.push("   No npm packages are bundled into the output")
+	}
+	for (const pkg of report.packages) {
+		const mark = denied.has(pkg) ? "  ✗ denied" : ""
+		lines.push(
+			`   ${pad(pkg.name, 32)} ${pad(pkg.version, 12)} ${pad(pkg.license, 20)} ${pkg.files.join(", ")}${mark}`,
+		)
+	}
+	return lines.join("\n")
+}
+
+module.exports = {
+	DEFAULT_DENY,
+	loadLicenseOptions,
+	normalizeLicense,
+	isLicenseDenied,
+	createLicenseReport,
+	serializeLicenseReport,
+	formatLicenseReport,
+}
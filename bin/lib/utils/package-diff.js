@@ -0,0 +1,395 @@
+/**
+ * Package Diff
+ *
+ * Backs `gxdev diff-package`. Compares two built plugins — each either a
+ * .gxpapp or an unpacked build directory such as dist/build/ — and reports
+ * what a release changed: manifest sections, configuration.json cards and
+ * fields, assets, and JS/CSS sizes.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { readGxpPackage, isCodeFile } = require("./gxp-package")
+const { formatBytes } = require("./bundle-analysis")
+const { colors } = require("../lint/formatter")
+
+// Manifest sections diffed key by key, in report order
+const MANIFEST_SECTIONS = [
+	"settings",
+	"strings",
+	"dependencies",
+	"permissions",
+	"track-events",
+]
+const MANIFEST_GENERAL_KEYS = [
+	"name",
+	"version",
+	"description",
+	"manifest_version",
+	"formTemplate",
+]
+
+/**
+ * Load a built plugin into memory.
+ * @param {string} source - .gxpapp file or build directory
+ * @returns {Map<string, Buffer>} package path → contents
+ */
+function loadPackageFiles(source) {
+	if (!fs.statSync(source).isDirectory()) {
+		return readGxpPackage(source)
+	}
+	const files = new Map()
+	const walk = (dir, prefix) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const full = path.join(dir, entry.name)
+			if (entry.isDirectory()) {
+				walk(full, `${prefix}${entry.name}/`)
+			} else if (entry.isFile()) {
+				files.set(`${prefix}${entry.name}`, fs.readFileSync(full))
+			}
+		}
+	}
+	walk(source, "")
+	return files
+}
+
+/**
+ * JSON.stringify with sorted object keys, so key order never counts as a
+ * change.
+ */
+function stableStringify(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(",")}]`
+	}
+	if (value && typeof value === "object") {
+		return `{${Object.keys(value)
+			.sort()
+			.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+			.join(",")}}`
+	}
+	return JSON.stringify(value)
+}
+
+/**
+ * Diff two key → value maps.
+ * @returns {{ added: object[], removed: object[], changed: object[] }}
+ */
+function diffKeyed(previous = {}, current = {}) {
+	const result = { added: [], removed: [], changed: [] }
+	const keys = new Set([...Object.keys(previous), ...Object.keys(current)])
+	for (const key of [...keys].sort()) {
+		const inPrev = Object.prototype.hasOwnProperty.call(previous, key)
+		const inCurr = Object.prototype.hasOwnProperty.call(current, key)
+		if (!inPrev) {
+			result.added.push({ key, value: current[key] })
+		} else if (!inCurr) {
+			result.removed.push({ key, value: previous[key] })
+		} else if (
+			stableStringify(previous[key]) !== stableStringify(current[key])
+		) {
+			result.changed.push({
+				key,
+				previous: previous[key],
+				current: current[key],
+			})
+		}
+	}
+	return result
+}
+
+function isEmptyDiff(diff) {
+	return !diff.added.length && !diff.removed.length && !diff.changed.length
+}
+
+/**
+ * Index array-shaped manifest sections by their stable identifier so moved
+ * entries don't show up as changes.
+ */
+function indexBy(list, keyOf) {
+	const out = {}
+	;(Array.isArray(list) ? list : []).forEach((item, i) => {
+		out[keyOf(item) || `#${i}`] = item
+	})
+	return out
+}
+
+const dependencyKey = (dep) =>
+	dep &&
+	(dep.permissionKey ||
+		dep.identifier ||
+		(Array.isArray(dep.identifiers) && dep.identifiers.join(",")))
+
+const permissionKey = (perm) =>
+	typeof perm === "string" ? perm : perm && perm.identifier
+
+/**
+ * Flatten strings to "locale.key" so a single changed string is reported
+ * rather than the whole locale map.
+ */
+function flattenStrings(strings) {
+	const out = {}
+	for (const [locale, map] of Object.entries(strings || {})) {
+		for (const [key, value] of Object.entries(map || {})) {
+			out[`${locale}.${key}`] = value
+		}
+	}
+	return out
+}
+
+function manifestSection(manifest, section) {
+	const value = manifest && manifest[section]
+	switch (section) {
+		case "strings":
+			return flattenStrings(value)
+		case "dependencies":
+			return indexBy(value, dependencyKey)
+		case "permissions":
+			return indexBy(value, permissionKey)
+		default:
+			return value && typeof value === "object" ? value : {}
+	}
+}
+
+/**
+ * Walk configuration.json and collect cards (keyed by their title path) and
+ * fields (keyed by name/id, falling back to their position).
+ */
+function collectConfigurationItems(config) {
+	const cards = {}
+	const fields = {}
+	if (!config || typeof config !== "object") {
+		return { cards, fields }
+	}
+
+	const visitCard = (card, parentPath, index) => {
+		if (!card || typeof card !== "object") return
+		const label = card.title || card.tabId || `${card.type || "tab"}#${index}`
+		const cardPath = `${parentPath} > ${label}`
+		const { cards: children, fieldsList, ...own } = card
+		cards[cardPath] = own
+		;(fieldsList || []).forEach((field, i) => {
+			if (!field || typeof field !== "object") return
+			const key =
+				field.name || field.id || `${cardPath} > ${field.type || "field"}#${i}`
+			fields[key] = field
+		})
+		;(children || []).forEach((child, i) => visitCard(child, cardPath, i))
+	}
+
+	for (const root of ["settings", "additionalTabs", "formTemplate"]) {
+		;(Array.isArray(config[root]) ? config[root] : []).forEach((card, i) =>
+			visitCard(card, root, i),
+		)
+	}
+	return { cards, fields }
+}
+
+function readJsonEntry(files, name) {
+	if (!files.has(name)) return null
+	try {
+		return JSON.parse(files.get(name).toString("utf-8"))
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Compare file sizes for the entries matching `filter`.
+ */
+function diffFileSizes(fromFiles, toFiles, filter) {
+	const names = new Set([...fromFiles.keys(), ...toFiles.keys()].filter(filter))
+	const changes = []
+	for (const name of [...names].sort()) {
+		const before = fromFiles.has(name) ? fromFiles.get(name) : null
+		const after = toFiles.has(name) ? toFiles.get(name) : null
+		const status = !before
+			? "added"
+			: !after
+				? "removed"
+				: before.equals(after)
+					? "unchanged"
+					: "changed"
+		if (status === "unchanged") continue
+		const previous = before ? before.length : 0
+		const current = after ? after.length : 0
+		changes.push({ name, status, previous, current, delta: current - previous })
+	}
+	return changes
+}
+
+/**
+ * Compare two loaded packages.
+ * @param {Map<string, Buffer>} fromFiles - The older package
+ * @param {Map<string, Buffer>} toFiles - The newer package
+ * @returns {object} diff
+ */
+function diffPackages(fromFiles, toFiles) {
+	const fromManifest = readJsonEntry(fromFiles, "app-manifest.json")
+	const toManifest = readJsonEntry(toFiles, "app-manifest.json")
+
+	const pick = (manifest) => {
+		const out = {}
+		for (const key of MANIFEST_GENERAL_KEYS) {
+			if (manifest && manifest[key] !== undefined) out[key] = manifest[key]
+		}
+		return out
+	}
+	const manifest = { general: diffKeyed(pick(fromManifest), pick(toManifest)) }
+	for (const section of MANIFEST_SECTIONS) {
+		manifest[section] = diffKeyed(
+			manifestSection(fromManifest, section),
+			manifestSection(toManifest, section),
+		)
+	}
+
+	const fromConfig = collectConfigurationItems(
+		readJsonEntry(fromFiles, "configuration.json"),
+	)
+	const toConfig = collectConfigurationItems(
+		readJsonEntry(toFiles, "configuration.json"),
+	)
+
+	const code = diffFileSizes(fromFiles, toFiles, isCodeFile)
+	const assets = diffFileSizes(fromFiles, toFiles, (name) =>
+		name.startsWith("assets/"),
+	)
+	const sizeOf = (files, filter) =>
+		[...files.entries()]
+			.filter(([name]) => filter(name))
+			.reduce((n, [, buf]) => n + buf.length, 0)
+
+	return {
+		manifest,
+		configuration: {
+			cards: diffKeyed(fromConfig.cards, toConfig.cards),
+			fields: diffKeyed(fromConfig.fields, toConfig.fields),
+		},
+		code,
+		assets,
+		totals: {
+			code: {
+				previous: sizeOf(fromFiles, isCodeFile),
+				current: sizeOf(toFiles, isCodeFile),
+			},
+			assets: {
+				previous: sizeOf(fromFiles, (n) => n.startsWith("assets/")),
+				current: sizeOf(toFiles, (n) => n.startsWith("assets/")),
+			},
+		},
+	}
+}
+
+/**
+ * Whether the diff found any difference at all.
+ */
+function hasPackageChanges(diff) {
+	return (
+		Object.values(diff.manifest).some((d) => !isEmptyDiff(d)) ||
+		!isEmptyDiff(diff.configuration.cards) ||
+		!isEmptyDiff(diff.configuration.fields) ||
+		diff.code.length > 0 ||
+		diff.assets.length > 0
+	)
+}
+
+function formatDelta(delta) {
+	if (delta === 0) return "±0"
+	return `${delta > 0 ? "+" : "-"}${formatBytes(Math.abs(delta))}`
+}
+
+function formatValue(value) {
+	const text = JSON.stringify(value)
+	return text && text.length > 60 ? `${text.slice(0, 57)}...` : text
+}
+
+/**
+ * Render a diff for the terminal.
+ * @param {object} diff - From diffPackages
+ * @param {{ from: string, to: string }} labels
+ */
+function formatPackageDiff(diff, { from, to }) {
+	const { red, green, yellow, gray, bold, cyan } = colors
+	const lines = [bold(cyan(`\nGxP package diff — ${from} → ${to}`))]
+
+	const keyedSection = (title, section, { showValues = true } = {}) => {
+		if (isEmptyDiff(section)) return
+		lines.push("", bold(`  ${title}`))
+		for (const item of section.added) {
+			lines.push(
+				green(
+					`    + ${item.key}${showValues ? ` = ${formatValue(item.value)}` : ""}`,
+				),
+			)
+		}
+		for (const item of section.removed) {
+			lines.push(red(`    - ${item.key}`))
+		}
+		for (const item of section.changed) {
+			lines.push(
+				yellow(
+					`    ~ ${item.key}${
+						showValues
+							? `: ${formatValue(item.previous)} → ${formatValue(item.current)}`
+							: ""
+					}`,
+				),
+			)
+		}
+	}
+
+	keyedSection("Manifest", diff.manifest.general)
+	keyedSection("Settings", diff.manifest.settings)
+	keyedSection("Strings", diff.manifest.strings)
+	keyedSection("Dependencies", diff.manifest.dependencies, {
+		showValues: false,
+	})
+	keyedSection("Permissions", diff.manifest.permissions, { showValues: false })
+	keyedSection("Track events", diff.manifest["track-events"], {
+		showValues: false,
+	})
+	keyedSection("Configuration cards", diff.configuration.cards, {
+		showValues: false,
+	})
+	keyedSection("Configuration fields", diff.configuration.fields, {
+		showValues: false,
+	})
+
+	const sizeSection = (title, changes, totals) => {
+		if (!changes.length) return
+		lines.push(
+			"",
+			bold(
+				`  ${title} ${gray(
+					`(${formatBytes(totals.previous)} → ${formatBytes(
+						totals.current,
+					)}, ${formatDelta(totals.current - totals.previous)})`,
+				)}`,
+			),
+		)
+		for (const change of changes) {
+			const mark =
+				change.status === "added"
+					? green("+")
+					: change.status === "removed"
+						? red("-")
+						: yellow("~")
+			lines.push(
+				`    ${mark} ${change.name.padEnd(36)} ${formatDelta(change.delta)}`,
+			)
+		}
+	}
+	sizeSection("JS/CSS", diff.code, diff.totals.code)
+	sizeSection("Assets", diff.assets, diff.totals.assets)
+
+	if (!hasPackageChanges(diff)) {
+		lines.push("", green("  No differences."))
+	}
+	return lines.join("\n")
+}
+
+module.exports = {
+	loadPackageFiles,
+	diffPackages,
+	hasPackageChanges,
+	formatPackageDiff,
+}
@@ -8,6 +8,8 @@ const path = require("path")
 const fs = require("fs")
 const os = require("os")
 const { isWin, PACKAGE_NAME } = require("../constants")
+const { loadProjectManifest } = require("./variants")
+const { loadProjectConfig } = require("./project-config")
 
 /**
  * Determines the correct binary name based on platform and architecture
@@ -135,10 +137,80 @@ function loadGlobalConfig() {
 	return {}
 }
 
+/**
+ * Loads a build-time setting block for the project.
+ *
+ * Build tooling settings (size budgets, asset optimization, ...) may live in
+ * app-manifest.json under `key`, in gxdev.config under `build[key]`, or in
+ * package.json under `gxdev[key]` for teams that keep tooling out of the
+ * manifest. They are shallow-merged in that order of precedence, the
+ * manifest winning. Returns null when none declares the key.
+ *
+ * @param {string} projectPath - Project root
+ * @param {string} key - Setting name, e.g. "budgets"
+ * @param {string|null} [variant] - Build variant whose manifest overlay applies
+ * @returns {object|null}
+ */
+function loadProjectBuildSetting(projectPath, key, variant = null) {
+	const layers = loadProjectBuildSettingLayers(projectPath, key, variant)
+	if (layers.length === 0) {
+		return null
+	}
+	return Object.assign({}, ...layers.map((layer) => layer.value))
+}
+
+/**
+ * The files that declare a build setting, lowest precedence first.
+ * @param {string} projectPath
+ * @param {string} key
+ * @param {string|null} [variant]
+ * @returns {Array<{ source: string, value: object }>}
+ */
+function loadProjectBuildSettingLayers(projectPath, key, variant = null) {
+	const readJson = (load) => {
+		try {
+			return load()
+		} catch {
+			return null
+		}
+	}
+
+	const pkgPath = path.join(projectPath, "package.json")
+	const pkg = readJson(() =>
+		fs.existsSync(pkgPath)
+			? JSON.parse(fs.readFileSync(pkgPath, "utf-8"))
+			: null,
+	)
+	const projectConfig = readJson(() => loadProjectConfig(projectPath))
+	const manifest = readJson(() => loadProjectManifest(projectPath, variant))
+
+	const layers = []
+	if (pkg && pkg.gxdev && pkg.gxdev[key]) {
+		layers.push({ source: "package.json", value: pkg.gxdev[key] })
+	}
+	if (projectConfig && projectConfig.config.build) {
+		const value = projectConfig.config.build[key]
+		if (value) {
+			layers.push({ source: path.basename(projectConfig.file), value })
+		}
+	}
+	if (manifest && manifest[key]) {
+		layers.push({
+			source: variant
+				? `app-manifest.json + app-manifest.${variant}.json`
+				: "app-manifest.json",
+			value: manifest[key],
+		})
+	}
+	return layers
+}
+
 module.exports = {
 	getBinaryName,
 	findProjectRoot,
 	resolveGxPaths,
 	resolveFilePath,
 	loadGlobalConfig,
+	loadProjectBuildSetting,
+	loadProjectBuildSettingLayers,
 }
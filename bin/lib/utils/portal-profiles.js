@@ -0,0 +1,158 @@
+/**
+ * Portal Profiles
+ *
+ * A portal profile is the platform data the dev container (PortalContainer)
+ * emulates around the plugin: the portal theme, navigation, strings and
+ * assets handed to the layouts, plus store values to apply over
+ * app-manifest.json. Reproducing a client's portal means dropping a profile
+ * into the project:
+ *
+ *   portal-profiles/acme.json
+ *   {
+ *     "name": "Acme Expo",
+ *     "description": "...",
+ *     "language": "",
+ *     "theme": { "primary": "#d0021b", ... },
+ *     "navigation": [{ "title": "Start", "route": "/start" }],
+ *     "strings": { "welcome_text": "..." },
+ *     "assets": { "main_logo": "..." },
+ *     "pluginVars": { ... },
+ *     "dependencyList": { ... }
+ *   }
+ *
+ * Every profile is deep-merged over the built-in default
+ * (runtime/portal-profiles/default.json), so it only needs the keys that
+ * differ. A project portal-profiles/default.json replaces the built-in one
+ * as the base. `gxdev dev --profile acme` picks the profile the dev server
+ * starts with; the Dev Tools switch between them. This module is also
+ * loaded by the runtime, which serves the profiles to the browser.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { deepMerge } = require("./variants")
+
+const PROFILES_DIR = "portal-profiles"
+const DEFAULT_PROFILE = "default"
+const PROFILE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/
+const BUILT_IN_DEFAULT = path.join(
+	__dirname,
+	"..",
+	"..",
+	"..",
+	"runtime",
+	PROFILES_DIR,
+	`${DEFAULT_PROFILE}.json`,
+)
+
+function getProfilesDir(projectPath) {
+	return path.join(projectPath, PROFILES_DIR)
+}
+
+function getProfilePath(projectPath, id) {
+	return path.join(getProfilesDir(projectPath), `${id}.json`)
+}
+
+function readProfileFile(filePath) {
+	let profile
+	try {
+		profile = JSON.parse(fs.readFileSync(filePath, "utf-8"))
+	} catch (error) {
+		throw new Error(
+			`Could not parse ${path.basename(filePath)}: ${error.message}`,
+		)
+	}
+	if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+		throw new Error(`${path.basename(filePath)} must contain a JSON object`)
+	}
+	return profile
+}
+
+/**
+ * Profiles a project can use: the default plus one per
+ * portal-profiles/<id>.json.
+ * @param {string} projectPath
+ * @returns {Array<{ id: string, name: string, description: string, source: "built-in"|"project" }>}
+ *   default first, then sorted by id. Unreadable files are listed with an
+ *   `error` instead of a description.
+ */
+function listPortalProfiles(projectPath) {
+	const dir = getProfilesDir(projectPath)
+	const ids = fs.existsSync(dir)
+		? fs
+				.readdirSync(dir)
+				.filter((file) => file.endsWith(".json"))
+				.map((file) => file.slice(0, -".json".length))
+				.filter((id) => PROFILE_NAME.test(id) && id !== DEFAULT_PROFILE)
+				.sort()
+		: []
+
+	return [DEFAULT_PROFILE, ...ids].map((id) => {
+		const projectFile = getProfilePath(projectPath, id)
+		const source = fs.existsSync(projectFile) ? "project" : "built-in"
+		try {
+			const profile = readProfileFile(
+				source === "project" ? projectFile : BUILT_IN_DEFAULT,
+			)
+			return {
+				id,
+				name: profile.name || id,
+				description: profile.description || "",
+				source,
+			}
+		} catch (error) {
+			return { id, name: id, description: "", source, error: error.message }
+		}
+	})
+}
+
+/**
+ * Throw unless `id` names a profile the project has.
+ */
+function assertPortalProfile(projectPath, id) {
+	if (!PROFILE_NAME.test(id)) {
+		throw new Error(
+			`Invalid portal profile name "${id}" — use letters, numbers, "-" and "_"`,
+		)
+	}
+	if (
+		id !== DEFAULT_PROFILE &&
+		!fs.existsSync(getProfilePath(projectPath, id))
+	) {
+		const known = listPortalProfiles(projectPath).map((profile) => profile.id)
+		throw new Error(
+			`Unknown portal profile "${id}": ${PROFILES_DIR}/${id}.json doesn't exist (available: ${known.join(", ")})`,
+		)
+	}
+}
+
+/**
+ * Load a profile merged over the default.
+ * @param {string} projectPath
+ * @param {string} [id] - Defaults to "default"
+ * @returns {object} The profile, with its `id`
+ */
+function loadPortalProfile(projectPath, id = DEFAULT_PROFILE) {
+	assertPortalProfile(projectPath, id)
+	const projectDefault = getProfilePath(projectPath, DEFAULT_PROFILE)
+	let profile = readProfileFile(BUILT_IN_DEFAULT)
+	if (fs.existsSync(projectDefault)) {
+		profile = deepMerge(profile, readProfileFile(projectDefault))
+	}
+	if (id !== DEFAULT_PROFILE) {
+		profile = deepMerge(
+			{ ...profile, name: id, description: "" },
+			readProfileFile(getProfilePath(projectPath, id)),
+		)
+	}
+	return { ...profile, id }
+}
+
+module.exports = {
+	PROFILES_DIR,
+	DEFAULT_PROFILE,
+	getProfilesDir,
+	listPortalProfiles,
+	assertPortalProfile,
+	loadPortalProfile,
+}
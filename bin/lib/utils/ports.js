@@ -0,0 +1,151 @@
+/**
+ * Port Utilities
+ *
+ * Detects dev-port conflicts before Vite and the Socket.IO server start, so
+ * `gxdev dev` can move to free ports instead of dying with EADDRINUSE.
+ */
+
+const net = require("net")
+const childProcess = require("child_process")
+const { isWin } = require("../constants")
+
+// How far past the configured ports findFreePorts looks
+const MAX_PORT_ATTEMPTS = 20
+
+/**
+ * Resolve with whether nothing is listening on a port.
+ * @param {number} port
+ * @returns {Promise<boolean>}
+ */
+function isPortFree(port) {
+	return new Promise((resolve) => {
+		const server = net.createServer()
+		server.once("error", () => resolve(false))
+		server.once("listening", () => server.close(() => resolve(true)))
+		server.listen(port)
+	})
+}
+
+/**
+ * Find free ports for a set of services, keeping their spacing: every port
+ * moves up by the same offset (3060/3069 → 3061/3070 → ...).
+ * @param {Record<string, number>} ports - e.g. { dev: 3060, socketIo: 3069 }
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {(port: number) => Promise<boolean>} [options.isFree]
+ * @returns {Promise<Record<string, number>|null>} null if nothing is free
+ *   within maxAttempts
+ */
+async function findFreePorts(
+	ports,
+	{ maxAttempts = MAX_PORT_ATTEMPTS, isFree = isPortFree } = {},
+) {
+	const entries = Object.entries(ports)
+	for (let offset = 0; offset < maxAttempts; offset++) {
+		const candidate = entries.map(([name, port]) => [name, port + offset])
+		let allFree = true
+		for (const [, port] of candidate) {
+			if (port > 65535 || !(await isFree(port))) {
+				allFree = false
+				break
+			}
+		}
+		if (allFree) {
+			return Object.fromEntries(candidate)
+		}
+	}
+	return null
+}
+
+/**
+ * Parse `lsof -Fpc` output: "p<pid>" and "c<command>" lines.
+ * @param {string} output
+ * @returns {{ pid: number, command: string }|null}
+ */
+function parseLsofOutput(output) {
+	const pid = /^p(\d+)$/m.exec(output)
+	if (!pid) {
+		return null
+	}
+	const command = /^c(.+)$/m.exec(output)
+	return { pid: Number(pid[1]), command: command ? command[1] : "unknown" }
+}
+
+/**
+ * Parse `netstat -ano` output for the process listening on a port.
+ * @param {string} output
+ * @param {number} port
+ * @returns {number|null} pid
+ */
+function parseNetstatOutput(output, port) {
+	for (const line of output.split(/\r?\n/)) {
+		const columns = line.trim().split(/\s+/)
+		if (
+			columns[0] === "TCP" &&
+			columns[3] === "LISTENING" &&
+			columns[1].endsWith(`:${port}`)
+		) {
+			return Number(columns[4])
+		}
+	}
+	return null
+}
+
+/**
+ * Best-effort lookup of the process listening on a port (lsof on macOS and
+ * Linux, netstat + tasklist on Windows).
+ * @param {number} port
+ * @returns {{ pid: number, command: string }|null} null if unknown
+ */
+function findPortOwner(port) {
+	const run = (file, args) =>
+		childProcess.execFileSync(file, args, {
+			encoding: "utf-8",
+			stdio: ["ignore", "pipe", "ignore"],
+			timeout: 3000,
+		})
+	try {
+		if (!isWin) {
+			return parseLsofOutput(
+				run("lsof", ["-nP", `-iTCP:${port}`, "-sTCP:LISTEN", "-Fpc"]),
+			)
+		}
+		const pid = parseNetstatOutput(run("netstat", ["-ano", "-p", "TCP"]), port)
+		if (!pid) {
+			return null
+		}
+		let command = "unknown"
+		try {
+			const row = run("tasklist", ["/FI", `PID eq ${pid}`, "/FO", "CSV", "/NH"])
+			const name = /^"([^"]+)"/.exec(row.trim())
+			if (name) {
+				command = name[1]
+			}
+		} catch {
+			// Keep the pid without a name
+		}
+		return { pid, command }
+	} catch {
+		return null
+	}
+}
+
+/**
+ * "3060 (held by node, pid 4242)" or just "3060" if the owner is unknown.
+ * @param {number} port
+ * @param {{ pid: number, command: string }|null} owner
+ */
+function describePortOwner(port, owner) {
+	return owner
+		? `${port} (held by ${owner.command}, pid ${owner.pid})`
+		: String(port)
+}
+
+module.exports = {
+	isPortFree,
+	findFreePorts,
+	parseLsofOutput,
+	parseNetstatOutput,
+	findPortOwner,
+	describePortOwner,
+}
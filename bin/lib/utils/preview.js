@@ -0,0 +1,171 @@
+/**
+ * Package Preview
+ *
+ * Backs `gxdev preview`. Unpacks a built .gxpapp and serves it next to a
+ * small host page (runtime/preview/) that loads the plugin the way the
+ * platform does, so problems with externals, CSS ordering and asset paths
+ * show up before upload rather than in production.
+ *
+ *   /                      host page
+ *   /__host/...            host bundle
+ *   /__preview/info.json   entry + stylesheets for the host to load
+ *   /app-manifest.json     the packaged manifest, with assets pointed at
+ *                          the package
+ *   /plugin/...            the unpacked package, as built
+ *
+ * Nothing else is served — a plugin that reaches for /dev-assets/ or a
+ * source path gets a 404 here just as it would on the platform.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const express = require("express")
+const { GXP_ENTRY_FILE, resolveAssetEntry } = require("./gxp-package")
+
+const PACKAGE_BASE = "/plugin/"
+const HOST_BASE = "/__host/"
+const DEFAULT_STYLING_FILE = "default-styling.css"
+
+// Requests browsers make on their own; never worth a warning
+const IGNORED_MISSING = new Set(["/favicon.ico"])
+
+/**
+ * Write package files to `dir`, replacing whatever was there.
+ * @param {Map<string, Buffer>} files - From readGxpPackage
+ * @param {string} dir
+ */
+function unpackPackage(files, dir) {
+	const root = path.resolve(dir)
+	fs.rmSync(root, { recursive: true, force: true })
+	for (const [name, contents] of files) {
+		const target = path.resolve(root, name)
+		if (!target.startsWith(`${root}${path.sep}`)) {
+			throw new Error(`Refusing to unpack ${name}: path leaves the package`)
+		}
+		fs.mkdirSync(path.dirname(target), { recursive: true })
+		fs.writeFileSync(target, contents)
+	}
+}
+
+/**
+ * Stylesheets in the order the platform links them: the plugin's own build
+ * CSS, then default-styling.css so its rules win ties.
+ * @param {Iterable<string>} entryNames - Package entry names
+ * @returns {string[]} package paths
+ */
+function getPreviewStyles(entryNames) {
+	const names = [...entryNames]
+	const bundleCss = names
+		.filter(
+			(name) =>
+				!name.includes("/") &&
+				name.endsWith(".css") &&
+				name !== DEFAULT_STYLING_FILE,
+		)
+		.sort()
+	return names.includes(DEFAULT_STYLING_FILE)
+		? [...bundleCss, DEFAULT_STYLING_FILE]
+		: bundleCss
+}
+
+/**
+ * The manifest data the host store receives. The platform replaces asset
+ * values with the URLs it serves the uploaded assets from; the preview
+ * points them at the unpacked assets/ directory instead. Values that aren't
+ * in the package (e.g. /dev-assets/ placeholders) are left alone.
+ * @param {object} manifest - The packaged app-manifest.json
+ * @returns {object}
+ */
+function createPreviewManifest(manifest) {
+	const assets = {}
+	for (const [key, value] of Object.entries(manifest.assets || {})) {
+		const resolved = resolveAssetEntry(value, manifest.asset_dir)
+		assets[key] =
+			resolved && resolved.entry ? PACKAGE_BASE + resolved.entry : value
+	}
+	return { ...manifest, assets }
+}
+
+/**
+ * Describe the package for the host page.
+ * @param {Map<string, Buffer>} files
+ * @param {object} manifest
+ * @returns {{ name: string, version: string, base: string, entry: string,
+ *   styles: string[] }}
+ */
+function createPreviewInfo(files, manifest) {
+	return {
+		name: manifest.name || "plugin",
+		version: manifest.version || "",
+		base: PACKAGE_BASE,
+		entry: PACKAGE_BASE + GXP_ENTRY_FILE,
+		styles: getPreviewStyles(files.keys()).map((name) => PACKAGE_BASE + name),
+	}
+}
+
+/**
+ * Explain a request the package couldn't satisfy.
+ * @param {string} url
+ * @returns {string|null} null for requests not worth reporting
+ */
+function describeMissing(url) {
+	const pathname = url.split(/[?#]/)[0]
+	if (IGNORED_MISSING.has(pathname)) {
+		return null
+	}
+	if (pathname.startsWith("/dev-assets/")) {
+		return `${pathname} — /dev-assets/ is only served by gxdev dev`
+	}
+	if (pathname.startsWith(PACKAGE_BASE)) {
+		return `${pathname} — not in the package`
+	}
+	return `${pathname} — not in the package (the plugin is served from ${PACKAGE_BASE})`
+}
+
+/**
+ * Express app serving an unpacked package and the preview host.
+ * @param {object} options
+ * @param {string} options.packageDir - From unpackPackage
+ * @param {string} options.hostDir - Built runtime/preview/ (index.html + assets)
+ * @param {object} options.manifest - From createPreviewManifest
+ * @param {object} options.info - From createPreviewInfo
+ * @param {(message: string) => void} [options.onMissing] - Called for 404s
+ */
+function createPreviewServer({
+	packageDir,
+	hostDir,
+	manifest,
+	info,
+	onMissing = () => {},
+}) {
+	const app = express()
+	app.disable("x-powered-by")
+	app.use((req, res, next) => {
+		res.setHeader("Cache-Control", "no-store")
+		next()
+	})
+
+	app.get("/", (req, res) => res.sendFile(path.join(hostDir, "index.html")))
+	app.get("/__preview/info.json", (req, res) => res.json(info))
+	app.get("/app-manifest.json", (req, res) => res.json(manifest))
+	app.use(HOST_BASE, express.static(hostDir, { index: false }))
+	app.use(PACKAGE_BASE, express.static(packageDir, { index: false }))
+
+	app.use((req, res) => {
+		const message = describeMissing(req.originalUrl)
+		if (message) onMissing(message)
+		res.status(404).end()
+	})
+	return app
+}
+
+module.exports = {
+	PREVIEW_PACKAGE_BASE: PACKAGE_BASE,
+	PREVIEW_HOST_BASE: HOST_BASE,
+	unpackPackage,
+	getPreviewStyles,
+	createPreviewManifest,
+	createPreviewInfo,
+	describeMissing,
+	createPreviewServer,
+}
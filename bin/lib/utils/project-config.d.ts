@@ -0,0 +1,106 @@
+/**
+ * Types for gxdev.config.js (see project-config.js).
+ *
+ *   // gxdev.config.js
+ *   /** @type {import("@gxp-dev/tools/bin/lib/utils/project-config").GxdevConfig} *\/
+ *   export default { dev: { port: 3100 } }
+ */
+
+type LintRuleLevel = "error" | "warn" | "off"
+type CheckLevel = "error" | "warn" | "off"
+/** A byte count or a size string such as "250kB" */
+type Size = number | string
+
+export interface GxdevEnvironment {
+	/** Copy every field from an already defined environment */
+	extends?: string
+	apiBaseUrl?: string
+	documentation?: string
+	openApiSpec?: string
+	asyncApiSpec?: string
+	webhookSpec?: string
+	socketUrl?: string
+}
+
+export interface GxdevConfig {
+	/** Main component (COMPONENT_PATH, --component-path). Default "./src/Plugin.vue" */
+	componentPath?: string
+	/** Vite log level (NODE_LOG_LEVEL, --node-log-level) */
+	logLevel?: "info" | "warn" | "error" | "silent"
+	dev?: {
+		/** Dev server port (NODE_PORT, --port). Default 3060 */
+		port?: number
+		/** Serve over HTTPS when certificates exist (USE_HTTPS, --no-https). Default true */
+		https?: boolean
+		/** Start the Socket.IO server (SOCKET_IO_ENABLED, --no-socket). Default true */
+		socket?: boolean
+		/** Socket.IO server port (SOCKET_IO_PORT). Default 3069 */
+		socketPort?: number
+		/** Socket client in the store (SOCKET_DRIVER). Default "io" */
+		socketDriver?: "io" | "echo" | false
+		/** Extra host names the dev server answers to (ALLOWED_HOSTS) */
+		allowedHosts?: string[]
+		/** Element inspector (DISABLE_INSPECTOR). Default true */
+		inspector?: boolean
+		/** Source tracker (DISABLE_SOURCE_TRACKER). Default true */
+		sourceTracker?: boolean
+		/** Dev analytics plugin (DISABLE_ANALYTICS). Default true */
+		analytics?: boolean
+		/** CSS leak warning (DISABLE_CSS_LEAK_CHECK). Default true */
+		cssLeakCheck?: boolean
+		/** Serve the project's index.html (USE_LOCAL_INDEX). Default false */
+		useLocalIndex?: boolean
+		/** Serve the project's main.js (USE_LOCAL_MAIN). Default false */
+		useLocalMain?: boolean
+		/** Portal profile the dev container emulates (PORTAL_PROFILE, --profile). Default "default" */
+		portalProfile?: string
+	}
+	api?: {
+		/** Active API environment (API_ENV). Default "mock" */
+		env?: string
+		/** Use this API base instead of the environment's (API_BASE_URL) */
+		baseUrl?: string
+		/** Project ID for API calls (API_PROJECT_ID) */
+		projectId?: string
+		/** Use this socket server instead of the environment's (SOCKET_URL) */
+		socketUrl?: string
+		/** Save /api-proxy traffic as mock API fixtures (API_RECORD, --record). Default false */
+		record?: boolean
+		/** Environments to add or override (see gxdev env list) */
+		environments?: Record<string, GxdevEnvironment>
+	}
+	mock?: {
+		/** Enable the mock API (MOCK_API_ENABLED, --with-mock). Default false */
+		enabled?: boolean
+		/** Response delay in ms (MOCK_API_DELAY). Default 0 */
+		delay?: number
+		/** Spec cache TTL in ms (MOCK_API_CACHE_TTL). Default 300000 */
+		cacheTtl?: number
+		/** Serve recorded responses before generated ones (MOCK_API_REPLAY, --replay). Default false */
+		replay?: boolean
+		/** Where recordings are saved and replayed from (MOCK_API_FIXTURES_DIR). Default "api-fixtures" */
+		fixturesDir?: string
+	}
+	lint?: {
+		/** Severity per lint error code, e.g. { "enum": "warn" } */
+		rules?: Record<string, LintRuleLevel>
+	}
+	build?: {
+		budgets?: { total?: Size; chunk?: Size; css?: Size }
+		checks?: Partial<
+			Record<
+				| "debugCode"
+				| "hardcodedStrings"
+				| "manifestSync"
+				| "lint"
+				| "devUrls"
+				| "browserCompat",
+				CheckLevel
+			>
+		>
+		assetOptimization?: Record<string, unknown>
+		packaging?: Record<string, unknown>
+		cssIsolation?: Record<string, unknown>
+		thirdPartyLicenses?: Record<string, unknown>
+	}
+}
@@ -0,0 +1,597 @@
+/**
+ * Project Configuration (gxdev.config.js)
+ *
+ * One file at the project root for the options otherwise spread across .env,
+ * CLI flags and package.json "gxdev":
+ *
+ *   // gxdev.config.js
+ *   export default {
+ *     dev: { port: 3100, https: false },
+ *     api: { env: "develop" },
+ *     mock: { delay: 200 },
+ *     lint: { rules: { "duplicate-permission-key": "warn" } },
+ *     build: { budgets: { total: "300kB" } },
+ *   }
+ *
+ * gxdev.config.cjs and gxdev.config.json are read the same way, and
+ * project-config.d.ts types the object for editors. Options that map to an
+ * environment variable (CONFIG_OPTIONS) reach the dev server, socket server
+ * and Vite through process.env, so the precedence is:
+ *
+ *   1. CLI flags (including ~/gxdev-default-config.json, which sets flags)
+ *   2. environment variables set in the shell
+ *   3. .env files (.env, .env.local, .env.<mode>, .env.<mode>.local and
+ *      .env.<variant>)
+ *   4. gxdev.config
+ *   5. built-in defaults
+ *
+ * `build` settings sit between package.json "gxdev" and app-manifest.json
+ * (see loadProjectBuildSetting), `api.environments` between package.json and
+ * ~/.gxp-dev/environments.json (see loadEnvironments).
+ */
+
+const fs = require("fs")
+const path = require("path")
+const dotenv = require("dotenv")
+const { DEFAULT_PORTS } = require("../constants")
+
+const CONFIG_FILES = [
+	"gxdev.config.js",
+	"gxdev.config.cjs",
+	"gxdev.config.json",
+]
+
+const LOG_LEVELS = ["info", "warn", "error", "silent"]
+const LINT_RULE_LEVELS = ["error", "warn", "off"]
+
+const BUILD_SETTINGS = [
+	"budgets",
+	"checks",
+	"assetOptimization",
+	"packaging",
+	"cssIsolation",
+	"thirdPartyLicenses",
+]
+
+/**
+ * Options backed by an environment variable. `invert` options are booleans
+ * whose variable is a DISABLE_* switch; `flag` is the CLI flag that wins
+ * over everything else.
+ */
+const CONFIG_OPTIONS = [
+	{
+		key: "componentPath",
+		env: "COMPONENT_PATH",
+		type: "string",
+		default: "./src/Plugin.vue",
+		flag: "--component-path",
+	},
+	{
+		key: "logLevel",
+		env: "NODE_LOG_LEVEL",
+		type: "enum",
+		values: LOG_LEVELS,
+		default: "info",
+		flag: "--node-log-level",
+	},
+	{
+		key: "dev.port",
+		env: "NODE_PORT",
+		type: "port",
+		default: DEFAULT_PORTS.dev,
+		flag: "--port",
+	},
+	{
+		key: "dev.https",
+		env: "USE_HTTPS",
+		type: "boolean",
+		default: true,
+		flag: "--no-https",
+	},
+	{
+		key: "dev.socket",
+		env: "SOCKET_IO_ENABLED",
+		type: "boolean",
+		default: true,
+		flag: "--no-socket",
+	},
+	{
+		key: "dev.socketPort",
+		env: "SOCKET_IO_PORT",
+		type: "port",
+		default: DEFAULT_PORTS.socketIo,
+	},
+	{
+		key: "dev.socketDriver",
+		env: "SOCKET_DRIVER",
+		type: "enum",
+		values: ["io", "echo", false],
+		default: "io",
+	},
+	{ key: "dev.allowedHosts", env: "ALLOWED_HOSTS", type: "hosts" },
+	{
+		key: "dev.inspector",
+		env: "DISABLE_INSPECTOR",
+		type: "boolean",
+		invert: true,
+		default: true,
+	},
+	{
+		key: "dev.sourceTracker",
+		env: "DISABLE_SOURCE_TRACKER",
+		type: "boolean",
+		invert: true,
+		default: true,
+	},
+	{
+		key: "dev.analytics",
+		env: "DISABLE_ANALYTICS",
+		type: "boolean",
+		invert: true,
+		default: true,
+	},
+	{
+		key: "dev.cssLeakCheck",
+		env: "DISABLE_CSS_LEAK_CHECK",
+		type: "boolean",
+		invert: true,
+		default: true,
+	},
+	{
+		key: "dev.useLocalIndex",
+		env: "USE_LOCAL_INDEX",
+		type: "boolean",
+		default: false,
+	},
+	{
+		key: "dev.useLocalMain",
+		env: "USE_LOCAL_MAIN",
+		type: "boolean",
+		default: false,
+	},
+	{
+		key: "dev.portalProfile",
+		env: "PORTAL_PROFILE",
+		type: "string",
+		default: "default",
+		flag: "--profile",
+	},
+	{ key: "api.env", env: "API_ENV", type: "string", default: "mock" },
+	{ key: "api.baseUrl", env: "API_BASE_URL", type: "url" },
+	{ key: "api.projectId", env: "API_PROJECT_ID", type: "string" },
+	{ key: "api.socketUrl", env: "SOCKET_URL", type: "url" },
+	{
+		key: "api.record",
+		env: "API_RECORD",
+		type: "boolean",
+		default: false,
+		flag: "--record",
+	},
+	{
+		key: "mock.enabled",
+		env: "MOCK_API_ENABLED",
+		type: "boolean",
+		default: false,
+		flag: "--with-mock",
+	},
+	{ key: "mock.delay", env: "MOCK_API_DELAY", type: "integer", default: 0 },
+	{
+		key: "mock.cacheTtl",
+		env: "MOCK_API_CACHE_TTL",
+		type: "integer",
+		default: 300000,
+	},
+	{
+		key: "mock.replay",
+		env: "MOCK_API_REPLAY",
+		type: "boolean",
+		default: false,
+		flag: "--replay",
+	},
+	{
+		key: "mock.fixturesDir",
+		env: "MOCK_API_FIXTURES_DIR",
+		type: "string",
+		default: "api-fixtures",
+	},
+]
+
+// Keys that aren't environment-backed options. API_KEY is deliberately not
+// configurable here: gxdev.config is committed, secrets belong in .env.
+const CONFIG_SECTIONS = {
+	dev: [],
+	api: ["environments"],
+	mock: [],
+	lint: ["rules"],
+	build: BUILD_SETTINGS,
+}
+for (const option of CONFIG_OPTIONS) {
+	const [section, name] = option.key.split(".")
+	if (name) {
+		CONFIG_SECTIONS[section].push(name)
+	}
+}
+const TOP_LEVEL_KEYS = [
+	...CONFIG_OPTIONS.filter((option) => !option.key.includes(".")).map(
+		(option) => option.key,
+	),
+	...Object.keys(CONFIG_SECTIONS),
+]
+
+const isObject = (value) =>
+	!!value && typeof value === "object" && !Array.isArray(value)
+
+/**
+ * Edit distance, for "did you mean" hints on misspelled keys.
+ */
+function editDistance(a, b) {
+	const row = Array.from({ length: b.length + 1 }, (_, i) => i)
+	for (let i = 1; i <= a.length; i++) {
+		let diagonal = row[0]
+		row[0] = i
+		for (let j = 1; j <= b.length; j++) {
+			const above = row[j]
+			row[j] = Math.min(
+				row[j] + 1,
+				row[j - 1] + 1,
+				diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1),
+			)
+			diagonal = above
+		}
+	}
+	return row[b.length]
+}
+
+function unknownKeyMessage(where, key, known) {
+	const closest = known
+		.map((name) => ({ name, distance: editDistance(key, name) }))
+		.sort((a, b) => a.distance - b.distance)[0]
+	const hint =
+		closest && closest.distance <= Math.max(2, Math.floor(key.length / 3))
+			? `did you mean "${closest.name}"?`
+			: `expected one of ${known.join(", ")}`
+	return `${where}${where ? "." : ""}${key} is not a gxdev.config option (${hint})`
+}
+
+/**
+ * Why `value` isn't valid for `option`, or null.
+ */
+function checkOptionValue(option, value) {
+	switch (option.type) {
+		case "string":
+			return typeof value === "string" && value.trim()
+				? null
+				: "must be a non-empty string"
+		case "boolean":
+			return typeof value === "boolean" ? null : "must be true or false"
+		case "port":
+			return Number.isInteger(value) && value > 0 && value < 65536
+				? null
+				: "must be a port number (1-65535)"
+		case "integer":
+			return Number.isInteger(value) && value >= 0
+				? null
+				: "must be a whole number of milliseconds"
+		case "url":
+			return typeof value === "string" && /^(https?|wss?):\/\/\S+$/.test(value)
+				? null
+				: "must be an http(s) or ws(s) URL"
+		case "hosts":
+			return Array.isArray(value) &&
+				value.every((host) => typeof host === "string" && host.trim())
+				? null
+				: 'must be an array of host names, e.g. ["my-tunnel.example"]'
+		case "enum":
+			return option.values.includes(value)
+				? null
+				: `must be one of ${option.values.map((v) => JSON.stringify(v)).join(", ")}`
+		default:
+			return null
+	}
+}
+
+/**
+ * Every problem with a config object, as "key: problem" lines.
+ * @param {*} config
+ * @returns {string[]}
+ */
+function validateProjectConfig(config) {
+	if (!isObject(config)) {
+		return ["the config must export an object"]
+	}
+	const errors = []
+	for (const key of Object.keys(config)) {
+		if (!TOP_LEVEL_KEYS.includes(key)) {
+			errors.push(unknownKeyMessage("", key, TOP_LEVEL_KEYS))
+		}
+	}
+	for (const [section, known] of Object.entries(CONFIG_SECTIONS)) {
+		const value = config[section]
+		if (value === undefined) continue
+		if (!isObject(value)) {
+			errors.push(`${section} must be an object`)
+			continue
+		}
+		for (const key of Object.keys(value)) {
+			if (!known.includes(key)) {
+				errors.push(unknownKeyMessage(section, key, known))
+			}
+		}
+	}
+
+	for (const option of CONFIG_OPTIONS) {
+		const value = getConfigValue(config, option.key)
+		if (value === undefined) continue
+		const problem = checkOptionValue(option, value)
+		if (problem) {
+			errors.push(`${option.key} ${problem} (got ${JSON.stringify(value)})`)
+		}
+	}
+
+	const api = isObject(config.api) ? config.api : {}
+	if (api.environments !== undefined && !isObject(api.environments)) {
+		errors.push("api.environments must be an object (see gxdev env list)")
+	}
+
+	const lint = isObject(config.lint) ? config.lint : {}
+	if (lint.rules !== undefined) {
+		if (!isObject(lint.rules)) {
+			errors.push('lint.rules must be an object, e.g. { "enum": "warn" }')
+		} else {
+			for (const [code, level] of Object.entries(lint.rules)) {
+				if (!LINT_RULE_LEVELS.includes(level)) {
+					errors.push(
+						`lint.rules.${code} must be one of ${LINT_RULE_LEVELS.join(", ")} (got ${JSON.stringify(level)})`,
+					)
+				}
+			}
+		}
+	}
+
+	const build = isObject(config.build) ? config.build : {}
+	for (const key of BUILD_SETTINGS) {
+		if (build[key] !== undefined && !isObject(build[key])) {
+			errors.push(`build.${key} must be an object`)
+		}
+	}
+	return errors
+}
+
+function getConfigValue(config, key) {
+	return key
+		.split(".")
+		.reduce(
+			(value, part) => (isObject(value) ? value[part] : undefined),
+			config,
+		)
+}
+
+/**
+ * The project's config file, or null.
+ * @param {string} projectPath
+ * @returns {string|null}
+ */
+function findProjectConfigFile(projectPath) {
+	const found = CONFIG_FILES.map((name) => path.join(projectPath, name)).filter(
+		(file) => fs.existsSync(file),
+	)
+	if (found.length > 1) {
+		throw new Error(
+			`Found ${found.map((file) => path.basename(file)).join(" and ")}; keep only one`,
+		)
+	}
+	return found[0] || null
+}
+
+/**
+ * Load and validate gxdev.config.js|cjs|json.
+ * @param {string} projectPath
+ * @returns {{ file: string|null, config: object }} config is {} without a file
+ */
+function loadProjectConfig(projectPath) {
+	const file = findProjectConfigFile(projectPath)
+	if (!file) {
+		return { file: null, config: {} }
+	}
+	const name = path.basename(file)
+
+	let config
+	if (file.endsWith(".json")) {
+		try {
+			config = JSON.parse(fs.readFileSync(file, "utf-8"))
+		} catch (error) {
+			throw new Error(`Could not parse ${name}: ${error.message}`)
+		}
+	} else {
+		try {
+			delete require.cache[require.resolve(file)]
+			const loaded = require(file)
+			config = loaded && loaded.__esModule ? loaded.default : loaded
+		} catch (error) {
+			if (error.code === "ERR_REQUIRE_ESM") {
+				throw new Error(
+					`${name} is an ES module, which this Node version can't load synchronously; update Node to 20.19 or later, or use gxdev.config.cjs / gxdev.config.json`,
+				)
+			}
+			throw new Error(`Could not load ${name}: ${error.message}`)
+		}
+	}
+
+	const errors = validateProjectConfig(config)
+	if (errors.length > 0) {
+		throw new Error(
+			`Invalid ${name}:\n${errors.map((error) => `   - ${error}`).join("\n")}`,
+		)
+	}
+	return { file, config }
+}
+
+/**
+ * The .env files a command reads, as Vite loads them, plus the variant's.
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {string} [options.mode] - "development" or "production"
+ * @param {string|string[]|null} [options.variant] - Variant(s) whose
+ *   .env.<variant> counts
+ * @returns {Array<{ name: string, values: Record<string, string> }>}
+ */
+function readEnvFiles(
+	projectPath,
+	{ mode = "development", variant = null } = {},
+) {
+	const names = [".env", ".env.local", `.env.${mode}`, `.env.${mode}.local`]
+	for (const name of [].concat(variant || [])) {
+		names.push(`.env.${name}`)
+	}
+	return names
+		.filter((name) => fs.existsSync(path.join(projectPath, name)))
+		.map((name) => ({
+			name,
+			values: dotenv.parse(fs.readFileSync(path.join(projectPath, name))),
+		}))
+}
+
+function toEnvValue(option, value) {
+	if (option.type === "hosts") {
+		return value.join(",")
+	}
+	if (option.invert) {
+		return value ? "false" : "true"
+	}
+	return String(value)
+}
+
+function fromEnvValue(option, raw) {
+	if (option.type === "boolean") {
+		if (raw !== "true" && raw !== "false") return raw
+		return (raw === "true") !== !!option.invert
+	}
+	if (option.type === "port" || option.type === "integer") {
+		return /^\d+$/.test(raw) ? Number(raw) : raw
+	}
+	if (option.type === "hosts") {
+		return raw
+			.split(",")
+			.map((host) => host.trim())
+			.filter(Boolean)
+	}
+	return raw
+}
+
+/**
+ * Where each environment-backed option comes from, highest precedence first
+ * (CLI flags aside: commands apply those themselves).
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {string} [options.mode]
+ * @param {string|null} [options.variant]
+ * @param {Record<string, string>} [options.env] - Defaults to process.env
+ * @param {{ file: string|null, config: object }} [options.loaded] - From
+ *   loadProjectConfig, if already loaded
+ * @returns {Array<{ key: string, env: string, flag?: string, value: *,
+ *   source: string }>} source is "shell", a .env file name, the config file
+ *   name or "default"
+ */
+function resolveProjectOptions(
+	projectPath,
+	{ mode, variant = null, env = process.env, loaded } = {},
+) {
+	const { file, config } = loaded || loadProjectConfig(projectPath)
+	const envFiles = readEnvFiles(projectPath, { mode, variant })
+
+	return CONFIG_OPTIONS.map((option) => {
+		const entry = { key: option.key, env: option.env, flag: option.flag }
+		const fromFile = [...envFiles]
+			.reverse()
+			.find((envFile) => envFile.values[option.env] !== undefined)
+		const configured = getConfigValue(config, option.key)
+		if (
+			env[option.env] !== undefined &&
+			!(fromFile && sameAsFile(env, option, fromFile))
+		) {
+			return {
+				...entry,
+				value: fromEnvValue(option, env[option.env]),
+				source: "shell",
+			}
+		}
+		if (fromFile) {
+			return {
+				...entry,
+				value: fromEnvValue(option, fromFile.values[option.env]),
+				source: fromFile.name,
+			}
+		}
+		if (configured !== undefined) {
+			return { ...entry, value: configured, source: path.basename(file) }
+		}
+		return { ...entry, value: option.default, source: "default" }
+	})
+}
+
+// A variable that dotenv already copied into process.env from a .env file
+// isn't a shell setting
+function sameAsFile(env, option, envFile) {
+	return env[option.env] === envFile.values[option.env]
+}
+
+/**
+ * Load gxdev.config and export the options it sets to process.env, for every
+ * variable not already set in the shell or a .env file. Throws if the config
+ * is invalid.
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {string} [options.mode] - Which .env.<mode> files count
+ * @param {string|string[]|null} [options.variant] - Which .env.<variant>
+ *   files count
+ * @returns {{ file: string|null, config: object, applied: string[] }}
+ *   applied lists the variables that were set
+ */
+function applyProjectConfig(projectPath, { mode, variant = null } = {}) {
+	const loaded = loadProjectConfig(projectPath)
+	const applied = []
+	if (!loaded.file) {
+		return { ...loaded, applied }
+	}
+	const name = path.basename(loaded.file)
+	for (const resolved of resolveProjectOptions(projectPath, {
+		mode,
+		variant,
+		loaded,
+	})) {
+		if (resolved.source !== name) continue
+		const option = CONFIG_OPTIONS.find((o) => o.key === resolved.key)
+		process.env[option.env] = toEnvValue(option, resolved.value)
+		applied.push(option.env)
+	}
+	return { ...loaded, applied }
+}
+
+/**
+ * Severity overrides for `gxdev lint` and the build's lint check, keyed by
+ * error code. Returns {} when the config can't be loaded; commands that
+ * care report that themselves.
+ * @param {string} projectPath
+ * @returns {Object<string, "error"|"warn"|"off">}
+ */
+function loadLintRules(projectPath) {
+	try {
+		const { config } = loadProjectConfig(projectPath)
+		return (config.lint && config.lint.rules) || {}
+	} catch {
+		return {}
+	}
+}
+
+module.exports = {
+	CONFIG_FILES,
+	CONFIG_OPTIONS,
+	BUILD_SETTINGS,
+	LINT_RULE_LEVELS,
+	findProjectConfigFile,
+	loadProjectConfig,
+	validateProjectConfig,
+	resolveProjectOptions,
+	applyProjectConfig,
+	loadLintRules,
+}
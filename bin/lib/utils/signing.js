@@ -0,0 +1,192 @@
+/**
+ * Package Signing
+ *
+ * Ed25519 signatures over a package's integrity.json. Because integrity.json
+ * holds the SHA-256 of every other file, one signature covers the whole
+ * package. The signature is stored in the package as signature.json.
+ *
+ * Keys are PEM files named private.pem / public.pem, looked up in:
+ *   1. <project>/.gxdev/signing/  (project key, git-ignored)
+ *   2. ~/.gxp-dev/signing/        (user key, shared across projects)
+ */
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const crypto = require("crypto")
+
+const SIGNATURE_FILE = "signature.json"
+const PRIVATE_KEY_FILE = "private.pem"
+const PUBLIC_KEY_FILE = "public.pem"
+
+/**
+ * Directories searched for signing keys, most specific first.
+ */
+function getSigningKeyDirs(projectPath) {
+	return [
+		path.join(projectPath, ".gxdev", "signing"),
+		path.join(os.homedir(), ".gxp-dev", "signing"),
+	]
+}
+
+/**
+ * Short, stable identifier for a public key: the first 16 hex characters of
+ * the SHA-256 of its DER encoding.
+ * @param {crypto.KeyObject} publicKey
+ */
+function getKeyId(publicKey) {
+	const der = publicKey.export({ type: "spki", format: "der" })
+	return crypto.createHash("sha256").update(der).digest("hex").slice(0, 16)
+}
+
+/**
+ * Generate an Ed25519 key pair into `dir`. The private key is written with
+ * owner-only permissions.
+ * @returns {{ privateKeyPath: string, publicKeyPath: string, keyId: string }}
+ */
+function generateSigningKey(dir) {
+	const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519")
+	fs.mkdirSync(dir, { recursive: true })
+	const privateKeyPath = path.join(dir, PRIVATE_KEY_FILE)
+	const publicKeyPath = path.join(dir, PUBLIC_KEY_FILE)
+	fs.writeFileSync(
+		privateKeyPath,
+		privateKey.export({ type: "pkcs8", format: "pem" }),
+		{ mode: 0o600 },
+	)
+	fs.writeFileSync(
+		publicKeyPath,
+		publicKey.export({ type: "spki", format: "pem" }),
+	)
+	return { privateKeyPath, publicKeyPath, keyId: getKeyId(publicKey) }
+}
+
+function readKey(filePath, kind) {
+	const pem = fs.readFileSync(filePath, "utf-8")
+	const key =
+		kind === "private"
+			? crypto.createPrivateKey(pem)
+			: crypto.createPublicKey(pem)
+	if (key.asymmetricKeyType !== "ed25519") {
+		throw new Error(
+			`${filePath} is a ${key.asymmetricKeyType} key; package signing uses Ed25519`,
+		)
+	}
+	return key
+}
+
+/**
+ * Load the private key used by `gxdev build --sign`.
+ * @param {string} projectPath
+ * @param {string} [keyPath] - Explicit PEM path (--signing-key)
+ * @returns {{ privateKey: crypto.KeyObject, keyId: string, path: string } | null}
+ *   null when no key exists in any default location
+ */
+function loadSigningKey(projectPath, keyPath) {
+	const candidates = keyPath
+		? [path.resolve(process.cwd(), keyPath)]
+		: getSigningKeyDirs(projectPath).map((dir) =>
+				path.join(dir, PRIVATE_KEY_FILE),
+			)
+	for (const candidate of candidates) {
+		if (!fs.existsSync(candidate)) continue
+		const privateKey = readKey(candidate, "private")
+		return {
+			privateKey,
+			keyId: getKeyId(crypto.createPublicKey(privateKey)),
+			path: candidate,
+		}
+	}
+	if (keyPath) {
+		throw new Error(`Signing key not found: ${candidates[0]}`)
+	}
+	return null
+}
+
+/**
+ * Load the public key used by `gxdev verify --signature`.
+ * @param {string} projectPath
+ * @param {string} [keyPath] - Explicit PEM path (--public-key)
+ * @returns {{ publicKey: crypto.KeyObject, keyId: string, path: string } | null}
+ */
+function loadPublicKey(projectPath, keyPath) {
+	const candidates = keyPath
+		? [path.resolve(process.cwd(), keyPath)]
+		: getSigningKeyDirs(projectPath).map((dir) =>
+				path.join(dir, PUBLIC_KEY_FILE),
+			)
+	for (const candidate of candidates) {
+		if (!fs.existsSync(candidate)) continue
+		const publicKey = readKey(candidate, "public")
+		return { publicKey, keyId: getKeyId(publicKey), path: candidate }
+	}
+	if (keyPath) {
+		throw new Error(`Public key not found: ${candidates[0]}`)
+	}
+	return null
+}
+
+/**
+ * Sign the raw bytes of integrity.json.
+ * @param {Buffer} integrityBytes
+ * @param {crypto.KeyObject} privateKey
+ * @returns {{ algorithm: string, keyId: string, signature: string }}
+ */
+function signIntegrity(integrityBytes, privateKey) {
+	return {
+		algorithm: "ed25519",
+		keyId: getKeyId(crypto.createPublicKey(privateKey)),
+		signature: crypto.sign(null, integrityBytes, privateKey).toString("base64"),
+	}
+}
+
+/**
+ * Check a signature.json against integrity.json and a trusted public key.
+ * @returns {{ valid: boolean, code?: string, message?: string }}
+ */
+function verifyIntegritySignature(integrityBytes, signature, publicKey) {
+	if (
+		!signature ||
+		signature.algorithm !== "ed25519" ||
+		typeof signature.signature !== "string"
+	) {
+		return {
+			valid: false,
+			code: "signature-invalid",
+			message: `${SIGNATURE_FILE} must have algorithm "ed25519" and a base64 signature`,
+		}
+	}
+	const expectedKeyId = getKeyId(publicKey)
+	if (signature.keyId && signature.keyId !== expectedKeyId) {
+		return {
+			valid: false,
+			code: "signature-key-mismatch",
+			message: `Package was signed by key ${signature.keyId}, not the trusted key ${expectedKeyId}`,
+		}
+	}
+	const ok = crypto.verify(
+		null,
+		integrityBytes,
+		publicKey,
+		Buffer.from(signature.signature, "base64"),
+	)
+	return ok
+		? { valid: true }
+		: {
+				valid: false,
+				code: "signature-invalid",
+				message:
+					"Signature does not match integrity.json — the package was modified after it was signed",
+			}
+}
+
+module.exports = {
+	GXP_SIGNATURE_FILE: SIGNATURE_FILE,
+	getSigningKeyDirs,
+	getKeyId,
+	generateSigningKey,
+	loadSigningKey,
+	loadPublicKey,
+	signIntegrity,
+	verifyIntegritySignature,
+}
@@ -6,8 +6,12 @@
 
 const path = require("path")
 const fs = require("fs")
+const crypto = require("crypto")
 const shell = require("shelljs")
 
+// Names every certificate covers; LAN mode adds the machine's addresses
+const DEFAULT_CERT_HOSTS = ["localhost", "127.0.0.1", "::1"]
+
 /**
  * Checks if mkcert is installed globally
  */
@@ -75,6 +79,33 @@ function findExistingCertificates(certsDir) {
 	return null
 }
 
+/**
+ * The DNS names and IP addresses a certificate is valid for.
+ * @param {string} certPath
+ * @returns {string[]} Empty if the certificate can't be read
+ */
+function getCertificateHosts(certPath) {
+	try {
+		const cert = new crypto.X509Certificate(fs.readFileSync(certPath))
+		return (cert.subjectAltName || "")
+			.split(",")
+			.map((entry) => entry.trim().replace(/^(DNS|IP Address):/, ""))
+			.filter(Boolean)
+	} catch {
+		return []
+	}
+}
+
+/**
+ * Whether a certificate is valid for every one of the given hosts.
+ * @param {string} certPath
+ * @param {string[]} hosts
+ */
+function certificateCoversHosts(certPath, hosts) {
+	const covered = getCertificateHosts(certPath)
+	return hosts.every((host) => covered.includes(host))
+}
+
 /**
  * Cleans up old SSL certificate files to prevent naming conflicts
  */
@@ -110,8 +141,12 @@ function cleanupOldCertificates(certsDir) {
 
 /**
  * Generates SSL certificates for localhost using mkcert
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {string[]} [options.extraHosts] - More names/IPs to cover (LAN
+ *   mode); existing certificates missing one of them are regenerated
  */
-function generateSSLCertificates(projectPath) {
+function generateSSLCertificates(projectPath, { extraHosts = [] } = {}) {
 	const certsDir = path.join(projectPath, ".certs")
 
 	// Create .certs directory
@@ -121,12 +156,20 @@ function generateSSLCertificates(projectPath) {
 
 	// Check for existing certificates (including those with suffixes like +2)
 	const existingCerts = findExistingCertificates(certsDir)
-	if (existingCerts) {
+	if (
+		existingCerts &&
+		certificateCoversHosts(existingCerts.certPath, extraHosts)
+	) {
 		console.log("✓ SSL certificates already exist")
 		return existingCerts
 	}
 
-	console.log("Generating SSL certificates for localhost...")
+	const hosts = [...DEFAULT_CERT_HOSTS, ...extraHosts]
+	console.log(
+		existingCerts
+			? `Regenerating SSL certificates for ${hosts.join(", ")}...`
+			: `Generating SSL certificates for ${hosts.join(", ")}...`,
+	)
 
 	// Clean up any leftover certificate files to avoid naming conflicts
 	cleanupOldCertificates(certsDir)
@@ -148,8 +191,8 @@ function generateSSLCertificates(projectPath) {
 			shell.exec(`${mkcertCmd} -install`, { silent: true })
 		}
 
-		// Generate certificates for localhost
-		const result = shell.exec(`${mkcertCmd} localhost 127.0.0.1 ::1`, {
+		// localhost comes first, so the files are named localhost[+N].pem
+		const result = shell.exec(`${mkcertCmd} ${hosts.join(" ")}`, {
 			silent: true,
 		})
 
@@ -222,9 +265,12 @@ function updateEnvWithCertPaths(projectPath, certs) {
 }
 
 module.exports = {
+	DEFAULT_CERT_HOSTS,
 	isMkcertInstalled,
 	ensureMkcertInstalled,
 	findExistingCertificates,
+	getCertificateHosts,
+	certificateCoversHosts,
 	cleanupOldCertificates,
 	generateSSLCertificates,
 	updateEnvWithCertPaths,
@@ -0,0 +1,158 @@
+/**
+ * Build Variants
+ *
+ * A variant is a named overlay for shipping the same plugin with different
+ * defaults. `gxdev build --variant acme` / `gxdev dev --variant acme`:
+ *
+ *   - deep-merge app-manifest.acme.json over app-manifest.json
+ *     (objects merge key by key; arrays and scalars replace)
+ *   - load .env.acme over .env (real environment variables still win)
+ *
+ * `--all-variants` builds every variant that has an app-manifest.<name>.json.
+ * This module is also loaded by the runtime so `gxdev dev` serves the same
+ * merged manifest the build packages.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const dotenv = require("dotenv")
+
+const VARIANT_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/
+const VARIANT_MANIFEST = /^app-manifest\.([A-Za-z0-9][A-Za-z0-9_-]*)\.json$/
+
+function getVariantManifestPath(projectPath, variant) {
+	return path.join(projectPath, `app-manifest.${variant}.json`)
+}
+
+function getVariantEnvPath(projectPath, variant) {
+	return path.join(projectPath, `.env.${variant}`)
+}
+
+/**
+ * Variants declared by an app-manifest.<name>.json in the project root.
+ * @returns {string[]} sorted variant names
+ */
+function listVariants(projectPath) {
+	if (!fs.existsSync(projectPath)) return []
+	return fs
+		.readdirSync(projectPath)
+		.map((file) => file.match(VARIANT_MANIFEST))
+		.filter(Boolean)
+		.map((match) => match[1])
+		.sort()
+}
+
+/**
+ * Throw unless `variant` is a valid name with at least one overlay file.
+ */
+function assertVariant(projectPath, variant) {
+	if (!VARIANT_NAME.test(variant)) {
+		throw new Error(
+			`Invalid variant name "${variant}" — use letters, numbers, "-" and "_"`,
+		)
+	}
+	if (
+		!fs.existsSync(getVariantManifestPath(projectPath, variant)) &&
+		!fs.existsSync(getVariantEnvPath(projectPath, variant))
+	) {
+		const known = listVariants(projectPath)
+		throw new Error(
+			`Unknown variant "${variant}": neither app-manifest.${variant}.json nor .env.${variant} exists${
+				known.length ? ` (available: ${known.join(", ")})` : ""
+			}`,
+		)
+	}
+}
+
+const isPlainObject = (value) =>
+	value !== null && typeof value === "object" && !Array.isArray(value)
+
+/**
+ * Deep-merge `overlay` over `base` without mutating either. Plain objects
+ * merge recursively; anything else in the overlay (arrays, scalars, null)
+ * replaces the base value.
+ */
+function deepMerge(base, overlay) {
+	if (!isPlainObject(base) || !isPlainObject(overlay)) {
+		return overlay === undefined ? base : overlay
+	}
+	const out = { ...base }
+	for (const [key, value] of Object.entries(overlay)) {
+		out[key] = deepMerge(base[key], value)
+	}
+	return out
+}
+
+function readJsonFile(filePath) {
+	try {
+		return JSON.parse(fs.readFileSync(filePath, "utf-8"))
+	} catch (error) {
+		throw new Error(
+			`Could not parse ${path.basename(filePath)}: ${error.message}`,
+		)
+	}
+}
+
+/**
+ * Load the project's app-manifest.json with a variant overlay applied.
+ * @param {string} projectPath
+ * @param {string|null} [variant]
+ * @returns {object|null} merged manifest, or null when there is no manifest
+ *   at all
+ */
+function loadProjectManifest(projectPath, variant = null) {
+	const basePath = path.join(projectPath, "app-manifest.json")
+	const base = fs.existsSync(basePath) ? readJsonFile(basePath) : null
+	if (!variant) {
+		return base
+	}
+	const overlayPath = getVariantManifestPath(projectPath, variant)
+	if (!fs.existsSync(overlayPath)) {
+		return base
+	}
+	return deepMerge(base || {}, readJsonFile(overlayPath))
+}
+
+/**
+ * Load .env.<variant> into process.env for the duration of a build or dev
+ * session. Variables already set in the environment are left alone, and the
+ * variant is exported as GXDEV_VARIANT for the runtime.
+ * @returns {{ keys: string[], restore: Function }} restore() undoes the change
+ */
+function applyVariantEnv(projectPath, variant) {
+	const envPath = getVariantEnvPath(projectPath, variant)
+	const parsed = fs.existsSync(envPath)
+		? dotenv.parse(fs.readFileSync(envPath))
+		: {}
+	const previous = { GXDEV_VARIANT: process.env.GXDEV_VARIANT }
+	const keys = []
+	for (const [key, value] of Object.entries(parsed)) {
+		if (process.env[key] !== undefined) continue
+		previous[key] = undefined
+		process.env[key] = value
+		keys.push(key)
+	}
+	process.env.GXDEV_VARIANT = variant
+
+	return {
+		keys,
+		restore() {
+			for (const [key, value] of Object.entries(previous)) {
+				if (value === undefined) {
+					delete process.env[key]
+				} else {
+					process.env[key] = value
+				}
+			}
+		},
+	}
+}
+
+module.exports = {
+	getVariantManifestPath,
+	listVariants,
+	assertVariant,
+	deepMerge,
+	loadProjectManifest,
+	applyVariantEnv,
+}
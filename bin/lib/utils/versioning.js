@@ -0,0 +1,286 @@
+/**
+ * Versioning Utilities
+ *
+ * Backs `gxdev version`. A plugin's version is declared twice, in
+ * app-manifest.json (what the platform sees) and package.json (what npm and
+ * most tooling see); these helpers bump both together, keep CHANGELOG.md in
+ * step, and let `gxdev build` refuse to package when the two disagree.
+ *
+ * Versions are semver: MAJOR.MINOR.PATCH with an optional -prerelease.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const shell = require("shelljs")
+
+const VERSION_FILES = ["app-manifest.json", "package.json"]
+const CHANGELOG_FILE = "CHANGELOG.md"
+const RELEASE_TYPES = ["major", "minor", "patch"]
+const TAG_PREFIX = "v"
+
+const SEMVER =
+	/^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/
+
+/**
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number,
+ *   prerelease: string|null }|null} null when not semver
+ */
+function parseSemver(version) {
+	const match = SEMVER.exec(String(version || "").trim())
+	if (!match) {
+		return null
+	}
+	return {
+		major: Number(match[1]),
+		minor: Number(match[2]),
+		patch: Number(match[3]),
+		prerelease: match[4] || null,
+	}
+}
+
+/**
+ * Semver precedence: negative when a < b, 0 when equal, positive when a > b.
+ * A prerelease sorts before its release (1.0.0-beta < 1.0.0).
+ */
+function compareSemver(a, b) {
+	const left = parseSemver(a)
+	const right = parseSemver(b)
+	for (const key of ["major", "minor", "patch"]) {
+		if (left[key] !== right[key]) return left[key] - right[key]
+	}
+	if (left.prerelease === right.prerelease) return 0
+	if (!left.prerelease) return 1
+	if (!right.prerelease) return -1
+	const leftIds = left.prerelease.split(".")
+	const rightIds = right.prerelease.split(".")
+	for (let i = 0; i < Math.max(leftIds.length, rightIds.length); i++) {
+		if (leftIds[i] === undefined) return -1
+		if (rightIds[i] === undefined) return 1
+		if (leftIds[i] === rightIds[i]) continue
+		const numeric = /^\d+$/.test(leftIds[i]) && /^\d+$/.test(rightIds[i])
+		return numeric
+			? Number(leftIds[i]) - Number(rightIds[i])
+			: leftIds[i] < rightIds[i]
+				? -1
+				: 1
+	}
+	return 0
+}
+
+/**
+ * The version a release moves to. Bumping a prerelease releases it, as npm
+ * does: `patch` on 1.2.3-beta.1 gives 1.2.3.
+ * @param {string} current
+ * @param {string} release - "major", "minor", "patch" or an explicit version
+ * @param {object} [options]
+ * @param {boolean} [options.allowCurrent] - Accept an explicit version equal
+ *   to the current one (syncing files that disagree)
+ * @returns {string}
+ */
+function nextVersion(current, release, { allowCurrent = false } = {}) {
+	const from = parseSemver(current)
+	if (!from) {
+		throw new Error(`Current version "${current}" is not a semver version`)
+	}
+	if (!RELEASE_TYPES.includes(release)) {
+		const explicit = String(release).replace(/^v/, "")
+		if (!parseSemver(explicit)) {
+			throw new Error(
+				`"${release}" is not a version — use ${RELEASE_TYPES.join(", ")} or x.y.z`,
+			)
+		}
+		const order = compareSemver(explicit, current)
+		if (order < 0 || (order === 0 && !allowCurrent)) {
+			throw new Error(
+				`${explicit} is not newer than the current version ${current}`,
+			)
+		}
+		return explicit
+	}
+	const { major, minor, patch, prerelease } = from
+	if (release === "major") {
+		return prerelease && minor === 0 && patch === 0
+			? `${major}.0.0`
+			: `${major + 1}.0.0`
+	}
+	if (release === "minor") {
+		return prerelease && patch === 0
+			? `${major}.${minor}.0`
+			: `${major}.${minor + 1}.0`
+	}
+	return prerelease
+		? `${major}.${minor}.${patch}`
+		: `${major}.${minor}.${patch + 1}`
+}
+
+/**
+ * Versions declared by the project.
+ * @param {string} projectPath
+ * @returns {{ "app-manifest.json": string|null, "package.json": string|null }}
+ *   null for a missing file or a file without a version
+ */
+function readProjectVersions(projectPath) {
+	const versions = {}
+	for (const file of VERSION_FILES) {
+		const filePath = path.join(projectPath, file)
+		if (!fs.existsSync(filePath)) {
+			versions[file] = null
+			continue
+		}
+		let json
+		try {
+			json = JSON.parse(fs.readFileSync(filePath, "utf-8"))
+		} catch (error) {
+			throw new Error(`Could not parse ${file}: ${error.message}`)
+		}
+		versions[file] =
+			typeof json.version === "string" && json.version ? json.version : null
+	}
+	return versions
+}
+
+/**
+ * The two versions when both are declared and differ, otherwise null.
+ * @param {string} projectPath
+ * @returns {{ manifest: string, package: string }|null}
+ */
+function findVersionMismatch(projectPath) {
+	const versions = readProjectVersions(projectPath)
+	const manifest = versions["app-manifest.json"]
+	const pkg = versions["package.json"]
+	if (!manifest || !pkg || manifest === pkg) {
+		return null
+	}
+	return { manifest, package: pkg }
+}
+
+/**
+ * Set "version" in a JSON file, keeping its indentation and key order.
+ * @param {string} filePath
+ * @param {string} version
+ */
+function writeJsonVersion(filePath, version) {
+	const raw = fs.readFileSync(filePath, "utf-8")
+	const json = JSON.parse(raw)
+	const indentMatch = raw.match(/^[{[]\r?\n([ \t]+)/)
+	const indent = indentMatch ? indentMatch[1] : "\t"
+	json.version = version
+	const trailing = raw.endsWith("\n") ? "\n" : ""
+	fs.writeFileSync(filePath, JSON.stringify(json, null, indent) + trailing)
+}
+
+function git(projectPath, args) {
+	return shell.exec(`git ${args}`, { cwd: projectPath, silent: true })
+}
+
+/**
+ * Whether the project is a git checkout, and if so its latest release tag
+ * and whether the working tree has uncommitted changes.
+ * @param {string} projectPath
+ * @returns {{ lastTag: string|null, dirty: boolean }|null} null outside git
+ */
+function getGitState(projectPath) {
+	if (git(projectPath, "rev-parse --is-inside-work-tree").code !== 0) {
+		return null
+	}
+	const tag = git(
+		projectPath,
+		`describe --tags --abbrev=0 --match "${TAG_PREFIX}*"`,
+	)
+	const status = git(projectPath, "status --porcelain")
+	return {
+		lastTag: tag.code === 0 ? tag.stdout.trim() : null,
+		dirty: status.code === 0 && status.stdout.trim() !== "",
+	}
+}
+
+/**
+ * Commits since a tag (all commits when there is none), oldest first,
+ * without merges.
+ * @param {string} projectPath
+ * @param {string|null} since - Tag name
+ * @returns {Array<{ hash: string, subject: string }>}
+ */
+function listCommitsSince(projectPath, since) {
+	const range = since ? `${since}..HEAD` : "HEAD"
+	const log = git(
+		projectPath,
+		`log ${range} --no-merges --reverse --pretty=format:%h%x09%s`,
+	)
+	// A repository without commits yet has no HEAD
+	if (log.code !== 0) {
+		return []
+	}
+	return log.stdout
+		.split("\n")
+		.filter(Boolean)
+		.map((line) => {
+			const [hash, ...subject] = line.split("\t")
+			return { hash, subject: subject.join("\t") }
+		})
+}
+
+/**
+ * One CHANGELOG.md section.
+ * @param {string} version
+ * @param {Array<{ hash: string, subject: string }>} commits
+ * @param {object} [options]
+ * @param {Date} [options.date]
+ * @param {string|null} [options.since] - Previous tag, for the empty case
+ * @returns {string}
+ */
+function formatChangelogEntry(
+	version,
+	commits,
+	{ date = new Date(), since = null } = {},
+) {
+	const day = [
+		date.getFullYear(),
+		String(date.getMonth() + 1).padStart(2, "0"),
+		String(date.getDate()).padStart(2, "0"),
+	].join("-")
+	const lines = [`## [${version}] - ${day}`, ""]
+	if (commits.length === 0) {
+		lines.push(since ? `- No changes since ${since}` : "- Initial release")
+	}
+	for (const commit of commits) {
+		lines.push(`- ${commit.subject} (${commit.hash})`)
+	}
+	return lines.join("\n") + "\n"
+}
+
+/**
+ * Add an entry to the changelog, newest first: before the first release
+ * heading, after any title and intro.
+ * @param {string} existing - Current CHANGELOG.md ("" when there is none)
+ * @param {string} entry - From formatChangelogEntry
+ * @returns {string}
+ */
+function addChangelogEntry(existing, entry) {
+	if (!existing.trim()) {
+		return `# Changelog\n\n${entry}`
+	}
+	const firstRelease = existing.search(/^## /m)
+	if (firstRelease === -1) {
+		return `${existing.replace(/\s*$/, "")}\n\n${entry}`
+	}
+	return `${existing.slice(0, firstRelease)}${entry}\n${existing.slice(firstRelease)}`
+}
+
+module.exports = {
+	VERSION_FILES,
+	CHANGELOG_FILE,
+	RELEASE_TYPES,
+	TAG_PREFIX,
+	parseSemver,
+	compareSemver,
+	nextVersion,
+	readProjectVersions,
+	findVersionMismatch,
+	writeJsonVersion,
+	getGitState,
+	listCommitsSince,
+	formatChangelogEntry,
+	addChangelogEntry,
+}
@@ -2,56 +2,19 @@
  * Shared OpenAPI / AsyncAPI / Webhook spec fetching with an in-memory cache.
  * Used by both the main MCP server and the extended api-tools module.
  *
- * Environment detection: reads VITE_API_ENV/API_ENV from the project's .env
- * file first, then falls back to process.env, then defaults to "develop".
+ * Environment detection: the project's active environment (API_ENV in the
+ * shell, then .env, then gxdev.config api.env), defaulting to "develop"; its
+ * spec URLs come from the environment registry
+ * (bin/lib/utils/environments.js), the same ones `gxdev dev` uses.
  *
  * Cache: 5-minute TTL, shared across all callers in the same process.
  */
 
-const fs = require("fs")
-const path = require("path")
-
-const ENVIRONMENT_URLS = {
-	production: {
-		apiBaseUrl: "https://api.gramercy.cloud",
-		openApiSpec: "https://api.gramercy.cloud/api-specs/openapi.json",
-		asyncApiSpec: "https://api.gramercy.cloud/api-specs/asyncapi.json",
-		webhookSpec: "https://api.gramercy.cloud/api-specs/webhooks.json",
-	},
-	staging: {
-		apiBaseUrl: "https://api.efz-staging.env.eventfinity.app",
-		openApiSpec:
-			"https://api.efz-staging.env.eventfinity.app/api-specs/openapi.json",
-		asyncApiSpec:
-			"https://api.efz-staging.env.eventfinity.app/api-specs/asyncapi.json",
-		webhookSpec:
-			"https://api.efz-staging.env.eventfinity.app/api-specs/webhooks.json",
-	},
-	testing: {
-		apiBaseUrl: "https://api.zenith-develop-testing.env.eventfinity.app",
-		openApiSpec:
-			"https://api.zenith-develop-testing.env.eventfinity.app/api-specs/openapi.json",
-		asyncApiSpec:
-			"https://api.zenith-develop-testing.env.eventfinity.app/api-specs/asyncapi.json",
-		webhookSpec:
-			"https://api.zenith-develop-testing.env.eventfinity.app/api-specs/webhooks.json",
-	},
-	develop: {
-		apiBaseUrl: "https://api.zenith-develop.env.eventfinity.app",
-		openApiSpec:
-			"https://api.zenith-develop.env.eventfinity.app/api-specs/openapi.json",
-		asyncApiSpec:
-			"https://api.zenith-develop.env.eventfinity.app/api-specs/asyncapi.json",
-		webhookSpec:
-			"https://api.zenith-develop.env.eventfinity.app/api-specs/webhooks.json",
-	},
-	local: {
-		apiBaseUrl: "https://dashboard.eventfinity.test",
-		openApiSpec: "https://api.eventfinity.test/api-specs/openapi.json",
-		asyncApiSpec: "https://api.eventfinity.test/api-specs/asyncapi.json",
-		webhookSpec: "https://api.eventfinity.test/api-specs/webhooks.json",
-	},
-}
+const {
+	loadEnvironments,
+	getEnvironment: findEnvironment,
+	readActiveEnvironment,
+} = require("../../bin/lib/utils/environments")
 
 const CACHE_TTL = 5 * 60 * 1000
 const specCache = {
@@ -62,20 +25,13 @@ const specCache = {
 }
 
 function getEnvironment() {
-	const envPath = path.join(process.cwd(), ".env")
-	if (fs.existsSync(envPath)) {
-		const envContent = fs.readFileSync(envPath, "utf-8")
-		const match = envContent.match(/VITE_API_ENV=(\w+)/)
-		if (match) {
-			return match[1]
-		}
-	}
-	return process.env.VITE_API_ENV || process.env.API_ENV || "develop"
+	const active = readActiveEnvironment(process.cwd())
+	return active.source === "default" ? "develop" : active.name
 }
 
 function getEnvUrls() {
-	const env = getEnvironment()
-	return ENVIRONMENT_URLS[env] || ENVIRONMENT_URLS.develop
+	const environments = loadEnvironments(process.cwd())
+	return findEnvironment(getEnvironment(), environments) || environments.develop
 }
 
 async function fetchSpec(specType) {
@@ -127,7 +83,6 @@ function __setCacheForTest(overrides) {
 }
 
 module.exports = {
-	ENVIRONMENT_URLS,
 	getEnvironment,
 	getEnvUrls,
 	fetchSpec,
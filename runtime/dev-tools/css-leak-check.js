@@ -0,0 +1,261 @@
+/**
+ * GxP CSS Leak Check
+ *
+ * Dev-only companion to `cssIsolation`. Plugin CSS shares the document with
+ * the platform UI, so a global selector in the plugin (`body`, `button`,
+ * `.header`) restyles the host too. This finds rules in the plugin's own
+ * stylesheets that match elements outside the plugin root and reports each
+ * one once.
+ *
+ * Plugin stylesheets are the <style> tags Vite injects in dev
+ * (data-vite-dev-id) for modules outside the host's own directories — the
+ * toolkit runtime and the theme layouts. Interactive states (:hover, ...)
+ * and pseudo-elements are stripped before matching, so `button:hover` is
+ * reported while nothing is hovered.
+ *
+ * `doc` is injectable so the check can be unit-tested against a fake DOM.
+ */
+
+// Dropped before querySelectorAll: pseudo-elements can't be queried and
+// state pseudo-classes only match while the state applies
+const UNQUERYABLE =
+	/::?(?:before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|-webkit-[\w-]+|-moz-[\w-]+)(?:\([^)]*\))?|:(?:hover|active|focus|focus-visible|focus-within|visited|target)\b/g
+
+const MAX_REPORTED_PER_CHECK = 20
+
+/**
+ * Whether a Vite dev style tag belongs to the plugin rather than the host.
+ * @param {string|null} devId - data-vite-dev-id
+ * @param {string[]} hostDirs - Absolute directories owned by the host
+ */
+export function isPluginStylesheet(devId, hostDirs) {
+	if (!devId) {
+		return false
+	}
+	const id = devId.replace(/\\/g, "/")
+	return !hostDirs.some((dir) => {
+		const prefix = dir.replace(/\\/g, "/").replace(/\/?$/, "/")
+		return id.startsWith(prefix)
+	})
+}
+
+/**
+ * Short, project-relative label for a stylesheet's module id.
+ * @param {string} devId
+ */
+export function describeSource(devId) {
+	const id = devId.replace(/\\/g, "/").split("?")[0]
+	const nodeModules = id.lastIndexOf("/node_modules/")
+	if (nodeModules !== -1) {
+		return id.slice(nodeModules + 1)
+	}
+	const src = id.indexOf("/src/")
+	return src !== -1 ? id.slice(src + 1) : id
+}
+
+/**
+ * Split a selector list on top-level commas.
+ * @param {string} selectorText
+ * @returns {string[]}
+ */
+export function splitSelectorList(selectorText) {
+	const selectors = []
+	let depth = 0
+	let current = ""
+	for (const ch of selectorText) {
+		if (ch === "(" || ch === "[") depth++
+		if (ch === ")" || ch === "]") depth--
+		if (ch === "," && depth === 0) {
+			selectors.push(current.trim())
+			current = ""
+		} else {
+			current += ch
+		}
+	}
+	if (current.trim()) {
+		selectors.push(current.trim())
+	}
+	return selectors
+}
+
+/**
+ * The selector querySelectorAll should run for a rule selector.
+ * @param {string} selector
+ * @returns {string}
+ */
+export function toQueryableSelector(selector) {
+	const stripped = selector.replace(UNQUERYABLE, "").trim()
+	// "::selection" alone applies to everything
+	return stripped === "" || /[\s>+~]$/.test(stripped)
+		? `${stripped} *`.trim()
+		: stripped
+}
+
+function* styleRules(rules) {
+	for (const rule of Array.from(rules || [])) {
+		if (rule.selectorText !== undefined) {
+			// Nested rules are relative to this one; the outer selector decides
+			// what they can reach
+			yield rule
+		} else if (rule.cssRules) {
+			// @media, @supports, @layer, @container
+			yield* styleRules(rule.cssRules)
+		}
+	}
+}
+
+/**
+ * Find plugin CSS rules that match elements outside the plugin root.
+ * @param {object} options
+ * @param {Document} options.doc
+ * @param {Element} options.root - The plugin root element
+ * @param {string[]} options.hostDirs - See isPluginStylesheet
+ * @returns {Array<{ selector: string, source: string, count: number,
+ *   sample: string }>}
+ */
+export function findCssLeaks({ doc, root, hostDirs }) {
+	const leaks = []
+	for (const style of Array.from(doc.querySelectorAll("style"))) {
+		const devId = style.getAttribute("data-vite-dev-id")
+		if (!isPluginStylesheet(devId, hostDirs) || !style.sheet) {
+			continue
+		}
+		let rules
+		try {
+			rules = style.sheet.cssRules
+		} catch {
+			continue
+		}
+		for (const rule of styleRules(rules)) {
+			for (const selector of splitSelectorList(rule.selectorText)) {
+				let matched
+				try {
+					matched = Array.from(
+						doc.querySelectorAll(toQueryableSelector(selector)),
+					)
+				} catch {
+					// Selector the browser can't query (vendor syntax, ...)
+					continue
+				}
+				const outside = matched.filter((el) => !root.contains(el))
+				if (outside.length > 0) {
+					leaks.push({
+						selector,
+						source: describeSource(devId),
+						count: outside.length,
+						sample: describeElement(outside[0]),
+					})
+				}
+			}
+		}
+	}
+	return leaks
+}
+
+function describeElement(el) {
+	const tag = el.tagName.toLowerCase()
+	if (el.id) {
+		return `<${tag}#${el.id}>`
+	}
+	const className =
+		typeof el.className === "string" ? el.className.trim().split(/\s+/)[0] : ""
+	return className ? `<${tag}.${className}>` : `<${tag}>`
+}
+
+/**
+ * Console message for newly found leaks.
+ * @param {Array} leaks - From findCssLeaks
+ * @param {string} strategy - cssIsolation strategy ("scope", "layer", "off")
+ * @returns {string}
+ */
+export function formatCssLeakWarning(leaks, strategy) {
+	const lines = [
+		`[GxP] Plugin CSS matches elements outside the plugin root (${leaks.length} rule${leaks.length === 1 ? "" : "s"}):`,
+	]
+	for (const leak of leaks.slice(0, MAX_REPORTED_PER_CHECK)) {
+		lines.push(
+			`  ${leak.selector}  (${leak.source}) — ${leak.count} element${leak.count === 1 ? "" : "s"}, e.g. ${leak.sample}`,
+		)
+	}
+	if (leaks.length > MAX_REPORTED_PER_CHECK) {
+		lines.push(`  … and ${leaks.length - MAX_REPORTED_PER_CHECK} more`)
+	}
+	if (strategy === "scope") {
+		lines.push(
+			"cssIsolation is on: `gxdev build` scopes these rules to the plugin root, so they won't reach the platform UI.",
+		)
+	} else if (strategy === "layer") {
+		lines.push(
+			"cssIsolation uses a cascade layer: the platform's own rules win, but these still apply where it sets nothing.",
+		)
+	} else {
+		lines.push(
+			'In production these rules restyle the platform UI. Scope them to your components, or set "cssIsolation" in app-manifest.json.',
+		)
+	}
+	return lines.join("\n")
+}
+
+/**
+ * Check now and whenever stylesheets change, warning once per rule.
+ * @param {object} options
+ * @param {Document} options.doc
+ * @param {() => Element|null} options.getRoot
+ * @param {string[]} options.hostDirs
+ * @param {string} options.strategy
+ * @param {(message: string) => void} [options.warn]
+ * @param {number} [options.delay] - Debounce for style changes, in ms
+ * @returns {{ check: () => void, stop: () => void }}
+ */
+export function watchCssLeaks({
+	doc,
+	getRoot,
+	hostDirs,
+	strategy,
+	warn = (message) => console.warn(message),
+	delay = 500,
+}) {
+	const reported = new Set()
+	let timer = null
+
+	const check = () => {
+		timer = null
+		const root = getRoot()
+		if (!root) {
+			return
+		}
+		const fresh = findCssLeaks({ doc, root, hostDirs }).filter((leak) => {
+			const key = `${leak.source}\n${leak.selector}`
+			if (reported.has(key)) return false
+			reported.add(key)
+			return true
+		})
+		if (fresh.length > 0) {
+			warn(formatCssLeakWarning(fresh, strategy))
+		}
+	}
+	const schedule = () => {
+		clearTimeout(timer)
+		timer = setTimeout(check, delay)
+	}
+
+	// Vite adds and updates <style> tags in <head> on load and on HMR
+	const observer =
+		typeof MutationObserver !== "undefined"
+			? new MutationObserver(schedule)
+			: null
+	observer?.observe(doc.head, {
+		childList: true,
+		subtree: true,
+		characterData: true,
+	})
+	schedule()
+
+	return {
+		check: schedule,
+		stop: () => {
+			clearTimeout(timer)
+			observer?.disconnect()
+		},
+	}
+}
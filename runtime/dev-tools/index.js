@@ -4,3 +4,4 @@ export { default as StoreInspector } from "./StoreInspector.vue"
 export { default as LayoutSwitcher } from "./LayoutSwitcher.vue"
 export { default as SocketSimulator } from "./SocketSimulator.vue"
 export { default as MockDataEditor } from "./MockDataEditor.vue"
+export { default as NetworkInspector } from "./NetworkInspector.vue"
@@ -0,0 +1,130 @@
+/**
+ * GxP Network Log
+ *
+ * Helpers for the Dev Tools Network tab, which lists the API calls the GxP
+ * store records in `store.apiCalls` (see gxpPortalConfigStore.js): filtering
+ * and turning a call into a fixture.
+ *
+ * Fixtures use the format `gxdev dev --record` writes to api-fixtures/ (see
+ * runtime/mock-api/recordings.js), so a copied call can be saved there and
+ * served by the mock API with `gxdev dev --replay`.
+ */
+
+import { redactHeaders } from "../stores/apiRedaction.js"
+
+export const API_CALL_SOURCES = ["mock", "proxy", "real"]
+export const API_CALL_STATES = ["ok", "error", "pending"]
+
+/**
+ * The state a call's status puts it in: pending, ok (below 400) or error.
+ * @param {{ state: string, status: number|null }} call
+ * @returns {"pending"|"ok"|"error"}
+ */
+export function apiCallState(call) {
+	if (call.state === "pending") return "pending"
+	if (call.state === "error" || !call.status || call.status >= 400) {
+		return "error"
+	}
+	return "ok"
+}
+
+/**
+ * Filter API calls by free text (operationId, method, path), source and
+ * state. Empty filters match everything.
+ * @param {object[]} calls
+ * @param {object} [filters]
+ * @param {string} [filters.text]
+ * @param {string} [filters.source] - mock, proxy or real
+ * @param {string} [filters.state] - ok, error or pending
+ * @returns {object[]}
+ */
+export function filterApiCalls(calls, { text, source, state } = {}) {
+	const needle = (text || "").trim().toLowerCase()
+	return calls.filter((call) => {
+		if (source && call.source !== source) return false
+		if (state && apiCallState(call) !== state) return false
+		if (!needle) return true
+		return [call.operationId, call.method, call.path]
+			.filter(Boolean)
+			.some((field) => String(field).toLowerCase().includes(needle))
+	})
+}
+
+/**
+ * The fixture key for a call: its operationId, or "METHOD path" for calls
+ * made with apiGet & co., which the mock API can't replay by operation.
+ * @param {object} call
+ * @returns {string}
+ */
+export function fixtureOperationId(call) {
+	return call.operationId || `${call.method} ${call.path}`
+}
+
+/**
+ * api-fixtures/ file name for a call (same rule as recordings.js).
+ * @param {object} call
+ * @returns {string}
+ */
+export function fixtureFileName(call) {
+	return `${fixtureOperationId(call).replace(/[^\w.-]+/g, "_")}.json`
+}
+
+/**
+ * A call as an api-fixtures/ fixture with a single recording, credentials
+ * redacted.
+ * @param {object} call - An entry of store.apiCalls
+ * @param {object} [options]
+ * @param {string} [options.environment] - API_ENV the call went to
+ * @returns {object}
+ */
+export function toFixture(call, { environment } = {}) {
+	const request = {
+		method: call.method,
+		path: call.path,
+		query: call.query || {},
+		headers: redactHeaders(call.requestHeaders),
+	}
+	if (call.requestBody !== undefined) {
+		request.body =
+			typeof call.requestBody === "string"
+				? parseJson(call.requestBody)
+				: call.requestBody
+	}
+	const response = {
+		status: call.status,
+		headers: redactHeaders(call.responseHeaders),
+	}
+	if (call.responseBody !== undefined && call.responseBody !== "") {
+		response.body = call.responseBody
+	}
+	return {
+		operationId: fixtureOperationId(call),
+		method: call.method.toLowerCase(),
+		path: call.operationPath || call.path,
+		recordings: [
+			{
+				recordedAt: call.startedAt,
+				environment,
+				request,
+				response,
+			},
+		],
+	}
+}
+
+function parseJson(text) {
+	try {
+		return JSON.parse(text)
+	} catch {
+		return text
+	}
+}
+
+/**
+ * "120 ms" / "1.4 s", or "…" while pending.
+ * @param {number|null} ms
+ */
+export function formatDuration(ms) {
+	if (ms === null || ms === undefined) return "…"
+	return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`
+}
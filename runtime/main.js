@@ -33,8 +33,9 @@ async function init() {
 	// is injected into the cloud platform via browser extension).
 	const devProtocol =
 		import.meta.env.VITE_USE_HTTPS !== "false" ? "https" : "http"
+	const devHost = import.meta.env.VITE_DEV_HOST || "localhost"
 	const devPort = import.meta.env.VITE_NODE_PORT || "3060"
-	const devServerBaseUrl = `${devProtocol}://localhost:${devPort}`
+	const devServerBaseUrl = `${devProtocol}://${devHost}:${devPort}`
 
 	app.use(createGxpStringsPlugin(gxpStore, { devServerBaseUrl }))
 
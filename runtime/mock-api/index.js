@@ -15,11 +15,13 @@ const {
 const { generateRoutes, getRouteStats } = require("./route-generator")
 const { parseSocketTriggers, getTriggerStats } = require("./socket-triggers")
 const { imageHandler } = require("./image-generator")
+const { getFixturesDir, listFixtures } = require("./recordings")
 
 // Store state for status endpoint
 let currentSpecs = null
 let currentSocketTriggers = null
 let routeStats = null
+let replayDir = null
 
 /**
  * Create the mock API router
@@ -43,12 +45,22 @@ async function createMockApiRouter(io, options = {}) {
 		currentSocketTriggers = parseSocketTriggers(specs.asyncApi)
 	}
 
+	// Replay responses recorded with gxdev dev --record before generating any
+	if (process.env.MOCK_API_REPLAY === "true") {
+		replayDir = getFixturesDir(projectRoot)
+		const fixtures = listFixtures(replayDir)
+		console.log(
+			`🎞️  Replaying recorded responses for ${fixtures.length} operation(s) from ${replayDir}`,
+		)
+	}
+
 	// Generate routes from OpenAPI
 	if (specs.openApi) {
 		console.log("\n📍 Generating mock routes from OpenAPI spec:")
 		const apiRouter = generateRoutes(specs.openApi, {
 			io,
 			socketTriggers: currentSocketTriggers,
+			fixturesDir: replayDir,
 		})
 		routeStats = getRouteStats(specs.openApi)
 
@@ -74,6 +86,13 @@ async function createMockApiRouter(io, options = {}) {
 			},
 			routes: routeStats,
 			socketTriggers: triggerStats,
+			replay: replayDir
+				? {
+						enabled: true,
+						fixturesDir: replayDir,
+						fixtures: listFixtures(replayDir),
+					}
+				: { enabled: false },
 			cache: cacheStatus,
 		})
 	})
@@ -134,6 +153,7 @@ async function createMockApiRouter(io, options = {}) {
 				API_ENV: process.env.API_ENV || "production",
 				MOCK_API_DELAY: process.env.MOCK_API_DELAY || "0",
 				MOCK_API_CACHE_TTL: process.env.MOCK_API_CACHE_TTL || "300000",
+				MOCK_API_REPLAY: process.env.MOCK_API_REPLAY || "false",
 			},
 		})
 	})
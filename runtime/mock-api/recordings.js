@@ -0,0 +1,403 @@
+/**
+ * API Recordings
+ *
+ * Records real API traffic through the dev server's /api-proxy into fixture
+ * files, and looks recorded responses up again for the mock API to replay.
+ *
+ * One file per OpenAPI operation, named after its operationId:
+ *
+ *   api-fixtures/portal.v1.project.forms.show.json
+ *   {
+ *     "operationId": "portal.v1.project.forms.show",
+ *     "method": "get",
+ *     "path": "/v1/projects/{teamSlug}/{projectSlug}/forms/{form}",
+ *     "recordings": [
+ *       {
+ *         "recordedAt": "...",
+ *         "environment": "develop",
+ *         "request": { "method", "path", "query", "headers", "body" },
+ *         "response": { "status", "headers", "body" }
+ *       }
+ *     ]
+ *   }
+ *
+ * Recording the same request again (method, path and query) replaces it.
+ * Credentials never reach the files: see REDACTED_HEADERS in
+ * runtime/stores/apiRedaction.js, shared with the Dev Tools Network tab.
+ */
+
+const fs = require("fs")
+const path = require("path")
+const zlib = require("zlib")
+const {
+	REDACTED,
+	REDACTED_HEADERS,
+	redactHeaders: redactCredentials,
+} = require("../stores/apiRedaction.js")
+
+const FIXTURES_DIR = "api-fixtures"
+// Connection-level headers that mean nothing once the response is on disk
+const SKIPPED_HEADERS = [
+	"connection",
+	"keep-alive",
+	"transfer-encoding",
+	"content-length",
+	"content-encoding",
+	"date",
+]
+
+/**
+ * The fixtures directory for a project (MOCK_API_FIXTURES_DIR overrides it).
+ * @param {string} projectRoot
+ * @param {object} [env]
+ * @returns {string}
+ */
+function getFixturesDir(projectRoot, env = process.env) {
+	return path.resolve(projectRoot, env.MOCK_API_FIXTURES_DIR || FIXTURES_DIR)
+}
+
+/**
+ * File name for an operation's fixture.
+ * @param {string} operationId
+ * @returns {string}
+ */
+function fixtureFileName(operationId) {
+	return `${operationId.replace(/[^\w.-]+/g, "_")}.json`
+}
+
+/**
+ * Lower-case header names, drop connection-level ones and replace
+ * credentials with a placeholder.
+ * @param {object} headers
+ * @returns {object}
+ */
+function redactHeaders(headers = {}) {
+	const result = redactCredentials(headers)
+	for (const key of SKIPPED_HEADERS) {
+		delete result[key]
+	}
+	return result
+}
+
+/**
+ * Find the OpenAPI operation a request path belongs to. Literal segments win
+ * over parameters, so /forms/latest matches /forms/latest before
+ * /forms/{form}.
+ * @param {object} spec - OpenAPI spec
+ * @param {string} method
+ * @param {string} requestPath
+ * @returns {{ operationId: string, method: string, path: string }|null}
+ */
+function findOperation(spec, method, requestPath) {
+	const verb = method.toLowerCase()
+	let best = null
+	for (const [template, pathItem] of Object.entries(spec?.paths || {})) {
+		const operation = pathItem[verb]
+		if (!operation) continue
+		const params = (template.match(/\{[^}]+\}/g) || []).length
+		const pattern = new RegExp(
+			`^${template
+				.split(/\{[^}]+\}/)
+				.map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+				.join("[^/]+")}/?$`,
+		)
+		if (pattern.test(requestPath) && (!best || params < best.params)) {
+			best = {
+				params,
+				operationId:
+					operation.operationId || `${verb.toUpperCase()} ${template}`,
+				path: template,
+			}
+		}
+	}
+	return best
+		? { operationId: best.operationId, method: verb, path: best.path }
+		: null
+}
+
+/**
+ * "a=1&b=2&b=3" for a query object, with sorted keys, so the same query
+ * compares equal however it was parsed.
+ * @param {object} [query]
+ * @returns {string}
+ */
+function canonicalQuery(query = {}) {
+	return Object.keys(query)
+		.sort()
+		.flatMap((key) =>
+			[]
+				.concat(query[key])
+				.map(
+					(value) =>
+						`${key}=${typeof value === "object" ? JSON.stringify(value) : value}`,
+				),
+		)
+		.join("&")
+}
+
+/**
+ * Read an operation's fixture file.
+ * @param {string} fixturesDir
+ * @param {string} operationId
+ * @returns {object|null} null if there is none or it isn't valid JSON
+ */
+function readFixture(fixturesDir, operationId) {
+	try {
+		return JSON.parse(
+			fs.readFileSync(
+				path.join(fixturesDir, fixtureFileName(operationId)),
+				"utf-8",
+			),
+		)
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Add a recording to its operation's fixture, replacing an earlier recording
+ * of the same request.
+ * @param {string} fixturesDir
+ * @param {{ operationId: string, method: string, path: string }} operation
+ * @param {object} recording - { recordedAt, environment, request, response }
+ * @returns {string} The fixture file
+ */
+function saveRecording(fixturesDir, operation, recording) {
+	const fixture = readFixture(fixturesDir, operation.operationId) || {
+		...operation,
+		recordings: [],
+	}
+	const key = requestKey(recording.request)
+	fixture.recordings = fixture.recordings.filter(
+		(existing) => requestKey(existing.request) !== key,
+	)
+	fixture.recordings.push(recording)
+
+	const file = path.join(fixturesDir, fixtureFileName(operation.operationId))
+	fs.mkdirSync(fixturesDir, { recursive: true })
+	fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n")
+	return file
+}
+
+function requestKey({ method, path: requestPath, query }) {
+	return `${String(method).toUpperCase()} ${requestPath}?${canonicalQuery(query)}`
+}
+
+/**
+ * The recording to replay for a request: one of the same path and query,
+ * else one of the same path. Other resources' recordings are never
+ * replayed, so unrecorded paths fall back to generated responses.
+ * @param {string} fixturesDir
+ * @param {string} operationId
+ * @param {{ method: string, path: string, query?: object }} request
+ * @returns {object|null}
+ */
+function findRecording(fixturesDir, operationId, request) {
+	const recordings = readFixture(fixturesDir, operationId)?.recordings
+	if (!Array.isArray(recordings) || recordings.length === 0) {
+		return null
+	}
+	const key = requestKey(request)
+	return (
+		recordings.find((recording) => requestKey(recording.request) === key) ||
+		recordings.findLast(
+			(recording) => recording.request?.path === request.path,
+		) ||
+		null
+	)
+}
+
+/**
+ * Operations with recordings in a fixtures directory.
+ * @param {string} fixturesDir
+ * @returns {Array<{ operationId: string, recordings: number }>}
+ */
+function listFixtures(fixturesDir) {
+	if (!fs.existsSync(fixturesDir)) {
+		return []
+	}
+	const fixtures = []
+	for (const name of fs.readdirSync(fixturesDir).sort()) {
+		if (!name.endsWith(".json")) continue
+		try {
+			const fixture = JSON.parse(
+				fs.readFileSync(path.join(fixturesDir, name), "utf-8"),
+			)
+			if (fixture.operationId && Array.isArray(fixture.recordings)) {
+				fixtures.push({
+					operationId: fixture.operationId,
+					recordings: fixture.recordings.length,
+				})
+			}
+		} catch {
+			// Not a fixture
+		}
+	}
+	return fixtures
+}
+
+/**
+ * Decode a body for the fixture: JSON as data, text as a string, anything
+ * else base64 (with bodyEncoding: "base64").
+ * @param {Buffer} buffer
+ * @param {object} headers
+ * @returns {{ body?: any, bodyEncoding?: string }}
+ */
+function decodeBody(buffer, headers = {}) {
+	if (!buffer || buffer.length === 0) {
+		return {}
+	}
+	let data = buffer
+	try {
+		const encoding = String(headers["content-encoding"] || "").toLowerCase()
+		if (encoding === "gzip") data = zlib.gunzipSync(buffer)
+		else if (encoding === "br") data = zlib.brotliDecompressSync(buffer)
+		else if (encoding === "deflate") data = zlib.inflateSync(buffer)
+	} catch {
+		return { body: buffer.toString("base64"), bodyEncoding: "base64" }
+	}
+	const type = String(headers["content-type"] || "").toLowerCase()
+	if (type.includes("json")) {
+		try {
+			return { body: JSON.parse(data.toString("utf-8")) }
+		} catch {
+			// Fall through to text
+		}
+	}
+	if (!type || type.startsWith("text/") || /json|xml|urlencoded/.test(type)) {
+		return { body: data.toString("utf-8") }
+	}
+	return { body: data.toString("base64"), bodyEncoding: "base64" }
+}
+
+/**
+ * Record /api-proxy traffic. Hook onProxyReq/onProxyRes into the proxy's
+ * proxyReq/proxyRes events; every response is saved under the operation
+ * its path matches in the OpenAPI spec.
+ * @param {object} options
+ * @param {string} options.fixturesDir
+ * @param {() => Promise<object|null>} options.loadSpec - The OpenAPI spec
+ * @param {string} [options.environment] - API_ENV, noted on each recording
+ * @param {string} [options.prefix] - Proxy path prefix to strip
+ * @param {{ log: Function, warn: Function }} [options.logger]
+ * @returns {{ onProxyReq: Function, onProxyRes: Function, pending: () => Promise<void> }}
+ */
+function createProxyRecorder({
+	fixturesDir,
+	loadSpec,
+	environment,
+	prefix = "/api-proxy",
+	logger = console,
+}) {
+	const requests = new WeakMap()
+	const inFlight = new Set()
+	let specPromise = null
+
+	function getSpec() {
+		if (!specPromise) {
+			specPromise = Promise.resolve(loadSpec()).then((spec) => {
+				if (!spec) {
+					// Try again on the next request
+					specPromise = null
+				}
+				return spec
+			})
+		}
+		return specPromise
+	}
+
+	function onProxyReq(proxyReq, req) {
+		const chunks = []
+		req.on("data", (chunk) => chunks.push(Buffer.from(chunk)))
+		requests.set(req, {
+			headers: { ...proxyReq.getHeaders() },
+			chunks,
+		})
+	}
+
+	function onProxyRes(proxyRes, req) {
+		const sent = requests.get(req) || { headers: req.headers, chunks: [] }
+		const chunks = []
+		proxyRes.on("data", (chunk) => chunks.push(Buffer.from(chunk)))
+		proxyRes.on("end", () => {
+			const task = record(req, sent, proxyRes, Buffer.concat(chunks))
+				.catch((error) => {
+					logger.warn(`[API Record] ${req.method} ${req.url}: ${error.message}`)
+				})
+				.finally(() => inFlight.delete(task))
+			inFlight.add(task)
+		})
+	}
+
+	async function record(req, sent, proxyRes, responseBody) {
+		const url = new URL(req.url, "http://localhost")
+		const requestPath = url.pathname.startsWith(prefix)
+			? url.pathname.slice(prefix.length) || "/"
+			: url.pathname
+		const spec = await getSpec()
+		if (!spec) {
+			logger.warn(
+				`[API Record] ${req.method} ${requestPath}: no OpenAPI spec loaded, not recorded`,
+			)
+			return
+		}
+		const operation = findOperation(spec, req.method, requestPath)
+		if (!operation) {
+			logger.warn(
+				`[API Record] ${req.method} ${requestPath}: not in the OpenAPI spec, not recorded`,
+			)
+			return
+		}
+
+		const query = {}
+		for (const [key, value] of url.searchParams) {
+			query[key] = key in query ? [].concat(query[key], value) : value
+		}
+		const requestHeaders = redactHeaders(sent.headers)
+		const responseHeaders = redactHeaders(proxyRes.headers)
+		const requestBody = decodeBody(Buffer.concat(sent.chunks), sent.headers)
+		const file = saveRecording(fixturesDir, operation, {
+			recordedAt: new Date().toISOString(),
+			environment,
+			request: {
+				method: req.method.toUpperCase(),
+				path: requestPath,
+				query,
+				headers: requestHeaders,
+				...requestBody,
+			},
+			response: {
+				status: proxyRes.statusCode,
+				headers: responseHeaders,
+				...decodeBody(responseBody, proxyRes.headers),
+			},
+		})
+		logger.log(
+			`[API Record] ${operation.operationId} ${proxyRes.statusCode} -> ${path.basename(file)}`,
+		)
+	}
+
+	return {
+		onProxyReq,
+		onProxyRes,
+		// Resolves once every response seen so far is written
+		pending: () => Promise.all([...inFlight]).then(() => {}),
+	}
+}
+
+module.exports = {
+	FIXTURES_DIR,
+	REDACTED,
+	REDACTED_HEADERS,
+	getFixturesDir,
+	fixtureFileName,
+	redactHeaders,
+	findOperation,
+	canonicalQuery,
+	readFixture,
+	saveRecording,
+	findRecording,
+	listFixtures,
+	decodeBody,
+	createProxyRecorder,
+}
@@ -11,6 +11,7 @@ const {
 	generateErrorResponse,
 } = require("./response-generator")
 const { createAuthMiddleware } = require("./auth-middleware")
+const { findRecording } = require("./recordings")
 
 // HTTP methods supported by Express
 const HTTP_METHODS = [
@@ -156,11 +157,12 @@ function selectScenario(scenarios) {
  * @param {string} path - Original OpenAPI path
  * @param {object} operation - OpenAPI operation object
  * @param {object} spec - Full OpenAPI spec
- * @param {object} options - Additional options (io for socket triggers)
+ * @param {object} options - Additional options (io for socket triggers,
+ *   fixturesDir to replay recorded responses from)
  * @returns {function} Express route handler
  */
 function buildRouteHandler(method, path, operation, spec, options = {}) {
-	const { io, socketTriggers } = options
+	const { io, socketTriggers, fixturesDir } = options
 
 	return async (req, res) => {
 		const mockConfig = operation["x-mock"] || {}
@@ -169,10 +171,65 @@ function buildRouteHandler(method, path, operation, spec, options = {}) {
 
 		console.log(`🎭 Mock API: ${operationId}`)
 
+		// Trigger socket events if configured
+		const emitSocketEvents = (status, body) => {
+			if (io && socketTriggers) {
+				const { triggerSocketEvents } = require("./socket-triggers")
+				const operationKey = `${method.toUpperCase()} ${path}`
+
+				triggerSocketEvents(io, socketTriggers, operationKey, {
+					request: {
+						method: req.method,
+						path: req.path,
+						params: req.params,
+						query: req.query,
+						body: req.body,
+					},
+					response: {
+						status,
+						body,
+					},
+				})
+			}
+		}
+
 		try {
 			// Apply delay
 			await applyDelay(mockConfig)
 
+			// Recorded responses (gxdev dev --replay) come before generated ones
+			const recording = fixturesDir
+				? findRecording(fixturesDir, operationId, {
+						method: req.method,
+						path: req.path,
+						query: req.query,
+					})
+				: null
+			if (recording) {
+				const {
+					status = 200,
+					headers = {},
+					body,
+					bodyEncoding,
+				} = recording.response || {}
+				console.log(`   🎞️  Replayed recording from ${recording.recordedAt}`)
+				console.log(`   ✅ Status: ${status}`)
+				if (headers["content-type"]) {
+					res.type(headers["content-type"])
+				}
+				if (body === undefined) {
+					res.status(status).end()
+				} else if (bodyEncoding === "base64") {
+					res.status(status).send(Buffer.from(body, "base64"))
+				} else if (typeof body === "string") {
+					res.status(status).send(body)
+				} else {
+					res.status(status).json(body)
+				}
+				emitSocketEvents(status, body)
+				return
+			}
+
 			// Check for scenario mode
 			const scenario = selectScenario(mockConfig.scenarios)
 
@@ -222,25 +279,7 @@ function buildRouteHandler(method, path, operation, spec, options = {}) {
 				res.status(status).json(body)
 			}
 
-			// Trigger socket events if configured
-			if (io && socketTriggers) {
-				const { triggerSocketEvents } = require("./socket-triggers")
-				const operationKey = `${method.toUpperCase()} ${path}`
-
-				triggerSocketEvents(io, socketTriggers, operationKey, {
-					request: {
-						method: req.method,
-						path: req.path,
-						params: req.params,
-						query: req.query,
-						body: req.body,
-					},
-					response: {
-						status,
-						body,
-					},
-				})
-			}
+			emitSocketEvents(status, body)
 		} catch (error) {
 			console.error(`   ❌ Error: ${error.message}`)
 			res.status(500).json(generateErrorResponse(500, error.message))
@@ -251,7 +290,8 @@ function buildRouteHandler(method, path, operation, spec, options = {}) {
 /**
  * Generate Express routes from OpenAPI spec
  * @param {object} openApiSpec - OpenAPI specification
- * @param {object} options - Options (io for socket, socketTriggers map)
+ * @param {object} options - Options (io for socket, socketTriggers map,
+ *   fixturesDir to replay recorded responses from)
  * @returns {express.Router} Express router with mock routes
  */
 function generateRoutes(openApiSpec, options = {}) {
@@ -10,17 +10,18 @@ const path = require("path")
 const axios = require("axios")
 const https = require("https")
 
-// Import environment URLs from constants
-let ENVIRONMENT_URLS
+// Environment registry (built-in, project and user environments)
+let environmentsModule
 try {
 	// When running from node_modules
-	ENVIRONMENT_URLS = require("../../bin/lib/constants").ENVIRONMENT_URLS
+	environmentsModule = require("../../bin/lib/utils/environments")
 } catch {
 	// Fallback for direct execution
-	ENVIRONMENT_URLS = require(
-		path.join(__dirname, "../../bin/lib/constants"),
-	).ENVIRONMENT_URLS
+	environmentsModule = require(
+		path.join(__dirname, "../../bin/lib/utils/environments"),
+	)
 }
+const { loadEnvironments, getEnvironment } = environmentsModule
 
 // Spec cache
 const cache = {
@@ -43,17 +44,25 @@ function getCacheTTL() {
 /**
  * Get environment configuration based on API_ENV
  * @param {string} env - Environment name (defaults to 'production')
+ * @param {string} [projectRoot] - Project whose registered environments apply
  * @returns {object} Environment URLs configuration
  */
-function getEnvironmentConfig(env) {
+function getEnvironmentConfig(env, projectRoot = process.cwd()) {
 	const envName = env || process.env.API_ENV || "production"
-	const config = ENVIRONMENT_URLS[envName]
+	let environments
+	try {
+		environments = loadEnvironments(projectRoot)
+	} catch (error) {
+		console.warn(`⚠️  ${error.message}; using the built-in environments`)
+		environments = loadEnvironments(null, { userFile: null })
+	}
+	const config = getEnvironment(envName, environments)
 
 	if (!config) {
 		console.warn(
 			`⚠️  Unknown environment "${envName}", falling back to production`,
 		)
-		return ENVIRONMENT_URLS.production
+		return environments.production
 	}
 
 	return config
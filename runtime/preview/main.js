@@ -0,0 +1,106 @@
+/**
+ * Preview host for `gxdev preview`
+ *
+ * Loads a packaged plugin the way the platform does, instead of compiling
+ * the source like the dev harness (main.js + PortalContainer.vue):
+ *
+ *   - Vue and Pinia come from the host and are exposed on window, so the
+ *     plugin's externalized imports resolve against them
+ *   - window.useGxpStore is the host's store, fed the packaged
+ *     app-manifest.json (served by the preview server at /app-manifest.json)
+ *   - the packaged stylesheets are linked in platform order before the
+ *     plugin's plugin.es.js is imported untransformed
+ *
+ * The preview server describes the package at /__preview/info.json.
+ */
+
+import * as Vue from "vue"
+import * as Pinia from "pinia"
+import { createApp, h } from "vue"
+import { createPinia, setActivePinia } from "pinia"
+
+const pinia = createPinia()
+setActivePinia(pinia)
+
+window.Vue = Vue
+window.Pinia = Pinia
+window.pinia = pinia
+
+// Stands in for the platform router: navigation is logged, not performed
+const previewRouter = {
+	visit: (url, options = {}) => {
+		console.log(`🔗 Preview Router: ${url}`, options)
+		if (options.onStart) options.onStart()
+		if (options.onFinish) options.onFinish()
+	},
+}
+
+function loadStylesheet(href) {
+	return new Promise((resolve) => {
+		const link = document.createElement("link")
+		link.rel = "stylesheet"
+		link.href = href
+		link.onload = resolve
+		link.onerror = () => {
+			console.error(`[GxP Preview] Could not load ${href}`)
+			resolve()
+		}
+		document.head.appendChild(link)
+	})
+}
+
+function showError(title, error) {
+	console.error(`[GxP Preview] ${title}`, error)
+	const box = document.createElement("pre")
+	box.style.cssText =
+		"margin:16px;padding:12px 16px;border-left:4px solid #d33;background:#fff4f4;color:#611;white-space:pre-wrap;font:13px/1.5 monospace"
+	box.textContent = `${title}\n\n${(error && error.stack) || error}`
+	document.body.prepend(box)
+}
+
+async function init() {
+	const info = await fetch("/__preview/info.json").then((res) => res.json())
+	document.title = `${info.name} ${info.version} — GxP Preview`
+
+	const { useGxpStore } =
+		await import("@gx-runtime/stores/gxpPortalConfigStore.js")
+	const { createGxpStringsPlugin } =
+		await import("@gx-runtime/gxpStringsPlugin.js")
+	const { createGxpAnalyticsPlugin } =
+		await import("@gx-runtime/gxpAnalyticsPlugin.js")
+
+	window.useGxpStore = useGxpStore
+	// Where lazy chunks resolve from if the plugin isn't loaded by URL (see
+	// vite-chunk-base-plugin.js)
+	window.__GXP_PLUGIN_BASE_URL__ = new URL(info.base, location.href).href
+
+	for (const href of info.styles) {
+		await loadStylesheet(href)
+	}
+
+	let Plugin
+	try {
+		Plugin = (await import(/* @vite-ignore */ info.entry)).default
+	} catch (error) {
+		showError(`Could not load ${info.entry}`, error)
+		return
+	}
+
+	const app = createApp({ render: () => h(Plugin, { router: previewRouter }) })
+	app.use(pinia)
+	app.config.errorHandler = (error) => showError("Plugin error", error)
+
+	const gxpStore = useGxpStore()
+	app.use(createGxpStringsPlugin(gxpStore))
+	if (import.meta.env.VITE_DISABLE_ANALYTICS !== "true") {
+		app.use(
+			createGxpAnalyticsPlugin({
+				projectId: import.meta.env.VITE_API_PROJECT_ID || null,
+			}),
+		)
+	}
+
+	app.mount("#app")
+}
+
+init().catch((error) => showError("Preview failed to start", error))
@@ -0,0 +1,35 @@
+/**
+ * API Header Redaction
+ *
+ * The one list of credential headers kept out of anything the toolkit
+ * records or shows: the store's API call log (Dev Tools Network tab),
+ * fixtures copied from it, and the recordings `gxdev dev --record` writes
+ * (runtime/mock-api/recordings.js, which requires this module).
+ *
+ * Published next to gxpPortalConfigStore.js, which imports it.
+ */
+
+export const REDACTED = "[REDACTED]"
+
+export const REDACTED_HEADERS = [
+	"authorization",
+	"proxy-authorization",
+	"cookie",
+	"set-cookie",
+]
+
+/**
+ * Lower-case header names, drop empty ones and replace credentials with a
+ * placeholder.
+ * @param {object} [headers]
+ * @returns {object}
+ */
+export function redactHeaders(headers = {}) {
+	const result = {}
+	for (const [name, value] of Object.entries(headers || {})) {
+		if (value === undefined || value === null) continue
+		const key = name.toLowerCase()
+		result[key] = REDACTED_HEADERS.includes(key) ? REDACTED : value
+	}
+	return result
+}
@@ -1,27 +1,9 @@
 import { defineStore } from "pinia"
-import { ref, computed, reactive } from "vue"
+import { ref, reactive } from "vue"
 import axios from "axios"
 import { io } from "socket.io-client"
 import { useGxpFormStore, disposeGxpFormStore } from "./gxpFormStore.js"
-
-// Environment URL configuration (matches constants.js ENVIRONMENT_URLS)
-const ENVIRONMENT_URLS = {
-	production: {
-		apiBaseUrl: "https://api.gramercy.cloud",
-	},
-	staging: {
-		apiBaseUrl: "https://api.efz-staging.env.eventfinity.app",
-	},
-	testing: {
-		apiBaseUrl: "https://api.zenith-develop-testing.env.eventfinity.app",
-	},
-	develop: {
-		apiBaseUrl: "https://api.zenith-develop.env.eventfinity.app",
-	},
-	local: {
-		apiBaseUrl: "https://dashboard.eventfinity.test",
-	},
-}
+import { redactHeaders } from "./apiRedaction.js"
 
 /**
  * Generate a random bearer token for mock API
@@ -35,18 +17,50 @@ function generateMockToken() {
 	return token
 }
 
+// Most recent API calls kept for the Dev Tools Network tab
+const API_CALLS_MAX = 200
+
+/**
+ * Plain copy of axios headers (AxiosHeaders instances or objects).
+ */
+function plainHeaders(headers) {
+	if (!headers) return {}
+	return typeof headers.toJSON === "function"
+		? headers.toJSON()
+		: { ...headers }
+}
+
+/**
+ * Where an API call went: the local mock API, the dev server's /api-proxy
+ * or straight to a real API.
+ * @param {string} url - Full request URL
+ * @param {string} mockBaseUrl - The mock API base, when API_ENV is a mock
+ * @returns {"mock"|"proxy"|"real"}
+ */
+function apiCallSource(url, mockBaseUrl) {
+	if (url.includes("/api-proxy/")) return "proxy"
+	if (mockBaseUrl && url.startsWith(mockBaseUrl)) return "mock"
+	return "real"
+}
+
 /**
  * Get API configuration based on API_ENV environment variable
  * During development, non-mock environments use Vite's proxy at /api-proxy
  * which handles CORS and forwards requests to the actual API server.
  * The proxy also injects the Authorization header, so authToken is not needed client-side.
+ * Environment URLs come from the toolkit's environment registry, resolved by
+ * the Vite config into VITE_API_BASE_URL, VITE_API_DOCS_BASE_URL and
+ * VITE_API_OPENAPI_SPEC.
  * @returns {{ apiBaseUrl: string, authToken: string, projectId: string }}
  */
 function getApiConfig() {
 	const apiEnv = import.meta.env.VITE_API_ENV || "mock"
+	const envBaseUrl = import.meta.env.VITE_API_BASE_URL || ""
+	const apiDocsBaseUrl = import.meta.env.VITE_API_DOCS_BASE_URL || ""
 	const apiKey = import.meta.env.VITE_API_KEY || ""
 	const projectId = import.meta.env.VITE_API_PROJECT_ID || ""
 	const useHttps = import.meta.env.VITE_USE_HTTPS !== "false"
+	const devHost = import.meta.env.VITE_DEV_HOST || "localhost"
 	const nodePort = import.meta.env.VITE_NODE_PORT || "3060"
 	const mockPort = import.meta.env.VITE_SOCKET_IO_PORT || "3069"
 	const socketUrl = import.meta.env.SOCKET_URL || `/`
@@ -58,8 +72,8 @@ function getApiConfig() {
 		// Mock API: use local dev server with random token
 		const protocol = useHttps ? "https" : "http"
 		return {
-			apiDocsBaseUrl: ENVIRONMENT_URLS.production.apiBaseUrl,
-			apiBaseUrl: `${protocol}://localhost:${mockPort}/api`,
+			apiDocsBaseUrl,
+			apiBaseUrl: `${protocol}://${devHost}:${mockPort}/api`,
 			authToken: generateMockToken(),
 			projectId: "team/project",
 		}
@@ -68,7 +82,7 @@ function getApiConfig() {
 		// cloud dev mock
 		const protocol = useHttps ? "https" : "http"
 		return {
-			apiDocsBaseUrl: ENVIRONMENT_URLS.develop.apiBaseUrl,
+			apiDocsBaseUrl,
 			apiBaseUrl: `https://${socketUrl}/api`,
 			authToken: generateMockToken(),
 			projectId: "team/project",
@@ -79,27 +93,18 @@ function getApiConfig() {
 	if (isDev) {
 		const protocol = useHttps ? "https" : "http"
 		return {
-			apiBaseUrl: `${protocol}://localhost:${nodePort}/api-proxy`,
+			apiBaseUrl: `${protocol}://${devHost}:${nodePort}/api-proxy`,
 			authToken: "", // Proxy injects the token server-side
 			projectId: projectId,
 		}
 	}
 
 	// Production build: use the actual API URL directly
-	const envConfig = ENVIRONMENT_URLS[apiEnv]
-	if (!envConfig) {
-		console.warn(
-			`[GxP Store] Unknown API_ENV "${apiEnv}", falling back to production`,
-		)
-		return {
-			apiBaseUrl: ENVIRONMENT_URLS.production.apiBaseUrl,
-			authToken: apiKey,
-			projectId: projectId,
-		}
+	if (!envBaseUrl) {
+		console.warn(`[GxP Store] No API base URL for API_ENV "${apiEnv}"`)
 	}
-
 	return {
-		apiBaseUrl: envConfig.apiBaseUrl,
+		apiBaseUrl: envBaseUrl,
 		authToken: apiKey,
 		projectId: projectId,
 	}
@@ -208,6 +213,78 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 		},
 	})
 
+	// Network log for the Dev Tools Network tab: every request through
+	// apiClient (apiGet & co. and callApi). callApi tags its requests with
+	// gxpOperation and gxpParams. Registered before the auth interceptor so
+	// it runs after it and sees the final URL and headers; credentials are
+	// redacted as calls are captured, since the log is reactive state the
+	// Dev Tools and the devtools bridge show.
+	const apiCalls = ref([])
+	let apiCallId = 0
+	const apiEnvName = import.meta.env.VITE_API_ENV || "mock"
+	const mockBaseUrl =
+		apiEnvName === "mock" || apiEnvName === "dev-mock"
+			? apiConfig.apiBaseUrl
+			: ""
+
+	apiClient.interceptors.request.use((config) => {
+		const url = /^https?:\/\//.test(config.url || "")
+			? config.url
+			: `${config.baseURL || ""}${config.url || ""}`
+		config.gxpCallId = ++apiCallId
+		apiCalls.value.push({
+			id: config.gxpCallId,
+			operationId: config.gxpOperation?.operationId || null,
+			operationPath: config.gxpOperation?.path || null,
+			method: (config.method || "get").toUpperCase(),
+			path: config.url,
+			url,
+			params: config.gxpParams || config.params || {},
+			query: config.params || {},
+			requestHeaders: redactHeaders(plainHeaders(config.headers)),
+			requestBody: config.data,
+			source: apiCallSource(url, mockBaseUrl),
+			startedAt: new Date().toISOString(),
+			start: performance.now(),
+			state: "pending",
+			status: null,
+			durationMs: null,
+			responseHeaders: {},
+			responseBody: undefined,
+			error: null,
+		})
+		if (apiCalls.value.length > API_CALLS_MAX) {
+			apiCalls.value.splice(0, apiCalls.value.length - API_CALLS_MAX)
+		}
+		return config
+	})
+
+	function finishApiCall(config, response, error) {
+		const call = apiCalls.value.find((entry) => entry.id === config?.gxpCallId)
+		if (!call) return
+		call.durationMs = Math.round(performance.now() - call.start)
+		call.state = error ? "error" : "done"
+		call.status = response?.status ?? null
+		call.responseHeaders = redactHeaders(plainHeaders(response?.headers))
+		call.responseBody = response?.data
+		call.error = error ? error.message : null
+	}
+
+	function clearApiCalls() {
+		apiCalls.value = []
+	}
+
+	apiClient.interceptors.response.use(
+		(response) => {
+			finishApiCall(response.config, response)
+			return response
+		},
+		(error) => {
+			finishApiCall(error.config, error.response, error)
+			throw error
+		},
+	)
+
 	// Add auth token to requests
 	apiClient.interceptors.request.use((config) => {
 		if (authToken.value) {
@@ -389,8 +466,9 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 				typeof window !== "undefined" && window.location.protocol === "https:"
 					? "https"
 					: "http"
+			const host = import.meta.env.VITE_DEV_HOST || "localhost"
 			const port = import.meta.env.VITE_SOCKET_IO_PORT || 3069
-			return `${protocol}://localhost:${port}`
+			return `${protocol}://${host}:${port}`
 		})()
 
 		if (socketDriver === "io") {
@@ -429,7 +507,11 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 		// Operations are built from OpenAPI spec paths
 		// Structure: { [operationId]: { method, path, parameters } }
 		try {
-			const specUrl = `${apiDocsBaseUrl.value}/api-specs/openapi.json`
+			// The environment's openApiSpec from the registry; older runtimes
+			// only define the docs base, so derive the URL from it then
+			const specUrl =
+				import.meta.env.VITE_API_OPENAPI_SPEC ||
+				`${apiDocsBaseUrl.value}/api-specs/openapi.json`
 			const response = await axios.get(specUrl)
 			const spec = response.data
 
@@ -603,9 +685,11 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 		if (Object.keys(apiOperations.value).length === 0) {
 			await initializeApiOperations()
 		}
+		let resolvedOperationId = operationId
 		let operationConfig = apiOperations.value[operationId]
 		if (!operationConfig) {
-			operationConfig = apiOperations.value["portal.v1.project." + operationId]
+			resolvedOperationId = "portal.v1.project." + operationId
+			operationConfig = apiOperations.value[resolvedOperationId]
 			if (!operationConfig) {
 				throw new Error(`Operation not found: portal.v1.${operationId}`)
 			}
@@ -692,16 +776,23 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 			delete bodyData[permissionIdentifier]
 		}
 
+		// Shown in the Dev Tools Network tab
+		const callInfo = {
+			gxpOperation: { operationId: resolvedOperationId, method, path },
+			gxpParams: contextParams,
+		}
+
 		try {
 			let response
 			if (method === "get" || method === "delete") {
 				// GET/DELETE: params go in query string
 				response = await apiClient[method](resolvedPath, {
 					params: bodyData,
+					...callInfo,
 				})
 			} else {
 				// POST/PUT/PATCH: params go in body
-				response = await apiClient[method](resolvedPath, bodyData)
+				response = await apiClient[method](resolvedPath, bodyData, callInfo)
 			}
 			return response.data
 		} catch (error) {
@@ -878,8 +969,9 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 		return listenSocket(socketName, event, callback)
 	}
 
-	// Theme configuration
-	const theme = computed(() => ({
+	// Theme configuration. Writable: the dev container sets it from the
+	// active portal profile and the Dev Tools edit it
+	const theme = ref({
 		primary: "#FFD600",
 		page_background_color: "#000466",
 		page_text_color: "#ffffff",
@@ -905,7 +997,7 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 		modal_secondary_button_background_color: "#ffffff",
 		modal_secondary_button_text_color: "#000596",
 		modal_secondary_button_border_color: "#000596",
-	}))
+	})
 
 	function listAssets() {
 		console.log("📁 Current Assets:")
@@ -958,6 +1050,7 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 		triggerState,
 		manifestLoaded,
 		manifestError,
+		apiCalls,
 
 		// API methods
 		apiGet,
@@ -998,5 +1091,6 @@ export const useGxpStore = defineStore("gxp-portal-app", () => {
 
 		// Development methods
 		listAssets,
+		clearApiCalls,
 	}
 })
@@ -0,0 +1,156 @@
+/**
+ * GxP Bundle Stats Vite Plugin
+ *
+ * Build-only plugin that records what Rollup actually put into each emitted
+ * chunk and asset, and writes it as JSON for `gxdev build --analyze` and the
+ * third-party license report.
+ *
+ * The CLI shells out to `vite build`, so it has no access to the in-memory
+ * bundle. This plugin bridges that gap: the build command sets
+ * GXDEV_BUNDLE_STATS to a file path, and the runtime vite config registers
+ * this plugin to write the stats there once the bundle is on disk.
+ *
+ * Output shape:
+ *   {
+ *     chunks: [{ fileName, isEntry, isDynamicEntry, size, modules: [{ id, size }] }],
+ *     assets: [{ fileName, size }],
+ *     packages: [{ name, version, license, homepage, licenseText, chunks }]
+ *   }
+ *
+ * Module sizes are Rollup's `renderedLength` (post tree-shaking, pre-minify),
+ * so they are best read as each module's share of its chunk. `packages` lists
+ * the npm packages those modules came from, read from each package's own
+ * package.json, for the third-party license report; `license` is copied as
+ * declared (string, object or legacy `licenses` array).
+ */
+
+import fs from "fs"
+import path from "path"
+
+/**
+ * Make a Rollup module id readable: project-relative, forward slashes, and
+ * virtual-module markers (\0) kept as a visible prefix.
+ */
+function normalizeModuleId(id, root) {
+	if (id.startsWith("\0")) {
+		return `\\0${id.slice(1)}`
+	}
+	const [bare] = id.split("?")
+	const relative = (
+		path.isAbsolute(bare) ? path.relative(root, bare) : bare
+	).replace(/\\/g, "/")
+	// Packages resolved outside the project (npm link, global toolkit
+	// install) would otherwise show up as long ../../ paths.
+	const nodeModulesIdx = relative.indexOf("node_modules/")
+	if (relative.startsWith("../") && nodeModulesIdx !== -1) {
+		return relative.slice(nodeModulesIdx)
+	}
+	return relative
+}
+
+const LICENSE_FILE = /^(?:licen[cs]e|copying)(?:[.-].*)?$/i
+
+/**
+ * Directory of the npm package a module belongs to (the innermost
+ * node_modules/<name> or node_modules/@scope/<name>), or null.
+ */
+function packageRootOf(id) {
+	const bare = id.replace(/^\0/, "").split("?")[0].replace(/\\/g, "/")
+	const marker = "/node_modules/"
+	const idx = bare.lastIndexOf(marker)
+	if (idx === -1) {
+		return null
+	}
+	const parts = bare.slice(idx + marker.length).split("/")
+	const depth = parts[0].startsWith("@") ? 2 : 1
+	if (parts.length <= depth) {
+		return null
+	}
+	return bare.slice(0, idx + marker.length) + parts.slice(0, depth).join("/")
+}
+
+function readPackageInfo(root) {
+	let pkg
+	try {
+		pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf-8"))
+	} catch {
+		return null
+	}
+	const licenseFile = fs
+		.readdirSync(root)
+		.filter((name) => LICENSE_FILE.test(name))
+		.sort()[0]
+	const repository =
+		typeof pkg.repository === "string"
+			? pkg.repository
+			: pkg.repository && pkg.repository.url
+	return {
+		name: pkg.name,
+		version: pkg.version,
+		license: pkg.license ?? pkg.licenses ?? null,
+		homepage: pkg.homepage || repository || null,
+		licenseText: licenseFile
+			? fs.readFileSync(path.join(root, licenseFile), "utf-8")
+			: null,
+	}
+}
+
+/**
+ * @param {string} outFile - Absolute path the stats JSON is written to
+ */
+export function gxpBundleStatsPlugin(outFile) {
+	const root = process.cwd()
+	let stats = null
+
+	return {
+		name: "gxp-bundle-stats",
+		apply: "build",
+		generateBundle(_options, bundle) {
+			stats = { chunks: [], assets: [], packages: [] }
+			const packages = new Map()
+			for (const [fileName, output] of Object.entries(bundle)) {
+				if (output.type === "chunk") {
+					for (const [id, info] of Object.entries(output.modules)) {
+						// Modules tree-shaken down to nothing aren't shipped
+						const packageRoot = info.renderedLength > 0 && packageRootOf(id)
+						if (!packageRoot) continue
+						if (!packages.has(packageRoot)) {
+							packages.set(packageRoot, readPackageInfo(packageRoot))
+						}
+						const pkg = packages.get(packageRoot)
+						if (pkg) {
+							pkg.chunks = [...new Set([...(pkg.chunks || []), fileName])]
+						}
+					}
+					stats.chunks.push({
+						fileName,
+						isEntry: output.isEntry,
+						isDynamicEntry: output.isDynamicEntry,
+						size: Buffer.byteLength(output.code, "utf-8"),
+						modules: Object.entries(output.modules).map(([id, info]) => ({
+							id: normalizeModuleId(id, root),
+							size: info.renderedLength,
+						})),
+					})
+				} else {
+					const source = output.source
+					stats.assets.push({
+						fileName,
+						size:
+							typeof source === "string"
+								? Buffer.byteLength(source, "utf-8")
+								: source.length,
+					})
+				}
+			}
+			stats.packages = [...packages.values()].filter(Boolean)
+		},
+		writeBundle() {
+			if (!stats) return
+			fs.mkdirSync(path.dirname(outFile), { recursive: true })
+			fs.writeFileSync(outFile, JSON.stringify(stats, null, 2), "utf-8")
+		},
+	}
+}
+
+export default gxpBundleStatsPlugin
@@ -0,0 +1,93 @@
+/**
+ * GxP Chunk Base Vite Plugin
+ *
+ * Build-only plugin that makes lazy chunks load from wherever the platform
+ * serves the plugin. The runtime config writes code-split chunks to
+ * `chunks/` next to plugin.es.js; this plugin rewrites every relative
+ * dynamic `import("./chunks/…")` in the output to go through a small
+ * loader injected at the top of the chunk:
+ *
+ *   1. If the importing module was loaded from an http(s) or file URL, the
+ *      chunk is resolved against that URL — the package layout is kept, so
+ *      this is what a plain relative import would do.
+ *   2. Otherwise (the host evaluated the plugin from a blob: or data: URL)
+ *      it is resolved against `window.__GXP_PLUGIN_BASE_URL__`, which the
+ *      host sets to the URL the package root is served from.
+ *
+ * Static imports are left alone; Rollup only emits them between chunks that
+ * are already loaded by URL.
+ */
+
+import MagicString from "magic-string"
+
+// Keep in sync with GXP_CHUNKS_DIR in bin/lib/utils/gxp-package.js
+export const CHUNKS_DIR = "chunks"
+
+export const BASE_URL_GLOBAL = "__GXP_PLUGIN_BASE_URL__"
+
+const LOADER = "__gxpImport"
+
+const DYNAMIC_IMPORT = /\bimport\(\s*(["'])(\.{1,2}\/[^"'\n]+)\1\s*\)/g
+
+/**
+ * Loader source for one chunk. `fileName` is the chunk's path inside the
+ * package, used to place it under the configured base URL. Failures reject
+ * like a failed import() would, so async component error handling applies.
+ */
+function loaderSource(fileName) {
+	return [
+		`const ${LOADER} = (specifier) => {`,
+		`\tconst here = import.meta.url`,
+		`\tif (/^(https?|file):/i.test(here)) return import(new URL(specifier, here).href)`,
+		`\tconst base = globalThis.${BASE_URL_GLOBAL}`,
+		`\tif (!base) return Promise.reject(new Error(\`[GxP] Can't load \${specifier}: the plugin was not loaded from a URL and window.${BASE_URL_GLOBAL} is not set\`))`,
+		`\treturn import(new URL(specifier, new URL(${JSON.stringify(fileName)}, base)).href)`,
+		`}`,
+		"",
+	].join("\n")
+}
+
+/**
+ * Edits that rewrite relative dynamic imports in one chunk, kept as a
+ * MagicString so the chunk's source map can follow them.
+ * @param {string} code
+ * @param {string} fileName - Chunk path inside the package
+ * @returns {MagicString|null} null when the chunk has no relative dynamic
+ *   imports
+ */
+function editChunkImports(code, fileName) {
+	const s = new MagicString(code)
+	for (const match of code.matchAll(DYNAMIC_IMPORT)) {
+		const [whole, quote, specifier] = match
+		s.overwrite(
+			match.index,
+			match.index + whole.length,
+			`${LOADER}(${quote}${specifier}${quote})`,
+		)
+	}
+	return s.hasChanged() ? s.prepend(loaderSource(fileName)) : null
+}
+
+/**
+ * Rewrite relative dynamic imports in one chunk.
+ * @param {string} code
+ * @param {string} fileName - Chunk path inside the package
+ * @returns {string|null} null when the chunk has no relative dynamic imports
+ */
+export function rewriteChunkImports(code, fileName) {
+	const s = editChunkImports(code, fileName)
+	return s === null ? null : s.toString()
+}
+
+export function gxpChunkBasePlugin() {
+	return {
+		name: "gxp-chunk-base",
+		apply: "build",
+		renderChunk(code, chunk) {
+			const s = editChunkImports(code, chunk.fileName)
+			return s === null
+				? null
+				: { code: s.toString(), map: s.generateMap({ hires: true }) }
+		},
+	}
+}
@@ -0,0 +1,57 @@
+/**
+ * GxP CSS Isolation Vite Plugin
+ *
+ * Build-only half of `cssIsolation` with the "scope" strategy. `gxdev build`
+ * prefixes every plugin selector with [data-gxp-plugin="<id>"] (see
+ * bin/lib/utils/css-isolation.js); this plugin makes sure an element with
+ * that attribute exists by building a small wrapper as the library entry:
+ *
+ *   <div data-gxp-plugin="<id>" style="display: contents">
+ *     <Plugin v-bind="$attrs" />
+ *   </div>
+ *
+ * `display: contents` keeps the wrapper out of layout, so the platform's
+ * styles for the plugin's slot apply to the plugin's own root as before.
+ * Props and listeners the platform passes (router, ...) are forwarded.
+ */
+
+export const ISOLATED_ENTRY_ID = "virtual:gxp-isolated-plugin"
+
+const RESOLVED_ID = `\0${ISOLATED_ENTRY_ID}`
+
+/**
+ * @param {object} options
+ * @param {string} options.entry - Absolute path of the plugin component
+ * @param {string} options.attribute - Root attribute name
+ * @param {string} options.id - Root attribute value
+ */
+export function gxpCssIsolationPlugin({ entry, attribute, id }) {
+	return {
+		name: "gxp-css-isolation",
+		apply: "build",
+		resolveId(source) {
+			// Lib mode resolves entries against the project root first
+			return source === ISOLATED_ENTRY_ID ||
+				source.endsWith(`/${ISOLATED_ENTRY_ID}`)
+				? RESOLVED_ID
+				: null
+		},
+		load(moduleId) {
+			if (moduleId !== RESOLVED_ID) {
+				return null
+			}
+			return [
+				`import { defineComponent, h } from "vue"`,
+				`import Plugin from ${JSON.stringify(entry)}`,
+				`export default defineComponent({`,
+				`\tname: "GxpIsolatedPlugin",`,
+				`\tinheritAttrs: false,`,
+				`\tsetup(props, { attrs, slots }) {`,
+				`\t\treturn () => h("div", { ${JSON.stringify(attribute)}: ${JSON.stringify(id)}, style: "display: contents" }, [h(Plugin, attrs, slots)])`,
+				`\t},`,
+				`})`,
+				"",
+			].join("\n")
+		},
+	}
+}
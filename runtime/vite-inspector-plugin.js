@@ -9,6 +9,13 @@
 
 import fs from "fs"
 import path from "path"
+import { createRequire } from "module"
+
+const require = createRequire(import.meta.url)
+const {
+	loadProjectManifest,
+	getVariantManifestPath,
+} = require("../bin/lib/utils/variants")
 
 /**
  * Generate a key from text content
@@ -62,27 +69,34 @@ export function gxpInspectorPlugin() {
 			// API endpoint prefix
 			const API_PREFIX = "/__gxp-inspector"
 
-			// Watch for app-manifest.json changes and trigger HMR
+			// Watch for app-manifest.json changes and trigger HMR. Under
+			// `gxdev dev --variant` the variant overlay is watched too and the
+			// merged manifest is sent.
 			const manifestPath = path.join(process.cwd(), "app-manifest.json")
+			const variant = process.env.GXDEV_VARIANT || null
+			const overlayPath = variant
+				? getVariantManifestPath(process.cwd(), variant)
+				: null
 			let manifestWatcher = null
 
 			// Setup manifest file watcher
 			try {
 				// Use chokidar if available (Vite uses it internally)
 				if (server.watcher) {
-					server.watcher.add(manifestPath)
+					server.watcher.add(
+						overlayPath ? [manifestPath, overlayPath] : manifestPath,
+					)
 					server.watcher.on("change", (changedPath) => {
 						if (
 							changedPath === manifestPath ||
+							changedPath === overlayPath ||
 							changedPath.endsWith("app-manifest.json")
 						) {
 							console.log(
-								"[GxP Inspector] app-manifest.json changed, sending HMR update",
+								`[GxP Inspector] ${path.basename(changedPath)} changed, sending HMR update`,
 							)
 							try {
-								const manifest = JSON.parse(
-									fs.readFileSync(manifestPath, "utf-8"),
-								)
+								const manifest = loadProjectManifest(process.cwd(), variant)
 								// Send custom HMR event to all connected clients
 								server.ws.send({
 									type: "custom",
@@ -91,7 +105,7 @@ export function gxpInspectorPlugin() {
 								})
 							} catch (e) {
 								console.warn(
-									"[GxP Inspector] Could not parse app-manifest.json:",
+									"[GxP Inspector] Could not load app-manifest.json:",
 									e.message,
 								)
 								// Send reload signal if parse failed
@@ -7,6 +7,12 @@ import fs from "fs"
 import externalGlobals from "rollup-plugin-external-globals"
 import { gxpInspectorPlugin } from "./vite-inspector-plugin.js"
 import { gxpSourceTrackerPlugin } from "./vite-source-tracker-plugin.js"
+import { gxpBundleStatsPlugin } from "./vite-bundle-stats-plugin.js"
+import { gxpChunkBasePlugin, CHUNKS_DIR } from "./vite-chunk-base-plugin.js"
+import {
+	gxpCssIsolationPlugin,
+	ISOLATED_ENTRY_ID,
+} from "./vite-css-isolation-plugin.js"
 
 const require = createRequire(import.meta.url)
 
@@ -128,35 +134,6 @@ function getOptimizeDepsEntries(env = {}) {
 	return entries
 }
 
-// Environment URL configuration for API proxy
-const ENVIRONMENT_URLS = {
-	production: "https://api.gramercy.cloud",
-	staging: "https://api.efz-staging.env.eventfinity.app",
-	testing: "https://api.zenith-develop-testing.env.eventfinity.app",
-	develop: "https://api.zenith-develop.env.eventfinity.app",
-	local: "https://dashboard.eventfinity.test",
-}
-
-/**
- * Get the API proxy target URL based on environment
- */
-function getApiProxyTarget(env) {
-	const apiEnv = env.API_ENV || "mock"
-
-	// Custom URL takes precedence
-	if (env.API_BASE_URL) {
-		return env.API_BASE_URL
-	}
-
-	// Mock uses local mock-api server (no proxy needed, handled separately)
-	if (apiEnv === "mock" || apiEnv === "dev-mock") {
-		return null
-	}
-
-	// Look up environment URL
-	return ENVIRONMENT_URLS[apiEnv] || ENVIRONMENT_URLS.production
-}
-
 /**
  * Get the library name from package.json
  */
@@ -488,6 +465,80 @@ export default defineConfig(async (ctx) => {
 				})
 			})
 
+			// `gxdev dev --variant <name>`: serve app-manifest.json with the
+			// variant overlay merged in, the same manifest `gxdev build
+			// --variant` packages. Without a variant the file is served as-is.
+			if (env.GXDEV_VARIANT) {
+				const { loadProjectManifest } = require("../bin/lib/utils/variants")
+				server.middlewares.use("/app-manifest.json", (req, res, next) => {
+					if (req.method !== "GET" && req.method !== "HEAD") {
+						return next()
+					}
+					try {
+						const manifest = loadProjectManifest(
+							process.cwd(),
+							env.GXDEV_VARIANT,
+						)
+						res.setHeader("Content-Type", "application/json")
+						res.setHeader("Cache-Control", "no-cache")
+						res.end(JSON.stringify(manifest || {}))
+					} catch (error) {
+						res.statusCode = 500
+						res.setHeader("Content-Type", "application/json")
+						res.end(JSON.stringify({ error: error.message }))
+					}
+				})
+			}
+
+			// Portal profiles for PortalContainer: GET /__gxp-portal-profiles
+			// lists them with the one `gxdev dev --profile` started with,
+			// GET /__gxp-portal-profiles/<id> returns one merged over the
+			// default. Edits to portal-profiles/ are pushed to the page.
+			const {
+				getProfilesDir,
+				listPortalProfiles,
+				loadPortalProfile,
+			} = require("../bin/lib/utils/portal-profiles")
+			server.middlewares.use("/__gxp-portal-profiles", (req, res, next) => {
+				if (req.method !== "GET" && req.method !== "HEAD") {
+					return next()
+				}
+				const id = decodeURIComponent(
+					(req.url || "").split("?")[0].replace(/^\/+|\/+$/g, ""),
+				)
+				res.setHeader("Content-Type", "application/json")
+				res.setHeader("Cache-Control", "no-cache")
+				try {
+					const body = id
+						? loadPortalProfile(process.cwd(), id)
+						: {
+								active: env.PORTAL_PROFILE || "default",
+								profiles: listPortalProfiles(process.cwd()),
+							}
+					res.end(JSON.stringify(body))
+				} catch (error) {
+					res.statusCode = /Unknown|Invalid/.test(error.message) ? 404 : 500
+					res.end(JSON.stringify({ error: error.message }))
+				}
+			})
+			const profilesDir = getProfilesDir(process.cwd())
+			server.watcher.add(profilesDir)
+			const onProfileChange = (changedPath) => {
+				if (
+					path.dirname(changedPath) === profilesDir &&
+					changedPath.endsWith(".json")
+				) {
+					server.ws.send({
+						type: "custom",
+						event: "gxp:portal-profiles-update",
+						data: { id: path.basename(changedPath, ".json") },
+					})
+				}
+			}
+			server.watcher.on("change", onProfileChange)
+			server.watcher.on("add", onProfileChange)
+			server.watcher.on("unlink", onProfileChange)
+
 			server.middlewares.use((req, res, next) => {
 				// Serve runtime index.html for root requests and SPA navigation requests
 				// (unless local index.html is opted in). SPA fallback is required so
@@ -592,20 +643,98 @@ export default defineConfig(async (ctx) => {
 		console.log("🎨 Tailwind: @tailwindcss/vite plugin loaded (dev)")
 	}
 
-	// Get API proxy target for non-mock environments
-	const apiProxyTarget = getApiProxyTarget(env)
+	// `cssIsolation`: the dev host marks the plugin root with the same
+	// attribute the build wraps the plugin in, and warns about leaking CSS
+	const {
+		CSS_ISOLATION_ROOT_ATTRIBUTE,
+		loadCssIsolationOptions,
+	} = require("../bin/lib/utils/css-isolation")
+	let cssIsolation
+	try {
+		cssIsolation = loadCssIsolationOptions(process.cwd(), env.GXDEV_VARIANT)
+	} catch (error) {
+		console.warn(`⚠ ${error.message}; CSS isolation is off`)
+		cssIsolation = { strategy: "off", id: "plugin" }
+	}
+	const pluginEntry = path.resolve(
+		process.cwd(),
+		env.COMPONENT_PATH || "./src/Plugin.vue",
+	)
+	const wrapEntry = ctx.command === "build" && cssIsolation.strategy === "scope"
+
+	// Browserslist targets declared by the project: the build lowers syntax
+	// and CSS for them, and `gxdev build` checks what can't be lowered
+	let browserTargets = null
+	if (ctx.command === "build") {
+		const { loadBrowserTargets } = require("../bin/lib/utils/browser-compat")
+		try {
+			browserTargets = loadBrowserTargets(process.cwd())
+		} catch (error) {
+			console.warn(
+				`⚠ browserslist: ${error.message}; using Vite's default target`,
+			)
+		}
+		if (browserTargets) {
+			const unchecked = browserTargets.unchecked.length
+				? ` (not checked: ${browserTargets.unchecked.join(", ")})`
+				: ""
+			console.log(
+				`🎯 Build target: ${browserTargets.build.join(", ")}${unchecked}`,
+			)
+		}
+	}
+
+	// API environment from the registry (built-in, project and user
+	// environments): the /api-proxy target and the URLs baked into the store
+	const { resolveApiEnvironment } = require("../bin/lib/utils/environments")
+	const apiEnvironment = resolveApiEnvironment(env, process.cwd())
+	const apiProxyTarget = apiEnvironment.proxyTarget
 	if (apiProxyTarget) {
 		console.log(`🔀 API Proxy: /api-proxy -> ${apiProxyTarget}`)
 	}
 
+	// gxdev dev --record: save proxied traffic as fixtures the mock API can
+	// replay (gxdev dev --replay). Operations are looked up in the spec of the
+	// same environment.
+	let apiRecorder = null
+	if (env.API_RECORD === "true" && ctx.command === "serve") {
+		if (apiProxyTarget) {
+			const {
+				createProxyRecorder,
+				getFixturesDir,
+			} = require("./mock-api/recordings")
+			const { loadSpecs } = require("./mock-api/spec-loader")
+			const fixturesDir = getFixturesDir(process.cwd(), env)
+			apiRecorder = createProxyRecorder({
+				fixturesDir,
+				environment: env.API_ENV,
+				loadSpec: async () => (await loadSpecs(process.cwd())).openApi,
+			})
+			console.log(`⏺️  Recording /api-proxy traffic to ${fixturesDir}`)
+		} else {
+			console.warn(
+				`⚠ API_RECORD is on, but API_ENV "${env.API_ENV || "mock"}" has no /api-proxy to record`,
+			)
+		}
+	}
+
 	const runtimeConfig = {
 		// Root is always the project directory
 		root: process.cwd(),
+		// Built URLs (workers, emitted files) are relative to the module that
+		// uses them, since the platform decides where the package is served
+		base: ctx.command === "build" ? "./" : "/",
 		// Expose environment variables to the browser
 		define: {
 			"import.meta.env.VITE_API_ENV": JSON.stringify(env.API_ENV || "mock"),
 			"import.meta.env.VITE_API_BASE_URL": JSON.stringify(
-				env.API_BASE_URL || "",
+				apiEnvironment.apiBaseUrl,
+			),
+			"import.meta.env.VITE_API_DOCS_BASE_URL": JSON.stringify(
+				apiEnvironment.apiDocsBaseUrl,
+			),
+			"import.meta.env.VITE_API_OPENAPI_SPEC": JSON.stringify(
+				apiEnvironment.openApiSpec,
 			),
 			"import.meta.env.VITE_API_KEY": JSON.stringify(env.API_KEY || ""),
 			"import.meta.env.VITE_API_PROJECT_ID": JSON.stringify(
@@ -614,11 +743,16 @@ export default defineConfig(async (ctx) => {
 			"import.meta.env.VITE_USE_HTTPS": JSON.stringify(
 				useHttps ? "true" : "false",
 			),
+			// Host the runtime reaches the dev and socket servers at: localhost,
+			// or the machine's LAN address with gxdev dev --lan
+			"import.meta.env.VITE_DEV_HOST": JSON.stringify(
+				env.DEV_HOST || "localhost",
+			),
 			"import.meta.env.VITE_NODE_PORT": JSON.stringify(env.NODE_PORT || "3060"),
 			"import.meta.env.VITE_SOCKET_IO_PORT": JSON.stringify(
 				env.SOCKET_IO_PORT || "3069",
 			),
-			"import.meta.env.SOCKET_URL": JSON.stringify(env.SOCKET_URL || ""),
+			"import.meta.env.SOCKET_URL": JSON.stringify(apiEnvironment.socketUrl),
 			"import.meta.env.SOCKET_DRIVER": JSON.stringify(
 				env.SOCKET_DRIVER || "io",
 			),
@@ -627,6 +761,21 @@ export default defineConfig(async (ctx) => {
 			"import.meta.env.VITE_DISABLE_ANALYTICS": JSON.stringify(
 				env.DISABLE_ANALYTICS || "false",
 			),
+			"import.meta.env.VITE_GXP_PLUGIN_ROOT_ID": JSON.stringify(
+				cssIsolation.id,
+			),
+			"import.meta.env.VITE_GXP_CSS_ISOLATION": JSON.stringify(
+				cssIsolation.strategy,
+			),
+			// Stylesheets from these directories belong to the dev host, not
+			// the plugin. Set DISABLE_CSS_LEAK_CHECK=true to skip the check.
+			"import.meta.env.VITE_GXP_HOST_STYLE_DIRS": JSON.stringify([
+				runtimeDir,
+				layoutsDir,
+			]),
+			"import.meta.env.VITE_DISABLE_CSS_LEAK_CHECK": JSON.stringify(
+				env.DISABLE_CSS_LEAK_CHECK || "false",
+			),
 		},
 		plugins: [
 			runtimeFilesPlugin,
@@ -637,6 +786,22 @@ export default defineConfig(async (ctx) => {
 			vue(),
 			// GxP Inspector plugin for browser extension integration
 			...(useInspector ? [gxpInspectorPlugin()] : []),
+			// Per-module bundle stats for `gxdev build --analyze`. The build
+			// command sets GXDEV_BUNDLE_STATS to where it expects the JSON.
+			...(env.GXDEV_BUNDLE_STATS
+				? [gxpBundleStatsPlugin(env.GXDEV_BUNDLE_STATS)]
+				: []),
+			// Lazy chunks resolve against where the plugin is served from
+			gxpChunkBasePlugin(),
+			...(wrapEntry
+				? [
+						gxpCssIsolationPlugin({
+							entry: pluginEntry,
+							attribute: CSS_ISOLATION_ROOT_ATTRIBUTE,
+							id: cssIsolation.id,
+						}),
+					]
+				: []),
 			// `externalGlobals` rewrites `import ... from "vue"` → references to
 			// the `Vue` global that the GxP platform exposes on `window`, and
 			// `@/stores/gxpPortalConfigStore` imports → `window.useGxpStore`.
@@ -808,6 +973,7 @@ export default defineConfig(async (ctx) => {
 									if (apiKey) {
 										proxyReq.setHeader("Authorization", `Bearer ${apiKey}`)
 									}
+									apiRecorder?.onProxyReq(proxyReq, req)
 									console.log(
 										`[API Proxy] ${req.method} ${
 											req.url
@@ -821,6 +987,7 @@ export default defineConfig(async (ctx) => {
 									console.log(
 										`[API Proxy] ${req.method} ${req.url} <- ${proxyRes.statusCode}`,
 									)
+									apiRecorder?.onProxyRes(proxyRes, req)
 								})
 								proxy.on("error", (err, req) => {
 									console.error(`[API Proxy] Error: ${err.message}`)
@@ -833,10 +1000,19 @@ export default defineConfig(async (ctx) => {
 		build: {
 			// Build output goes to project directory
 			outDir: path.resolve(process.cwd(), "dist"),
+			// Everything Vite emits besides the entry and stylesheet shares the
+			// chunks/ folder; assets/ belongs to the project's asset_dir
+			assetsDir: CHUNKS_DIR,
+			...(browserTargets && browserTargets.build.length
+				? {
+						target: browserTargets.build,
+						cssTarget: browserTargets.build,
+					}
+				: {}),
 			lib: {
-				entry: [
-					path.resolve(process.cwd(), env.COMPONENT_PATH || "./src/Plugin.vue"),
-				],
+				// With scoped CSS the entry is a wrapper carrying the plugin root
+				// attribute (see vite-css-isolation-plugin.js)
+				entry: [wrapEntry ? ISOLATED_ENTRY_ID : pluginEntry],
 				name: libName,
 				fileName: (format) => `plugin.${format}.js`,
 				cssFileName: "style",
@@ -850,6 +1026,9 @@ export default defineConfig(async (ctx) => {
 						vue: "Vue",
 						pinia: "Pinia",
 					},
+					// Code-split chunks (dynamic import()) go in their own folder,
+					// which `gxdev build` packages as-is
+					chunkFileNames: `${CHUNKS_DIR}/[name]-[hash].js`,
 				},
 			},
 		},
@@ -340,3 +340,53 @@ describe("dev command — runServicesJson", () => {
 		expect(exitSpy).toHaveBeenCalledWith(1)
 	})
 })
+
+describe("dev command — resolveDevPorts", () => {
+	const makeLogger = () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+	const taken =
+		(...ports) =>
+		async (port) =>
+			!ports.includes(port)
+	const findOwner = (port) =>
+		port === 3060 ? { pid: 4242, command: "node" } : null
+
+	it("keeps the requested ports when they are free", async () => {
+		const logger = makeLogger()
+		const ports = await dev.resolveDevPorts(
+			{ dev: 3060, socketIo: 3069 },
+			logger,
+			{ isFree: taken(), findOwner },
+		)
+		expect(ports).toEqual({ dev: 3060, socketIo: 3069 })
+		expect(logger.warn).not.toHaveBeenCalled()
+	})
+
+	it("moves both ports to the next free pair and names the holder", async () => {
+		const logger = makeLogger()
+		const ports = await dev.resolveDevPorts(
+			{ dev: 3060, socketIo: 3069 },
+			logger,
+			{ isFree: taken(3060, 3070), findOwner },
+		)
+		expect(ports).toEqual({ dev: 3062, socketIo: 3071 })
+		expect(logger.warn).toHaveBeenCalledWith(
+			"⚠ Dev server port 3060 (held by node, pid 4242) is already in use",
+		)
+		expect(logger.info.mock.calls[0][0]).toContain(
+			"Dev server 3062, Socket.IO 3071",
+		)
+	})
+
+	it("aborts with --strict-port", async () => {
+		const logger = makeLogger()
+		const ports = await dev.resolveDevPorts({ dev: 3060 }, logger, {
+			strictPort: true,
+			isFree: taken(3060),
+			findOwner,
+		})
+		expect(ports).toBeNull()
+		expect(logger.error).toHaveBeenCalledWith(
+			expect.stringContaining("--strict-port"),
+		)
+	})
+})
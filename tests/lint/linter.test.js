@@ -11,7 +11,9 @@ const {
 	lintFile,
 	lintFiles,
 	lintData,
+	lintSource,
 	detectSchema,
+	applyLintRules,
 } = require("../../bin/lib/lint")
 
 const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "gxp-lint-"))
@@ -599,6 +601,29 @@ describe("lintFiles aggregator", () => {
 		expect(summary.skipped).toBe(1)
 		expect(summary.totalErrors).toBeGreaterThanOrEqual(1)
 	})
+
+	it("re-grades errors with lint rules", () => {
+		const bad = writeTmp("rules.configuration.json", {
+			additionalTabs: [{ type: "fields_list", fieldsList: [{ type: "text" }] }],
+		})
+		const codes = new Set(lintFile(bad).errors.map((err) => err.code))
+		const rules = Object.fromEntries([...codes].map((code) => [code, "warn"]))
+		rules.required = "off"
+
+		const { results, summary } = lintFiles([bad], { rules })
+		expect(results[0].ok).toBe(true)
+		expect(results[0].errors.every((err) => err.severity === "warning")).toBe(
+			true,
+		)
+		expect(results[0].errors.some((err) => err.code === "required")).toBe(false)
+		expect(summary.filesWithErrors).toBe(0)
+		expect(summary.totalErrors).toBe(0)
+		expect(summary.totalWarnings).toBe(results[0].errors.length)
+
+		const strict = applyLintRules(lintFile(bad))
+		expect(strict.ok).toBe(false)
+		expect(strict.errors.every((err) => err.severity === "error")).toBe(true)
+	})
 })
 
 describe("lintData (parsed-value validator)", () => {
@@ -629,3 +654,41 @@ describe("lintData (parsed-value validator)", () => {
 		).toBe(true)
 	})
 })
+
+describe("lintSource (in-memory JSON text)", () => {
+	it("reports parse errors without reading from disk", () => {
+		const result = lintSource("{ not json", "app-manifest.json")
+		expect(result.file).toBe("app-manifest.json")
+		expect(result.ok).toBe(false)
+		expect(result.errors[0].code).toBe("json-parse-error")
+	})
+
+	it("locates schema errors in the given source", () => {
+		const source = JSON.stringify({ name: "x", version: "one" }, null, 2)
+		const result = lintSource(source, "app-manifest.json")
+		expect(result.ok).toBe(false)
+		expect(result.errors[0].instancePath).toBe("/version")
+		expect(result.errors[0].line).toBe(3)
+	})
+
+	it("validates size budgets", () => {
+		const ok = lintSource(
+			JSON.stringify({
+				name: "x",
+				version: "1.0.0",
+				budgets: { total: "200kb" },
+			}),
+			"app-manifest.json",
+		)
+		const bad = lintSource(
+			JSON.stringify({
+				name: "x",
+				version: "1.0.0",
+				budgets: { total: "big" },
+			}),
+			"app-manifest.json",
+		)
+		expect(ok.ok).toBe(true)
+		expect(bad.ok).toBe(false)
+	})
+})
@@ -0,0 +1,82 @@
+/**
+ * Tests for mcp/lib/specs.js environment resolution. Pins which spec each
+ * built-in environment resolves to, so changes to the environment registry
+ * that move the MCP server's specs show up here.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+// eslint-disable-next-line no-undef
+const { getEnvironment, getEnvUrls } = require("../../mcp/lib/specs")
+
+const DEVELOP_SPEC =
+	"https://api.zenith-develop.env.eventfinity.app/api-specs/openapi.json"
+
+describe("MCP spec environment", () => {
+	let tmpDir
+	let savedApiEnv
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-mcp-specs-test-"))
+		vi.spyOn(process, "cwd").mockReturnValue(tmpDir)
+		savedApiEnv = process.env.API_ENV
+		delete process.env.API_ENV
+	})
+
+	afterEach(() => {
+		vi.restoreAllMocks()
+		if (savedApiEnv === undefined) {
+			delete process.env.API_ENV
+		} else {
+			process.env.API_ENV = savedApiEnv
+		}
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it.each([
+		["production", DEVELOP_SPEC],
+		["staging", DEVELOP_SPEC],
+		["testing", DEVELOP_SPEC],
+		["develop", DEVELOP_SPEC],
+		["local", "https://api.eventfinity.test/api-specs/openapi.json"],
+		["mock", DEVELOP_SPEC],
+		["dev-mock", DEVELOP_SPEC],
+	])("resolves %s to the registry's spec", (name, openApiSpec) => {
+		process.env.API_ENV = name
+		expect(getEnvironment()).toBe(name)
+		expect(getEnvUrls().openApiSpec).toBe(openApiSpec)
+	})
+
+	it("defaults to develop and falls back to it for unknown names", () => {
+		expect(getEnvironment()).toBe("develop")
+		expect(getEnvUrls().openApiSpec).toBe(DEVELOP_SPEC)
+
+		process.env.API_ENV = "nowhere"
+		expect(getEnvUrls().openApiSpec).toBe(DEVELOP_SPEC)
+	})
+
+	it("prefers API_ENV in the shell over .env", () => {
+		fs.writeFileSync(path.join(tmpDir, ".env"), "API_ENV=local\n")
+		expect(getEnvironment()).toBe("local")
+
+		process.env.API_ENV = "develop"
+		expect(getEnvironment()).toBe("develop")
+	})
+
+	it("reads project environments from the registry", () => {
+		fs.writeFileSync(
+			path.join(tmpDir, "package.json"),
+			JSON.stringify({
+				gxdev: {
+					environments: { acme: { apiBaseUrl: "https://api.acme.dev" } },
+				},
+			}),
+		)
+		process.env.API_ENV = "acme"
+		expect(getEnvUrls().openApiSpec).toBe(
+			"https://api.acme.dev/api-specs/openapi.json",
+		)
+	})
+})
@@ -0,0 +1,283 @@
+/**
+ * Tests for runtime/mock-api/recordings.js
+ *
+ * Covers recording /api-proxy traffic into fixtures (with credentials
+ * redacted) and replaying them from the mock API routes.
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import { EventEmitter } from "events"
+import express from "express"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import zlib from "zlib"
+
+const {
+	REDACTED,
+	getFixturesDir,
+	fixtureFileName,
+	redactHeaders,
+	findOperation,
+	saveRecording,
+	findRecording,
+	listFixtures,
+	decodeBody,
+	createProxyRecorder,
+} = require("../../runtime/mock-api/recordings")
+const { generateRoutes } = require("../../runtime/mock-api/route-generator")
+
+const SPEC = {
+	paths: {
+		"/v1/projects/{teamSlug}/{projectSlug}/forms": {
+			get: { operationId: "forms.index", responses: { 200: {} } },
+			post: { operationId: "forms.store", responses: { 201: {} } },
+		},
+		"/v1/projects/{teamSlug}/{projectSlug}/forms/{form}": {
+			get: { operationId: "forms.show", responses: { 200: {} } },
+		},
+		"/v1/projects/{teamSlug}/{projectSlug}/forms/latest": {
+			get: { operationId: "forms.latest", responses: { 200: {} } },
+		},
+	},
+}
+
+const recording = (requestPath, query, body) => ({
+	recordedAt: "2026-10-19T12:00:00.000Z",
+	environment: "develop",
+	request: { method: "GET", path: requestPath, query, headers: {} },
+	response: {
+		status: 200,
+		headers: { "content-type": "application/json" },
+		body,
+	},
+})
+
+describe("API recordings", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-recordings-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("resolves the fixtures directory and file names", () => {
+		expect(getFixturesDir(tmpDir, {})).toBe(path.join(tmpDir, "api-fixtures"))
+		expect(getFixturesDir(tmpDir, { MOCK_API_FIXTURES_DIR: "fx" })).toBe(
+			path.join(tmpDir, "fx"),
+		)
+		expect(fixtureFileName("portal.v1.project.forms.show")).toBe(
+			"portal.v1.project.forms.show.json",
+		)
+		expect(fixtureFileName("GET /v1/forms/{form}")).toBe(
+			"GET_v1_forms_form_.json",
+		)
+	})
+
+	it("redacts credentials and drops connection headers", () => {
+		expect(
+			redactHeaders({
+				Authorization: "Bearer secret",
+				Cookie: "session=1",
+				"Content-Type": "application/json",
+				"Content-Length": "12",
+				Connection: "keep-alive",
+			}),
+		).toEqual({
+			authorization: REDACTED,
+			cookie: REDACTED,
+			"content-type": "application/json",
+		})
+	})
+
+	it("matches request paths to operations, literal segments first", () => {
+		expect(findOperation(SPEC, "GET", "/v1/projects/acme/expo/forms")).toEqual({
+			operationId: "forms.index",
+			method: "get",
+			path: "/v1/projects/{teamSlug}/{projectSlug}/forms",
+		})
+		expect(
+			findOperation(SPEC, "post", "/v1/projects/acme/expo/forms").operationId,
+		).toBe("forms.store")
+		expect(
+			findOperation(SPEC, "get", "/v1/projects/acme/expo/forms/42").operationId,
+		).toBe("forms.show")
+		expect(
+			findOperation(SPEC, "get", "/v1/projects/acme/expo/forms/latest")
+				.operationId,
+		).toBe("forms.latest")
+		expect(findOperation(SPEC, "delete", "/v1/projects/a/b/forms")).toBeNull()
+		expect(findOperation(SPEC, "get", "/v2/other")).toBeNull()
+	})
+
+	it("replaces re-recorded requests and picks the closest recording", () => {
+		const operation = { operationId: "forms.show", method: "get", path: "/x" }
+		saveRecording(tmpDir, operation, recording("/forms/1", {}, { id: 1 }))
+		saveRecording(
+			tmpDir,
+			operation,
+			recording("/forms/1", { page: "2" }, { id: 1, page: 2 }),
+		)
+		saveRecording(tmpDir, operation, recording("/forms/2", {}, { id: 2 }))
+		saveRecording(tmpDir, operation, recording("/forms/1", {}, { id: "1b" }))
+
+		expect(listFixtures(tmpDir)).toEqual([
+			{ operationId: "forms.show", recordings: 3 },
+		])
+		const find = (requestPath, query) =>
+			findRecording(tmpDir, "forms.show", {
+				method: "GET",
+				path: requestPath,
+				query,
+			})?.response.body
+
+		expect(find("/forms/1", {})).toEqual({ id: "1b" })
+		expect(find("/forms/1", { page: "2" })).toEqual({ id: 1, page: 2 })
+		expect(find("/forms/2", { page: "9" })).toEqual({ id: 2 })
+		expect(find("/forms/3", {})).toBeUndefined()
+		expect(
+			findRecording(tmpDir, "forms.index", { method: "GET", path: "/" }),
+		).toBeNull()
+	})
+
+	it("decodes compressed, JSON, text and binary bodies", () => {
+		const json = Buffer.from(JSON.stringify({ ok: true }))
+		expect(
+			decodeBody(zlib.gzipSync(json), {
+				"content-encoding": "gzip",
+				"content-type": "application/json; charset=utf-8",
+			}),
+		).toEqual({ body: { ok: true } })
+		expect(
+			decodeBody(Buffer.from("hi"), { "content-type": "text/plain" }),
+		).toEqual({ body: "hi" })
+		expect(
+			decodeBody(Buffer.from([0, 1, 2]), { "content-type": "image/png" }),
+		).toEqual({ body: "AAEC", bodyEncoding: "base64" })
+		expect(decodeBody(Buffer.alloc(0), {})).toEqual({})
+	})
+
+	it("records proxied traffic with the Authorization header redacted", async () => {
+		const logs = []
+		const recorder = createProxyRecorder({
+			fixturesDir: tmpDir,
+			environment: "develop",
+			loadSpec: async () => SPEC,
+			logger: { log: (m) => logs.push(m), warn: (m) => logs.push(m) },
+		})
+
+		const req = Object.assign(new EventEmitter(), {
+			method: "POST",
+			url: "/api-proxy/v1/projects/acme/expo/forms?draft=1",
+			headers: {},
+		})
+		const proxyReq = {
+			getHeaders: () => ({
+				authorization: "Bearer secret-key",
+				"content-type": "application/json",
+			}),
+		}
+		const proxyRes = Object.assign(new EventEmitter(), {
+			statusCode: 201,
+			headers: {
+				"content-type": "application/json",
+				"content-encoding": "gzip",
+				"set-cookie": ["session=abc"],
+			},
+		})
+
+		recorder.onProxyReq(proxyReq, req)
+		req.emit("data", Buffer.from('{"name":"Quiz"}'))
+		recorder.onProxyRes(proxyRes, req)
+		proxyRes.emit("data", zlib.gzipSync(Buffer.from('{"id":7}')))
+		proxyRes.emit("end")
+		await recorder.pending()
+
+		const file = path.join(tmpDir, "forms.store.json")
+		const text = fs.readFileSync(file, "utf-8")
+		expect(text).not.toContain("secret-key")
+		expect(text).not.toContain("session=abc")
+		const fixture = JSON.parse(text)
+		expect(fixture).toMatchObject({
+			operationId: "forms.store",
+			method: "post",
+			path: "/v1/projects/{teamSlug}/{projectSlug}/forms",
+		})
+		expect(fixture.recordings[0]).toMatchObject({
+			environment: "develop",
+			request: {
+				method: "POST",
+				path: "/v1/projects/acme/expo/forms",
+				query: { draft: "1" },
+				headers: { authorization: REDACTED },
+				body: { name: "Quiz" },
+			},
+			response: {
+				status: 201,
+				headers: { "set-cookie": REDACTED },
+				body: { id: 7 },
+			},
+		})
+		expect(logs).toEqual(["[API Record] forms.store 201 -> forms.store.json"])
+	})
+
+	it("skips requests that aren't in the spec", async () => {
+		const logs = []
+		const recorder = createProxyRecorder({
+			fixturesDir: tmpDir,
+			loadSpec: async () => SPEC,
+			logger: { log: (m) => logs.push(m), warn: (m) => logs.push(m) },
+		})
+		const req = Object.assign(new EventEmitter(), {
+			method: "GET",
+			url: "/api-proxy/v2/unknown",
+			headers: {},
+		})
+		const proxyRes = Object.assign(new EventEmitter(), {
+			statusCode: 200,
+			headers: {},
+		})
+		recorder.onProxyRes(proxyRes, req)
+		proxyRes.emit("end")
+		await recorder.pending()
+
+		expect(listFixtures(tmpDir)).toEqual([])
+		expect(logs[0]).toMatch(/not in the OpenAPI spec/)
+	})
+
+	it("replays recordings from the mock API before generating", async () => {
+		saveRecording(
+			tmpDir,
+			{ operationId: "forms.show", method: "get", path: "/x" },
+			recording("/v1/projects/acme/expo/forms/42", {}, { id: 42, real: true }),
+		)
+		const app = express()
+		app.use(generateRoutes(SPEC, { fixturesDir: tmpDir }))
+		const server = await new Promise((resolve) => {
+			const listening = app.listen(0, () => resolve(listening))
+		})
+		const base = `http://127.0.0.1:${server.address().port}`
+		const get = (url) =>
+			fetch(`${base}${url}`, { headers: { Authorization: "Bearer token" } })
+
+		try {
+			const replayed = await get("/v1/projects/acme/expo/forms/42")
+			expect(replayed.status).toBe(200)
+			expect(await replayed.json()).toEqual({ id: 42, real: true })
+
+			// Another form of a recorded operation: generated, not form 42's body
+			const other = await get("/v1/projects/acme/expo/forms/7")
+			expect(other.status).toBe(200)
+			expect(await other.json()).not.toHaveProperty("real")
+
+			// No recording for forms.index: generated as before
+			const generated = await get("/v1/projects/acme/expo/forms")
+			expect(generated.status).toBe(200)
+			expect(await generated.json()).not.toHaveProperty("real")
+		} finally {
+			await new Promise((resolve) => server.close(resolve))
+		}
+	})
+})
@@ -0,0 +1,68 @@
+/**
+ * Tests for runtime/vite-chunk-base-plugin.js: lazy chunk imports in the
+ * build output resolve against where the plugin is served from.
+ */
+import { afterEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { pathToFileURL } from "url"
+import {
+	BASE_URL_GLOBAL,
+	gxpChunkBasePlugin,
+	rewriteChunkImports,
+} from "../../runtime/vite-chunk-base-plugin.js"
+
+describe("rewriteChunkImports", () => {
+	let tmpDir
+
+	afterEach(() => {
+		delete globalThis[BASE_URL_GLOBAL]
+		if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("routes relative dynamic imports through the loader", () => {
+		const code = rewriteChunkImports(
+			'const a = () => import("./chunks/A-1.js");\nconst b = () => import("vue");\n',
+			"plugin.es.js",
+		)
+		expect(code).toContain('__gxpImport("./chunks/A-1.js")')
+		expect(code).toContain('import("vue")')
+		expect(rewriteChunkImports('import "./x.js"\n', "plugin.es.js")).toBeNull()
+	})
+
+	it("returns a source map that accounts for the loader", () => {
+		const { renderChunk } = gxpChunkBasePlugin()
+		const code = 'const a = 1\nconst b = () => import("./chunks/A-1.js")\n'
+		const result = renderChunk(code, { fileName: "plugin.es.js" })
+
+		expect(result.code).toBe(rewriteChunkImports(code, "plugin.es.js"))
+		expect(result.map.version).toBe(3)
+		// The loader's lines map to nothing; the chunk's own lines follow
+		const loaderLines = result.code.split("\n").indexOf("const a = 1")
+		const lines = result.map.mappings.split(";")
+		expect(lines.slice(0, loaderLines).every((line) => line === "")).toBe(true)
+		expect(lines[loaderLines]).not.toBe("")
+		expect(renderChunk('import "./x.js"\n', { fileName: "x.js" })).toBeNull()
+	})
+
+	it("resolves against the configured base when loaded from a data: URL", async () => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-chunk-base-"))
+		fs.mkdirSync(path.join(tmpDir, "chunks"))
+		fs.writeFileSync(
+			path.join(tmpDir, "chunks", "A-1.js"),
+			'export default "lazy"\n',
+		)
+		const entry = rewriteChunkImports(
+			'export const load = () => import("./chunks/A-1.js")\n',
+			"plugin.es.js",
+		)
+		const mod = await import(
+			`data:text/javascript,${encodeURIComponent(entry)}`
+		)
+
+		await expect(mod.load()).rejects.toThrow(/__GXP_PLUGIN_BASE_URL__/)
+		globalThis[BASE_URL_GLOBAL] = pathToFileURL(`${tmpDir}/`).href
+		expect((await mod.load()).default).toBe("lazy")
+	})
+})
@@ -0,0 +1,120 @@
+// @vitest-environment happy-dom
+/**
+ * Tests for the dev-mode CSS leak check (runtime/dev-tools/css-leak-check.js)
+ */
+import { afterEach, describe, expect, it } from "vitest"
+import {
+	isPluginStylesheet,
+	describeSource,
+	splitSelectorList,
+	toQueryableSelector,
+	findCssLeaks,
+	formatCssLeakWarning,
+	watchCssLeaks,
+} from "../../runtime/dev-tools/css-leak-check.js"
+
+const HOST_DIRS = ["/toolkit/runtime", "/project/theme-layouts"]
+
+function addStyle(devId, css) {
+	const style = document.createElement("style")
+	style.setAttribute("data-vite-dev-id", devId)
+	style.textContent = css
+	document.head.appendChild(style)
+	return style
+}
+
+function mountHost() {
+	document.body.innerHTML = `
+		<nav class="host-nav"><button class="host-button">Menu</button></nav>
+		<div data-gxp-plugin="demo" style="display: contents">
+			<div class="plugin"><button class="cta">Go</button></div>
+		</div>`
+	return document.querySelector('[data-gxp-plugin="demo"]')
+}
+
+describe("css leak check", () => {
+	afterEach(() => {
+		document.head.innerHTML = ""
+		document.body.innerHTML = ""
+	})
+
+	it("tells plugin stylesheets from the host's", () => {
+		expect(
+			isPluginStylesheet("/project/src/Plugin.vue?vue&type=style", HOST_DIRS),
+		).toBe(true)
+		expect(
+			isPluginStylesheet("/toolkit/runtime/PortalContainer.vue?vue", HOST_DIRS),
+		).toBe(false)
+		expect(
+			isPluginStylesheet(
+				"/project/theme-layouts/AdditionalStyling.css",
+				HOST_DIRS,
+			),
+		).toBe(false)
+		expect(isPluginStylesheet(null, HOST_DIRS)).toBe(false)
+		expect(
+			describeSource("/project/src/components/Card.vue?vue&type=style&index=0"),
+		).toBe("src/components/Card.vue")
+		expect(describeSource("/project/node_modules/lib/dist/style.css")).toBe(
+			"node_modules/lib/dist/style.css",
+		)
+	})
+
+	it("normalizes selectors for querySelectorAll", () => {
+		expect(splitSelectorList("a, :is(b, c) > d,e")).toEqual([
+			"a",
+			":is(b, c) > d",
+			"e",
+		])
+		expect(toQueryableSelector("button:hover")).toBe("button")
+		expect(toQueryableSelector(".card::before")).toBe(".card")
+		expect(toQueryableSelector("::selection")).toBe("*")
+	})
+
+	it("reports plugin rules that match outside the plugin root", () => {
+		const root = mountHost()
+		addStyle(
+			"/project/src/Plugin.vue?vue&type=style&index=0",
+			"@media (min-width: 1px) { button:hover { color: red } } .plugin .cta { color: blue } @keyframes pulse { from { opacity: 0 } }",
+		)
+		addStyle(
+			"/toolkit/runtime/PortalContainer.vue?vue&type=style",
+			"nav { color: red }",
+		)
+
+		const leaks = findCssLeaks({ doc: document, root, hostDirs: HOST_DIRS })
+		expect(leaks).toEqual([
+			{
+				selector: "button:hover",
+				source: "src/Plugin.vue",
+				count: 1,
+				sample: "<button.host-button>",
+			},
+		])
+		expect(formatCssLeakWarning(leaks, "off")).toContain('set "cssIsolation"')
+		expect(formatCssLeakWarning(leaks, "scope")).toContain("scopes these rules")
+	})
+
+	it("warns once per rule", async () => {
+		mountHost()
+		const warnings = []
+		addStyle("/project/src/global.css", "body { margin: 0 }")
+		const watcher = watchCssLeaks({
+			doc: document,
+			getRoot: () => document.querySelector("[data-gxp-plugin]"),
+			hostDirs: HOST_DIRS,
+			strategy: "off",
+			warn: (message) => warnings.push(message),
+			delay: 0,
+		})
+		await new Promise((resolve) => setTimeout(resolve, 20))
+		watcher.check()
+		await new Promise((resolve) => setTimeout(resolve, 20))
+		watcher.stop()
+
+		expect(warnings).toHaveLength(1)
+		expect(warnings[0]).toContain(
+			"body  (src/global.css) — 1 element, e.g. <body>",
+		)
+	})
+})
@@ -0,0 +1,214 @@
+/**
+ * Tests for the Dev Tools Network tab: the API calls gxpPortalConfigStore
+ * records and the helpers in runtime/dev-tools/network-log.js
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest"
+import { createPinia, setActivePinia } from "pinia"
+
+vi.mock("axios", () => {
+	const client = {
+		interceptors: {
+			request: { use: vi.fn() },
+			response: { use: vi.fn() },
+		},
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		patch: vi.fn(),
+		delete: vi.fn(),
+	}
+	return {
+		default: {
+			create: vi.fn(() => client),
+			get: vi.fn(() => Promise.reject(new Error("no spec in tests"))),
+			post: vi.fn(),
+		},
+	}
+})
+
+vi.mock("socket.io-client", () => ({
+	io: vi.fn(() => ({ on: vi.fn(), emit: vi.fn(), off: vi.fn() })),
+}))
+
+import axios from "axios"
+import {
+	apiCallState,
+	filterApiCalls,
+	fixtureFileName,
+	toFixture,
+	formatDuration,
+} from "../../runtime/dev-tools/network-log.js"
+
+global.fetch = vi.fn(() => Promise.resolve({ ok: false, status: 404 }))
+
+const call = (overrides = {}) => ({
+	id: 1,
+	operationId: "portal.v1.project.forms.show",
+	operationPath: "/v1/projects/{teamSlug}/{projectSlug}/forms/{form}",
+	method: "GET",
+	path: "/v1/projects/acme/expo/forms/42",
+	url: "http://localhost:3060/api-proxy/v1/projects/acme/expo/forms/42",
+	params: { form: 42 },
+	query: {},
+	requestHeaders: {
+		Authorization: "Bearer secret",
+		Accept: "application/json",
+	},
+	requestBody: undefined,
+	source: "proxy",
+	startedAt: "2026-10-19T12:00:00.000Z",
+	state: "done",
+	status: 200,
+	durationMs: 35,
+	responseHeaders: { "content-type": "application/json" },
+	responseBody: { id: 42 },
+	error: null,
+	...overrides,
+})
+
+describe("network log helpers", () => {
+	it("derives a call's state from its status", () => {
+		expect(apiCallState(call())).toBe("ok")
+		expect(apiCallState(call({ status: 404 }))).toBe("error")
+		expect(apiCallState(call({ state: "error", status: null }))).toBe("error")
+		expect(apiCallState(call({ state: "pending", status: null }))).toBe(
+			"pending",
+		)
+	})
+
+	it("filters by text, source and state", () => {
+		const calls = [
+			call(),
+			call({ id: 2, operationId: null, path: "/events", source: "mock" }),
+			call({ id: 3, method: "POST", status: 422, source: "mock" }),
+		]
+		const ids = (filters) => filterApiCalls(calls, filters).map((c) => c.id)
+
+		expect(ids({})).toEqual([1, 2, 3])
+		expect(ids({ text: "EVENTS" })).toEqual([2])
+		expect(ids({ text: "post" })).toEqual([3])
+		expect(ids({ source: "mock" })).toEqual([2, 3])
+		expect(ids({ source: "mock", state: "error" })).toEqual([3])
+	})
+
+	it("turns a call into a replayable fixture with credentials redacted", () => {
+		const fixture = toFixture(
+			call({ method: "POST", requestBody: '{"name":"Quiz"}', status: 201 }),
+			{ environment: "develop" },
+		)
+
+		expect(fixture).toEqual({
+			operationId: "portal.v1.project.forms.show",
+			method: "post",
+			path: "/v1/projects/{teamSlug}/{projectSlug}/forms/{form}",
+			recordings: [
+				{
+					recordedAt: "2026-10-19T12:00:00.000Z",
+					environment: "develop",
+					request: {
+						method: "POST",
+						path: "/v1/projects/acme/expo/forms/42",
+						query: {},
+						headers: {
+							authorization: "[REDACTED]",
+							accept: "application/json",
+						},
+						body: { name: "Quiz" },
+					},
+					response: {
+						status: 201,
+						headers: { "content-type": "application/json" },
+						body: { id: 42 },
+					},
+				},
+			],
+		})
+		expect(fixtureFileName(call())).toBe("portal.v1.project.forms.show.json")
+		expect(fixtureFileName(call({ operationId: null, path: "/events" }))).toBe(
+			"GET_events.json",
+		)
+	})
+
+	it("formats durations", () => {
+		expect(formatDuration(null)).toBe("…")
+		expect(formatDuration(35)).toBe("35 ms")
+		expect(formatDuration(1420)).toBe("1.4 s")
+	})
+})
+
+describe("gxpPortalConfigStore API call log", () => {
+	let store
+	let client
+
+	beforeEach(async () => {
+		setActivePinia(createPinia())
+		const { useGxpStore } =
+			await import("../../runtime/stores/gxpPortalConfigStore.js")
+		client = axios.create()
+		client.interceptors.request.use.mockClear()
+		client.interceptors.response.use.mockClear()
+		store = useGxpStore()
+	})
+
+	it("records requests and their responses and errors", () => {
+		// The network log's interceptors are the first ones registered
+		const [onRequest] = client.interceptors.request.use.mock.calls[0]
+		const [onResponse, onError] = client.interceptors.response.use.mock.calls[0]
+
+		const config = onRequest({
+			baseURL: "http://localhost:3060/api-proxy",
+			url: "/v1/projects/acme/expo/forms/42",
+			method: "get",
+			headers: { Accept: "application/json", Authorization: "Bearer secret" },
+			gxpOperation: {
+				operationId: "portal.v1.project.forms.show",
+				path: "/v1/projects/{teamSlug}/{projectSlug}/forms/{form}",
+			},
+			gxpParams: { form: 42 },
+		})
+		expect(store.apiCalls).toHaveLength(1)
+		expect(store.apiCalls[0]).toMatchObject({
+			operationId: "portal.v1.project.forms.show",
+			method: "GET",
+			url: "http://localhost:3060/api-proxy/v1/projects/acme/expo/forms/42",
+			params: { form: 42 },
+			source: "proxy",
+			state: "pending",
+		})
+		// The live token never reaches store state
+		expect(store.apiCalls[0].requestHeaders).toEqual({
+			accept: "application/json",
+			authorization: "[REDACTED]",
+		})
+
+		onResponse({
+			config,
+			status: 200,
+			headers: { "Set-Cookie": "session=abc" },
+			data: { id: 42 },
+		})
+		expect(store.apiCalls[0]).toMatchObject({
+			state: "done",
+			status: 200,
+			responseHeaders: { "set-cookie": "[REDACTED]" },
+			responseBody: { id: 42 },
+		})
+		expect(store.apiCalls[0].durationMs).toBeGreaterThanOrEqual(0)
+
+		const failed = onRequest({ baseURL: "", url: "/events", method: "post" })
+		const error = Object.assign(new Error("Request failed"), {
+			config: failed,
+			response: { status: 500, headers: {}, data: { error: "boom" } },
+		})
+		expect(() => onError(error)).toThrow("Request failed")
+		expect(store.apiCalls[1]).toMatchObject({
+			operationId: null,
+			state: "error",
+			status: 500,
+			error: "Request failed",
+		})
+
+		store.clearApiCalls()
+		expect(store.apiCalls).toEqual([])
+	})
+})
@@ -0,0 +1,196 @@
+/**
+ * Tests for bin/lib/utils/asset-optimizer.js
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import childProcess from "child_process"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	loadAssetOptimizationOptions,
+	encodeImage,
+	optimizeAssets,
+	formatAssetReport,
+} = require("../../bin/lib/utils/asset-optimizer")
+
+describe("asset optimizer", () => {
+	let tmpDir
+	let buildPath
+
+	const write = (rel, content) => {
+		const file = path.join(tmpDir, rel)
+		fs.mkdirSync(path.dirname(file), { recursive: true })
+		fs.writeFileSync(file, content)
+	}
+	const assets = () =>
+		fs
+			.readdirSync(path.join(buildPath, "assets"), { recursive: true })
+			.filter((f) => fs.statSync(path.join(buildPath, "assets", f)).isFile())
+			.map((f) => f.replace(/\\/g, "/"))
+			.sort()
+	// recompress off: these tests must not depend on ImageMagick
+	const options = (extra = {}) => ({
+		prune: true,
+		dedupe: true,
+		recompress: false,
+		quality: 82,
+		webp: false,
+		keep: [],
+		...extra,
+	})
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-assets-test-"))
+		buildPath = path.join(tmpDir, "dist", "build")
+		fs.mkdirSync(buildPath, { recursive: true })
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe("loadAssetOptimizationOptions", () => {
+		it("is off unless the flag is passed or settings are declared", () => {
+			expect(loadAssetOptimizationOptions(tmpDir, {})).toBeNull()
+			expect(
+				loadAssetOptimizationOptions(tmpDir, { "optimize-assets": true }),
+			).toMatchObject({ prune: true, dedupe: true, quality: 82 })
+		})
+
+		it("merges declared settings and honours enabled: false", () => {
+			write(
+				"app-manifest.json",
+				JSON.stringify({
+					assetOptimization: { quality: 60, keep: "*.svg", enabled: false },
+				}),
+			)
+			expect(loadAssetOptimizationOptions(tmpDir, {})).toBeNull()
+			const opts = loadAssetOptimizationOptions(tmpDir, {
+				"optimize-assets": true,
+			})
+			expect(opts).toMatchObject({ quality: 60, keep: ["*.svg"] })
+			expect(opts).not.toHaveProperty("enabled")
+		})
+	})
+
+	describe("optimizeAssets", () => {
+		it("prunes assets nothing references", () => {
+			write("dist/build/assets/used-in-manifest.png", "a")
+			write("dist/build/assets/used-in-src.png", "b")
+			write("dist/build/assets/used-in-build.svg", "c")
+			write("dist/build/assets/kept/slide-1.png", "d")
+			write("dist/build/assets/orphan.png", "e")
+			write(
+				"src/Plugin.vue",
+				'<template><img src="/src/assets/used-in-src.png" /></template>',
+			)
+			write("dist/build/plugin.es.js", 'const u = "used-in-build.svg"')
+
+			const report = optimizeAssets({
+				projectPath: tmpDir,
+				buildPath,
+				manifest: {
+					asset_dir: "/src/assets/",
+					assets: { hero: "/src/assets/used-in-manifest.png" },
+				},
+				options: options({ keep: ["kept/**"] }),
+			})
+
+			expect(report.pruned).toEqual([{ file: "orphan.png", size: 1 }])
+			expect(assets()).toEqual([
+				"kept/slide-1.png",
+				"used-in-build.svg",
+				"used-in-manifest.png",
+				"used-in-src.png",
+			])
+			expect(report.before - report.after).toBe(1)
+		})
+
+		it("dedupes identical files and rewrites manifest references", () => {
+			write("dist/build/assets/a.png", "same")
+			write("dist/build/assets/b.png", "same")
+			write("dist/build/assets/c.png", "same")
+			// c.png is named in code, so it has to survive
+			write("src/Plugin.vue", '<img src="/src/assets/c.png" />')
+
+			const report = optimizeAssets({
+				projectPath: tmpDir,
+				buildPath,
+				manifest: {
+					asset_dir: "/src/assets/",
+					assets: { one: "/src/assets/a.png", two: "/src/assets/b.png" },
+				},
+				options: options(),
+			})
+
+			expect(assets()).toEqual(["a.png", "c.png"])
+			expect(report.deduped).toEqual([
+				{ file: "b.png", duplicateOf: "a.png", size: 4 },
+			])
+			expect(report.assetRewrites).toEqual({ two: "/src/assets/a.png" })
+		})
+
+		it("leaves everything alone when stages are disabled", () => {
+			write("dist/build/assets/a.png", "same")
+			write("dist/build/assets/b.png", "same")
+			const report = optimizeAssets({
+				projectPath: tmpDir,
+				buildPath,
+				manifest: null,
+				options: options({ prune: false, dedupe: false }),
+			})
+			expect(assets()).toEqual(["a.png", "b.png"])
+			expect(report.before).toBe(report.after)
+		})
+	})
+
+	describe("formatAssetReport", () => {
+		it("lists pruned files and the saving", () => {
+			const output = formatAssetReport({
+				before: 4096,
+				after: 2048,
+				pruned: [{ file: "orphan.png", size: 2048 }],
+				deduped: [],
+				recompressed: [],
+				webp: [],
+				skipped: ["ImageMagick not found"],
+				assetRewrites: {},
+			})
+			expect(output).toContain("saved 2.00 KB")
+			expect(output).toContain("- orphan.png")
+			expect(output).toContain("ImageMagick not found")
+		})
+	})
+	describe("encodeImage", () => {
+		afterEach(() => {
+			vi.restoreAllMocks()
+		})
+
+		it("passes paths to ImageMagick as arguments, not through a shell", () => {
+			const inPath = path.join(tmpDir, 'logo"; rm -rf ~; ".png')
+			const outPath = path.join(tmpDir, "out.png")
+			const run = vi
+				.spyOn(childProcess, "execFileSync")
+				.mockImplementation(() => fs.writeFileSync(outPath, "png"))
+
+			expect(encodeImage("magick", inPath, outPath, 82)).toBe(true)
+			expect(run).toHaveBeenCalledWith(
+				"magick",
+				[inPath, "-strip", "-define", "png:compression-level=9", outPath],
+				expect.any(Object),
+			)
+
+			const jpg = path.join(tmpDir, "out.jpg")
+			run.mockImplementation(() => {
+				throw new Error("magick failed")
+			})
+			expect(encodeImage("convert", inPath, jpg, 70)).toBe(false)
+			expect(run).toHaveBeenLastCalledWith(
+				"convert",
+				[inPath, "-strip", "-quality", "70", jpg],
+				expect.any(Object),
+			)
+		})
+	})
+})
@@ -0,0 +1,159 @@
+/**
+ * Tests for bin/lib/utils/browser-compat.js (browserslist compatibility check)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	toEngineVersion,
+	loadBrowserTargets,
+	scanJs,
+	scanCss,
+	findCompatIssues,
+} = require("../../bin/lib/utils/browser-compat")
+
+describe("browser compat", () => {
+	let tmpDir
+
+	const write = (rel, content) => {
+		const file = path.join(tmpDir, rel)
+		fs.mkdirSync(path.dirname(file), { recursive: true })
+		fs.writeFileSync(file, content)
+	}
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-browser-compat-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("maps browsers to engine versions and loads the project's targets", () => {
+		expect(toEngineVersion("edge 90")).toEqual({
+			engine: "chrome",
+			version: 90,
+		})
+		expect(toEngineVersion("opera 76")).toEqual({
+			engine: "chrome",
+			version: 90,
+		})
+		expect(toEngineVersion("samsung 14.0")).toEqual({
+			engine: "chrome",
+			version: 87,
+		})
+		expect(toEngineVersion("ios_saf 14.0-14.4")).toEqual({
+			engine: "safari",
+			version: 14,
+		})
+		expect(toEngineVersion("op_mini all")).toBeNull()
+
+		write("package.json", JSON.stringify({ name: "demo" }))
+		expect(loadBrowserTargets(tmpDir)).toBeNull()
+
+		write(
+			"package.json",
+			JSON.stringify({
+				name: "demo",
+				browserslist: [
+					"chrome >= 100",
+					"chrome 87",
+					"safari 14",
+					"op_mini all",
+				],
+			}),
+		)
+		const targets = loadBrowserTargets(tmpDir)
+		expect(targets.engines).toEqual({ chrome: 87, safari: 14 })
+		expect(targets.build).toEqual(["chrome87", "safari14"])
+		expect(targets.unchecked).toEqual(["op_mini all"])
+	})
+
+	it("finds syntax and API uses in JS, skipping feature-detected globals", () => {
+		const keys = (code) => scanJs(code).map((use) => use.key)
+
+		expect(
+			keys(`
+				const a = obj?.b ?? 1
+				class C { static { init() } #x = 1 }
+				const re = /(?<=\\$)\\d+/
+				const lowered = RegExp("(?<name>a)", "d")
+				const copy = structuredClone(value)
+				const last = list.at(-1)
+				if (Object.hasOwn(o, "k")) {}
+			`),
+		).toEqual([
+			"nullishCoalescing",
+			"optionalChaining",
+			"classStaticBlock",
+			"privateClassFields",
+			"regexLookbehind",
+			"regexNamedGroups",
+			"regexIndices",
+			"structuredClone",
+			".at",
+			"Object.hasOwn",
+		])
+
+		expect(
+			keys(`
+				const clone = typeof structuredClone === "function"
+					? structuredClone
+					: (v) => JSON.parse(JSON.stringify(v))
+				const options = { structuredClone: true }
+				const at = thing.at
+			`),
+		).toEqual([])
+	})
+
+	it("finds CSS features, skipping @supports blocks and fallbacks", () => {
+		const uses = scanCss(
+			[
+				".a:has(.b) { color: red }",
+				".c { height: 100vh; height: 100dvh }",
+				".d { display: flex; gap: 4px; aspect-ratio: 1 }",
+				"@supports (color: oklch(0 0 0)) { .e { color: oklch(70% 0.1 200) } }",
+				"@container (min-width: 400px) { .f { color: red } }",
+			].join("\n"),
+		)
+		expect(uses.map(({ key, line }) => [key, line])).toEqual([
+			["has", 1],
+			["flexGap", 3],
+			["aspectRatio", 3],
+			["container", 5],
+		])
+	})
+
+	it("reports unsupported features by file, line and module", () => {
+		const targets = { engines: { chrome: 87, safari: 14 } }
+		write(
+			"build/plugin.es.js",
+			[
+				"//#region src/Plugin.vue",
+				"const a = structuredClone(x)",
+				"const b = structuredClone(y)",
+				"const c = obj?.d",
+				"//#endregion",
+				"export { a, b, c }",
+			].join("\n"),
+		)
+		write("build/style.css", ".x { color: red }\n.y:has(.z) { color: red }")
+
+		expect(findCompatIssues(path.join(tmpDir, "build"), targets)).toEqual([
+			{
+				file: "dist/build/plugin.es.js",
+				line: 2,
+				message:
+					"structuredClone in src/Plugin.vue isn't supported by Chrome 87 (needs 98), Safari 14 (needs 15.4) (2 uses)",
+			},
+			{
+				file: "dist/build/style.css",
+				line: 2,
+				message:
+					":has() isn't supported by Chrome 87 (needs 105), Safari 14 (needs 15.4)",
+			},
+		])
+	})
+})
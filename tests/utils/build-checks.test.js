@@ -0,0 +1,214 @@
+/**
+ * Tests for bin/lib/utils/build-checks.js (gxdev build pre-build checks)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	loadCheckLevels,
+	runBuildChecks,
+	formatCheckIssues,
+} = require("../../bin/lib/utils/build-checks")
+
+describe("build checks", () => {
+	let tmpDir
+
+	const write = (file, content) => {
+		const full = path.join(tmpDir, file)
+		fs.mkdirSync(path.dirname(full), { recursive: true })
+		fs.writeFileSync(
+			full,
+			typeof content === "string" ? content : JSON.stringify(content),
+		)
+	}
+	const allOn = {
+		debugCode: "warn",
+		hardcodedStrings: "warn",
+		manifestSync: "warn",
+		lint: "error",
+		devUrls: "error",
+		browserCompat: "error",
+	}
+	const run = (phase, levels = allOn) =>
+		runBuildChecks({
+			projectPath: tmpDir,
+			phase,
+			levels,
+			buildPath: path.join(tmpDir, "dist", "build"),
+		})
+	const byCheck = (issues, check) => issues.filter((i) => i.check === check)
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-checks-test-"))
+		write("app-manifest.json", { name: "Plugin", version: "1.0.0" })
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe("loadCheckLevels", () => {
+		it("applies defaults and project overrides", () => {
+			write("app-manifest.json", {
+				name: "Plugin",
+				checks: { debugCode: "error", hardcodedStrings: "off" },
+			})
+			expect(loadCheckLevels(tmpDir)).toEqual({
+				...allOn,
+				debugCode: "error",
+				hardcodedStrings: "off",
+			})
+		})
+
+		it("rejects unknown checks and levels", () => {
+			write("app-manifest.json", { checks: { debugcode: "warn" } })
+			expect(() => loadCheckLevels(tmpDir)).toThrow('Unknown check "debugcode"')
+			write("app-manifest.json", { checks: { lint: "fatal" } })
+			expect(() => loadCheckLevels(tmpDir)).toThrow(
+				"checks.lint must be one of error, warn, off",
+			)
+		})
+	})
+
+	describe("debugCode", () => {
+		it("flags console.log and debugger outside dev-only blocks", () => {
+			write(
+				"src/utils.js",
+				[
+					"export function load(data) {",
+					"  console.log('loaded', data)",
+					"  // console.log('commented out')",
+					"  if (import.meta.env.DEV) {",
+					"    console.log('dev only')",
+					"    if (data) { debugger }",
+					"  }",
+					"  debugger",
+					"  console.warn('kept')",
+					"}",
+				].join("\n"),
+			)
+			write("src/utils.test.js", "console.log('test')")
+			expect(
+				byCheck(run("source"), "debugCode").map((i) => [i.file, i.line]),
+			).toEqual([
+				["src/utils.js", 2],
+				["src/utils.js", 8],
+			])
+		})
+	})
+
+	describe("hardcodedStrings", () => {
+		it("flags template text without gxp-string", () => {
+			write(
+				"src/Plugin.vue",
+				[
+					"<template>",
+					"  <div>",
+					'    <h1 gxp-string="title">Welcome</h1>',
+					'    <p gxp-string="body">Hello <b>there</b></p>',
+					"    <p>Check in here</p>",
+					"    <span>{{ count }}</span>",
+					"    <!-- <p>Commented</p> -->",
+					"    <img src='/a.png' />",
+					"    <button>Save &amp; exit</button>",
+					"  </div>",
+					"</template>",
+					"<script setup>",
+					"const label = '<p>not template</p>'",
+					"</script>",
+				].join("\n"),
+			)
+			const issues = byCheck(run("source"), "hardcodedStrings")
+			expect(issues.map((i) => [i.line, i.message])).toEqual([
+				[5, '"Check in here" is not wrapped in gxp-string'],
+				[9, '"Save exit" is not wrapped in gxp-string'],
+			])
+		})
+	})
+
+	describe("manifestSync", () => {
+		it("reports keys extract-config would add", () => {
+			write("app-manifest.json", {
+				name: "Plugin",
+				strings: { default: { title: "Welcome" } },
+			})
+			write(
+				"src/Plugin.vue",
+				'<template><h1 gxp-string="title">Welcome</h1><p gxp-string="subtitle">Hi</p></template>',
+			)
+			const issues = byCheck(run("source"), "manifestSync")
+			expect(issues.map((i) => i.message)).toEqual([
+				"strings.default.subtitle is used in src/ but missing (run gxdev extract-config)",
+			])
+			// The manifest on disk is untouched
+			expect(
+				JSON.parse(fs.readFileSync(path.join(tmpDir, "app-manifest.json"))),
+			).toEqual({ name: "Plugin", strings: { default: { title: "Welcome" } } })
+		})
+	})
+
+	describe("lint", () => {
+		it("reports schema errors as errors", () => {
+			write("app-manifest.json", { name: "Plugin", checks: { lint: 1 } })
+			const issues = byCheck(
+				run("source", { ...allOn, manifestSync: "off" }),
+				"lint",
+			)
+			expect(issues.length).toBeGreaterThan(0)
+			expect(issues[0]).toMatchObject({
+				file: "app-manifest.json",
+				level: "error",
+			})
+		})
+	})
+
+	describe("devUrls", () => {
+		it("flags dev-only URLs in the bundle but allows gxp-src placeholders", () => {
+			write(
+				"src/Plugin.vue",
+				'<template><img gxp-src="hero" src="/dev-assets/hero.jpg" /></template>',
+			)
+			write(
+				"dist/build/plugin.es.js",
+				[
+					'const a = "/dev-assets/hero.jpg";',
+					'const b = "/dev-assets/logo.png";',
+					'fetch("http://localhost:3060/api/items");',
+					'fetch("https://api.example.com/items");',
+				].join("\n"),
+			)
+			const issues = run("bundle")
+			expect(issues.map((i) => i.message)).toEqual([
+				"/dev-assets/logo.png won't resolve on the platform",
+				"http://localhost:3060/api/items won't resolve on the platform",
+			])
+			expect(run("bundle", { ...allOn, devUrls: "off" })).toEqual([])
+		})
+	})
+
+	describe("formatCheckIssues", () => {
+		it("marks errors and warnings", () => {
+			const output = formatCheckIssues(
+				[
+					{
+						check: "lint",
+						level: "error",
+						file: "a.json",
+						line: 3,
+						message: "bad",
+					},
+					{ check: "debugCode", level: "warn", file: "b.js", message: "oops" },
+				],
+				{ phase: "source" },
+			)
+			expect(output).toContain("a.json:3  bad")
+			expect(output).toContain("✗")
+			expect(output).toContain("⚠")
+			expect(formatCheckIssues([], { phase: "bundle" })).toContain(
+				"Bundle checks passed",
+			)
+		})
+	})
+})
@@ -0,0 +1,214 @@
+/**
+ * Tests for bin/lib/utils/build-output.js (packaging Vite output)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	globToRegExp,
+	loadPackagingOptions,
+	listViteOutputs,
+	selectBuildOutputs,
+	moveBuildOutputs,
+	createPackagingFilter,
+	formatOutputSelection,
+} = require("../../bin/lib/utils/build-output")
+const {
+	createIntegrityManifest,
+	createGxpArchive,
+	verifyGxpPackage,
+} = require("../../bin/lib/utils/gxp-package")
+
+describe("build output", () => {
+	let tmpDir
+
+	const write = (rel, content = "x") => {
+		const file = path.join(tmpDir, rel)
+		fs.mkdirSync(path.dirname(file), { recursive: true })
+		fs.writeFileSync(file, content)
+	}
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-build-output-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("loads packaging options from the manifest", () => {
+		expect(loadPackagingOptions(tmpDir)).toEqual({
+			include: ["**"],
+			exclude: [],
+		})
+
+		write(
+			"app-manifest.json",
+			JSON.stringify({ packaging: { exclude: ["**/*.map"] } }),
+		)
+		expect(loadPackagingOptions(tmpDir)).toEqual({
+			include: ["**"],
+			exclude: ["**/*.map"],
+		})
+
+		write("app-manifest.json", JSON.stringify({ packaging: { include: "*" } }))
+		expect(() => loadPackagingOptions(tmpDir)).toThrow(
+			"packaging.include must be an array of glob strings",
+		)
+	})
+
+	it("lists every file Vite emitted, skipping dist/build and old packages", () => {
+		write("plugin.es.js")
+		write("plugin.es.css")
+		write("chunks/worker-a1.js")
+		write("chunks/parser-b2.wasm")
+		write("robots.txt")
+		write("build/plugin.es.js")
+		write(".vite/manifest.json")
+		write("demo-1.0.0.gxpapp")
+
+		expect(listViteOutputs(tmpDir)).toEqual([
+			"chunks/parser-b2.wasm",
+			"chunks/worker-a1.js",
+			"plugin.es.css",
+			"plugin.es.js",
+			"robots.txt",
+		])
+		expect(listViteOutputs(path.join(tmpDir, "missing"))).toEqual([])
+	})
+
+	it("selects outputs and reports what is left out", () => {
+		const files = [
+			"app-manifest.json",
+			"assets/logo.png",
+			"chunks/Lazy-c3.js",
+			"chunks/Lazy-c3.js.map",
+			"chunks/parser-b2.wasm",
+			"plugin.es.js",
+		]
+		const selection = selectBuildOutputs(files, {
+			include: ["*.js", "chunks/**", "app-manifest.json", "assets/**"],
+			exclude: ["**/*.map"],
+		})
+		expect(selection).toEqual({
+			included: ["chunks/Lazy-c3.js", "chunks/parser-b2.wasm", "plugin.es.js"],
+			excluded: ["chunks/Lazy-c3.js.map"],
+			unmatched: [],
+			conflicts: ["app-manifest.json", "assets/logo.png"],
+		})
+
+		const narrow = selectBuildOutputs(files, {
+			include: ["*.js", "chunks/*.js"],
+			exclude: [],
+		})
+		expect(narrow.unmatched).toEqual([
+			"app-manifest.json",
+			"assets/logo.png",
+			"chunks/Lazy-c3.js.map",
+			"chunks/parser-b2.wasm",
+		])
+
+		const { info, warning } = formatOutputSelection(selection)
+		expect(info).toContain("chunks/Lazy-c3.js.map")
+		expect(warning).toContain("2 build output files are NOT in the package")
+		expect(warning).toContain("assets/logo.png")
+		expect(
+			formatOutputSelection(
+				selectBuildOutputs(["plugin.es.js"], { include: ["**"], exclude: [] }),
+			),
+		).toEqual({ info: null, warning: null })
+	})
+
+	it("moves outputs to the build directory and removes emptied directories", () => {
+		write("plugin.es.js")
+		write("chunks/Lazy-a1.js")
+		write("chunks/workers/parse-b2.js")
+		write("fonts/inter.woff2")
+		write("fonts/inter.woff2.map")
+		const buildPath = path.join(tmpDir, "build")
+
+		moveBuildOutputs(tmpDir, buildPath, [
+			"chunks/Lazy-a1.js",
+			"chunks/workers/parse-b2.js",
+			"fonts/inter.woff2",
+			"plugin.es.js",
+		])
+
+		expect(listViteOutputs(buildPath)).toEqual([
+			"chunks/Lazy-a1.js",
+			"chunks/workers/parse-b2.js",
+			"fonts/inter.woff2",
+			"plugin.es.js",
+		])
+		// fonts/ still holds the file that wasn't selected
+		expect(fs.readdirSync(tmpDir).sort()).toEqual(["build", "fonts"])
+		expect(fs.readdirSync(path.join(tmpDir, "fonts"))).toEqual([
+			"inter.woff2.map",
+		])
+	})
+
+	it("packages files copied from public/ without verify warnings", () => {
+		write(
+			"plugin.es.js",
+			'const Plugin = { name: "Plugin" };\nexport { Plugin as default };\n',
+		)
+		write("plugin.es.css", ".plugin {}")
+		// Copied from the project's public/
+		write("robots.txt", "User-agent: *")
+		write("fonts/inter.woff2", "woff2")
+
+		const packaging = { include: ["**"], exclude: ["**/*.map"] }
+		const selection = selectBuildOutputs(listViteOutputs(tmpDir), packaging)
+		expect(selection.included).toContain("robots.txt")
+
+		const files = new Map(
+			selection.included.map((file) => [
+				file,
+				fs.readFileSync(path.join(tmpDir, file)),
+			]),
+		)
+		files.set(
+			"app-manifest.json",
+			Buffer.from(JSON.stringify({ name: "Test Plugin", version: "1.0.0" })),
+		)
+		files.set(
+			"integrity.json",
+			Buffer.from(JSON.stringify(createIntegrityManifest(files))),
+		)
+
+		const isPackagedOutput = createPackagingFilter(packaging)
+		const result = verifyGxpPackage(createGxpArchive(files), {
+			isPackagedOutput,
+		})
+		expect(result.errors).toEqual([])
+		expect(result.warnings).toEqual([])
+
+		// Files the selection leaves out are still stray
+		files.set("plugin.es.js.map", Buffer.from("{}"))
+		files.delete("integrity.json")
+		expect(
+			verifyGxpPackage(createGxpArchive(files), { isPackagedOutput }).warnings,
+		).toEqual([
+			expect.objectContaining({
+				code: "stray-file",
+				file: "plugin.es.js.map",
+			}),
+		])
+	})
+})
+
+describe("globToRegExp", () => {
+	it("matches basenames anywhere when the glob has no slash", () => {
+		expect(globToRegExp("*.svg").test("icons/logo.svg")).toBe(true)
+		expect(globToRegExp("*.svg").test("logo.png")).toBe(false)
+	})
+
+	it("anchors globs with a slash and supports **", () => {
+		expect(globToRegExp("bg/**").test("bg/a/b.png")).toBe(true)
+		expect(globToRegExp("bg/*.png").test("bg/a/b.png")).toBe(false)
+		expect(globToRegExp("**/slide-?.jpg").test("x/slide-1.jpg")).toBe(true)
+		expect(globToRegExp("**/slide-?.jpg").test("slide-1.jpg")).toBe(true)
+	})
+})
@@ -0,0 +1,154 @@
+/**
+ * Tests for bin/lib/utils/build-watch.js (gxdev build --watch)
+ */
+import { describe, expect, it } from "vitest"
+
+const {
+	getBundleFiles,
+	classifyChange,
+	planRebuild,
+	createRebuildQueue,
+	captureConsole,
+	formatRebuildStatus,
+} = require("../../bin/lib/utils/build-watch")
+
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;]*m/g, "")
+
+describe("build watch", () => {
+	const context = {
+		assetDir: "src/assets",
+		bundleFiles: getBundleFiles({
+			appInstructionsFile: "./docs/instructions.md",
+			configurationFile: "/configuration.json",
+		}),
+		variant: "acme",
+	}
+
+	describe("classifyChange", () => {
+		it("maps packaging inputs to the kind of change", () => {
+			expect(context.bundleFiles).toEqual([
+				"docs/instructions.md",
+				"configuration.json",
+			])
+			expect(classifyChange("app-manifest.json", context)).toBe("manifest")
+			expect(classifyChange("app-manifest.acme.json", context)).toBe("manifest")
+			expect(classifyChange("docs/instructions.md", context)).toBe("bundle")
+			expect(classifyChange("src/assets/img/logo.png", context)).toBe("assets")
+		})
+
+		it("ignores files packaging doesn't read", () => {
+			expect(classifyChange("app-manifest.other.json", context)).toBeNull()
+			expect(classifyChange("src/Plugin.vue", context)).toBeNull()
+			expect(classifyChange("src/assets/.gitkeep", context)).toBeNull()
+			expect(classifyChange("src/assets-old/a.png", context)).toBeNull()
+		})
+	})
+
+	describe("planRebuild", () => {
+		it("re-zips only when an asset or bundle file changes", () => {
+			expect(planRebuild(["assets"])).toEqual(["assets", "manifest", "package"])
+			expect(planRebuild(["bundle"])).toEqual(["bundle", "package"])
+			expect(planRebuild(["code"])).toEqual(["code", "package"])
+		})
+
+		it("re-runs every packaging step for a manifest change", () => {
+			expect(planRebuild(["manifest"])).toEqual([
+				"assets",
+				"bundle",
+				"manifest",
+				"package",
+			])
+		})
+
+		it("re-optimizes assets after code changes when optimization is on", () => {
+			expect(planRebuild(["code"], { optimizeAssets: true })).toEqual([
+				"code",
+				"assets",
+				"manifest",
+				"package",
+			])
+		})
+	})
+
+	describe("createRebuildQueue", () => {
+		it("coalesces bursts and serializes runs", async () => {
+			const runs = []
+			let release
+			const queue = createRebuildQueue(
+				(changes) => {
+					runs.push([...changes].sort())
+					if (runs.length === 1) {
+						return new Promise((resolve) => (release = resolve))
+					}
+				},
+				{ delay: 5 },
+			)
+
+			queue.push("assets")
+			queue.push("assets")
+			queue.push("code")
+			await new Promise((resolve) => setTimeout(resolve, 20))
+			expect(runs).toEqual([["assets", "code"]])
+
+			// Arrives mid-run: batched into the next run
+			queue.push("manifest")
+			queue.push("bundle")
+			release()
+			await queue.idle()
+			expect(runs).toEqual([
+				["assets", "code"],
+				["bundle", "manifest"],
+			])
+		})
+	})
+
+	describe("captureConsole", () => {
+		it("silences logs and collects warnings and errors", async () => {
+			const { result, messages } = await captureConsole(async () => {
+				console.log("progress")
+				console.warn("⚠️  careful")
+				return 42
+			})
+			expect(result).toBe(42)
+			expect(messages).toEqual(["⚠️  careful"])
+
+			const failed = await captureConsole(() => {
+				console.error("❌ nope")
+				throw new Error("boom")
+			})
+			expect(failed.error.message).toBe("boom")
+			expect(failed.messages).toEqual(["❌ nope"])
+		})
+	})
+
+	describe("formatRebuildStatus", () => {
+		const time = new Date(2026, 0, 1, 9, 5, 7)
+
+		it("prints one line per rebuild", () => {
+			const ok = stripAnsi(
+				formatRebuildStatus({
+					steps: ["assets", "manifest", "package"],
+					duration: 120,
+					packageName: "dist/plugin.gxpapp",
+					size: 2048,
+					warnings: 1,
+					time,
+				}),
+			)
+			expect(ok).toBe(
+				"[09:05:07] ✓ assets+manifest → dist/plugin.gxpapp 2.0 KB, 120ms ⚠ 1 warning",
+			)
+
+			const failed = stripAnsi(
+				formatRebuildStatus({
+					steps: ["code", "package"],
+					duration: 5,
+					error: new Error("bundle exceeds size budget"),
+					time,
+				}),
+			)
+			expect(failed).toBe("[09:05:07] ✗ code: bundle exceeds size budget")
+			expect(failed).not.toContain("\n")
+		})
+	})
+})
@@ -0,0 +1,208 @@
+/**
+ * Tests for bin/lib/utils/bundle-analysis.js
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	parseSize,
+	packageNameFromModuleId,
+	createBundleReport,
+	compareBundleReports,
+	loadBudgets,
+	checkBudgets,
+	formatBundleReport,
+} = require("../../bin/lib/utils/bundle-analysis")
+
+describe("bundle analysis", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-bundle-test-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe("parseSize", () => {
+		it("passes byte counts through", () => {
+			expect(parseSize(2048)).toBe(2048)
+			expect(parseSize("2048")).toBe(2048)
+		})
+
+		it("understands kb and mb units case-insensitively", () => {
+			expect(parseSize("150kb")).toBe(150 * 1024)
+			expect(parseSize("1.5 MB")).toBe(1.5 * 1024 * 1024)
+		})
+
+		it("rejects anything else", () => {
+			expect(() => parseSize("lots")).toThrow(/Invalid size/)
+			expect(() => parseSize(-1)).toThrow(/Invalid size/)
+		})
+	})
+
+	describe("packageNameFromModuleId", () => {
+		it("groups project and virtual modules", () => {
+			expect(packageNameFromModuleId("src/Plugin.vue")).toBe("(project)")
+			expect(packageNameFromModuleId("\\0plugin-vue:export-helper")).toBe(
+				"(virtual)",
+			)
+		})
+
+		it("resolves plain and scoped packages from the innermost node_modules", () => {
+			expect(packageNameFromModuleId("node_modules/dayjs/dayjs.min.js")).toBe(
+				"dayjs",
+			)
+			expect(
+				packageNameFromModuleId(
+					"node_modules/@gxp-dev/app-ui/node_modules/@scope/inner/index.js",
+				),
+			).toBe("@scope/inner")
+		})
+	})
+
+	describe("createBundleReport", () => {
+		it("measures JS and CSS files and aggregates module stats", () => {
+			fs.writeFileSync(path.join(tmpDir, "plugin.es.js"), "x".repeat(300))
+			fs.writeFileSync(path.join(tmpDir, "style.css"), "y".repeat(100))
+			fs.writeFileSync(path.join(tmpDir, "app-manifest.json"), "{}")
+
+			const report = createBundleReport(tmpDir, {
+				chunks: [
+					{
+						fileName: "plugin.es.js",
+						modules: [
+							{ id: "src/Plugin.vue", size: 100 },
+							{ id: "node_modules/dayjs/dayjs.min.js", size: 150 },
+							{ id: "node_modules/dayjs/plugin/utc.js", size: 50 },
+							{ id: "src/unused.js", size: 0 },
+						],
+					},
+				],
+			})
+
+			expect(report.totals).toMatchObject({ js: 300, css: 100, total: 400 })
+			expect(report.chunks.map((c) => c.fileName)).toEqual(["plugin.es.js"])
+			expect(report.css.map((c) => c.fileName)).toEqual(["style.css"])
+			expect(report.packages[0]).toEqual({
+				name: "dayjs",
+				size: 200,
+				modules: 2,
+			})
+			expect(report.modules).toHaveLength(3)
+			expect(report.modules[0].id).toBe("node_modules/dayjs/dayjs.min.js")
+		})
+	})
+
+	describe("compareBundleReports", () => {
+		const report = (chunks, packages = []) => ({
+			totals: {
+				total: chunks.reduce((a, c) => a + c.size, 0),
+			},
+			chunks,
+			css: [],
+			packages,
+		})
+
+		it("returns null without a previous report", () => {
+			expect(compareBundleReports(null, report([]))).toBeNull()
+		})
+
+		it("reports added, removed and changed files", () => {
+			const previous = report([
+				{ fileName: "plugin.es.js", size: 100 },
+				{ fileName: "old.js", size: 20 },
+			])
+			const current = report([
+				{ fileName: "plugin.es.js", size: 150 },
+				{ fileName: "new.js", size: 10 },
+			])
+
+			const diff = compareBundleReports(previous, current)
+			expect(diff.totals.total.delta).toBe(40)
+			expect(diff.files).toEqual([
+				expect.objectContaining({ name: "plugin.es.js", status: "changed" }),
+				expect.objectContaining({ name: "old.js", status: "removed" }),
+				expect.objectContaining({ name: "new.js", status: "added" }),
+			])
+		})
+	})
+
+	describe("budgets", () => {
+		it("loads budgets from the manifest over package.json", () => {
+			fs.writeFileSync(
+				path.join(tmpDir, "package.json"),
+				JSON.stringify({ gxdev: { budgets: { total: "1mb", css: 10 } } }),
+			)
+			fs.writeFileSync(
+				path.join(tmpDir, "app-manifest.json"),
+				JSON.stringify({ budgets: { total: "200kb" } }),
+			)
+
+			expect(loadBudgets(tmpDir)).toEqual({ total: 200 * 1024, css: 10 })
+		})
+
+		it("names the offending key for invalid budgets", () => {
+			fs.writeFileSync(
+				path.join(tmpDir, "app-manifest.json"),
+				JSON.stringify({ budgets: { chunk: "big" } }),
+			)
+
+			expect(() => loadBudgets(tmpDir)).toThrow(/budgets\.chunk/)
+		})
+
+		it("flags total, css and each oversized chunk", () => {
+			const violations = checkBudgets(
+				{
+					totals: { total: 500, css: 120 },
+					chunks: [
+						{ fileName: "a.js", size: 300 },
+						{ fileName: "b.js", size: 80 },
+					],
+				},
+				{ total: 400, css: 100, chunk: 200 },
+			)
+
+			expect(violations.map((v) => [v.budget, v.target])).toEqual([
+				["total", "all JS + CSS"],
+				["css", "all CSS"],
+				["chunk", "a.js"],
+			])
+		})
+
+		it("passes when within budget", () => {
+			expect(
+				checkBudgets(
+					{ totals: { total: 10, css: 0 }, chunks: [] },
+					{ total: 100 },
+				),
+			).toEqual([])
+		})
+	})
+
+	describe("formatBundleReport", () => {
+		it("includes packages and changes when available", () => {
+			fs.writeFileSync(path.join(tmpDir, "plugin.es.js"), "x".repeat(2048))
+			const current = createBundleReport(tmpDir, {
+				chunks: [
+					{
+						fileName: "plugin.es.js",
+						modules: [{ id: "node_modules/dayjs/index.js", size: 2048 }],
+					},
+				],
+			})
+			const previous = { ...current, totals: { ...current.totals, total: 0 } }
+
+			const output = formatBundleReport(
+				current,
+				compareBundleReports(previous, current),
+			)
+			expect(output).toContain("Bundle analysis")
+			expect(output).toContain("dayjs")
+			expect(output).toContain("vs previous build: +2.00 KB")
+		})
+	})
+})
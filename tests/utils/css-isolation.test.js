@@ -0,0 +1,117 @@
+/**
+ * Tests for bin/lib/utils/css-isolation.js (cssIsolation build step)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	toIsolationId,
+	loadCssIsolationOptions,
+	scopeSelector,
+	isolateCss,
+	isolateBuildCss,
+} = require("../../bin/lib/utils/css-isolation")
+
+const ROOT = '[data-gxp-plugin="demo"]'
+const SCOPE = { strategy: "scope", root: ROOT, layer: "gxp-plugin-demo" }
+const LAYER = { ...SCOPE, strategy: "layer" }
+
+describe("css isolation", () => {
+	let tmpDir
+
+	const writeManifest = (manifest) =>
+		fs.writeFileSync(
+			path.join(tmpDir, "app-manifest.json"),
+			JSON.stringify(manifest),
+		)
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-css-isolation-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("resolves options from the manifest", () => {
+		writeManifest({ name: "Demo Plugin!" })
+		expect(loadCssIsolationOptions(tmpDir)).toEqual({
+			strategy: "off",
+			id: "demo-plugin",
+			root: '[data-gxp-plugin="demo-plugin"]',
+			layer: "gxp-plugin-demo-plugin",
+		})
+
+		writeManifest({
+			name: "Demo",
+			cssIsolation: { strategy: "layer", id: "x1" },
+		})
+		expect(loadCssIsolationOptions(tmpDir)).toMatchObject({
+			strategy: "layer",
+			layer: "gxp-plugin-x1",
+		})
+
+		writeManifest({ cssIsolation: { strategy: "shadow" } })
+		expect(() => loadCssIsolationOptions(tmpDir)).toThrow(
+			/cssIsolation.strategy must be one of/,
+		)
+		writeManifest({ cssIsolation: { id: "Not Valid" } })
+		expect(() => loadCssIsolationOptions(tmpDir)).toThrow(/cssIsolation.id/)
+		expect(toIsolationId("")).toBe("plugin")
+	})
+
+	it("prefixes selectors with the plugin root", () => {
+		expect(scopeSelector(".card", ROOT)).toBe(`${ROOT} .card`)
+		expect(scopeSelector("body", ROOT)).toBe(ROOT)
+		expect(scopeSelector("html body", ROOT)).toBe(ROOT)
+		expect(scopeSelector(":root", ROOT)).toBe(ROOT)
+		expect(scopeSelector("body.dark .card", ROOT)).toBe(
+			`body.dark ${ROOT} .card`,
+		)
+		expect(scopeSelector("body > main", ROOT)).toBe(`body ${ROOT} main`)
+		expect(scopeSelector(`${ROOT} .card`, ROOT)).toBe(`${ROOT} .card`)
+	})
+
+	it("scopes a stylesheet, leaving keyframes alone", () => {
+		const css =
+			'@charset "utf-8";:root,:host{--a:1}.a,.b:hover{color:red}@media (min-width:1px){.c{top:0}}@keyframes k{from{opacity:0}}'
+		const scoped = isolateCss(css, SCOPE)
+		expect(scoped).toBe(
+			`@charset "utf-8";${ROOT}{--a:1}${ROOT} .a,${ROOT} .b:hover{color:red}@media (min-width:1px){${ROOT} .c{top:0}}@keyframes k{from{opacity:0}}`,
+		)
+		expect(isolateCss(scoped, SCOPE)).toBe(scoped)
+	})
+
+	it("wraps a stylesheet in a cascade layer after its imports", () => {
+		const css = '@import url("fonts.css");.a{color:red}'
+		const layered = isolateCss(css, LAYER)
+		expect(layered).toBe(
+			'@import url("fonts.css");@layer gxp-plugin-demo{.a{color:red}}',
+		)
+		expect(isolateCss(layered, LAYER)).toBe(layered)
+		expect(isolateCss(css, { ...SCOPE, strategy: "off" })).toBe(css)
+	})
+
+	it("rewrites every stylesheet in dist/build", () => {
+		fs.mkdirSync(path.join(tmpDir, "chunks"))
+		fs.writeFileSync(path.join(tmpDir, "style.css"), ".a{color:red}")
+		fs.writeFileSync(path.join(tmpDir, "default-styling.css"), "body{margin:0}")
+		fs.writeFileSync(path.join(tmpDir, "chunks", "Lazy-1.css"), ".b{top:0}")
+		fs.writeFileSync(path.join(tmpDir, "plugin.es.js"), "export default {}")
+
+		expect(isolateBuildCss(tmpDir, SCOPE)).toEqual([
+			"chunks/Lazy-1.css",
+			"default-styling.css",
+			"style.css",
+		])
+		expect(
+			fs.readFileSync(path.join(tmpDir, "default-styling.css"), "utf-8"),
+		).toBe(`${ROOT}{margin:0}`)
+		expect(isolateBuildCss(tmpDir, SCOPE)).toEqual([])
+
+		fs.writeFileSync(path.join(tmpDir, "style.css"), ".a{")
+		expect(() => isolateBuildCss(tmpDir, SCOPE)).toThrow(/style\.css/)
+	})
+})
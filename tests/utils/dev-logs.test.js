@@ -0,0 +1,228 @@
+/**
+ * Tests for bin/lib/utils/dev-logs.js (gxdev dev session logs, gxdev logs)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	LOGS_DIR,
+	createSessionId,
+	listLogSessions,
+	readCurrentSession,
+	openSessionLog,
+	parseLogTime,
+	createLogFilter,
+	readLogRecords,
+	followSessionLog,
+} = require("../../bin/lib/utils/dev-logs")
+
+const record = (message, extra = {}) => ({
+	timestamp: "2026-10-19T12:00:00.000Z",
+	service: "VITE",
+	level: "info",
+	message,
+	...extra,
+})
+
+describe("dev session logs", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-logs-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("names sessions by start time", () => {
+		expect(createSessionId(new Date("2026-10-19T09:05:03.123Z"))).toBe(
+			"2026-10-19T09-05-03Z",
+		)
+	})
+
+	it("writes NDJSON, rolls over to new parts and marks the running session", () => {
+		const log = openSessionLog(tmpDir, {
+			now: new Date("2026-10-19T09:00:00Z"),
+			maxFileBytes: 200,
+		})
+		expect(readCurrentSession(tmpDir)).toMatchObject({
+			session: log.id,
+			pid: process.pid,
+		})
+
+		for (let i = 0; i < 6; i++) {
+			log.write(record(`line ${i}`))
+		}
+		const [session] = listLogSessions(tmpDir)
+		expect(session.id).toBe("2026-10-19T09-00-00Z")
+		expect(session.files.length).toBeGreaterThan(1)
+		expect(session.files.map((file) => path.basename(file))[0]).toBe(
+			"dev-2026-10-19T09-00-00Z.ndjson",
+		)
+		expect(readCurrentSession(tmpDir).file).toBe(log.file())
+		expect(readLogRecords([session]).map((r) => r.message)).toEqual([
+			"line 0",
+			"line 1",
+			"line 2",
+			"line 3",
+			"line 4",
+			"line 5",
+		])
+
+		log.close()
+		expect(readCurrentSession(tmpDir)).toBeNull()
+		log.write(record("after close"))
+		expect(readLogRecords(listLogSessions(tmpDir))).toHaveLength(6)
+	})
+
+	it("keeps only the newest parts of a session", () => {
+		const log = openSessionLog(tmpDir, {
+			now: new Date("2026-10-19T09:00:00Z"),
+			maxFileBytes: 100,
+			maxParts: 3,
+		})
+		for (let i = 0; i < 6; i++) {
+			log.write(record(`line ${i}`))
+		}
+		log.close()
+
+		const [session] = listLogSessions(tmpDir)
+		expect(session.files.map((file) => path.basename(file))).toEqual([
+			"dev-2026-10-19T09-00-00Z.3.ndjson",
+			"dev-2026-10-19T09-00-00Z.4.ndjson",
+			"dev-2026-10-19T09-00-00Z.5.ndjson",
+		])
+		expect(readLogRecords([session]).map((r) => r.message)).toEqual([
+			"line 3",
+			"line 4",
+			"line 5",
+		])
+	})
+
+	it("gives sessions started in the same second their own files", () => {
+		const now = new Date("2026-10-19T09:00:00Z")
+		const first = openSessionLog(tmpDir, { now })
+		const second = openSessionLog(tmpDir, { now })
+		first.write(record("first"))
+		second.write(record("second"))
+
+		expect(first.id).toBe("2026-10-19T09-00-00Z")
+		expect(second.id).toBe("2026-10-19T09-00-00Z-2")
+		expect(first.file()).not.toBe(second.file())
+		expect(
+			listLogSessions(tmpDir).map((session) =>
+				readLogRecords([session]).map((r) => r.message),
+			),
+		).toEqual([["first"], ["second"]])
+	})
+
+	it("keeps only the newest sessions", () => {
+		for (let day = 10; day < 14; day++) {
+			openSessionLog(tmpDir, {
+				now: new Date(`2026-10-${day}T00:00:00Z`),
+				maxSessions: 3,
+			}).write(record(`day ${day}`))
+		}
+		expect(listLogSessions(tmpDir).map((s) => s.id)).toEqual([
+			"2026-10-11T00-00-00Z",
+			"2026-10-12T00-00-00Z",
+			"2026-10-13T00-00-00Z",
+		])
+	})
+
+	it("ignores a current session whose process is gone", () => {
+		fs.mkdirSync(path.join(tmpDir, LOGS_DIR), { recursive: true })
+		fs.writeFileSync(
+			path.join(tmpDir, LOGS_DIR, "current.json"),
+			JSON.stringify({ session: "x", pid: 2 ** 22 + 1, file: "x" }),
+		)
+		expect(readCurrentSession(tmpDir)).toBeNull()
+	})
+
+	it("parses ISO times and durations", () => {
+		const now = new Date("2026-10-19T12:00:00Z")
+		expect(parseLogTime("30s", now).toISOString()).toBe(
+			"2026-10-19T11:59:30.000Z",
+		)
+		expect(parseLogTime("2h", now).toISOString()).toBe(
+			"2026-10-19T10:00:00.000Z",
+		)
+		expect(parseLogTime("1d", now).toISOString()).toBe(
+			"2026-10-18T12:00:00.000Z",
+		)
+		expect(parseLogTime("2026-10-19T08:00:00Z").toISOString()).toBe(
+			"2026-10-19T08:00:00.000Z",
+		)
+		expect(() => parseLogTime("yesterday")).toThrow(/Invalid time/)
+	})
+
+	it("filters by service, minimum level, time range and text", () => {
+		const records = [
+			record("hmr update /src/App.vue"),
+			record("Failed to resolve import", { level: "error" }),
+			record("client connected", { service: "SOCKET" }),
+			record("port moved", {
+				service: "GXDEV",
+				level: "warn",
+				timestamp: "2026-10-19T13:00:00.000Z",
+			}),
+		]
+		const messages = (filters) =>
+			records.filter(createLogFilter(filters)).map((r) => r.message)
+
+		expect(messages({})).toHaveLength(4)
+		expect(messages({ services: ["vite"] })).toEqual([
+			"hmr update /src/App.vue",
+			"Failed to resolve import",
+		])
+		expect(messages({ level: "warn" })).toEqual([
+			"Failed to resolve import",
+			"port moved",
+		])
+		expect(messages({ since: new Date("2026-10-19T12:30:00Z") })).toEqual([
+			"port moved",
+		])
+		expect(messages({ until: new Date("2026-10-19T12:30:00Z") })).toHaveLength(
+			3,
+		)
+		expect(messages({ text: "HMR" })).toEqual(["hmr update /src/App.vue"])
+		expect(() => createLogFilter({ level: "debug" })).toThrow(/Invalid level/)
+	})
+
+	it("skips partial lines when reading", () => {
+		const file = path.join(tmpDir, "dev-a.ndjson")
+		fs.writeFileSync(
+			file,
+			`${JSON.stringify(record("one"))}\n{"timestamp":"2026-10-19T12:0`,
+		)
+		expect(readLogRecords([{ files: [file] }]).map((r) => r.message)).toEqual([
+			"one",
+		])
+	})
+
+	it("follows the running session across parts until it ends", async () => {
+		const log = openSessionLog(tmpDir, { maxFileBytes: 200 })
+		log.write(record("before follow"))
+
+		const seen = []
+		const follower = followSessionLog(tmpDir, (r) => seen.push(r.message), {
+			intervalMs: 10,
+		})
+		for (let i = 0; i < 4; i++) {
+			log.write(record(`live ${i}`))
+			await new Promise((resolve) => setTimeout(resolve, 25))
+		}
+		log.close()
+		await follower.done
+
+		expect(seen).toEqual(["live 0", "live 1", "live 2", "live 3"])
+	})
+
+	it("stops at once when no session is running", async () => {
+		const follower = followSessionLog(tmpDir, () => {}, { intervalMs: 10 })
+		await expect(follower.done).resolves.toBeUndefined()
+	})
+})
@@ -0,0 +1,206 @@
+/**
+ * Tests for bin/lib/utils/doctor.js (gxdev doctor)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import net from "net"
+import os from "os"
+import path from "path"
+
+const {
+	isSupportedNodeVersion,
+	checkNodeVersion,
+	checkCertificates,
+	checkPorts,
+	checkToolkitInstall,
+	checkMcpConfig,
+	runDoctorChecks,
+	applyDoctorFix,
+} = require("../../bin/lib/utils/doctor")
+
+// Self-signed localhost certificate, valid 2026-10-19 to 2026-11-18
+const CERT = `-----BEGIN CERTIFICATE-----
+MIIBfDCCASOgAwIBAgIUfkFMj5Ca1/lM57G7iyhKT0LFkq4wCgYIKoZIzj0EAwIw
+FDESMBAGA1UEAwwJbG9jYWxob3N0MB4XDTI2MTAxOTE4MTk1M1oXDTI2MTExODE4
+MTk1M1owFDESMBAGA1UEAwwJbG9jYWxob3N0MFkwEwYHKoZIzj0CAQYIKoZIzj0D
+AQcDQgAEFZ66xA63LuBhN8tbF5yULO7vFDFQyOeIHq+U/JkU5vtNE6jFWu9m0ExV
+eyFm/OYouQeKSCjAoB7M9yOD+gZ11KNTMFEwHQYDVR0OBBYEFBfj+GbxjG6IBCM9
+EeQb0ZhX1q/VMB8GA1UdIwQYMBaAFBfj+GbxjG6IBCM9EeQb0ZhX1q/VMA8GA1Ud
+EwEB/wQFMAMBAf8wCgYIKoZIzj0EAwIDRwAwRAIgIqpzaA0+N6Yo1u/txpNjS6pT
+AM5YRS0eNl4GVo+xM7gCIEY3TT6pkRKeVVi/CzOw1kpr+vumyujPXMaXmwgHXUVZ
+-----END CERTIFICATE-----
+`
+
+describe("doctor", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-doctor-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	const write = (name, content) => {
+		const file = path.join(tmpDir, name)
+		fs.mkdirSync(path.dirname(file), { recursive: true })
+		fs.writeFileSync(
+			file,
+			typeof content === "string" ? content : JSON.stringify(content),
+		)
+	}
+
+	it("accepts the Node versions Vite supports", () => {
+		expect(isSupportedNodeVersion("20.19.0")).toBe(true)
+		expect(isSupportedNodeVersion("v22.12.0")).toBe(true)
+		expect(isSupportedNodeVersion("24.1.0")).toBe(true)
+		expect(isSupportedNodeVersion("20.18.3")).toBe(false)
+		expect(isSupportedNodeVersion("21.7.0")).toBe(false)
+		expect(isSupportedNodeVersion("18.20.4")).toBe(false)
+		expect(checkNodeVersion("18.20.4")).toMatchObject({
+			status: "fail",
+			fix: expect.stringContaining("nvm"),
+		})
+	})
+
+	it("reports missing, expiring and expired certificates as fixable", () => {
+		expect(checkCertificates(tmpDir)).toMatchObject({
+			status: "warn",
+			fixable: true,
+		})
+		expect(checkCertificates(tmpDir, { https: false }).status).toBe("pass")
+
+		write(".certs/localhost+2.pem", CERT)
+		write(".certs/localhost+2-key.pem", "key")
+		expect(
+			checkCertificates(tmpDir, { now: new Date("2026-10-20T00:00:00Z") }),
+		).toMatchObject({
+			status: "pass",
+			message: "localhost+2.pem, valid until 2026-11-18",
+		})
+		expect(
+			checkCertificates(tmpDir, { now: new Date("2026-11-10T00:00:00Z") }),
+		).toMatchObject({
+			status: "warn",
+			message: expect.stringMatching(/8 days/),
+		})
+		expect(
+			checkCertificates(tmpDir, { now: new Date("2026-12-01T00:00:00Z") }),
+		).toMatchObject({
+			status: "fail",
+			message: "localhost+2.pem expired on 2026-11-18",
+			fixable: true,
+		})
+
+		write(".certs/localhost+2.pem", "not a certificate")
+		expect(checkCertificates(tmpDir).status).toBe("fail")
+	})
+
+	it("reports ports that are in use", async () => {
+		const server = net.createServer()
+		await new Promise((resolve) => server.listen(0, resolve))
+		const busy = server.address().port
+		try {
+			const result = await checkPorts([
+				{ port: busy, label: "dev server", env: "NODE_PORT" },
+			])
+			expect(result).toMatchObject({
+				status: "warn",
+				message: expect.stringContaining(`In use: dev server ${busy}`),
+				fix: expect.stringContaining("NODE_PORT"),
+			})
+		} finally {
+			await new Promise((resolve) => server.close(resolve))
+		}
+		expect(
+			(
+				await checkPorts([
+					{ port: busy, label: "dev server", env: "NODE_PORT" },
+				])
+			).status,
+		).toBe("pass")
+	})
+
+	it("flags a stale global install forced over the local one", () => {
+		const globalRoot = path.join(tmpDir, "global")
+		write("global/package.json", { version: "2.1.0" })
+		write("node_modules/@gxp-dev/tools/package.json", { version: "2.1.27" })
+
+		expect(
+			checkToolkitInstall(tmpDir, {
+				runningRoot: globalRoot,
+				forceGlobal: true,
+			}),
+		).toMatchObject({
+			status: "fail",
+			fix: expect.stringContaining("@gxp-dev/tools@2.1.27"),
+		})
+		expect(
+			checkToolkitInstall(tmpDir, {
+				runningRoot: globalRoot,
+				forceGlobal: false,
+			}).status,
+		).toBe("warn")
+		expect(
+			checkToolkitInstall(tmpDir, {
+				runningRoot: path.join(tmpDir, "node_modules/@gxp-dev/tools"),
+				forceGlobal: false,
+			}).status,
+		).toBe("pass")
+	})
+
+	it("warns when the toolkit is a dependency but not installed", () => {
+		write("global/package.json", { version: "2.1.27" })
+		write("package.json", { devDependencies: { "@gxp-dev/tools": "^2.1.0" } })
+		expect(
+			checkToolkitInstall(tmpDir, {
+				runningRoot: path.join(tmpDir, "global"),
+				forceGlobal: false,
+			}),
+		).toMatchObject({ status: "warn", fix: "Run `npm install`" })
+	})
+
+	it("finds and fixes MCP servers still using gxp-api-server", () => {
+		expect(checkMcpConfig(tmpDir).status).toBe("pass")
+
+		write(".mcp.json", {
+			mcpServers: {
+				"gxp-api": { command: "gxp-api-server", args: [] },
+				other: { command: "node" },
+			},
+		})
+		write(".gemini/settings.json", {
+			mcpServers: { "gxp-api": { command: "/usr/local/bin/gxp-api-server" } },
+		})
+		const result = checkMcpConfig(tmpDir)
+		expect(result).toMatchObject({ status: "warn", fixable: true })
+		expect(result.message).toContain(".mcp.json, .gemini/settings.json")
+
+		expect(applyDoctorFix(tmpDir, result)).toBe(true)
+		const mcp = JSON.parse(fs.readFileSync(path.join(tmpDir, ".mcp.json")))
+		expect(mcp.mcpServers["gxp-api"].command).toBe("mcp-serve")
+		expect(mcp.mcpServers.other.command).toBe("node")
+		expect(checkMcpConfig(tmpDir).status).toBe("pass")
+	})
+
+	it("runs every check and reports an invalid gxdev.config", async () => {
+		write("gxdev.config.json", { dev: { port: "nope" } })
+		const results = await runDoctorChecks(tmpDir, {
+			nodeVersion: "22.12.0",
+			mkcertInstalled: true,
+			env: { NODE_PORT: "0", SOCKET_IO_PORT: "0" },
+		})
+		expect(results.map((r) => r.id)).toEqual([
+			"node",
+			"config",
+			"mkcert",
+			"certificates",
+			"ports",
+			"toolkit",
+			"mcp",
+		])
+		expect(results.find((r) => r.id === "config").status).toBe("fail")
+		expect(JSON.parse(JSON.stringify(results))).toEqual(results)
+	})
+})
@@ -0,0 +1,187 @@
+/**
+ * Tests for bin/lib/utils/environments.js (environment registry)
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	loadEnvironments,
+	getEnvironment,
+	readActiveEnvironment,
+	writeActiveEnvironment,
+	resolveApiEnvironment,
+} = require("../../bin/lib/utils/environments")
+const { ENVIRONMENT_URLS } = require("../../bin/lib/constants")
+
+describe("environment registry", () => {
+	let tmpDir
+	let userFile
+	let savedApiEnv
+
+	const write = (rel, content) => {
+		fs.writeFileSync(path.join(tmpDir, rel), content)
+	}
+	const writePackage = (environments) =>
+		write(
+			"package.json",
+			JSON.stringify({ name: "demo", gxdev: { environments } }),
+		)
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-environments-"))
+		userFile = path.join(tmpDir, "user-environments.json")
+		savedApiEnv = process.env.API_ENV
+		delete process.env.API_ENV
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+		if (savedApiEnv === undefined) {
+			delete process.env.API_ENV
+		} else {
+			process.env.API_ENV = savedApiEnv
+		}
+	})
+
+	it("layers project and user environments over the built-ins", () => {
+		writePackage({
+			"acme-onprem": {
+				apiBaseUrl: "https://api.acme.example/",
+				socketUrl: "wss://ws.acme.example",
+			},
+			local: { apiBaseUrl: "https://dashboard.acme.test" },
+		})
+		fs.writeFileSync(
+			userFile,
+			JSON.stringify({
+				alice: { extends: "develop", apiBaseUrl: "https://api.alice.test" },
+				local: { apiBaseUrl: "https://alice.local" },
+			}),
+		)
+
+		const environments = loadEnvironments(tmpDir, { userFile })
+		expect(environments.production).toEqual({
+			...ENVIRONMENT_URLS.production,
+			source: "built-in",
+		})
+		expect(environments["acme-onprem"]).toEqual({
+			apiBaseUrl: "https://api.acme.example/",
+			documentation: "https://api.acme.example/docs/",
+			openApiSpec: "https://api.acme.example/api-specs/openapi.json",
+			asyncApiSpec: "https://api.acme.example/api-specs/asyncapi.json",
+			webhookSpec: "https://api.acme.example/api-specs/webhooks.json",
+			socketUrl: "wss://ws.acme.example",
+			source: "project",
+		})
+		expect(environments.alice).toEqual({
+			...ENVIRONMENT_URLS.develop,
+			apiBaseUrl: "https://api.alice.test",
+			source: "user",
+		})
+		// The user layer wins, and overriding keeps the fields it doesn't set
+		expect(environments.local).toEqual({
+			...ENVIRONMENT_URLS.local,
+			apiBaseUrl: "https://alice.local",
+			source: "user",
+		})
+		expect(getEnvironment("mock", environments)).toBe(environments.production)
+		expect(getEnvironment("nope", environments)).toBeNull()
+	})
+
+	it("rejects invalid environment config", () => {
+		const load = (environments) => {
+			writePackage(environments)
+			return () => loadEnvironments(tmpDir, { userFile })
+		}
+		expect(load({ staging2: { socketUrl: "wss://x.test" } })).toThrow(
+			/needs an apiBaseUrl/,
+		)
+		expect(load({ x: { extends: "nope" } })).toThrow(/unknown environment/)
+		expect(load({ x: { apiBaseUrl: "api.test" } })).toThrow(/must be an http/)
+		expect(load({ x: { apiBase: "https://api.test" } })).toThrow(
+			/not an environment field/,
+		)
+		expect(load({ mock: { apiBaseUrl: "https://api.test" } })).toThrow(
+			/reserved/,
+		)
+	})
+
+	it("reads and switches the active environment in .env", () => {
+		expect(readActiveEnvironment(tmpDir)).toEqual({
+			name: "mock",
+			source: "default",
+		})
+
+		writeActiveEnvironment(tmpDir, "develop")
+		expect(fs.readFileSync(path.join(tmpDir, ".env"), "utf-8")).toBe(
+			"API_ENV=develop\n",
+		)
+
+		write(".env", "# API\nAPI_ENV=mock\nAPI_KEY=secret")
+		writeActiveEnvironment(tmpDir, "staging")
+		expect(fs.readFileSync(path.join(tmpDir, ".env"), "utf-8")).toBe(
+			"# API\nAPI_ENV=staging\nAPI_KEY=secret",
+		)
+		expect(readActiveEnvironment(tmpDir)).toEqual({
+			name: "staging",
+			source: ".env",
+		})
+
+		process.env.API_ENV = "local"
+		expect(readActiveEnvironment(tmpDir)).toEqual({
+			name: "local",
+			source: "shell",
+		})
+	})
+
+	it("resolves what the dev server and store need", () => {
+		writePackage({
+			onprem: {
+				apiBaseUrl: "https://api.onprem.test",
+				socketUrl: "wss://ws.onprem.test",
+			},
+			hosted: {
+				apiBaseUrl: "https://api.hosted.test",
+				openApiSpec: "https://specs.hosted.test/v1/openapi.json",
+			},
+		})
+		const resolve = (env, warn = vi.fn()) =>
+			resolveApiEnvironment(env, tmpDir, { userFile, warn })
+
+		expect(resolve({ API_ENV: "onprem" })).toEqual({
+			name: "onprem",
+			mock: false,
+			apiBaseUrl: "https://api.onprem.test",
+			apiDocsBaseUrl: "https://api.onprem.test",
+			openApiSpec: "https://api.onprem.test/api-specs/openapi.json",
+			socketUrl: "wss://ws.onprem.test",
+			proxyTarget: "https://api.onprem.test",
+		})
+		// An openApiSpec from the registry reaches the store as is
+		expect(resolve({ API_ENV: "hosted" }).openApiSpec).toBe(
+			"https://specs.hosted.test/v1/openapi.json",
+		)
+		expect(resolve({})).toMatchObject({
+			name: "mock",
+			mock: true,
+			apiBaseUrl: "",
+			apiDocsBaseUrl: ENVIRONMENT_URLS.production.apiBaseUrl,
+			openApiSpec: ENVIRONMENT_URLS.production.openApiSpec,
+			proxyTarget: null,
+		})
+		expect(
+			resolve({ API_ENV: "mock", API_BASE_URL: "https://custom.test" })
+				.proxyTarget,
+		).toBe("https://custom.test")
+
+		const warn = vi.fn()
+		expect(resolve({ API_ENV: "nope" }, warn).apiBaseUrl).toBe(
+			ENVIRONMENT_URLS.production.apiBaseUrl,
+		)
+		expect(warn).toHaveBeenCalledWith(
+			expect.stringContaining('Unknown API_ENV "nope"'),
+		)
+	})
+})
@@ -0,0 +1,300 @@
+/**
+ * Tests for bin/lib/utils/gxp-package.js (.gxpapp reading + verification)
+ */
+import { describe, expect, it, vi } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import AdmZip from "adm-zip"
+
+const {
+	createIntegrityManifest,
+	createGxpArchive,
+	readGxpPackage,
+	verifyGxpPackage,
+	formatVerifyReport,
+	listCodeFiles,
+} = require("../../bin/lib/utils/gxp-package")
+
+const ENTRY =
+	'const Plugin = { name: "Plugin" };\nexport { Plugin as default };\n'
+
+function makePackage(files) {
+	const zip = new AdmZip()
+	for (const [name, content] of Object.entries(files)) {
+		const data =
+			typeof content === "string" ? content : JSON.stringify(content, null, 2)
+		zip.addFile(name, Buffer.from(data))
+	}
+	return zip.toBuffer()
+}
+
+const manifest = (extra = {}) => ({
+	name: "Test Plugin",
+	version: "1.0.0",
+	asset_dir: "/src/public",
+	...extra,
+})
+
+describe("readGxpPackage", () => {
+	it("returns file entries keyed by zip path", () => {
+		const files = readGxpPackage(
+			makePackage({ "plugin.es.js": ENTRY, "assets/logo.png": "png" }),
+		)
+		expect([...files.keys()].sort()).toEqual([
+			"assets/logo.png",
+			"plugin.es.js",
+		])
+		expect(files.get("assets/logo.png").toString()).toBe("png")
+	})
+})
+
+describe("createGxpArchive", () => {
+	const files = () =>
+		new Map([
+			["plugin.es.js", Buffer.from(ENTRY)],
+			["assets/b.png", Buffer.from("b")],
+			["assets/a.png", Buffer.from("a")],
+		])
+
+	it("produces identical bytes for identical input", () => {
+		vi.useFakeTimers()
+		try {
+			vi.setSystemTime(new Date(2024, 0, 1))
+			const first = createGxpArchive(files())
+			vi.setSystemTime(new Date(2025, 6, 15))
+			expect(createGxpArchive(files()).equals(first)).toBe(true)
+		} finally {
+			vi.useRealTimers()
+		}
+	})
+
+	it("sorts entries and pins their timestamp", () => {
+		const zip = new AdmZip(createGxpArchive(files()))
+		const entries = zip.getEntries()
+		expect(entries.map((e) => e.entryName)).toEqual([
+			"assets/a.png",
+			"assets/b.png",
+			"plugin.es.js",
+		])
+		expect(entries[0].header.time.getFullYear()).toBe(1980)
+	})
+})
+
+describe("createIntegrityManifest", () => {
+	it("hashes every file except itself", () => {
+		const integrity = createIntegrityManifest(
+			new Map([
+				["plugin.es.js", Buffer.from("x")],
+				["integrity.json", Buffer.from("{}")],
+			]),
+			{ toolkit: { name: "t", version: "1.0.0" }, git: null },
+		)
+		expect(integrity).toEqual({
+			algorithm: "sha256",
+			toolkit: { name: "t", version: "1.0.0" },
+			git: null,
+			files: {
+				"plugin.es.js":
+					"2d711642b726b04401627ca9fbac32f5c8530fb1903cc4db02258717921a4881",
+			},
+		})
+	})
+})
+
+describe("verifyGxpPackage", () => {
+	it("accepts a well-formed package", () => {
+		const result = verifyGxpPackage(
+			makePackage({
+				"plugin.es.js": ENTRY,
+				"style.css": ".a{}",
+				"app-manifest.json": manifest({
+					assets: {
+						logo: "/src/public/logo.png",
+						remote: "https://cdn.example.com/x.png",
+					},
+				}),
+				"assets/logo.png": "png",
+			}),
+		)
+		expect(result.errors).toEqual([])
+		expect(result.warnings).toEqual([])
+		expect(result.ok).toBe(true)
+	})
+
+	it("reports a missing manifest and entry", () => {
+		const result = verifyGxpPackage(makePackage({ "style.css": "" }))
+		expect(result.ok).toBe(false)
+		expect(result.errors.map((e) => e.file)).toEqual([
+			"app-manifest.json",
+			"plugin.es.js",
+		])
+	})
+
+	it("surfaces manifest lint errors", () => {
+		const result = verifyGxpPackage(
+			makePackage({
+				"plugin.es.js": ENTRY,
+				"app-manifest.json": { name: "No version" },
+			}),
+		)
+		expect(result.ok).toBe(false)
+		expect(result.errors[0]).toMatchObject({
+			file: "app-manifest.json",
+			code: "required",
+		})
+	})
+
+	it("flags missing assets and assets outside asset_dir", () => {
+		const result = verifyGxpPackage(
+			makePackage({
+				"plugin.es.js": ENTRY,
+				"app-manifest.json": manifest({
+					assets: {
+						hero: "/src/public/hero.jpg",
+						mock: "/dev-assets/images/mock.png",
+					},
+				}),
+			}),
+		)
+		expect(result.errors.map((e) => e.code)).toEqual(["missing-asset"])
+		expect(result.warnings.map((w) => w.code)).toEqual([
+			"asset-outside-asset-dir",
+		])
+	})
+
+	it("checks the entry's default export and imports", () => {
+		const result = verifyGxpPackage(
+			makePackage({
+				"plugin.es.js":
+					'import { ref } from "vue";\nimport dayjs from "dayjs";\nexport const x = 1;\n',
+				"app-manifest.json": manifest(),
+			}),
+		)
+		expect(result.errors.map((e) => e.code)).toEqual([
+			"entry-no-default-export",
+			"entry-unmapped-external",
+			"entry-bare-import",
+		])
+	})
+
+	it("ignores relative imports and warns about stray files", () => {
+		const result = verifyGxpPackage(
+			makePackage({
+				"plugin.es.js": `import "./chunk.js";\n${ENTRY}`,
+				"chunk.js": "",
+				"app-manifest.json": manifest(),
+				"notes.txt": "todo",
+			}),
+		)
+		expect(result.ok).toBe(true)
+		expect(result.warnings).toEqual([
+			expect.objectContaining({ code: "stray-file", file: "notes.txt" }),
+		])
+	})
+
+	it("accepts lazy chunks and reports imports of missing ones", () => {
+		const result = verifyGxpPackage(
+			makePackage({
+				"plugin.es.js": `const load = () => __gxpImport("./chunks/Lazy-a1.js");\nconst gone = () => import("./chunks/Gone-b2.js");\n${ENTRY}`,
+				"chunks/Lazy-a1.js":
+					'import { x } from "../plugin.es.js";\nimport "pinia";\n',
+				"app-manifest.json": manifest(),
+			}),
+		)
+		expect(result.warnings).toEqual([])
+		expect(result.errors.map((e) => [e.code, e.file])).toEqual([
+			["chunk-bare-import", "chunks/Lazy-a1.js"],
+			["missing-chunk", "plugin.es.js"],
+		])
+		expect(result.errors[1].message).toMatch(/chunks\/Gone-b2\.js is not in/)
+	})
+
+	it("checks files against integrity.json", () => {
+		const files = {
+			"plugin.es.js": ENTRY,
+			"app-manifest.json": manifest(),
+		}
+		const integrity = createIntegrityManifest(
+			new Map(
+				Object.entries(files).map(([name, content]) => [
+					name,
+					Buffer.from(
+						typeof content === "string"
+							? content
+							: JSON.stringify(content, null, 2),
+					),
+				]),
+			),
+			{ toolkit: null, git: { commit: "abc123", dirty: false } },
+		)
+
+		const intact = verifyGxpPackage(
+			makePackage({ ...files, "integrity.json": integrity }),
+		)
+		expect(intact.ok).toBe(true)
+		expect(intact.integrity.git.commit).toBe("abc123")
+		expect(intact.sha256).toMatch(/^[0-9a-f]{64}$/)
+
+		const tampered = verifyGxpPackage(
+			makePackage({
+				...files,
+				"plugin.es.js": `${ENTRY}// patched\n`,
+				"extra.js": "",
+				"integrity.json": integrity,
+			}),
+		)
+		expect(tampered.errors.map((e) => [e.code, e.file])).toEqual([
+			["integrity-mismatch", "plugin.es.js"],
+			["integrity-unlisted-file", "extra.js"],
+		])
+	})
+
+	it("reports unreadable archives", () => {
+		const result = verifyGxpPackage(Buffer.from("not a zip"))
+		expect(result.ok).toBe(false)
+		expect(result.errors[0].code).toBe("invalid-zip")
+	})
+})
+
+describe("formatVerifyReport", () => {
+	it("summarises errors and warnings", () => {
+		const output = formatVerifyReport({
+			file: null,
+			ok: false,
+			entries: [],
+			errors: [{ code: "missing-file", file: "x", message: "x is missing" }],
+			warnings: [],
+		})
+		expect(output).toContain("[missing-file]")
+		expect(output).toContain("1 error(s), 0 warning(s)")
+	})
+})
+
+describe("listCodeFiles", () => {
+	it("lists root JS/CSS and chunks/ as package paths", () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-code-files-"))
+		try {
+			for (const file of [
+				"plugin.es.js",
+				"style.css",
+				"app-manifest.json",
+				"chunks/Lazy-a1.js",
+				"chunks/nested/Deep-c3.js",
+				"assets/vendor.js",
+			]) {
+				fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+				fs.writeFileSync(path.join(dir, file), "")
+			}
+			expect(listCodeFiles(dir)).toEqual([
+				"chunks/Lazy-a1.js",
+				"chunks/nested/Deep-c3.js",
+				"plugin.es.js",
+				"style.css",
+			])
+			expect(listCodeFiles(path.join(dir, "missing"))).toEqual([])
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true })
+		}
+	})
+})
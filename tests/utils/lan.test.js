@@ -0,0 +1,133 @@
+/**
+ * Tests for bin/lib/utils/lan.js and the certificate host checks behind
+ * gxdev dev --lan
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	getLanAddresses,
+	resolveLanHost,
+	renderQrCode,
+} = require("../../bin/lib/utils/lan")
+const {
+	getCertificateHosts,
+	certificateCoversHosts,
+} = require("../../bin/lib/utils/ssl")
+
+// Self-signed certificate for localhost, 127.0.0.1, 192.168.1.20 and
+// kiosk-dev.local
+const LAN_CERT = `-----BEGIN CERTIFICATE-----
+MIIBsjCCAVigAwIBAgIUItuAlCYPNJTNQfbpdfRy1GyHnMIwCgYIKoZIzj0EAwIw
+FDESMBAGA1UEAwwJbG9jYWxob3N0MB4XDTI2MTAxOTE4MjQyN1oXDTM2MTAxNjE4
+MjQyN1owFDESMBAGA1UEAwwJbG9jYWxob3N0MFkwEwYHKoZIzj0CAQYIKoZIzj0D
+AQcDQgAEVh66p9ORrlEx7NzEva92BRefBqLgJJkJOtaG9sD9abEhXx1AFFq7NO59
+qddhh1nzhE3EFkKylMijdwhbvxKKeqOBhzCBhDAdBgNVHQ4EFgQUsk4EpTqg1e4a
+T8JeeK82PIPfwTQwHwYDVR0jBBgwFoAUsk4EpTqg1e4aT8JeeK82PIPfwTQwDwYD
+VR0TAQH/BAUwAwEB/zAxBgNVHREEKjAogglsb2NhbGhvc3SHBH8AAAGHBMCoARSC
+D2tpb3NrLWRldi5sb2NhbDAKBggqhkjOPQQDAgNIADBFAiBsj1mHjTxYiZfgLcnH
+sOOz58VK/c4Ab/GT10pdMdal5AIhAMW51fZQqNyLVZaoKV1W9VuGwTlzq/6CfJYM
+nztLlunk
+-----END CERTIFICATE-----
+`
+
+const INTERFACES = {
+	lo: [{ address: "127.0.0.1", family: "IPv4", internal: true }],
+	en0: [
+		{ address: "fe80::1", family: "IPv6", internal: false },
+		{ address: "192.168.1.20", family: "IPv4", internal: false },
+	],
+	en5: [{ address: "169.254.10.2", family: "IPv4", internal: false }],
+	utun3: [{ address: "10.8.0.4", family: 4, internal: false }],
+}
+
+describe("lan", () => {
+	it("lists IPv4 LAN addresses without loopback or link-local ones", () => {
+		expect(getLanAddresses(INTERFACES)).toEqual([
+			{ address: "192.168.1.20", interface: "en0" },
+			{ address: "10.8.0.4", interface: "utun3" },
+		])
+	})
+
+	it("picks the first address unless one is asked for", () => {
+		expect(
+			resolveLanHost({ interfaces: INTERFACES, hostname: "kiosk-dev" }),
+		).toEqual({
+			address: "192.168.1.20",
+			addresses: ["192.168.1.20", "10.8.0.4"],
+			hosts: ["192.168.1.20", "10.8.0.4", "kiosk-dev", "kiosk-dev.local"],
+		})
+		expect(
+			resolveLanHost({
+				preferred: "10.8.0.4",
+				interfaces: INTERFACES,
+				hostname: "mac.example.com",
+			}),
+		).toMatchObject({
+			address: "10.8.0.4",
+			hosts: ["192.168.1.20", "10.8.0.4", "mac.example.com"],
+		})
+	})
+
+	it("explains when there is no usable address", () => {
+		expect(() =>
+			resolveLanHost({ interfaces: { lo: INTERFACES.lo }, hostname: "x" }),
+		).toThrow(/No LAN address found/)
+		expect(() =>
+			resolveLanHost({ preferred: "10.0.0.9", interfaces: INTERFACES }),
+		).toThrow(/not one of this machine's LAN addresses/)
+	})
+
+	it("trusts an explicit address when none is detected", () => {
+		expect(
+			resolveLanHost({
+				preferred: "10.0.0.9",
+				interfaces: { lo: INTERFACES.lo },
+				hostname: "kiosk-dev",
+			}),
+		).toEqual({
+			address: "10.0.0.9",
+			addresses: ["10.0.0.9"],
+			hosts: ["10.0.0.9", "kiosk-dev", "kiosk-dev.local"],
+		})
+		expect(() =>
+			resolveLanHost({ preferred: "kiosk", interfaces: { lo: INTERFACES.lo } }),
+		).toThrow(/not an IP address/)
+	})
+
+	it("renders a QR code of block characters", () => {
+		const qr = renderQrCode("https://192.168.1.20:3060")
+		expect(qr.split("\n").length).toBeGreaterThan(10)
+		expect(qr).toMatch(/[█▀▄]/)
+	})
+
+	describe("certificate hosts", () => {
+		let tmpDir
+
+		beforeEach(() => {
+			tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-lan-"))
+		})
+
+		afterEach(() => {
+			fs.rmSync(tmpDir, { recursive: true, force: true })
+		})
+
+		it("reads the names a certificate covers", () => {
+			const certPath = path.join(tmpDir, "localhost+3.pem")
+			fs.writeFileSync(certPath, LAN_CERT)
+			expect(getCertificateHosts(certPath)).toEqual([
+				"localhost",
+				"127.0.0.1",
+				"192.168.1.20",
+				"kiosk-dev.local",
+			])
+			expect(
+				certificateCoversHosts(certPath, ["192.168.1.20", "kiosk-dev.local"]),
+			).toBe(true)
+			expect(certificateCoversHosts(certPath, ["10.8.0.4"])).toBe(false)
+			expect(getCertificateHosts(path.join(tmpDir, "missing.pem"))).toEqual([])
+		})
+	})
+})
@@ -0,0 +1,119 @@
+/**
+ * Tests for bin/lib/utils/license-report.js (third-party license report)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	DEFAULT_DENY,
+	loadLicenseOptions,
+	normalizeLicense,
+	isLicenseDenied,
+	createLicenseReport,
+	formatLicenseReport,
+} = require("../../bin/lib/utils/license-report")
+
+describe("license report", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-licenses-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("is off unless declared or requested", () => {
+		expect(loadLicenseOptions(tmpDir)).toBeNull()
+		expect(loadLicenseOptions(tmpDir, null, true)).toEqual({
+			deny: DEFAULT_DENY,
+		})
+
+		const manifest = path.join(tmpDir, "app-manifest.json")
+		fs.writeFileSync(
+			manifest,
+			JSON.stringify({ thirdPartyLicenses: { deny: ["MPL-*"] } }),
+		)
+		expect(loadLicenseOptions(tmpDir)).toEqual({ deny: ["MPL-*"] })
+
+		fs.writeFileSync(
+			manifest,
+			JSON.stringify({ thirdPartyLicenses: { deny: "GPL-3.0" } }),
+		)
+		expect(() => loadLicenseOptions(tmpDir)).toThrow(
+			"thirdPartyLicenses.deny must be an array",
+		)
+	})
+
+	it("normalizes license fields and matches them against the denylist", () => {
+		expect(normalizeLicense("MIT")).toBe("MIT")
+		expect(normalizeLicense({ type: "ISC" })).toBe("ISC")
+		expect(normalizeLicense([{ type: "MIT" }, { type: "GPL-2.0" }])).toBe(
+			"(MIT OR GPL-2.0)",
+		)
+		expect(normalizeLicense(null)).toBe("UNKNOWN")
+
+		expect(isLicenseDenied("GPL-3.0-only", DEFAULT_DENY)).toBe(true)
+		expect(isLicenseDenied("agpl-3.0", DEFAULT_DENY)).toBe(true)
+		expect(isLicenseDenied("LGPL-2.1", DEFAULT_DENY)).toBe(false)
+		expect(isLicenseDenied("(MIT OR GPL-3.0)", DEFAULT_DENY)).toBe(false)
+		expect(isLicenseDenied("MIT AND GPL-3.0", DEFAULT_DENY)).toBe(true)
+		expect(
+			isLicenseDenied("GPL-2.0 WITH Classpath-exception-2.0", DEFAULT_DENY),
+		).toBe(true)
+		expect(isLicenseDenied("GPL-3.0", [])).toBe(false)
+	})
+
+	it("builds the report from bundle stats", () => {
+		const stats = {
+			packages: [
+				{
+					name: "mitt",
+					version: "3.0.1",
+					license: "MIT",
+					homepage: "https://github.com/developit/mitt",
+					licenseText: "MIT License",
+					chunks: ["plugin.es.js"],
+				},
+				{
+					name: "copyleft",
+					version: "1.0.0",
+					license: "GPL-3.0",
+					chunks: ["chunks/Lazy-c3.js"],
+				},
+				{
+					name: "mitt",
+					version: "3.0.1",
+					license: "MIT",
+					chunks: ["chunks/Lazy-c3.js"],
+				},
+				{ name: "mystery", version: "0.1.0", chunks: ["plugin.es.js"] },
+			],
+		}
+		const report = createLicenseReport(stats, { deny: DEFAULT_DENY })
+
+		expect(report.packages.map((pkg) => pkg.name)).toEqual([
+			"copyleft",
+			"mitt",
+			"mystery",
+		])
+		expect(report.packages[1]).toEqual({
+			name: "mitt",
+			version: "3.0.1",
+			license: "MIT",
+			homepage: "https://github.com/developit/mitt",
+			files: ["chunks/Lazy-c3.js", "plugin.es.js"],
+			licenseText: "MIT License",
+		})
+		expect(report.denied.map((pkg) => pkg.name)).toEqual(["copyleft"])
+		expect(report.unknown.map((pkg) => pkg.name)).toEqual(["mystery"])
+
+		const output = formatLicenseReport(report)
+		expect(output).toContain("3 packages")
+		expect(output).toMatch(/copyleft\s+1\.0\.0\s+GPL-3\.0.*✗ denied/)
+		expect(createLicenseReport({}, { deny: [] }).packages).toEqual([])
+	})
+})
@@ -0,0 +1,228 @@
+/**
+ * Tests for bin/lib/utils/package-diff.js (gxdev diff-package)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import AdmZip from "adm-zip"
+
+const {
+	loadPackageFiles,
+	diffPackages,
+	hasPackageChanges,
+	formatPackageDiff,
+} = require("../../bin/lib/utils/package-diff")
+
+const toMap = (files) =>
+	new Map(
+		Object.entries(files).map(([name, content]) => [
+			name,
+			Buffer.from(
+				typeof content === "string" ? content : JSON.stringify(content),
+			),
+		]),
+	)
+
+const baseManifest = {
+	name: "Plugin",
+	version: "1.0.0",
+	settings: { primary_color: "#fff", timeout: 30 },
+	strings: { default: { title: "Hello", subtitle: "World" } },
+	dependencies: [{ identifier: "project_location", model: "ProjectLocation" }],
+	permissions: ["view_location"],
+	"track-events": { "checkin.submit": { method: "string" } },
+}
+
+const baseConfig = {
+	additionalTabs: [
+		{
+			type: "fields_list",
+			title: "General",
+			fieldsList: [
+				{ type: "text", name: "heading", label: "Heading" },
+				{ type: "number", name: "delay", label: "Delay" },
+			],
+		},
+	],
+}
+
+describe("package diff", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-diff-test-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe("loadPackageFiles", () => {
+		it("reads .gxpapp files and build directories the same way", () => {
+			const zip = new AdmZip()
+			zip.addFile("plugin.es.js", Buffer.from("x"))
+			zip.addFile("assets/img/logo.png", Buffer.from("png"))
+			const zipPath = path.join(tmpDir, "a.gxpapp")
+			zip.writeZip(zipPath)
+
+			const dir = path.join(tmpDir, "build")
+			fs.mkdirSync(path.join(dir, "assets", "img"), { recursive: true })
+			fs.writeFileSync(path.join(dir, "plugin.es.js"), "x")
+			fs.writeFileSync(path.join(dir, "assets", "img", "logo.png"), "png")
+
+			const keys = (m) => [...m.keys()].sort()
+			expect(keys(loadPackageFiles(dir))).toEqual(
+				keys(loadPackageFiles(zipPath)),
+			)
+		})
+	})
+
+	describe("diffPackages", () => {
+		it("finds no changes between identical packages", () => {
+			const files = {
+				"app-manifest.json": baseManifest,
+				"configuration.json": baseConfig,
+				"plugin.es.js": "code",
+			}
+			const diff = diffPackages(toMap(files), toMap(files))
+			expect(hasPackageChanges(diff)).toBe(false)
+		})
+
+		it("reports manifest section changes by key", () => {
+			const diff = diffPackages(
+				toMap({ "app-manifest.json": baseManifest }),
+				toMap({
+					"app-manifest.json": {
+						...baseManifest,
+						version: "1.1.0",
+						settings: { primary_color: "#000", show_logo: true },
+						strings: { default: { title: "Hello", subtitle: "There" } },
+						dependencies: [
+							{ identifier: "project_location", model: "Location" },
+						],
+						permissions: ["view_location", "edit_location"],
+						"track-events": {},
+					},
+				}),
+			)
+			const keys = (d) => ({
+				added: d.added.map((i) => i.key),
+				removed: d.removed.map((i) => i.key),
+				changed: d.changed.map((i) => i.key),
+			})
+
+			expect(diff.manifest.general.changed).toEqual([
+				{ key: "version", previous: "1.0.0", current: "1.1.0" },
+			])
+			expect(keys(diff.manifest.settings)).toEqual({
+				added: ["show_logo"],
+				removed: ["timeout"],
+				changed: ["primary_color"],
+			})
+			expect(keys(diff.manifest.strings).changed).toEqual(["default.subtitle"])
+			expect(keys(diff.manifest.dependencies).changed).toEqual([
+				"project_location",
+			])
+			expect(keys(diff.manifest.permissions).added).toEqual(["edit_location"])
+			expect(keys(diff.manifest["track-events"]).removed).toEqual([
+				"checkin.submit",
+			])
+		})
+
+		it("ignores reordering of keys and dependencies", () => {
+			const reordered = {
+				...baseManifest,
+				dependencies: [
+					{ model: "ProjectLocation", identifier: "project_location" },
+				],
+			}
+			const diff = diffPackages(
+				toMap({ "app-manifest.json": baseManifest }),
+				toMap({ "app-manifest.json": reordered }),
+			)
+			expect(hasPackageChanges(diff)).toBe(false)
+		})
+
+		it("reports configuration card and field changes", () => {
+			const diff = diffPackages(
+				toMap({ "configuration.json": baseConfig }),
+				toMap({
+					"configuration.json": {
+						additionalTabs: [
+							{
+								type: "fields_list",
+								title: "General",
+								fieldsList: [
+									{ type: "text", name: "heading", label: "Title" },
+									{ type: "switch", name: "enabled", label: "Enabled" },
+								],
+							},
+							{ type: "fields_list", title: "Advanced", fieldsList: [] },
+						],
+					},
+				}),
+			)
+			expect(diff.configuration.cards.added.map((c) => c.key)).toEqual([
+				"additionalTabs > Advanced",
+			])
+			expect(diff.configuration.fields.added.map((f) => f.key)).toEqual([
+				"enabled",
+			])
+			expect(diff.configuration.fields.removed.map((f) => f.key)).toEqual([
+				"delay",
+			])
+			expect(diff.configuration.fields.changed.map((f) => f.key)).toEqual([
+				"heading",
+			])
+		})
+
+		it("reports JS/CSS and asset size deltas", () => {
+			const diff = diffPackages(
+				toMap({
+					"plugin.es.js": "12345",
+					"style.css": "abc",
+					"assets/old.png": "xx",
+					"assets/same.png": "s",
+				}),
+				toMap({
+					"plugin.es.js": "1234567",
+					"style.css": "abc",
+					"assets/new.png": "yyyy",
+					"assets/same.png": "s",
+				}),
+			)
+			expect(diff.code).toEqual([
+				{
+					name: "plugin.es.js",
+					status: "changed",
+					previous: 5,
+					current: 7,
+					delta: 2,
+				},
+			])
+			expect(diff.assets.map((a) => [a.name, a.status, a.delta])).toEqual([
+				["assets/new.png", "added", 4],
+				["assets/old.png", "removed", -2],
+			])
+			expect(diff.totals.code).toEqual({ previous: 8, current: 10 })
+		})
+	})
+
+	describe("formatPackageDiff", () => {
+		it("renders each changed section", () => {
+			const diff = diffPackages(
+				toMap({ "app-manifest.json": baseManifest, "plugin.es.js": "a" }),
+				toMap({
+					"app-manifest.json": { ...baseManifest, permissions: [] },
+					"plugin.es.js": "ab",
+				}),
+			)
+			const output = formatPackageDiff(diff, { from: "a", to: "b" })
+			expect(output).toContain("Permissions")
+			expect(output).toContain("- view_location")
+			expect(output).toContain("plugin.es.js")
+			expect(output).not.toContain("No differences")
+		})
+	})
+})
@@ -0,0 +1,95 @@
+/**
+ * Tests for bin/lib/utils/portal-profiles.js (dev container portal profiles)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	listPortalProfiles,
+	assertPortalProfile,
+	loadPortalProfile,
+} = require("../../bin/lib/utils/portal-profiles")
+
+describe("portal profiles", () => {
+	let tmpDir
+
+	const writeProfile = (id, data) => {
+		const dir = path.join(tmpDir, "portal-profiles")
+		fs.mkdirSync(dir, { recursive: true })
+		fs.writeFileSync(
+			path.join(dir, `${id}.json`),
+			typeof data === "string" ? data : JSON.stringify(data),
+		)
+	}
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-profiles-test-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("falls back to the built-in default", () => {
+		expect(listPortalProfiles(tmpDir)).toEqual([
+			{
+				id: "default",
+				name: "Default",
+				description: expect.any(String),
+				source: "built-in",
+			},
+		])
+		const profile = loadPortalProfile(tmpDir)
+		expect(profile.id).toBe("default")
+		expect(profile.theme.primary).toBe("#FFD600")
+		expect(profile.navigation.length).toBeGreaterThan(0)
+		expect(JSON.stringify(profile)).not.toContain("eventfinity")
+	})
+
+	it("merges a profile over the project's default", () => {
+		writeProfile("default", { strings: { welcome_text: "Hi from the team" } })
+		writeProfile("acme", {
+			name: "Acme Expo",
+			theme: { primary: "#d0021b" },
+			navigation: [{ title: "Agenda", route: "/agenda" }],
+			pluginVars: { projectId: 7 },
+		})
+
+		const profile = loadPortalProfile(tmpDir, "acme")
+		expect(profile).toMatchObject({
+			id: "acme",
+			name: "Acme Expo",
+			navigation: [{ title: "Agenda", route: "/agenda" }],
+			pluginVars: { projectId: 7 },
+		})
+		expect(profile.theme.primary).toBe("#d0021b")
+		expect(profile.theme.page_text_color).toBe("#ffffff")
+		expect(profile.strings.welcome_text).toBe("Hi from the team")
+		expect(profile.strings.final_line_one).toBe("Thank You!")
+
+		expect(listPortalProfiles(tmpDir).map((p) => [p.id, p.source])).toEqual([
+			["default", "project"],
+			["acme", "project"],
+		])
+	})
+
+	it("rejects unknown names and reports unreadable files", () => {
+		writeProfile("acme", {})
+		writeProfile("broken", "{ nope")
+
+		expect(() => assertPortalProfile(tmpDir, "acme")).not.toThrow()
+		expect(() => assertPortalProfile(tmpDir, "../etc")).toThrow(/Invalid/)
+		expect(() => assertPortalProfile(tmpDir, "globex")).toThrow(
+			/Unknown portal profile "globex".*available: default, acme, broken/,
+		)
+		expect(() => loadPortalProfile(tmpDir, "broken")).toThrow(
+			/Could not parse broken\.json/,
+		)
+		expect(listPortalProfiles(tmpDir)[2]).toMatchObject({
+			id: "broken",
+			error: expect.stringMatching(/Could not parse/),
+		})
+	})
+})
@@ -0,0 +1,69 @@
+/**
+ * Tests for bin/lib/utils/ports.js
+ */
+import { describe, expect, it } from "vitest"
+import net from "net"
+
+const {
+	isPortFree,
+	findFreePorts,
+	parseLsofOutput,
+	parseNetstatOutput,
+	describePortOwner,
+} = require("../../bin/lib/utils/ports")
+
+describe("ports", () => {
+	it("detects a port that is being listened on", async () => {
+		const server = net.createServer()
+		await new Promise((resolve) => server.listen(0, resolve))
+		const { port } = server.address()
+		try {
+			expect(await isPortFree(port)).toBe(false)
+		} finally {
+			await new Promise((resolve) => server.close(resolve))
+		}
+		expect(await isPortFree(port)).toBe(true)
+	})
+
+	it("moves every port by the same offset", async () => {
+		const busy = new Set([3060, 3070])
+		const isFree = async (port) => !busy.has(port)
+		expect(
+			await findFreePorts({ dev: 3060, socketIo: 3069 }, { isFree }),
+		).toEqual({ dev: 3062, socketIo: 3071 })
+		expect(
+			await findFreePorts({ dev: 3060 }, { isFree: async () => false }),
+		).toBeNull()
+		expect(
+			await findFreePorts(
+				{ dev: 65535, socketIo: 65535 },
+				{
+					isFree: async (port) => port !== 65535,
+				},
+			),
+		).toBeNull()
+	})
+
+	it("parses lsof and netstat output", () => {
+		expect(parseLsofOutput("p4242\ncnode\nf23\n")).toEqual({
+			pid: 4242,
+			command: "node",
+		})
+		expect(parseLsofOutput("")).toBeNull()
+
+		const netstat = [
+			"  Proto  Local Address          Foreign Address        State           PID",
+			"  TCP    0.0.0.0:30600          0.0.0.0:0              LISTENING       1111",
+			"  TCP    0.0.0.0:3060           0.0.0.0:0              LISTENING       2222",
+		].join("\r\n")
+		expect(parseNetstatOutput(netstat, 3060)).toBe(2222)
+		expect(parseNetstatOutput(netstat, 3069)).toBeNull()
+	})
+
+	it("describes the port owner when known", () => {
+		expect(describePortOwner(3060, { pid: 1, command: "vite" })).toBe(
+			"3060 (held by vite, pid 1)",
+		)
+		expect(describePortOwner(3060, null)).toBe("3060")
+	})
+})
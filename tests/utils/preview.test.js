@@ -0,0 +1,150 @@
+/**
+ * Tests for bin/lib/utils/preview.js (gxdev preview)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	unpackPackage,
+	getPreviewStyles,
+	createPreviewManifest,
+	createPreviewInfo,
+	describeMissing,
+	createPreviewServer,
+} = require("../../bin/lib/utils/preview")
+
+const toMap = (files) =>
+	new Map(
+		Object.entries(files).map(([name, content]) => [
+			name,
+			Buffer.from(content),
+		]),
+	)
+
+describe("preview", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-preview-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("unpacks a package, replacing the previous one", () => {
+		const dir = path.join(tmpDir, "package")
+		unpackPackage(toMap({ "old.js": "x" }), dir)
+		unpackPackage(
+			toMap({ "plugin.es.js": "export default {}", "assets/a/b.png": "png" }),
+			dir,
+		)
+		expect(fs.readFileSync(path.join(dir, "assets/a/b.png"), "utf-8")).toBe(
+			"png",
+		)
+		expect(fs.existsSync(path.join(dir, "old.js"))).toBe(false)
+		expect(() => unpackPackage(toMap({ "../escape.js": "x" }), dir)).toThrow(
+			/leaves the package/,
+		)
+	})
+
+	it("links build CSS before default-styling.css", () => {
+		expect(
+			getPreviewStyles([
+				"default-styling.css",
+				"style.css",
+				"plugin.es.js",
+				"assets/theme.css",
+				"chunk.css",
+			]),
+		).toEqual(["chunk.css", "style.css", "default-styling.css"])
+		expect(getPreviewStyles(["plugin.es.js"])).toEqual([])
+	})
+
+	it("points packaged assets at the unpacked package", () => {
+		const manifest = {
+			asset_dir: "/src/assets/",
+			assets: {
+				logo: "/src/assets/images/logo.png",
+				placeholder: "/dev-assets/images/hero.jpg",
+				remote: "https://cdn.example.com/x.png",
+			},
+		}
+		expect(createPreviewManifest(manifest).assets).toEqual({
+			logo: "/plugin/assets/images/logo.png",
+			placeholder: "/dev-assets/images/hero.jpg",
+			remote: "https://cdn.example.com/x.png",
+		})
+		expect(manifest.assets.logo).toBe("/src/assets/images/logo.png")
+	})
+
+	it("explains requests the package can't satisfy", () => {
+		expect(describeMissing("/favicon.ico")).toBeNull()
+		expect(describeMissing("/dev-assets/hero.jpg?v=1")).toMatch(
+			/only served by gxdev dev/,
+		)
+		expect(describeMissing("/plugin/missing.js")).toBe(
+			"/plugin/missing.js — not in the package",
+		)
+		expect(describeMissing("/src/assets/logo.png")).toMatch(
+			/served from \/plugin\//,
+		)
+	})
+
+	it("serves the host, the package and the injected manifest", async () => {
+		const files = toMap({
+			"plugin.es.js": "export default {}",
+			"style.css": ".p{}",
+			"app-manifest.json": "{}",
+		})
+		const packageDir = path.join(tmpDir, "package")
+		const hostDir = path.join(tmpDir, "host")
+		unpackPackage(files, packageDir)
+		fs.mkdirSync(path.join(hostDir, "assets"), { recursive: true })
+		fs.writeFileSync(path.join(hostDir, "index.html"), "<html>host</html>")
+		fs.writeFileSync(path.join(hostDir, "assets", "index.js"), "// host")
+
+		const manifest = { name: "demo", version: "1.2.0", assets: {} }
+		const missing = []
+		const app = createPreviewServer({
+			packageDir,
+			hostDir,
+			manifest,
+			info: createPreviewInfo(files, manifest),
+			onMissing: (message) => missing.push(message),
+		})
+		const server = await new Promise((resolve) => {
+			const s = app.listen(0, "127.0.0.1", () => resolve(s))
+		})
+		const base = `http://127.0.0.1:${server.address().port}`
+		try {
+			expect(await (await fetch(`${base}/`)).text()).toBe("<html>host</html>")
+			expect(await (await fetch(`${base}/__host/assets/index.js`)).text()).toBe(
+				"// host",
+			)
+			expect(await (await fetch(`${base}/__preview/info.json`)).json()).toEqual(
+				{
+					name: "demo",
+					version: "1.2.0",
+					base: "/plugin/",
+					entry: "/plugin/plugin.es.js",
+					styles: ["/plugin/style.css"],
+				},
+			)
+			expect(await (await fetch(`${base}/app-manifest.json`)).json()).toEqual(
+				manifest,
+			)
+			expect(await (await fetch(`${base}/plugin/plugin.es.js`)).text()).toBe(
+				"export default {}",
+			)
+			expect((await fetch(`${base}/dev-assets/hero.jpg`)).status).toBe(404)
+			expect(missing).toEqual([
+				"/dev-assets/hero.jpg — /dev-assets/ is only served by gxdev dev",
+			])
+		} finally {
+			server.close()
+		}
+	})
+})
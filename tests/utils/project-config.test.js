@@ -0,0 +1,211 @@
+/**
+ * Tests for bin/lib/utils/project-config.js (gxdev.config.js)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	loadProjectConfig,
+	resolveProjectOptions,
+	applyProjectConfig,
+} = require("../../bin/lib/utils/project-config")
+const {
+	loadProjectBuildSetting,
+	loadProjectBuildSettingLayers,
+} = require("../../bin/lib/utils/paths")
+const {
+	loadEnvironments,
+	readActiveEnvironment,
+} = require("../../bin/lib/utils/environments")
+
+const ENV_KEYS = [
+	"NODE_PORT",
+	"USE_HTTPS",
+	"ALLOWED_HOSTS",
+	"DISABLE_ANALYTICS",
+	"API_ENV",
+	"MOCK_API_DELAY",
+	"MOCK_API_CACHE_TTL",
+]
+
+describe("project config", () => {
+	let tmpDir
+	let savedEnv
+
+	const write = (rel, content) => {
+		fs.writeFileSync(
+			path.join(tmpDir, rel),
+			typeof content === "string" ? content : JSON.stringify(content),
+		)
+	}
+	const option = (options, key) => options.find((o) => o.key === key)
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-project-config-"))
+		savedEnv = {}
+		for (const key of ENV_KEYS) {
+			savedEnv[key] = process.env[key]
+			delete process.env[key]
+		}
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+		for (const [key, value] of Object.entries(savedEnv)) {
+			if (value === undefined) {
+				delete process.env[key]
+			} else {
+				process.env[key] = value
+			}
+		}
+	})
+
+	it("loads gxdev.config.cjs and gxdev.config.json", () => {
+		expect(loadProjectConfig(tmpDir)).toEqual({ file: null, config: {} })
+
+		write("gxdev.config.cjs", "module.exports = { dev: { port: 3100 } }")
+		expect(loadProjectConfig(tmpDir)).toEqual({
+			file: path.join(tmpDir, "gxdev.config.cjs"),
+			config: { dev: { port: 3100 } },
+		})
+
+		write("gxdev.config.json", { dev: { port: 3200 } })
+		expect(() => loadProjectConfig(tmpDir)).toThrow(
+			/gxdev.config.cjs and gxdev.config.json; keep only one/,
+		)
+
+		fs.rmSync(path.join(tmpDir, "gxdev.config.cjs"))
+		expect(loadProjectConfig(tmpDir).config).toEqual({ dev: { port: 3200 } })
+
+		write("gxdev.config.json", "{ dev: 1 }")
+		expect(() => loadProjectConfig(tmpDir)).toThrow(
+			/Could not parse gxdev.config.json/,
+		)
+	})
+
+	it("reports every problem with helpful messages", () => {
+		write("gxdev.config.json", {
+			dev: { prot: 3100, https: "no", allowedHosts: "a.test" },
+			mok: {},
+			api: { baseUrl: "api.test", key: "secret" },
+			mock: { delay: -1 },
+			lint: { rules: { enum: "warning" } },
+			build: { budgets: "300kB" },
+		})
+
+		let message
+		try {
+			loadProjectConfig(tmpDir)
+		} catch (error) {
+			message = error.message
+		}
+		expect(message.split("\n")).toEqual([
+			"Invalid gxdev.config.json:",
+			'   - mok is not a gxdev.config option (did you mean "mock"?)',
+			'   - dev.prot is not a gxdev.config option (did you mean "port"?)',
+			expect.stringMatching(/^ {3}- api\.key is not a gxdev\.config option/),
+			'   - dev.https must be true or false (got "no")',
+			expect.stringMatching(
+				/^ {3}- dev\.allowedHosts must be an array of host names/,
+			),
+			'   - api.baseUrl must be an http(s) or ws(s) URL (got "api.test")',
+			"   - mock.delay must be a whole number of milliseconds (got -1)",
+			'   - lint.rules.enum must be one of error, warn, off (got "warning")',
+			"   - build.budgets must be an object",
+		])
+	})
+
+	it("ranks the shell over .env files over the config over defaults", () => {
+		write("gxdev.config.json", {
+			dev: {
+				port: 3100,
+				https: false,
+				allowedHosts: ["a.test", "b.test"],
+				analytics: false,
+			},
+			api: { env: "staging" },
+			mock: { delay: 250, cacheTtl: 1000 },
+		})
+		write(".env", "NODE_PORT=3061\nAPI_ENV=develop\n")
+		write(".env.development", "API_ENV=testing\n")
+		write(".env.acme", "MOCK_API_CACHE_TTL=2000\n")
+
+		const options = resolveProjectOptions(tmpDir, {
+			env: { MOCK_API_DELAY: "10" },
+		})
+		expect(option(options, "mock.delay")).toMatchObject({
+			value: 10,
+			source: "shell",
+		})
+		expect(option(options, "dev.port")).toMatchObject({
+			value: 3061,
+			source: ".env",
+		})
+		expect(option(options, "api.env")).toMatchObject({
+			value: "testing",
+			source: ".env.development",
+		})
+		expect(option(options, "dev.analytics")).toMatchObject({
+			value: false,
+			source: "gxdev.config.json",
+			env: "DISABLE_ANALYTICS",
+		})
+		expect(option(options, "mock.cacheTtl").source).toBe("gxdev.config.json")
+		expect(option(options, "componentPath")).toMatchObject({
+			value: "./src/Plugin.vue",
+			source: "default",
+		})
+
+		// Only what neither the shell nor a .env file sets is exported
+		process.env.MOCK_API_DELAY = "10"
+		const { applied } = applyProjectConfig(tmpDir, {
+			mode: "development",
+			variant: "acme",
+		})
+		expect(applied.sort()).toEqual([
+			"ALLOWED_HOSTS",
+			"DISABLE_ANALYTICS",
+			"USE_HTTPS",
+		])
+		expect(process.env.USE_HTTPS).toBe("false")
+		expect(process.env.ALLOWED_HOSTS).toBe("a.test,b.test")
+		expect(process.env.DISABLE_ANALYTICS).toBe("true")
+		expect(process.env.MOCK_API_DELAY).toBe("10")
+		expect(process.env.MOCK_API_CACHE_TTL).toBeUndefined()
+	})
+
+	it("layers build settings and environments from the config", () => {
+		write("package.json", {
+			name: "demo",
+			gxdev: { budgets: { total: "500kB", css: "50kB" } },
+		})
+		write("app-manifest.json", { name: "Demo", budgets: { css: "40kB" } })
+		write("gxdev.config.json", {
+			api: {
+				env: "onprem",
+				environments: { onprem: { apiBaseUrl: "https://api.onprem.test" } },
+			},
+			build: { budgets: { total: "300kB", chunk: "100kB" } },
+		})
+
+		expect(loadProjectBuildSetting(tmpDir, "budgets")).toEqual({
+			total: "300kB",
+			chunk: "100kB",
+			css: "40kB",
+		})
+		expect(
+			loadProjectBuildSettingLayers(tmpDir, "budgets").map((l) => l.source),
+		).toEqual(["package.json", "gxdev.config.json", "app-manifest.json"])
+
+		expect(loadEnvironments(tmpDir, { userFile: null }).onprem).toMatchObject({
+			apiBaseUrl: "https://api.onprem.test",
+			source: "project",
+		})
+		expect(readActiveEnvironment(tmpDir)).toEqual({
+			name: "onprem",
+			source: "gxdev.config",
+		})
+	})
+})
@@ -0,0 +1,165 @@
+/**
+ * Tests for bin/lib/utils/signing.js (Ed25519 package signatures)
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import crypto from "crypto"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import AdmZip from "adm-zip"
+
+const {
+	generateSigningKey,
+	loadSigningKey,
+	loadPublicKey,
+	signIntegrity,
+	verifyIntegritySignature,
+} = require("../../bin/lib/utils/signing")
+const {
+	createIntegrityManifest,
+	createGxpArchive,
+	verifyGxpPackage,
+} = require("../../bin/lib/utils/gxp-package")
+
+describe("package signing", () => {
+	let tmpDir
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-signing-test-"))
+		// Keep the user-level key directory inside the sandbox
+		vi.spyOn(os, "homedir").mockReturnValue(path.join(tmpDir, "home"))
+	})
+
+	afterEach(() => {
+		vi.restoreAllMocks()
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe("keys", () => {
+		it("generates a key pair and finds it in the project first", () => {
+			const user = generateSigningKey(
+				path.join(tmpDir, "home", ".gxp-dev", "signing"),
+			)
+			expect(loadSigningKey(tmpDir).keyId).toBe(user.keyId)
+
+			const project = generateSigningKey(path.join(tmpDir, ".gxdev", "signing"))
+			expect(project.keyId).not.toBe(user.keyId)
+			expect(loadSigningKey(tmpDir).keyId).toBe(project.keyId)
+			expect(loadPublicKey(tmpDir).keyId).toBe(project.keyId)
+			if (process.platform !== "win32") {
+				expect(fs.statSync(project.privateKeyPath).mode & 0o777).toBe(0o600)
+			}
+		})
+
+		it("returns null without a key and throws for an explicit missing path", () => {
+			expect(loadSigningKey(tmpDir)).toBeNull()
+			expect(() => loadSigningKey(tmpDir, "nope.pem")).toThrow(
+				"Signing key not found",
+			)
+		})
+
+		it("rejects non-Ed25519 keys", () => {
+			const { privateKey } = crypto.generateKeyPairSync("rsa", {
+				modulusLength: 1024,
+			})
+			const keyPath = path.join(tmpDir, "rsa.pem")
+			fs.writeFileSync(
+				keyPath,
+				privateKey.export({ type: "pkcs8", format: "pem" }),
+			)
+			expect(() => loadSigningKey(tmpDir, keyPath)).toThrow("Ed25519")
+		})
+	})
+
+	describe("signatures", () => {
+		const integrity = Buffer.from('{"algorithm":"sha256","files":{}}')
+
+		it("verifies a signature from the same key only", () => {
+			const ours = crypto.generateKeyPairSync("ed25519")
+			const theirs = crypto.generateKeyPairSync("ed25519")
+			const signature = signIntegrity(integrity, ours.privateKey)
+
+			expect(
+				verifyIntegritySignature(integrity, signature, ours.publicKey),
+			).toEqual({ valid: true })
+			expect(
+				verifyIntegritySignature(integrity, signature, theirs.publicKey).code,
+			).toBe("signature-key-mismatch")
+			expect(
+				verifyIntegritySignature(
+					Buffer.from(`${integrity} `),
+					signature,
+					ours.publicKey,
+				).code,
+			).toBe("signature-invalid")
+		})
+	})
+
+	describe("verifyGxpPackage with a public key", () => {
+		const ENTRY = "const P = {};\nexport { P as default };\n"
+		const MANIFEST = JSON.stringify({ name: "Signed", version: "1.0.0" })
+
+		function signedPackage(privateKey, tamper = {}) {
+			const files = new Map([
+				["plugin.es.js", Buffer.from(ENTRY)],
+				["app-manifest.json", Buffer.from(MANIFEST)],
+			])
+			const integrity = Buffer.from(
+				JSON.stringify(createIntegrityManifest(files)),
+			)
+			files.set("integrity.json", integrity)
+			files.set(
+				"signature.json",
+				Buffer.from(JSON.stringify(signIntegrity(integrity, privateKey))),
+			)
+			for (const [name, content] of Object.entries(tamper)) {
+				files.set(name, Buffer.from(content))
+			}
+			return createGxpArchive(files)
+		}
+
+		it("accepts a package signed by the trusted key", () => {
+			const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519")
+			const result = verifyGxpPackage(signedPackage(privateKey), {
+				publicKey,
+			})
+			expect(result.errors).toEqual([])
+			expect(result.signature).toMatchObject({ checked: true, verified: true })
+		})
+
+		it("rejects a re-hashed integrity.json", () => {
+			const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519")
+			// Someone swaps the entry and updates integrity.json to match
+			const patched = `${ENTRY}// patched\n`
+			const integrity = JSON.stringify(
+				createIntegrityManifest(
+					new Map([
+						["plugin.es.js", Buffer.from(patched)],
+						["app-manifest.json", Buffer.from(MANIFEST)],
+					]),
+				),
+			)
+			const result = verifyGxpPackage(
+				signedPackage(privateKey, {
+					"plugin.es.js": patched,
+					"integrity.json": integrity,
+				}),
+				{ publicKey },
+			)
+			expect(result.errors.map((e) => e.code)).toEqual(["signature-invalid"])
+		})
+
+		it("requires a signature only when a key is given", () => {
+			const zip = new AdmZip()
+			zip.addFile("plugin.es.js", Buffer.from(ENTRY))
+			zip.addFile("app-manifest.json", Buffer.from(MANIFEST))
+			const unsigned = zip.toBuffer()
+
+			expect(verifyGxpPackage(unsigned).ok).toBe(true)
+			const { publicKey } = crypto.generateKeyPairSync("ed25519")
+			expect(
+				verifyGxpPackage(unsigned, { publicKey }).errors.map((e) => e.code),
+			).toEqual(["signature-missing"])
+		})
+	})
+})
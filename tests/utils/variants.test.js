@@ -0,0 +1,150 @@
+/**
+ * Tests for bin/lib/utils/variants.js (build variants)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	listVariants,
+	assertVariant,
+	deepMerge,
+	loadProjectManifest,
+	applyVariantEnv,
+} = require("../../bin/lib/utils/variants")
+const { loadProjectBuildSetting } = require("../../bin/lib/utils/paths")
+
+describe("build variants", () => {
+	let tmpDir
+
+	const writeJson = (name, data) =>
+		fs.writeFileSync(path.join(tmpDir, name), JSON.stringify(data))
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-variants-test-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe("deepMerge", () => {
+		it("merges objects recursively and replaces arrays and scalars", () => {
+			const base = {
+				name: "Plugin",
+				settings: { color: "#fff", timeout: 30 },
+				strings: { default: { title: "Hi", subtitle: "There" } },
+				permissions: ["a", "b"],
+			}
+			const merged = deepMerge(base, {
+				settings: { color: "#000" },
+				strings: { default: { title: "Hello" } },
+				permissions: ["c"],
+				budgets: null,
+			})
+			expect(merged).toEqual({
+				name: "Plugin",
+				settings: { color: "#000", timeout: 30 },
+				strings: { default: { title: "Hello", subtitle: "There" } },
+				permissions: ["c"],
+				budgets: null,
+			})
+			expect(base.settings.color).toBe("#fff")
+		})
+	})
+
+	describe("listVariants / assertVariant", () => {
+		it("lists variants declared by manifest overlays", () => {
+			writeJson("app-manifest.json", {})
+			writeJson("app-manifest.zeta.json", {})
+			writeJson("app-manifest.acme-co.json", {})
+			fs.writeFileSync(path.join(tmpDir, "app-manifest.json.bak"), "")
+			expect(listVariants(tmpDir)).toEqual(["acme-co", "zeta"])
+		})
+
+		it("accepts a variant with only an env overlay", () => {
+			fs.writeFileSync(path.join(tmpDir, ".env.staging"), "API_ENV=develop\n")
+			expect(() => assertVariant(tmpDir, "staging")).not.toThrow()
+		})
+
+		it("rejects unknown and malformed variant names", () => {
+			writeJson("app-manifest.acme.json", {})
+			expect(() => assertVariant(tmpDir, "other")).toThrow(
+				'Unknown variant "other"',
+			)
+			expect(() => assertVariant(tmpDir, "other")).toThrow("available: acme")
+			expect(() => assertVariant(tmpDir, "../acme")).toThrow(
+				"Invalid variant name",
+			)
+		})
+	})
+
+	describe("loadProjectManifest", () => {
+		it("applies the variant overlay over the base manifest", () => {
+			writeJson("app-manifest.json", {
+				name: "Plugin",
+				settings: { color: "#fff", logo: "a.png" },
+			})
+			writeJson("app-manifest.acme.json", { settings: { color: "#c00" } })
+
+			expect(loadProjectManifest(tmpDir).settings.color).toBe("#fff")
+			expect(loadProjectManifest(tmpDir, "acme")).toEqual({
+				name: "Plugin",
+				settings: { color: "#c00", logo: "a.png" },
+			})
+		})
+
+		it("reports which file failed to parse", () => {
+			writeJson("app-manifest.json", {})
+			fs.writeFileSync(path.join(tmpDir, "app-manifest.acme.json"), "{")
+			expect(() => loadProjectManifest(tmpDir, "acme")).toThrow(
+				"app-manifest.acme.json",
+			)
+		})
+
+		it("feeds build settings such as budgets", () => {
+			writeJson("app-manifest.json", { budgets: { total: "500kb" } })
+			writeJson("app-manifest.lite.json", { budgets: { total: "200kb" } })
+			expect(loadProjectBuildSetting(tmpDir, "budgets", "lite")).toEqual({
+				total: "200kb",
+			})
+		})
+	})
+
+	describe("applyVariantEnv", () => {
+		const keys = ["GXDEV_TEST_API_ENV", "GXDEV_TEST_SHELL", "GXDEV_VARIANT"]
+		let saved
+
+		beforeEach(() => {
+			saved = Object.fromEntries(keys.map((k) => [k, process.env[k]]))
+			delete process.env.GXDEV_TEST_API_ENV
+			delete process.env.GXDEV_VARIANT
+			process.env.GXDEV_TEST_SHELL = "from-shell"
+		})
+
+		afterEach(() => {
+			for (const [key, value] of Object.entries(saved)) {
+				if (value === undefined) delete process.env[key]
+				else process.env[key] = value
+			}
+		})
+
+		it("loads .env.<variant> without overriding the shell, and restores", () => {
+			fs.writeFileSync(
+				path.join(tmpDir, ".env.acme"),
+				"GXDEV_TEST_API_ENV=staging\nGXDEV_TEST_SHELL=from-file\n",
+			)
+			const applied = applyVariantEnv(tmpDir, "acme")
+			expect(applied.keys).toEqual(["GXDEV_TEST_API_ENV"])
+			expect(process.env.GXDEV_TEST_API_ENV).toBe("staging")
+			expect(process.env.GXDEV_TEST_SHELL).toBe("from-shell")
+			expect(process.env.GXDEV_VARIANT).toBe("acme")
+
+			applied.restore()
+			expect(process.env.GXDEV_TEST_API_ENV).toBeUndefined()
+			expect(process.env.GXDEV_VARIANT).toBeUndefined()
+			expect(process.env.GXDEV_TEST_SHELL).toBe("from-shell")
+		})
+	})
+})
@@ -0,0 +1,141 @@
+/**
+ * Tests for bin/lib/utils/versioning.js (gxdev version)
+ */
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import { execSync } from "child_process"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const {
+	nextVersion,
+	compareSemver,
+	readProjectVersions,
+	findVersionMismatch,
+	writeJsonVersion,
+	getGitState,
+	listCommitsSince,
+	formatChangelogEntry,
+	addChangelogEntry,
+} = require("../../bin/lib/utils/versioning")
+
+describe("versioning", () => {
+	let tmpDir
+
+	const write = (rel, content) => {
+		fs.writeFileSync(path.join(tmpDir, rel), content)
+	}
+	const git = (args) =>
+		execSync(`git -c user.name=Test -c user.email=test@example.com ${args}`, {
+			cwd: tmpDir,
+			stdio: "pipe",
+		}).toString()
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gxdev-versioning-"))
+	})
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	it("bumps release types and validates explicit versions", () => {
+		expect(nextVersion("1.2.3", "patch")).toBe("1.2.4")
+		expect(nextVersion("1.2.3", "minor")).toBe("1.3.0")
+		expect(nextVersion("1.2.3", "major")).toBe("2.0.0")
+		expect(nextVersion("1.2.3-beta.1", "patch")).toBe("1.2.3")
+		expect(nextVersion("2.0.0-rc.1", "major")).toBe("2.0.0")
+		expect(nextVersion("1.2.3", "v1.4.0-beta.1")).toBe("1.4.0-beta.1")
+
+		expect(() => nextVersion("1.2.3", "1.2.3")).toThrow(/not newer/)
+		expect(nextVersion("1.2.3", "1.2.3", { allowCurrent: true })).toBe("1.2.3")
+		expect(() => nextVersion("1.2.3", "1.2.3-rc.1")).toThrow(/not newer/)
+		expect(() => nextVersion("1.2.3", "next")).toThrow(/not a version/)
+		expect(() => nextVersion("latest", "patch")).toThrow(/not a semver/)
+
+		expect(compareSemver("1.0.0-beta.2", "1.0.0-beta.10")).toBeLessThan(0)
+		expect(compareSemver("1.0.0-beta", "1.0.0-alpha")).toBeGreaterThan(0)
+	})
+
+	it("reads, compares and writes the manifest and package versions", () => {
+		write(
+			"app-manifest.json",
+			'{\n\t"name": "Demo",\n\t"version": "1.0.1"\n}\n',
+		)
+		write("package.json", '{\n  "name": "demo",\n  "version": "1.0.0"\n}')
+
+		expect(readProjectVersions(tmpDir)).toEqual({
+			"app-manifest.json": "1.0.1",
+			"package.json": "1.0.0",
+		})
+		expect(findVersionMismatch(tmpDir)).toEqual({
+			manifest: "1.0.1",
+			package: "1.0.0",
+		})
+
+		writeJsonVersion(path.join(tmpDir, "package.json"), "1.0.1")
+		expect(fs.readFileSync(path.join(tmpDir, "package.json"), "utf-8")).toBe(
+			'{\n  "name": "demo",\n  "version": "1.0.1"\n}',
+		)
+		expect(findVersionMismatch(tmpDir)).toBeNull()
+
+		// Nothing to compare against when one side has no version
+		write("package.json", '{ "name": "demo" }')
+		expect(findVersionMismatch(tmpDir)).toBeNull()
+	})
+
+	it("lists commits since the last release tag", () => {
+		expect(getGitState(tmpDir)).toBeNull()
+
+		git("init -q")
+		expect(listCommitsSince(tmpDir, null)).toEqual([])
+
+		write("a.txt", "a")
+		git("add -A")
+		git('commit -q -m "Initial plugin"')
+		git('tag -a v1.0.0 -m "v1.0.0"')
+		write("b.txt", "b")
+		git("add -A")
+		git('commit -q -m "Add settings panel"')
+		write("c.txt", "c")
+
+		const state = getGitState(tmpDir)
+		expect(state).toEqual({ lastTag: "v1.0.0", dirty: true })
+		const commits = listCommitsSince(tmpDir, state.lastTag)
+		expect(commits.map((commit) => commit.subject)).toEqual([
+			"Add settings panel",
+		])
+		expect(commits[0].hash).toMatch(/^[0-9a-f]{7,}$/)
+		expect(listCommitsSince(tmpDir, null)).toHaveLength(2)
+	})
+
+	it("adds changelog entries newest first", () => {
+		const date = new Date(2026, 2, 5)
+		const entry = formatChangelogEntry(
+			"1.1.0",
+			[{ hash: "abc1234", subject: "Add settings panel" }],
+			{ date },
+		)
+		expect(entry).toBe(
+			"## [1.1.0] - 2026-03-05\n\n- Add settings panel (abc1234)\n",
+		)
+		expect(formatChangelogEntry("1.1.1", [], { date, since: "v1.1.0" })).toBe(
+			"## [1.1.1] - 2026-03-05\n\n- No changes since v1.1.0\n",
+		)
+
+		const created = addChangelogEntry("", entry)
+		expect(created).toBe(`# Changelog\n\n${entry}`)
+
+		const next = formatChangelogEntry(
+			"1.2.0",
+			[{ hash: "def5678", subject: "Fix date picker" }],
+			{ date },
+		)
+		expect(addChangelogEntry(created, next)).toBe(
+			`# Changelog\n\n${next}\n${entry}`,
+		)
+		expect(addChangelogEntry("# Release notes\n", entry)).toBe(
+			`# Release notes\n\n${entry}`,
+		)
+	})
+})